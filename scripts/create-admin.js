@@ -0,0 +1,68 @@
+require('dotenv').config();
+
+const readline = require('readline');
+
+const {
+    AdminAuthError,
+    ADMIN_ROLES,
+    createAdminUser,
+    setAdminPassword
+} = require('../src/services/adminAuth');
+const { closeStorage } = require('../src/services/storage');
+
+/**
+ * Read a line from stdin
+ * @param {string} question - Prompt shown when stdin is a terminal
+ * @returns {Promise<string>} The line entered
+ */
+function prompt(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: false });
+
+    return new Promise(resolve => {
+        if (process.stdin.isTTY) {
+            process.stdout.write(question);
+        }
+        rl.once('line', line => {
+            rl.close();
+            resolve(line);
+        });
+        rl.once('close', () => resolve(''));
+    });
+}
+
+/**
+ * Create an admin account, or reset the password (and lockout) of an existing one
+ * Usage: npm run create-admin -- <username> [owner|support]
+ *        npm run create-admin -- <username> --reset
+ * The password is read from stdin.
+ */
+async function main() {
+    const [username, option = 'owner'] = process.argv.slice(2);
+
+    if (!username || (option !== '--reset' && !ADMIN_ROLES.includes(option))) {
+        console.error('Usage: npm run create-admin -- <username> [owner|support|--reset]');
+        process.exit(1);
+    }
+
+    const password = await prompt('Password: ');
+
+    if (option === '--reset') {
+        await setAdminPassword(username, password);
+        console.log(`[Admin] Password reset and lockout cleared for ${username}`);
+    } else {
+        await createAdminUser({ username, password, role: option, createdBy: 'cli' });
+        console.log(`[Admin] Created ${option} account ${username}`);
+    }
+
+    // A Postgres pool would otherwise keep the process running
+    await closeStorage();
+}
+
+main().catch(error => {
+    if (error instanceof AdminAuthError) {
+        console.error(`[Admin] ${error.message}`);
+    } else {
+        console.error('[Admin] Failed to update admin account:', error);
+    }
+    process.exit(1);
+});
@@ -0,0 +1,24 @@
+require('dotenv').config();
+
+const { rotateTokenEncryption, closeStorage } = require('../src/services/storage');
+
+/**
+ * Re-encrypt stored tokens under the active TOKEN_ENCRYPTION_KEYS version
+ * Usage: npm run rotate-keys
+ */
+async function main() {
+    const result = await rotateTokenEncryption();
+    await closeStorage();
+
+    if (result.failed > 0) {
+        console.error(`[Rotate] ${result.failed} rows could not be rotated. Keep old key versions configured and re-run.`);
+        process.exit(1);
+    }
+
+    console.log('[Rotate] All rows are under the active key version. Old key versions can now be removed.');
+}
+
+main().catch(error => {
+    console.error('[Rotate] Key rotation failed:', error);
+    process.exit(1);
+});
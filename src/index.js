@@ -1,23 +1,43 @@
 require('dotenv').config();
 
 const express = require('express');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
+const gmailRoutes = require('./routes/gmail');
+const gmailPushRoutes = require('./routes/gmailPush');
+const cronRoutes = require('./routes/cron');
+const { verifyInviteToken, InviteError } = require('./services/invites');
+const { verifyDisconnectToken, DisconnectError } = require('./services/disconnect');
+const { verifyPrivacyToken, PrivacyError } = require('./services/privacy');
+const { startTokenRefresher } = require('./services/tokenRefresher');
+const { startWebhookWorker } = require('./services/webhooks');
+const { startWatchRenewal } = require('./services/gmailPush');
+const { startReminderSweep } = require('./services/reminders');
+const { bootstrapAdmin, AdminAuthError } = require('./services/adminAuth');
+const { startAuditRetention } = require('./services/audit');
+const { assertValidConfig, ConfigError } = require('./services/config');
+const { checkReadiness, version } = require('./services/health');
+const { installConsoleLogger } = require('./services/logger');
+const { renderMetrics } = require('./services/metrics');
+const { requestContext } = require('./middleware/requestContext');
+const { requireApiKey } = require('./middleware/apiKey');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Serve /metrics on its own port (e.g. only reachable inside the private network) instead of behind an API key
+const METRICS_PORT = process.env.METRICS_PORT;
+
+// Correlation ID, request log line and request metrics
+app.use(requestContext);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-
-// Request logging middleware
-app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-    next();
-});
+app.use(cookieParser());
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
@@ -27,36 +47,116 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Health check endpoint
+// Liveness check - the process is up and serving requests
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        version: '1.0.0'
+        version
     });
 });
 
-// Connect page - serves landing page or redirects to OAuth
+// Readiness check - storage and the Google OAuth client work. Only the status is public;
+// the checks are at /admin/health
+app.get('/health/ready', async (req, res) => {
+    const { status, timestamp } = await checkReadiness();
+    res.status(status === 'not_ready' ? 503 : 200).json({ status, timestamp, version });
+});
+
+/**
+ * Respond with the Prometheus metrics
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function serveMetrics(req, res) {
+    try {
+        const { contentType, body } = await renderMetrics();
+        res.set('Content-Type', contentType).send(body);
+    } catch (error) {
+        console.error('[Metrics] Error rendering metrics:', error);
+        res.status(500).send('Failed to render metrics');
+    }
+}
+
+// Prometheus metrics - needs an API key with the metrics scope unless served on METRICS_PORT
+if (!METRICS_PORT) {
+    app.get('/metrics', requireApiKey('metrics'), serveMetrics);
+}
+
+// Connect page - serves landing page for a valid invite
 app.get('/connect', async (req, res) => {
-    const { familyId, familyName } = req.query;
+    const { invite } = req.query;
 
-    console.log(`[Connect] Request for family: ${familyId}`);
+    if (!invite) {
+        console.warn('[Connect] Missing invite parameter');
+        return res.redirect('/error.html?message=' + encodeURIComponent('Missing invite. Please use a valid connection link.'));
+    }
 
-    if (!familyId) {
-        console.warn('[Connect] Missing familyId parameter');
-        return res.redirect('/error.html?message=' + encodeURIComponent('Missing family ID. Please use a valid connection link.'));
+    try {
+        const inviteRecord = await verifyInviteToken(invite);
+        console.log(`[Connect] Request for family: ${inviteRecord.family_id}`);
+    } catch (error) {
+        if (error instanceof InviteError) {
+            console.warn(`[Connect] Rejected invite (${error.reason}): ${error.message}`);
+            return res.redirect(`/error.html?reason=invite_${error.reason}&message=` + encodeURIComponent('This connection link is no longer valid. Please ask for a new one.'));
+        }
+        console.error('[Connect] Error verifying invite:', error);
+        return res.redirect('/error.html?message=' + encodeURIComponent('Failed to load connection page. Please try again.'));
     }
 
     // Serve the connect page with query parameters preserved
     res.sendFile(path.join(__dirname, '../public/connect.html'));
 });
 
+// Disconnect page - lets a family remove its accounts with a signed link
+app.get('/disconnect', (req, res) => {
+    try {
+        const { familyId } = verifyDisconnectToken(req.query.token);
+        console.log(`[Disconnect] Request for family: ${familyId}`);
+    } catch (error) {
+        if (error instanceof DisconnectError) {
+            console.warn(`[Disconnect] Rejected link (${error.reason})`);
+            return res.redirect(`/error.html?reason=disconnect_${error.reason}&message=` + encodeURIComponent('This disconnect link is no longer valid. Please ask for a new one.'));
+        }
+        console.error('[Disconnect] Error verifying link:', error);
+        return res.redirect('/error.html?message=' + encodeURIComponent('Failed to load disconnect page. Please try again.'));
+    }
+
+    res.sendFile(path.join(__dirname, '../public/disconnect.html'));
+});
+
+// Privacy page - lets a family download or erase its data with a signed link
+app.get('/privacy', async (req, res) => {
+    try {
+        const { familyId } = await verifyPrivacyToken(req.query.token);
+        console.log(`[Privacy] Request for family: ${familyId}`);
+    } catch (error) {
+        if (error instanceof PrivacyError) {
+            console.warn(`[Privacy] Rejected link (${error.reason})`);
+            return res.redirect(`/error.html?reason=privacy_${error.reason}&message=` + encodeURIComponent('This privacy link is no longer valid. Please ask for a new one.'));
+        }
+        console.error('[Privacy] Error verifying link:', error);
+        return res.redirect('/error.html?message=' + encodeURIComponent('Failed to load privacy page. Please try again.'));
+    }
+
+    res.sendFile(path.join(__dirname, '../public/privacy.html'));
+});
+
 // Auth API routes
 app.use('/api/auth', authRoutes);
 
+// Gmail push notifications from Pub/Sub (before the API-key protected proxy)
+app.use('/api/gmail/push', gmailPushRoutes);
+
+// Gmail proxy routes (for n8n)
+app.use('/api/gmail', gmailRoutes);
+
 // Admin routes
 app.use('/admin', adminRoutes);
 
+// Background jobs on demand, for schedulers on serverless hosts
+app.use('/api/cron', cronRoutes);
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({
@@ -76,33 +176,91 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`
-╔═══════════════════════════════════════════════════════╗
-║     Family Assistant Gmail OAuth Server               ║
-╠═══════════════════════════════════════════════════════╣
-║  Server running on port ${PORT}                          ║
-║  Environment: ${process.env.NODE_ENV || 'development'}                       ║
-║  Base URL: ${process.env.BASE_URL || 'http://localhost:' + PORT}
-╚═══════════════════════════════════════════════════════╝
-    `);
-
-    // Validate required environment variables
-    const requiredEnvVars = [
-        'GOOGLE_CLIENT_ID',
-        'GOOGLE_CLIENT_SECRET',
-        'SUPABASE_URL',
-        'SUPABASE_SERVICE_KEY',
-        'API_SECRET_KEY',
-        'BASE_URL'
-    ];
-
-    const missingVars = requiredEnvVars.filter(v => !process.env[v]);
-
-    if (missingVars.length > 0) {
-        console.warn('⚠️  Warning: Missing environment variables:', missingVars.join(', '));
-    } else {
-        console.log('✓ All required environment variables are set');
+/**
+ * Serve /metrics without authentication on METRICS_PORT
+ * @returns {http.Server} The listening metrics server
+ */
+function startMetricsServer() {
+    const metricsApp = express();
+    metricsApp.get('/metrics', serveMetrics);
+
+    return metricsApp.listen(METRICS_PORT, () => {
+        console.log(`[Metrics] Serving /metrics on port ${METRICS_PORT}`);
+    });
+}
+
+/**
+ * Listen for requests and start the background jobs
+ * @returns {http.Server} The listening server
+ */
+function startServer() {
+    return app.listen(PORT, () => {
+        console.log(`[Startup] Family Assistant Gmail OAuth Server running on port ${PORT} (${process.env.NODE_ENV || 'development'}), base URL ${process.env.BASE_URL || 'http://localhost:' + PORT}`);
+
+        if (process.env.DISABLE_BACKGROUND_REFRESH !== 'true') {
+            startTokenRefresher();
+        }
+
+        startWebhookWorker();
+        startWatchRenewal();
+        startReminderSweep();
+        startAuditRetention();
+
+        if (METRICS_PORT) {
+            startMetricsServer();
+        }
+    });
+}
+
+/**
+ * Check the admin accounts, then listen and start the background jobs
+ * Refuses to start with default admin credentials, and creates the first owner on first run.
+ * @returns {Promise<http.Server>} The listening server
+ */
+function start() {
+    return bootstrapAdmin()
+        .then(startServer)
+        .catch(error => {
+            if (error instanceof AdminAuthError) {
+                console.error(`[Startup] ${error.message}`);
+                process.exit(1);
+            }
+
+            // The database may be briefly unavailable; the dashboard checks accounts on login
+            console.error('[Startup] Could not check admin accounts:', error.message);
+            return startServer();
+        });
+}
+
+// Console output becomes structured JSON log lines from here on, wherever the app is loaded
+// from (node, the tests or a serverless host)
+installConsoleLogger();
+
+// Refuse to load with missing or malformed variables, listing every problem
+try {
+    assertValidConfig();
+    console.log('[Startup] Configuration is valid');
+} catch (error) {
+    if (error instanceof ConfigError) {
+        for (const { variable, problem } of error.problems) {
+            console.error(`[Startup] ${variable} ${problem}`);
+        }
+        console.error(`[Startup] Refusing to start: ${error.problems.length} configuration problem(s). See .env.example.`);
+
+        if (require.main === module) {
+            process.exit(1);
+        }
     }
-});
+    throw error;
+}
+
+// Only listen when run directly, so tests and serverless hosts can load the app without a
+// server or background jobs
+if (require.main === module) {
+    start();
+}
+
+// The app is itself a request handler; `app` and `start` stay available as properties
+module.exports = app;
+module.exports.app = app;
+module.exports.start = start;
@@ -1,39 +1,135 @@
+const crypto = require('crypto');
+
+const {
+    ApiKeyError,
+    API_KEY_SCOPES,
+    isFamilyAllowed,
+    verifyApiKey
+} = require('../services/apiKeys');
+
+// The legacy single key from API_SECRET_KEY, accepted only with ALLOW_LEGACY_API_KEY=true
+// while callers migrate, and only for the endpoints n8n called before scoped keys existed
+const LEGACY_KEY = {
+    id: null,
+    name: 'API_SECRET_KEY',
+    key_prefix: 'env',
+    scopes: ['refresh', 'status', 'gmail-proxy'],
+    family_ids: null
+};
+
+/**
+ * Read the presented key from the x-api-key header, or an Authorization: Bearer header
+ * (which Prometheus can send when scraping /metrics)
+ * @param {Object} req - Express request
+ * @returns {string|undefined} The presented key
+ */
+function readApiKey(req) {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : undefined;
+}
+
 /**
- * Middleware to validate API key for protected endpoints
- * Expects the API key in the x-api-key header
+ * Check a presented key against API_SECRET_KEY in constant time
+ * @param {string} apiKey - The presented key
+ * @returns {boolean} True if the legacy key is allowed and the presented key matches it
  */
-function validateApiKey(req, res, next) {
-    const apiKey = req.headers['x-api-key'];
+function isLegacyKey(apiKey) {
     const expectedApiKey = process.env.API_SECRET_KEY;
 
-    if (!expectedApiKey) {
-        console.error('[API Key] API_SECRET_KEY environment variable is not set');
-        return res.status(500).json({
-            error: 'Server configuration error',
-            message: 'API key validation is not properly configured'
-        });
+    if (!expectedApiKey || process.env.ALLOW_LEGACY_API_KEY !== 'true') {
+        return false;
     }
 
-    if (!apiKey) {
-        console.warn('[API Key] Request missing x-api-key header');
-        return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Missing API key. Please provide x-api-key header.'
-        });
-    }
+    const expected = crypto.createHash('sha256').update(expectedApiKey).digest();
+    const provided = crypto.createHash('sha256').update(apiKey).digest();
 
-    if (apiKey !== expectedApiKey) {
-        console.warn('[API Key] Invalid API key provided');
-        return res.status(403).json({
-            error: 'Forbidden',
-            message: 'Invalid API key'
-        });
-    }
+    return crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Middleware factory to require an API key with a scope
+ * Expects the API key in the x-api-key header (or as a Bearer token). Sets req.apiKey to the key record.
+ * @param {string} scope - Required scope (refresh, status, gmail-proxy, admin-read, metrics or jobs)
+ * @param {Object} options - Family restrictions
+ * @param {Function} options.familyId - Reads the requested family ID from the request; keys
+ *   with a family allowlist are rejected for other families
+ * @param {boolean} options.allFamilies - The endpoint acts on every family, so keys with a
+ *   family allowlist are rejected
+ * @returns {Function} Express middleware
+ */
+function requireApiKey(scope, { familyId, allFamilies = false } = {}) {
+    return async (req, res, next) => {
+        const apiKey = readApiKey(req);
+
+        if (!apiKey) {
+            console.warn('[API Key] Request missing x-api-key header');
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Missing API key. Please provide x-api-key header.'
+            });
+        }
+
+        let keyRecord;
+
+        try {
+            if (isLegacyKey(apiKey)) {
+                console.warn(`[API Key] Deprecated API_SECRET_KEY used for ${req.method} ${req.path}; create a scoped key in the admin dashboard and unset it`);
+                keyRecord = LEGACY_KEY;
+            } else {
+                keyRecord = await verifyApiKey(apiKey);
+            }
+        } catch (error) {
+            if (error instanceof ApiKeyError) {
+                console.warn(`[API Key] Rejected API key (${error.reason})`);
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: error.reason === 'invalid' ? 'Invalid API key' : error.message
+                });
+            }
+
+            console.error('[API Key] Error verifying API key:', error);
+            return res.status(500).json({
+                error: 'Server configuration error',
+                message: 'API key validation is not available'
+            });
+        }
+
+        if (!keyRecord.scopes.includes(scope)) {
+            console.warn(`[API Key] Key ${keyRecord.key_prefix} lacks scope: ${scope}`);
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `API key does not have the ${scope} scope`
+            });
+        }
+
+        if (allFamilies && keyRecord.family_ids) {
+            console.warn(`[API Key] Family-restricted key ${keyRecord.key_prefix} used on an all-families endpoint`);
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'API key is restricted to specific families'
+            });
+        }
+
+        const requestedFamily = familyId ? familyId(req) : undefined;
+
+        if (requestedFamily && !isFamilyAllowed(keyRecord, requestedFamily)) {
+            console.warn(`[API Key] Key ${keyRecord.key_prefix} not allowed for family: ${requestedFamily}`);
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'API key is not allowed to access this family'
+            });
+        }
 
-    console.log('[API Key] Valid API key provided');
-    next();
+        console.log(`[API Key] Valid API key provided: ${keyRecord.name} (${keyRecord.key_prefix})`);
+        req.apiKey = keyRecord;
+        next();
+    };
 }
 
 module.exports = {
-    validateApiKey
+    requireApiKey
 };
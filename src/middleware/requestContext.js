@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+const { log, runWithContext } = require('../services/logger');
+const { recordHttpRequest } = require('../services/metrics');
+
+// Incoming X-Request-Id values we trust enough to reuse and log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Label a request by its route pattern, so metrics do not get a series per family or token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} The matched route (e.g. /api/auth/refresh), unmatched for 404s or other
+ */
+function routeLabel(req, res) {
+    if (req.route) {
+        return `${req.baseUrl}${req.route.path}`;
+    }
+    return res.statusCode === 404 ? 'unmatched' : 'other';
+}
+
+/**
+ * Middleware that gives each request a correlation ID, then logs and measures it
+ * Reuses an incoming X-Request-Id (e.g. from a proxy or n8n) or generates one, returns it
+ * in the X-Request-Id response header and attaches it to every log line of the request.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requestContext(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const route = routeLabel(req, res);
+
+        recordHttpRequest({ method: req.method, route, status: res.statusCode, durationMs });
+
+        runWithContext({ requestId }, () => {
+            log('info', `${req.method} ${req.path} ${res.statusCode} ${Math.round(durationMs)}ms`, {
+                component: 'HTTP',
+                method: req.method,
+                path: req.path,
+                route,
+                status: res.statusCode,
+                duration_ms: Math.round(durationMs)
+            });
+        });
+    });
+
+    runWithContext({ requestId }, next);
+}
+
+module.exports = {
+    requestContext
+};
@@ -1,36 +1,144 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const { supabase, getConnectionStatus } = require('../services/supabase');
+const rateLimit = require('express-rate-limit');
+const {
+    createInvite,
+    listInvites,
+    revokeInvite
+} = require('../services/invites');
+const { runRefreshCycle } = require('../services/tokenRefresher');
+const {
+    ConnectionError,
+    listConnections,
+    getFamilyConnections,
+    testConnection,
+    toExportRows,
+    toConnectionsCsv
+} = require('../services/connections');
+const { FamilyImportError, importFamilies } = require('../services/familyImport');
+const {
+    PrivacyError,
+    createPrivacyLink,
+    exportFamilyData,
+    eraseFamilyData
+} = require('../services/privacy');
+const { EmailRulesError, getEmailRules, saveEmailRules } = require('../services/emailRules');
+const { ReminderError, sendReconnectReminder } = require('../services/reminders');
+const { isScopeProfile, SCOPE_PROFILES } = require('../services/providers');
+const { listDeliveries, replayDelivery } = require('../services/webhooks');
+const {
+    DisconnectError,
+    createDisconnectLink,
+    disconnectAccount,
+    disconnectFamily
+} = require('../services/disconnect');
+const {
+    recordAuditEvent,
+    listAuditEvents,
+    exportAuditEvents,
+    toAuditCsv,
+    getRetentionDays,
+    apiKeyActor,
+    AUDIT_ACTIONS
+} = require('../services/audit');
+const {
+    ApiKeyError,
+    API_KEY_SCOPES,
+    isFamilyAllowed,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+} = require('../services/apiKeys');
+const {
+    AdminAuthError,
+    ADMIN_ROLES,
+    login,
+    getSession,
+    revokeSession,
+    listSessions,
+    listAdminUsers,
+    createAdminUser,
+    disableAdminUser
+} = require('../services/adminAuth');
+const { checkReadiness } = require('../services/health');
+const { requireApiKey } = require('../middleware/apiKey');
+
+// Cookie holding the admin session token
+const SESSION_COOKIE_NAME = 'admin_session';
+
+const sessionCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/admin'
+};
+
+// Rate limiter for login attempts, on top of the per-account lockout
+const loginRateLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: {
+        error: 'Too many requests',
+        message: 'Too many login attempts. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
 
-// Admin credentials from environment variables
-const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+// Auth middleware for admin routes: a valid session cookie
+async function requireAuth(req, res, next) {
+    let current;
 
-// Simple session store (in production, use Redis or similar)
-const sessions = new Map();
+    try {
+        current = await getSession(req.cookies[SESSION_COOKIE_NAME]);
+    } catch (error) {
+        console.error('[Admin] Error checking session:', error);
+        return res.status(500).json({ error: 'Failed to check session' });
+    }
 
-// Generate a simple session token
-function generateSessionToken() {
-    return Math.random().toString(36).substring(2) + Date.now().toString(36);
+    if (!current) {
+        res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions);
+        return res.status(401).json({ error: 'Unauthorized', message: 'Please login first' });
+    }
+
+    req.adminUser = current.user.username;
+    req.adminUserId = current.user.id;
+    req.adminRole = current.user.role;
+    req.adminSessionId = current.session.id;
+    next();
 }
 
-// Auth middleware for admin routes
-function requireAuth(req, res, next) {
-    const sessionToken = req.headers['x-session-token'] || req.query.session;
+// Auth middleware for routes that change anything: a session of an owner
+function requireOwner(req, res, next) {
+    requireAuth(req, res, () => {
+        if (req.adminRole !== 'owner') {
+            console.warn(`[Admin] ${req.adminUser} (${req.adminRole}) denied ${req.method} ${req.path}`);
+            return res.status(403).json({ error: 'Forbidden', message: 'Your role is read-only' });
+        }
+        next();
+    });
+}
 
-    if (!sessionToken || !sessions.has(sessionToken)) {
-        return res.status(401).json({ error: 'Unauthorized', message: 'Please login first' });
-    }
+const requireAdminReadApiKey = requireApiKey('admin-read');
 
-    // Check session expiry (24 hours)
-    const session = sessions.get(sessionToken);
-    if (Date.now() - session.createdAt > 24 * 60 * 60 * 1000) {
-        sessions.delete(sessionToken);
-        return res.status(401).json({ error: 'Session expired', message: 'Please login again' });
+// Auth middleware for read-only admin routes: a session, or an API key with the admin-read scope
+function requireAuthOrReadKey(req, res, next) {
+    if (req.headers['x-api-key']) {
+        return requireAdminReadApiKey(req, res, next);
     }
+    requireAuth(req, res, next);
+}
 
-    next();
+/**
+ * Filter rows to the families an admin-read API key may see
+ * Admin sessions and unrestricted keys see everything.
+ * @param {Request} req - Express request
+ * @param {Array<Object>} rows - Rows with a family_id
+ * @returns {Array<Object>} The visible rows
+ */
+function filterForApiKey(req, rows) {
+    return req.apiKey ? rows.filter(row => isFamilyAllowed(req.apiKey, row.family_id)) : rows;
 }
 
 // Serve admin login page
@@ -38,106 +146,849 @@ router.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../../public/admin.html'));
 });
 
-// Login endpoint
-router.post('/login', (req, res) => {
+// Login endpoint: sets the session cookie
+router.post('/login', loginRateLimiter, async (req, res) => {
     const { username, password } = req.body;
 
     console.log(`[Admin] Login attempt for user: ${username}`);
 
-    if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-        const token = generateSessionToken();
-        sessions.set(token, { username, createdAt: Date.now() });
+    try {
+        const { token, expiresAt, user } = await login({
+            username,
+            password,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.cookie(SESSION_COOKIE_NAME, token, { ...sessionCookieOptions, expires: expiresAt });
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.ADMIN_LOGIN,
+            actor: { type: 'admin', id: user.username },
+            details: { ip_address: req.ip, user_agent: req.headers['user-agent'] || null }
+        });
+
+        console.log(`[Admin] Login successful for user: ${user.username}`);
+        res.json({ success: true, username: user.username, role: user.role });
+    } catch (error) {
+        if (error instanceof AdminAuthError) {
+            console.warn(`[Admin] Login failed for user: ${username} (${error.reason})`);
 
-        console.log(`[Admin] Login successful for user: ${username}`);
-        return res.json({ success: true, token });
-    }
+            await recordAuditEvent({
+                action: AUDIT_ACTIONS.ADMIN_LOGIN_FAILED,
+                actor: { type: 'admin', id: typeof username === 'string' ? username.slice(0, 100) : null },
+                details: { reason: error.reason, ip_address: req.ip, user_agent: req.headers['user-agent'] || null }
+            });
 
-    console.warn(`[Admin] Login failed for user: ${username}`);
-    res.status(401).json({ error: 'Invalid credentials' });
+            return res.status(error.reason === 'locked' ? 423 : 401).json({ error: error.message });
+        }
+        console.error('[Admin] Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
 });
 
-// Logout endpoint
-router.post('/logout', (req, res) => {
-    const sessionToken = req.headers['x-session-token'];
+// Logout endpoint: revokes the session and clears the cookie
+router.post('/logout', async (req, res) => {
+    const token = req.cookies[SESSION_COOKIE_NAME];
 
-    if (sessionToken) {
-        sessions.delete(sessionToken);
+    try {
+        const current = await getSession(token);
+
+        if (current) {
+            await revokeSession({ sessionId: current.session.id });
+            await recordAuditEvent({
+                action: AUDIT_ACTIONS.ADMIN_LOGOUT,
+                actor: { type: 'admin', id: current.user.username },
+                details: { session_id: current.session.id }
+            });
+        }
+    } catch (error) {
+        console.error('[Admin] Error revoking session on logout:', error);
     }
 
+    res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions);
     res.json({ success: true });
 });
 
 // Check session validity
 router.get('/check-session', requireAuth, (req, res) => {
-    res.json({ valid: true });
+    res.json({ valid: true, username: req.adminUser, role: req.adminRole });
 });
 
-// Get all families
-router.get('/families', requireAuth, async (req, res) => {
+// Get families (one entry per connected account)
+// ?search, ?status (active, failing, needs_reconnect), ?provider, ?sort and ?order filter and
+// sort the list; ?limit and ?offset page it (every match is returned without ?limit)
+router.get('/families', requireAuthOrReadKey, async (req, res) => {
+    const { search, status, provider, sort, order, limit, offset } = req.query;
+
     try {
-        console.log('[Admin] Fetching all families');
+        console.log('[Admin] Fetching families');
+
+        const { accounts, total, counts } = await listConnections({
+            search,
+            status,
+            provider,
+            sort,
+            order,
+            limit,
+            offset,
+            familyIds: req.apiKey ? req.apiKey.family_ids : null
+        });
+
+        console.log(`[Admin] Found ${total} families`);
+        res.json({ families: accounts, total, counts });
+    } catch (error) {
+        if (error instanceof ConnectionError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[Admin] Error fetching families:', error);
+        res.status(500).json({ error: 'Failed to fetch families' });
+    }
+});
 
-        const { data, error } = await supabase
-            .from('family_gmail_tokens')
-            .select('family_id, family_name, email, created_at, updated_at')
-            .order('created_at', { ascending: false });
+// Download every connection and its status (no tokens) as CSV, or JSON with ?format=json
+// Takes the same search, status and provider filters as GET /families
+router.get('/families/export', requireAuthOrReadKey, async (req, res) => {
+    const { search, status, provider, format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or json' });
+    }
 
-        if (error) {
-            console.error('[Admin] Error fetching families:', error);
-            return res.status(500).json({ error: 'Failed to fetch families' });
+    try {
+        const { accounts } = await listConnections({
+            search,
+            status,
+            provider,
+            sort: 'family_id',
+            order: 'asc',
+            familyIds: req.apiKey ? req.apiKey.family_ids : null
+        });
+        const rows = toExportRows(accounts);
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.FAMILIES_EXPORTED,
+            actor: req.apiKey ? apiKeyActor(req.apiKey) : { type: 'admin', id: req.adminUser },
+            details: { format, filters: { search, status, provider }, rows: rows.length }
+        });
+
+        console.log(`[Admin] Exported ${rows.length} connections as ${format}`);
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Disposition', `attachment; filename="connections-${date}.${format}"`);
+
+        if (format === 'json') {
+            return res.json({ exported_at: new Date().toISOString(), families: rows });
         }
 
-        console.log(`[Admin] Found ${data?.length || 0} families`);
-        res.json({ families: data || [] });
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.send(toConnectionsCsv(rows));
     } catch (error) {
-        console.error('[Admin] Error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        if (error instanceof ConnectionError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[Admin] Error exporting connections:', error);
+        res.status(500).json({ error: 'Failed to export connections' });
     }
 });
 
-// Delete a family connection
-router.delete('/families/:familyId', requireAuth, async (req, res) => {
+// Import a CSV of families (family_id, family_name, contact_email, scope_profile) and
+// generate an invite link for each; dryRun only checks the rows
+router.post('/families/import', requireOwner, async (req, res) => {
+    const { csv, dryRun, includeConnected, expiresInHours, maxUses, scopeProfile } = req.body;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({ error: 'csv is required' });
+    }
+
     try {
-        const { familyId } = req.params;
-        console.log(`[Admin] Deleting family: ${familyId}`);
+        const result = await importFamilies(csv, {
+            dryRun: dryRun === true,
+            includeConnected: includeConnected === true,
+            expiresInHours,
+            maxUses,
+            scopeProfile,
+            createdBy: req.adminUser
+        });
+
+        res.json(result);
+    } catch (error) {
+        if (error instanceof FamilyImportError) {
+            return res.status(400).json({ error: error.reason, message: error.message });
+        }
+        console.error('[Admin] Error importing families:', error);
+        res.status(500).json({ error: 'Failed to import families' });
+    }
+});
+
+// Get a family's connection diagnostics: token expiry, granted scopes, last refresh and last token fetch
+router.get('/families/:familyId', requireAuthOrReadKey, async (req, res) => {
+    const { familyId } = req.params;
 
-        const { error } = await supabase
-            .from('family_gmail_tokens')
-            .delete()
-            .eq('family_id', familyId);
+    if (req.apiKey && !isFamilyAllowed(req.apiKey, familyId)) {
+        return res.status(404).json({ error: 'Family not found' });
+    }
 
-        if (error) {
-            console.error('[Admin] Error deleting family:', error);
-            return res.status(500).json({ error: 'Failed to delete family' });
+    try {
+        res.json(await getFamilyConnections(familyId));
+    } catch (error) {
+        if (error instanceof ConnectionError) {
+            return res.status(404).json({ error: error.message });
         }
+        console.error('[Admin] Error fetching family:', error);
+        res.status(500).json({ error: 'Failed to fetch family' });
+    }
+});
 
-        console.log(`[Admin] Successfully deleted family: ${familyId}`);
-        res.json({ success: true });
+// Get the rules deciding which of a family's email goes into its school digest
+router.get('/families/:familyId/email-rules', requireAuthOrReadKey, async (req, res) => {
+    const { familyId } = req.params;
+
+    if (req.apiKey && !isFamilyAllowed(req.apiKey, familyId)) {
+        return res.status(404).json({ error: 'Family not found' });
+    }
+
+    try {
+        res.json(await getEmailRules(familyId));
+    } catch (error) {
+        console.error('[Admin] Error fetching email rules:', error);
+        res.status(500).json({ error: 'Failed to fetch email rules' });
+    }
+});
+
+// Replace a family's school digest rules ({ senderDomains, keywords, categories, labelName })
+router.put('/families/:familyId/email-rules', requireOwner, async (req, res) => {
+    const { familyId } = req.params;
+    const { senderDomains, keywords, categories, labelName } = req.body;
+
+    try {
+        const rules = await saveEmailRules(familyId, { senderDomains, keywords, categories, labelName }, { updatedBy: req.adminUser });
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.EMAIL_RULES_UPDATED,
+            actor: { type: 'admin', id: req.adminUser },
+            familyId,
+            details: {
+                sender_domains: rules.sender_domains,
+                keywords: rules.keywords,
+                categories: rules.categories,
+                label_name: rules.label_name
+            }
+        });
+
+        console.log(`[Admin] Updated email rules for family: ${familyId}`);
+        res.json(rules);
+    } catch (error) {
+        if (error instanceof EmailRulesError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[Admin] Error saving email rules:', error);
+        res.status(500).json({ error: 'Failed to save email rules' });
+    }
+});
+
+// Test an account's connection: refresh its token, then read its mailbox profile
+router.post('/families/:familyId/accounts/:accountId/test', requireOwner, async (req, res) => {
+    const { familyId, accountId } = req.params;
+    console.log(`[Admin] Testing account ${accountId} of family: ${familyId}`);
+
+    try {
+        const result = await testConnection(familyId, accountId, {
+            actor: { type: 'admin', id: req.adminUser }
+        });
+
+        res.json(result);
+    } catch (error) {
+        if (error instanceof ConnectionError) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('[Admin] Error testing connection:', error);
+        res.status(500).json({ error: 'Failed to test connection' });
+    }
+});
+
+// Run a token refresh cycle now
+router.post('/refresh-tokens', requireOwner, async (req, res) => {
+    try {
+        console.log('[Admin] Running token refresh cycle');
+
+        const result = await runRefreshCycle();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('[Admin] Error running refresh cycle:', error);
+        res.status(500).json({ error: 'Failed to run refresh cycle' });
+    }
+});
+
+/**
+ * Send the response for a failed disconnect
+ * @param {Response} res - Express response
+ * @param {Error} error - The error
+ */
+function sendDisconnectError(res, error) {
+    if (error instanceof DisconnectError) {
+        if (error.reason === 'not_found') {
+            return res.status(404).json({ error: error.message });
+        }
+        // The tokens were kept; the admin can retry or force the deletion
+        return res.status(502).json({ error: 'revoke_failed', message: error.message });
+    }
+
+    console.error('[Admin] Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+}
+
+// Disconnect a single account of a family: revoke the grant, then delete the tokens
+// ?force=true deletes the tokens even if revocation fails
+router.delete('/families/:familyId/accounts/:accountId', requireOwner, async (req, res) => {
+    const { familyId, accountId } = req.params;
+    console.log(`[Admin] Disconnecting account ${accountId} of family: ${familyId}`);
+
+    try {
+        const result = await disconnectAccount(familyId, accountId, {
+            actor: { type: 'admin', id: req.adminUser },
+            force: req.query.force === 'true'
+        });
+
+        console.log(`[Admin] Successfully disconnected account ${accountId} of family: ${familyId}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendDisconnectError(res, error);
+    }
+});
+
+// Disconnect a family (all of its accounts)
+router.delete('/families/:familyId', requireOwner, async (req, res) => {
+    const { familyId } = req.params;
+    console.log(`[Admin] Disconnecting family: ${familyId}`);
+
+    try {
+        const accounts = await disconnectFamily(familyId, {
+            actor: { type: 'admin', id: req.adminUser },
+            force: req.query.force === 'true'
+        });
+
+        console.log(`[Admin] Successfully disconnected family: ${familyId}`);
+        res.json({ success: true, accounts });
+    } catch (error) {
+        sendDisconnectError(res, error);
+    }
+});
+
+// Generate a signed link for a family to disconnect its own accounts
+router.post('/families/:familyId/disconnect-link', requireOwner, async (req, res) => {
+    const { familyId } = req.params;
+    const { familyName, expiresInHours } = req.body;
+
+    try {
+        const link = createDisconnectLink({ familyId, familyName, expiresInHours });
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.DISCONNECT_LINK_CREATED,
+            actor: { type: 'admin', id: req.adminUser },
+            familyId,
+            details: { expires_at: link.expiresAt }
+        });
+
+        console.log(`[Admin] Generated disconnect link for family: ${familyId}`);
+        res.json({ link: link.link, expiresAt: link.expiresAt });
+    } catch (error) {
+        console.error('[Admin] Error generating disconnect link:', error);
+        res.status(500).json({ error: 'Failed to generate disconnect link' });
+    }
+});
+
+// Generate a signed link for a family to download or erase its own data
+router.post('/families/:familyId/privacy-link', requireOwner, async (req, res) => {
+    const { familyId } = req.params;
+    const { familyName, expiresInHours } = req.body;
+
+    try {
+        const link = createPrivacyLink({ familyId, familyName, expiresInHours });
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.PRIVACY_LINK_CREATED,
+            actor: { type: 'admin', id: req.adminUser },
+            familyId,
+            details: { expires_at: link.expiresAt }
+        });
+
+        console.log(`[Admin] Generated privacy link for family: ${familyId}`);
+        res.json({ link: link.link, expiresAt: link.expiresAt });
+    } catch (error) {
+        console.error('[Admin] Error generating privacy link:', error);
+        res.status(500).json({ error: 'Failed to generate privacy link' });
+    }
+});
+
+// Download everything stored about a family (data-subject access request), without tokens
+// Owner only: the bundle holds the family's full history, not just what support needs
+router.get('/families/:familyId/data-export', requireOwner, async (req, res) => {
+    const { familyId } = req.params;
+
+    try {
+        const data = await exportFamilyData(familyId, { actor: { type: 'admin', id: req.adminUser } });
+
+        console.log(`[Admin] Exported data of family: ${familyId}`);
+        res.set('Content-Disposition', `attachment; filename="family-${encodeURIComponent(familyId)}-data-${data.exported_at.slice(0, 10)}.json"`);
+        res.json(data);
+    } catch (error) {
+        if (error instanceof PrivacyError) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('[Admin] Error exporting family data:', error);
+        res.status(500).json({ error: 'Failed to export family data' });
+    }
+});
+
+// Erase a family's data (data-subject erasure request)
+// The body must repeat the family ID as { confirm }; { force: true } erases even if revocation fails
+router.post('/families/:familyId/erase', requireOwner, async (req, res) => {
+    const { familyId } = req.params;
+
+    if (req.body.confirm !== familyId) {
+        return res.status(400).json({ error: 'confirm must repeat the family ID' });
+    }
+
+    console.log(`[Admin] Erasing data of family: ${familyId}`);
+
+    try {
+        const erasure = await eraseFamilyData(familyId, {
+            actor: { type: 'admin', id: req.adminUser },
+            force: req.body.force === true
+        });
+
+        res.json({ success: true, erasure });
+    } catch (error) {
+        if (error instanceof PrivacyError) {
+            if (error.reason === 'not_found') {
+                return res.status(404).json({ error: error.message });
+            }
+            // Nothing was deleted; the admin can retry or force the erasure
+            return res.status(502).json({ error: 'revoke_failed', message: error.message });
+        }
+        console.error('[Admin] Error erasing family data:', error);
+        res.status(500).json({ error: 'Failed to erase family data' });
+    }
+});
+
+// Status codes for reconnect reminders that could not be sent
+const REMINDER_ERROR_STATUS = {
+    not_configured: 503,
+    not_found: 404,
+    not_needed: 409,
+    send_failed: 502
+};
+
+// Email a family a fresh invite link for an account that needs reconnecting
+router.post('/families/:familyId/reconnect-reminder', requireOwner, async (req, res) => {
+    const { familyId } = req.params;
+    console.log(`[Admin] Sending reconnect reminder to family: ${familyId}`);
+
+    try {
+        const reminder = await sendReconnectReminder(familyId, {
+            accountId: req.body.accountId,
+            trigger: 'manual',
+            sentBy: req.adminUser
+        });
+
+        res.json({ success: true, reminder });
     } catch (error) {
-        console.error('[Admin] Error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        if (error instanceof ReminderError) {
+            return res.status(REMINDER_ERROR_STATUS[error.reason] || 400).json({ error: error.reason, message: error.message });
+        }
+        console.error('[Admin] Error sending reconnect reminder:', error);
+        res.status(500).json({ error: 'Failed to send reconnect reminder' });
     }
 });
 
-// Generate invite link (just returns the constructed URL)
-router.post('/generate-link', requireAuth, (req, res) => {
-    const { familyId, familyName } = req.body;
+// Generate a signed invite link
+router.post('/generate-link', requireOwner, async (req, res) => {
+    const { familyId, familyName, expiresInHours, maxUses, contactEmail, scopeProfile } = req.body;
 
     if (!familyId) {
         return res.status(400).json({ error: 'Family ID is required' });
     }
 
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const params = new URLSearchParams({ familyId });
+    if (contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+        return res.status(400).json({ error: 'Contact email is not a valid email address' });
+    }
 
-    if (familyName) {
-        params.append('familyName', familyName);
+    if (scopeProfile && !isScopeProfile(scopeProfile)) {
+        return res.status(400).json({ error: `Scope profile must be one of: ${SCOPE_PROFILES.join(', ')}` });
     }
 
-    const inviteLink = `${baseUrl}/connect?${params.toString()}`;
+    try {
+        const invite = await createInvite({
+            familyId,
+            familyName,
+            expiresInHours,
+            maxUses,
+            contactEmail,
+            scopeProfile,
+            createdBy: req.adminUser
+        });
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.INVITE_CREATED,
+            actor: { type: 'admin', id: req.adminUser },
+            familyId,
+            details: { invite_id: invite.id, expires_at: invite.expires_at, max_uses: invite.max_uses, scope_profile: invite.scope_profile }
+        });
+
+        console.log(`[Admin] Generated invite link for family: ${familyId}`);
+        res.json({
+            link: invite.link,
+            invite: {
+                id: invite.id,
+                family_id: invite.family_id,
+                expires_at: invite.expires_at,
+                max_uses: invite.max_uses,
+                scope_profile: invite.scope_profile,
+                status: invite.status
+            }
+        });
+    } catch (error) {
+        console.error('[Admin] Error generating invite:', error);
+        res.status(500).json({ error: 'Failed to generate invite link' });
+    }
+});
 
-    console.log(`[Admin] Generated invite link for family: ${familyId}`);
-    res.json({ link: inviteLink });
+// List invites with their status
+router.get('/invites', requireAuthOrReadKey, async (req, res) => {
+    try {
+        console.log('[Admin] Fetching invites');
+
+        const invites = filterForApiKey(req, await listInvites());
+
+        console.log(`[Admin] Found ${invites.length} invites`);
+        res.json({ invites });
+    } catch (error) {
+        console.error('[Admin] Error fetching invites:', error);
+        res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+});
+
+// Revoke an invite
+router.post('/invites/:inviteId/revoke', requireOwner, async (req, res) => {
+    try {
+        const { inviteId } = req.params;
+        console.log(`[Admin] Revoking invite: ${inviteId}`);
+
+        const invite = await revokeInvite(inviteId);
+
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite not found or already revoked' });
+        }
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.INVITE_REVOKED,
+            actor: { type: 'admin', id: req.adminUser },
+            familyId: invite.family_id,
+            details: { invite_id: invite.id }
+        });
+
+        console.log(`[Admin] Successfully revoked invite: ${inviteId}`);
+        res.json({ success: true, invite });
+    } catch (error) {
+        console.error('[Admin] Error revoking invite:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+});
+
+// Readiness with every check's details (the public /health/ready only has the status)
+router.get('/health', requireAuthOrReadKey, async (req, res) => {
+    const readiness = await checkReadiness();
+    res.status(readiness.status === 'not_ready' ? 503 : 200).json(readiness);
+});
+
+// List recent webhook deliveries
+router.get('/webhooks/deliveries', requireAuthOrReadKey, async (req, res) => {
+    try {
+        console.log('[Admin] Fetching webhook deliveries');
+
+        const deliveries = filterForApiKey(req, await listDeliveries());
+        res.json({ deliveries });
+    } catch (error) {
+        console.error('[Admin] Error fetching webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Replay a webhook delivery
+router.post('/webhooks/deliveries/:deliveryId/replay', requireOwner, async (req, res) => {
+    try {
+        const { deliveryId } = req.params;
+        console.log(`[Admin] Replaying webhook delivery: ${deliveryId}`);
+
+        const delivery = await replayDelivery(deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        res.json({ success: delivery.status === 'succeeded', delivery });
+    } catch (error) {
+        console.error('[Admin] Error replaying webhook delivery:', error);
+        res.status(500).json({ error: 'Failed to replay delivery' });
+    }
+});
+
+// List API keys (hashes are never returned)
+router.get('/api-keys', requireAuth, async (req, res) => {
+    try {
+        console.log('[Admin] Fetching API keys');
+
+        const apiKeys = await listApiKeys();
+        res.json({ apiKeys, scopes: API_KEY_SCOPES });
+    } catch (error) {
+        console.error('[Admin] Error fetching API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+// Create an API key; the plaintext key is only returned in this response
+router.post('/api-keys', requireOwner, async (req, res) => {
+    const { name, scopes, familyIds, expiresAt } = req.body;
+
+    try {
+        const { apiKey, key } = await createApiKey({
+            name,
+            scopes,
+            familyIds,
+            expiresAt,
+            createdBy: req.adminUser
+        });
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.API_KEY_CREATED,
+            actor: { type: 'admin', id: req.adminUser },
+            details: {
+                key_id: apiKey.id,
+                key_prefix: apiKey.key_prefix,
+                name: apiKey.name,
+                scopes: apiKey.scopes,
+                family_ids: apiKey.family_ids,
+                expires_at: apiKey.expires_at
+            }
+        });
+
+        console.log(`[Admin] Created API key ${apiKey.key_prefix} (${apiKey.name})`);
+        res.json({ apiKey, key });
+    } catch (error) {
+        if (error instanceof ApiKeyError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[Admin] Error creating API key:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// Revoke an API key
+router.post('/api-keys/:keyId/revoke', requireOwner, async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        console.log(`[Admin] Revoking API key: ${keyId}`);
+
+        const apiKey = await revokeApiKey(keyId);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.API_KEY_REVOKED,
+            actor: { type: 'admin', id: req.adminUser },
+            details: { key_id: apiKey.id, key_prefix: apiKey.key_prefix, name: apiKey.name }
+        });
+
+        res.json({ success: true, apiKey });
+    } catch (error) {
+        console.error('[Admin] Error revoking API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+// List admin accounts (password hashes are never returned)
+router.get('/users', requireAuth, async (req, res) => {
+    try {
+        const users = await listAdminUsers();
+        res.json({ users, roles: ADMIN_ROLES });
+    } catch (error) {
+        console.error('[Admin] Error fetching admin users:', error);
+        res.status(500).json({ error: 'Failed to fetch admin users' });
+    }
+});
+
+// Create an admin account
+router.post('/users', requireOwner, async (req, res) => {
+    const { username, password, role } = req.body;
+
+    try {
+        const user = await createAdminUser({ username, password, role, createdBy: req.adminUser });
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.ADMIN_USER_CREATED,
+            actor: { type: 'admin', id: req.adminUser },
+            details: { admin_user_id: user.id, username: user.username, role: user.role }
+        });
+
+        console.log(`[Admin] Created ${user.role} admin: ${user.username}`);
+        res.json({ user });
+    } catch (error) {
+        if (error instanceof AdminAuthError) {
+            return res.status(error.reason === 'exists' ? 409 : 400).json({ error: error.message });
+        }
+        console.error('[Admin] Error creating admin user:', error);
+        res.status(500).json({ error: 'Failed to create admin user' });
+    }
+});
+
+// Disable an admin account and end its sessions
+router.post('/users/:userId/disable', requireOwner, async (req, res) => {
+    const { userId } = req.params;
+
+    if (userId === req.adminUserId) {
+        return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+
+    try {
+        const user = await disableAdminUser(userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'Admin user not found or already disabled' });
+        }
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.ADMIN_USER_DISABLED,
+            actor: { type: 'admin', id: req.adminUser },
+            details: { admin_user_id: user.id, username: user.username }
+        });
+
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('[Admin] Error disabling admin user:', error);
+        res.status(500).json({ error: 'Failed to disable admin user' });
+    }
+});
+
+// List active sessions: every session for owners, their own for support staff
+router.get('/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.adminRole === 'owner' ? {} : { adminUserId: req.adminUserId });
+
+        res.json({
+            sessions: sessions.map(session => ({ ...session, current: session.id === req.adminSessionId }))
+        });
+    } catch (error) {
+        console.error('[Admin] Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Revoke a session: owners can revoke any, support staff only their own
+router.post('/sessions/:sessionId/revoke', requireAuth, async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const revoked = await revokeSession({
+            sessionId,
+            adminUserId: req.adminRole === 'owner' ? undefined : req.adminUserId
+        });
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found or already revoked' });
+        }
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.ADMIN_SESSION_REVOKED,
+            actor: { type: 'admin', id: req.adminUser },
+            details: { session_id: sessionId }
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Admin] Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+/**
+ * Read audit log filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object|null} The filters, or null if a date is invalid
+ */
+function parseAuditFilters(query) {
+    const filters = {
+        action: query.action || undefined,
+        actorType: query.actorType || undefined,
+        actorId: query.actorId || undefined,
+        familyId: query.familyId || undefined,
+        from: query.from || undefined,
+        to: query.to || undefined
+    };
+
+    const invalidDate = [filters.from, filters.to].some(value => value && Number.isNaN(new Date(value).getTime()));
+
+    return invalidDate ? null : filters;
+}
+
+// List audit entries, newest first, with filters and pagination
+router.get('/audit', requireAuth, async (req, res) => {
+    const filters = parseAuditFilters(req.query);
+
+    if (!filters) {
+        return res.status(400).json({ error: 'Invalid from or to date' });
+    }
+
+    try {
+        const { events, total } = await listAuditEvents(filters, {
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            events,
+            total,
+            actions: Object.values(AUDIT_ACTIONS),
+            retentionDays: getRetentionDays()
+        });
+    } catch (error) {
+        console.error('[Admin] Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Download audit entries matching the filters as CSV
+router.get('/audit/export.csv', requireAuth, async (req, res) => {
+    const filters = parseAuditFilters(req.query);
+
+    if (!filters) {
+        return res.status(400).json({ error: 'Invalid from or to date' });
+    }
+
+    try {
+        const { events, truncated } = await exportAuditEvents(filters);
+
+        await recordAuditEvent({
+            action: AUDIT_ACTIONS.AUDIT_LOG_EXPORTED,
+            actor: { type: 'admin', id: req.adminUser },
+            details: { filters, rows: events.length, truncated }
+        });
+
+        console.log(`[Admin] Exported ${events.length} audit entries`);
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+        if (truncated) {
+            res.set('X-Export-Truncated', 'true');
+        }
+        res.send(toAuditCsv(events));
+    } catch (error) {
+        console.error('[Admin] Error exporting audit log:', error);
+        res.status(500).json({ error: 'Failed to export audit log' });
+    }
 });
 
 module.exports = router;
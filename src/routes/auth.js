@@ -3,21 +3,67 @@ const router = express.Router();
 const rateLimit = require('express-rate-limit');
 
 const {
-    generateAuthUrl,
-    exchangeCodeForTokens,
-    refreshAccessToken,
-    getUserEmail,
-    isTokenExpiringSoon
+    isTokenExpiringSoon,
+    isInvalidGrantError
 } = require('../services/google');
 
+const {
+    getProvider,
+    listConfiguredProviders,
+    DEFAULT_PROVIDER,
+    DEFAULT_SCOPE_PROFILE
+} = require('../services/providers');
+
 const {
     upsertFamilyTokens,
     getFamilyTokens,
-    updateAccessToken,
-    getConnectionStatus
-} = require('../services/supabase');
+    getConnectionStatus,
+    recordTokenFetch,
+    parseGrantedScopes
+} = require('../services/storage');
+
+const {
+    refreshFamilyToken,
+    runRefreshCycle,
+    getBatchAccessTokens,
+    listActiveFamilyIds
+} = require('../services/tokenRefresher');
+const { emitEvent, WEBHOOK_EVENTS } = require('../services/webhooks');
+const { isPushEnabled, startWatch } = require('../services/gmailPush');
+
+const {
+    createState,
+    verifyState,
+    OAuthStateError,
+    STATE_TTL_MS,
+    STATE_COOKIE_NAME
+} = require('../services/oauthState');
+
+const {
+    verifyInviteToken,
+    consumeInvite,
+    getInviteToken,
+    InviteError
+} = require('../services/invites');
+
+const {
+    DisconnectError,
+    verifyDisconnectToken,
+    disconnectAccount,
+    disconnectFamily
+} = require('../services/disconnect');
 
-const { validateApiKey } = require('../middleware/apiKey');
+const {
+    PrivacyError,
+    verifyPrivacyToken,
+    exportFamilyData,
+    eraseFamilyData
+} = require('../services/privacy');
+
+const { recordAuditEvent, apiKeyActor, AUDIT_ACTIONS } = require('../services/audit');
+const { isFamilyAllowed } = require('../services/apiKeys');
+const { recordOAuthCallback, recordTokenRefresh } = require('../services/metrics');
+const { requireApiKey } = require('../middleware/apiKey');
 
 // Rate limiter for the refresh endpoint (60 requests per minute per IP)
 const refreshRateLimiter = rateLimit({
@@ -31,25 +77,219 @@ const refreshRateLimiter = rateLimit({
     legacyHeaders: false
 });
 
+// Rate limiter for batch token requests, separate from the per-family budget (10 requests per minute per IP)
+const batchRefreshRateLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10,
+    message: {
+        error: 'Too many requests',
+        message: 'Rate limit exceeded. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Most families a batch request may list explicitly
+const MAX_BATCH_FAMILIES = 500;
+
+// Rate limiter for family disconnects (10 requests per minute per IP)
+const disconnectRateLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10,
+    message: {
+        error: 'Too many requests',
+        message: 'Rate limit exceeded. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Rate limiter for family data exports and erasures (5 requests per minute per IP)
+const privacyRateLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 5,
+    message: {
+        error: 'Too many requests',
+        message: 'Rate limit exceeded. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Options for the cookie binding an OAuth state to the browser
+const stateCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // Must survive the top-level redirect back from Google
+    path: '/api/auth'
+};
+
+// Error page messages for each state verification failure
+const STATE_ERROR_MESSAGES = {
+    tampered: 'This connection link is invalid. Please use the link you were sent.',
+    expired: 'This connection attempt took too long and has expired. Please start again.',
+    replayed: 'This connection attempt has already been completed. Please start again if you need to reconnect.',
+    mismatch: 'This connection attempt was started in a different browser. Please start again from this browser.'
+};
+
+// Error page messages for each invite failure
+const INVITE_ERROR_MESSAGES = {
+    invalid: 'This connection link is invalid. Please use the link you were sent.',
+    expired: 'This connection link has expired. Please ask for a new one.',
+    used: 'This connection link has already been used. Please ask for a new one.',
+    revoked: 'This connection link has been revoked. Please ask for a new one.'
+};
+
+// Messages for each disconnect failure
+const DISCONNECT_ERROR_MESSAGES = {
+    invalid: 'This disconnect link is invalid. Please use the link you were sent.',
+    expired: 'This disconnect link has expired. Please ask for a new one.',
+    not_found: 'This account is no longer connected.',
+    revoke_failed: 'We could not remove access at your email provider. Nothing was changed; please try again in a few minutes.'
+};
+
+// HTTP status for each disconnect failure
+const DISCONNECT_ERROR_STATUSES = { invalid: 403, expired: 403, not_found: 404, revoke_failed: 502 };
+
+// Messages for each privacy request failure
+const PRIVACY_ERROR_MESSAGES = {
+    invalid: 'This privacy link is invalid. Please use the link you were sent.',
+    expired: 'This privacy link has expired. Please ask for a new one.',
+    erased: 'Your family\'s data has already been erased. Please ask for a new link if you connected again since.',
+    not_found: 'We no longer store any data about your family.',
+    revoke_failed: 'We could not remove access at your email provider. Nothing was deleted; please try again in a few minutes.'
+};
+
+// HTTP status for each privacy request failure
+const PRIVACY_ERROR_STATUSES = { invalid: 403, expired: 403, erased: 410, not_found: 404, revoke_failed: 502 };
+
+/**
+ * Send the response for a failed privacy request
+ * @param {Response} res - Express response
+ * @param {Error} error - The error
+ * @param {string} familyId - The family, if the link was valid
+ */
+function sendPrivacyError(res, error, familyId) {
+    if (error instanceof PrivacyError) {
+        const status = PRIVACY_ERROR_STATUSES[error.reason];
+        console.warn(`[Auth] Privacy request failed (${error.reason}) for family: ${familyId || 'unknown'}`);
+        return res.status(status).json({
+            error: 'Privacy Request Failed',
+            reason: error.reason,
+            message: PRIVACY_ERROR_MESSAGES[error.reason]
+        });
+    }
+    console.error(`[Auth] Error handling privacy request for family ${familyId}:`, error);
+    res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Something went wrong. Please try again.'
+    });
+}
+
+/**
+ * Build the error page URL for an invite failure
+ * @param {InviteError} error - The invite error
+ * @returns {string} The error page URL
+ */
+function inviteErrorUrl(error) {
+    return `/error.html?reason=invite_${error.reason}&message=` + encodeURIComponent(INVITE_ERROR_MESSAGES[error.reason]);
+}
+
+/**
+ * GET /api/auth/invite
+ * Returns the family and whether it has connected accounts (used by the connect page)
+ * Anyone holding the invite link can call this, so it names no accounts and hands out
+ * no disconnect link; those need a disconnect or privacy link.
+ */
+router.get('/invite', async (req, res) => {
+    const { invite } = req.query;
+
+    if (!invite) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Missing invite parameter'
+        });
+    }
+
+    try {
+        const inviteRecord = await verifyInviteToken(invite);
+        const { accounts } = await getConnectionStatus(inviteRecord.family_id);
+
+        res.json({
+            familyName: inviteRecord.family_name || '',
+            expiresAt: inviteRecord.expires_at,
+            scopeProfile: inviteRecord.scope_profile || DEFAULT_SCOPE_PROFILE,
+            providers: listConfiguredProviders(),
+            connected: accounts.length > 0,
+            accountCount: accounts.length
+        });
+    } catch (error) {
+        if (error instanceof InviteError) {
+            return res.status(403).json({
+                error: 'Invalid Invite',
+                reason: error.reason,
+                message: INVITE_ERROR_MESSAGES[error.reason]
+            });
+        }
+        console.error('[Auth] Error checking invite:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to check invite'
+        });
+    }
+});
+
 /**
  * GET /api/auth/start
- * Initiates the OAuth flow by redirecting to Google's consent screen
+ * Initiates the OAuth flow by redirecting to the provider's consent screen
+ * Requires a valid invite token; `provider` is google (default) or microsoft. Asks for
+ * the invite's scope profile. The consent screen is forced unless the family already has
+ * a working connection with this provider, or `consent=true` is passed.
  */
-router.get('/start', (req, res) => {
-    const { familyId, familyName } = req.query;
+router.get('/start', async (req, res) => {
+    const { invite, provider: providerName = DEFAULT_PROVIDER } = req.query;
 
-    console.log(`[Auth] Starting OAuth flow for family: ${familyId}`);
+    if (!invite) {
+        console.warn('[Auth] Missing invite parameter');
+        return res.redirect('/error.html?message=' + encodeURIComponent('Missing invite. Please use a valid connection link.'));
+    }
 
-    if (!familyId) {
-        console.warn('[Auth] Missing familyId parameter');
-        return res.redirect('/error.html?message=' + encodeURIComponent('Missing family ID'));
+    const provider = getProvider(providerName);
+
+    if (!provider || !provider.isConfigured()) {
+        console.warn(`[Auth] Unsupported provider: ${providerName}`);
+        return res.redirect('/error.html?message=' + encodeURIComponent('This email provider is not supported.'));
     }
 
     try {
-        const authUrl = generateAuthUrl(familyId, familyName);
-        console.log(`[Auth] Redirecting to Google consent screen`);
+        const inviteRecord = await verifyInviteToken(invite);
+        const familyId = inviteRecord.family_id;
+        const familyName = inviteRecord.family_name;
+
+        const scopeProfile = inviteRecord.scope_profile || DEFAULT_SCOPE_PROFILE;
+
+        // A working connection means the family granted access before, so incremental
+        // authorization can skip the consent screen
+        const { accounts } = await getConnectionStatus(familyId);
+        const consent = req.query.consent === 'true'
+            || !accounts.some(account => account.provider === provider.name && account.status === 'active');
+
+        console.log(`[Auth] Starting ${provider.displayName} OAuth flow for family: ${familyId} (scopes: ${scopeProfile}, consent: ${consent})`);
+
+        const { state, nonce } = createState({ familyId, familyName, inviteId: inviteRecord.id, provider: provider.name, consent });
+        res.cookie(STATE_COOKIE_NAME, nonce, { ...stateCookieOptions, maxAge: STATE_TTL_MS });
+
+        const authUrl = provider.generateAuthUrl(familyId, state, {
+            scopes: provider.scopeProfiles[scopeProfile],
+            forceConsent: consent
+        });
+        console.log(`[Auth] Redirecting to ${provider.displayName} consent screen`);
         res.redirect(authUrl);
     } catch (error) {
+        if (error instanceof InviteError) {
+            console.warn(`[Auth] Rejected invite (${error.reason}): ${error.message}`);
+            return res.redirect(inviteErrorUrl(error));
+        }
         console.error('[Auth] Error generating auth URL:', error);
         res.redirect('/error.html?message=' + encodeURIComponent('Failed to start authentication'));
     }
@@ -57,7 +297,7 @@ router.get('/start', (req, res) => {
 
 /**
  * GET /api/auth/callback
- * Handles the OAuth callback from Google
+ * Handles the OAuth callback from Google or Microsoft (the provider comes from the signed state)
  */
 router.get('/callback', async (req, res) => {
     const { code, state, error: oauthError } = req.query;
@@ -67,120 +307,257 @@ router.get('/callback', async (req, res) => {
     // Handle OAuth errors
     if (oauthError) {
         console.error(`[Auth] OAuth error: ${oauthError}`);
+        recordOAuthCallback('unknown', 'denied');
         return res.redirect('/error.html?message=' + encodeURIComponent(`Authentication failed: ${oauthError}`));
     }
 
     if (!code) {
         console.error('[Auth] Missing authorization code');
+        recordOAuthCallback('unknown', 'invalid_request');
         return res.redirect('/error.html?message=' + encodeURIComponent('Missing authorization code'));
     }
 
     if (!state) {
         console.error('[Auth] Missing state parameter');
+        recordOAuthCallback('unknown', 'invalid_request');
         return res.redirect('/error.html?message=' + encodeURIComponent('Missing state parameter'));
     }
 
-    try {
-        // Decode state to get familyId and familyName
-        const stateData = JSON.parse(Buffer.from(state, 'base64').toString('utf8'));
-        const { familyId, familyName } = stateData;
+    // The state nonce cookie is single-use, clear it whatever the outcome
+    const cookieNonce = req.cookies[STATE_COOKIE_NAME];
+    res.clearCookie(STATE_COOKIE_NAME, stateCookieOptions);
 
-        console.log(`[Auth] Processing callback for family: ${familyId}`);
+    let familyId;
+    let familyName;
+    let inviteId;
+    let providerName;
+    let consent;
 
-        if (!familyId) {
-            console.error('[Auth] Invalid state: missing familyId');
-            return res.redirect('/error.html?message=' + encodeURIComponent('Invalid state parameter'));
+    try {
+        ({ familyId, familyName, inviteId, provider: providerName, consent } = await verifyState(state, cookieNonce));
+    } catch (error) {
+        if (error instanceof OAuthStateError) {
+            console.warn(`[Auth] Rejected OAuth state (${error.reason}): ${error.message}`);
+            recordOAuthCallback('unknown', 'invalid_state');
+            return res.redirect(`/error.html?reason=state_${error.reason}&message=` + encodeURIComponent(STATE_ERROR_MESSAGES[error.reason]));
         }
+        console.error('[Auth] Error verifying OAuth state:', error);
+        recordOAuthCallback('unknown', 'error');
+        return res.redirect('/error.html?message=' + encodeURIComponent('Failed to complete authentication. Please try again.'));
+    }
+
+    console.log(`[Auth] Processing callback for family: ${familyId}`);
+
+    try {
+        const provider = getProvider(providerName);
 
         // Exchange code for tokens
-        const tokens = await exchangeCodeForTokens(code);
+        const tokens = await provider.exchangeCodeForTokens(code);
+
+        // Get user's email address
+        const email = await provider.getUserEmail(tokens.access_token);
+
+        // Look up the family's accounts to tell a reconnect from a new account
+        const previous = await getConnectionStatus(familyId);
+        const existingAccount = previous.accounts.find(account => account.email === email);
+
+        // Without the consent screen, Google only returns a refresh token for a new grant.
+        // A working account keeps its refresh token, which now covers the added scopes.
+        let refreshToken = tokens.refresh_token;
+
+        if (!refreshToken && existingAccount && existingAccount.status === 'active' && existingAccount.provider === provider.name) {
+            refreshToken = (await getFamilyTokens(familyId, { accountId: existingAccount.id })).refresh_token;
+        }
+
+        if (!refreshToken) {
+            const inviteToken = !consent && await getInviteToken(inviteId);
+
+            if (inviteToken) {
+                console.log('[Auth] No refresh token received, starting again with the consent screen');
+                recordOAuthCallback(provider.name, 'consent_retry');
+                return res.redirect(`/api/auth/start?${new URLSearchParams({ invite: inviteToken, provider: provider.name, consent: 'true' })}`);
+            }
 
-        if (!tokens.refresh_token) {
             console.error('[Auth] No refresh token received');
+            recordOAuthCallback(provider.name, 'no_refresh_token');
             return res.redirect('/error.html?message=' + encodeURIComponent('Failed to get refresh token. Please try again.'));
         }
 
-        // Get user's email address
-        const email = await getUserEmail(tokens.access_token);
-
         // Calculate token expiry
         const tokenExpiry = new Date(tokens.expiry_date);
 
-        // Store tokens in Supabase
-        await upsertFamilyTokens({
+        // Use up the invite before storing, so a spent invite cannot connect a mailbox
+        await consumeInvite(inviteId);
+
+        // Store the tokens
+        const account = await upsertFamilyTokens({
             familyId,
             familyName,
             email,
+            provider: provider.name,
             accessToken: tokens.access_token,
-            refreshToken: tokens.refresh_token,
-            tokenExpiry
+            refreshToken,
+            tokenExpiry,
+            grantedScopes: tokens.scope
         });
 
         console.log(`[Auth] Successfully stored tokens for family: ${familyId}`);
+        recordOAuthCallback(provider.name, 'success');
+
+        const eventData = { account_id: account.id, family_name: familyName || null, email, provider: provider.name };
+
+        await recordAuditEvent({
+            action: existingAccount ? AUDIT_ACTIONS.CONNECTION_RECONNECTED : AUDIT_ACTIONS.CONNECTION_CREATED,
+            actor: { type: 'family', id: familyId },
+            familyId,
+            accountId: account.id,
+            details: {
+                email,
+                provider: provider.name,
+                invite_id: inviteId,
+                previous_status: existingAccount ? existingAccount.status : null,
+                ip_address: req.ip
+            }
+        });
+
+        if (!previous.connected) {
+            emitEvent(WEBHOOK_EVENTS.FAMILY_CONNECTED, familyId, eventData);
+        } else if (!existingAccount) {
+            emitEvent(WEBHOOK_EVENTS.FAMILY_ACCOUNT_ADDED, familyId, eventData);
+        } else if (existingAccount.status !== 'active') {
+            emitEvent(WEBHOOK_EVENTS.FAMILY_RECONNECTED, familyId, { ...eventData, previous_status: existingAccount.status });
+        }
+
+        // Start Gmail push notifications for the mailbox in the background
+        if (provider.name === 'google' && isPushEnabled()) {
+            startWatch(account).catch(error => {
+                console.error(`[Auth] Failed to start Gmail watch for family ${familyId}:`, error.message);
+            });
+        }
 
         // Redirect to success page
         res.redirect(`/success.html?email=${encodeURIComponent(email)}&familyName=${encodeURIComponent(familyName || '')}`);
 
     } catch (error) {
+        if (error instanceof InviteError) {
+            console.warn(`[Auth] Invite no longer usable (${error.reason}) for family: ${familyId}`);
+            recordOAuthCallback(providerName, 'invite_rejected');
+            return res.redirect(inviteErrorUrl(error));
+        }
         console.error('[Auth] Error processing OAuth callback:', error);
+        recordOAuthCallback(providerName, 'error');
         res.redirect('/error.html?message=' + encodeURIComponent('Failed to complete authentication. Please try again.'));
     }
 });
 
+/**
+ * Record a /refresh call in the audit log
+ * Not awaited, so auditing never slows down handing out a token.
+ * @param {Request} req - Express request (authenticated with an API key)
+ * @param {Object} outcome - What happened
+ * @param {string} outcome.result - bad_request, not_found, valid, refreshed, invalid_grant or error
+ * @param {Object} outcome.tokenData - The account whose token was requested, if found
+ */
+function auditRefresh(req, { result, tokenData }) {
+    recordAuditEvent({
+        action: AUDIT_ACTIONS.TOKEN_REFRESH,
+        actor: apiKeyActor(req.apiKey),
+        familyId: req.body.family_id,
+        accountId: tokenData ? tokenData.id : null,
+        details: {
+            result,
+            refreshed: result === 'refreshed',
+            api_key_name: req.apiKey.name,
+            email: tokenData ? tokenData.email : req.body.email || null,
+            ip_address: req.ip
+        }
+    });
+}
+
 /**
  * POST /api/auth/refresh
  * Refreshes the access token for a family (called by n8n)
- * Protected by API key
+ * Accepts an optional email or account_id to pick one of the family's accounts;
+ * otherwise the first connected account is used
+ * Requires an API key with the refresh scope
  */
-router.post('/refresh', validateApiKey, refreshRateLimiter, async (req, res) => {
-    const { family_id } = req.body;
+router.post('/refresh', requireApiKey('refresh', { familyId: req => req.body.family_id }), refreshRateLimiter, async (req, res) => {
+    const { family_id, email, account_id } = req.body;
 
     console.log(`[Auth] Token refresh requested for family: ${family_id}`);
 
     if (!family_id) {
         console.warn('[Auth] Missing family_id in request body');
+        auditRefresh(req, { result: 'bad_request' });
         return res.status(400).json({
             error: 'Bad Request',
             message: 'Missing family_id in request body'
         });
     }
 
+    let tokenData = null;
+
     try {
-        // Get current tokens from Supabase
-        const tokenData = await getFamilyTokens(family_id);
+        // Get the current tokens
+        tokenData = await getFamilyTokens(family_id, { email, accountId: account_id });
 
         if (!tokenData) {
             console.warn(`[Auth] No tokens found for family: ${family_id}`);
+            auditRefresh(req, { result: 'not_found' });
             return res.status(404).json({
                 error: 'Not Found',
-                message: 'No tokens found for this family. Please connect Gmail first.'
+                message: email || account_id
+                    ? 'No matching account found for this family.'
+                    : 'No tokens found for this family. Please connect Gmail first.'
+            });
+        }
+
+        // The refresh token was already rejected; a cached access token would only hide that
+        if (tokenData.status === 'needs_reconnect') {
+            console.warn(`[Auth] Account needs reconnecting for family: ${family_id}`);
+            auditRefresh(req, { result: 'needs_reconnect', tokenData });
+            return res.status(409).json({
+                error: 'Needs Reconnect',
+                reason: 'needs_reconnect',
+                account_id: tokenData.id,
+                email: tokenData.email,
+                message: 'This account must be reconnected before its tokens can be used.'
             });
         }
 
         // Check if token needs refreshing
         if (!isTokenExpiringSoon(tokenData.token_expiry)) {
             console.log(`[Auth] Token still valid for family: ${family_id}`);
+            recordTokenRefresh(tokenData.provider, 'cached');
+            recordTokenFetch(tokenData.id);
+            auditRefresh(req, { result: 'valid', tokenData });
             return res.json({
                 access_token: tokenData.access_token,
                 expires_at: tokenData.token_expiry,
+                account_id: tokenData.id,
+                email: tokenData.email,
+                provider: tokenData.provider,
+                granted_scopes: parseGrantedScopes(tokenData.granted_scopes),
                 refreshed: false
             });
         }
 
         console.log(`[Auth] Token expiring soon, refreshing for family: ${family_id}`);
 
-        // Refresh the token
-        const newTokens = await refreshAccessToken(tokenData.refresh_token);
-        const newExpiry = new Date(newTokens.expiry_date);
-
-        // Update Supabase with new access token
-        await updateAccessToken(family_id, newTokens.access_token, newExpiry);
+        // Refresh the token and record the outcome
+        const newTokens = await refreshFamilyToken(tokenData);
 
         console.log(`[Auth] Successfully refreshed token for family: ${family_id}`);
+        recordTokenFetch(tokenData.id);
+        auditRefresh(req, { result: 'refreshed', tokenData });
 
         res.json({
             access_token: newTokens.access_token,
-            expires_at: newExpiry.toISOString(),
+            expires_at: newTokens.expires_at,
+            account_id: tokenData.id,
+            email: tokenData.email,
+            provider: tokenData.provider,
+            granted_scopes: newTokens.granted_scopes,
             refreshed: true
         });
 
@@ -188,13 +565,15 @@ router.post('/refresh', validateApiKey, refreshRateLimiter, async (req, res) =>
         console.error(`[Auth] Error refreshing token for family ${family_id}:`, error);
 
         // Check if it's a refresh token invalid error
-        if (error.message && error.message.includes('invalid_grant')) {
+        if (isInvalidGrantError(error)) {
+            auditRefresh(req, { result: 'invalid_grant', tokenData });
             return res.status(401).json({
                 error: 'Token Invalid',
                 message: 'Refresh token is invalid or expired. Please reconnect Gmail.'
             });
         }
 
+        auditRefresh(req, { result: 'error', tokenData });
         res.status(500).json({
             error: 'Internal Server Error',
             message: 'Failed to refresh token. Please try again.'
@@ -202,11 +581,251 @@ router.post('/refresh', validateApiKey, refreshRateLimiter, async (req, res) =>
     }
 });
 
+/**
+ * POST /api/auth/refresh-all
+ * Runs a proactive refresh cycle over every active connection (for cron triggers)
+ * Requires an API key with the refresh scope and no family allowlist
+ */
+router.post('/refresh-all', requireApiKey('refresh', { allFamilies: true }), async (req, res) => {
+    console.log('[Auth] Refresh cycle requested');
+
+    try {
+        const result = await runRefreshCycle();
+        res.json(result);
+    } catch (error) {
+        console.error('[Auth] Error running refresh cycle:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to run refresh cycle'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/refresh-batch
+ * Returns usable access tokens for many families at once (for n8n fan-out runs)
+ * Body: { family_ids: [...] } or { all_active: true }. Expiring tokens are refreshed in
+ * parallel; each family gets a token or an error (not_found, needs_reconnect,
+ * refresh_failed or forbidden). Keys with a family allowlist only get their families.
+ * Requires an API key with the refresh scope
+ */
+router.post('/refresh-batch', requireApiKey('refresh'), batchRefreshRateLimiter, async (req, res) => {
+    const { family_ids: familyIds, all_active: allActive } = req.body;
+
+    const validList = Array.isArray(familyIds)
+        && familyIds.length > 0
+        && familyIds.every(id => typeof id === 'string' && id.trim() !== '');
+
+    if (allActive !== true && !validList) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Provide family_ids (a non-empty list of family IDs) or all_active: true'
+        });
+    }
+
+    if (allActive !== true && familyIds.length > MAX_BATCH_FAMILIES) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `At most ${MAX_BATCH_FAMILIES} family_ids per request`
+        });
+    }
+
+    try {
+        // all_active only covers the key's own families; listed families outside its
+        // allowlist are answered with forbidden
+        const isAllowed = familyId => isFamilyAllowed(req.apiKey, familyId);
+        const requested = allActive === true
+            ? (await listActiveFamilyIds()).filter(isAllowed)
+            : [...new Set(familyIds.map(id => id.trim()))];
+        const allowed = allActive === true ? requested : requested.filter(isAllowed);
+
+        console.log(`[Auth] Batch token request for ${requested.length} families`);
+
+        const tokens = await getBatchAccessTokens(allowed);
+        const byFamily = new Map(tokens.map(result => [result.family_id, result]));
+
+        const results = requested.map(familyId => byFamily.get(familyId) || { family_id: familyId, error: 'forbidden' });
+        const failed = results.filter(result => result.error);
+        const needsReconnect = failed.filter(result => result.error === 'needs_reconnect').map(result => result.family_id);
+
+        results.filter(result => result.access_token).forEach(result => recordTokenFetch(result.account_id));
+
+        const summary = {
+            requested: results.length,
+            succeeded: results.length - failed.length,
+            refreshed: results.filter(result => result.refreshed).length,
+            needs_reconnect: needsReconnect.length,
+            failed: failed.length
+        };
+
+        console.log(`[Auth] Batch token request complete: ${summary.succeeded} succeeded, ${summary.refreshed} refreshed, ${summary.needs_reconnect} need reconnect, ${summary.failed} failed`);
+
+        // Failures are counted by reason, not listed: an entry without a family_id must not name
+        // families, or it would survive their erasure
+        const errors = {};
+        failed.forEach(result => { errors[result.error] = (errors[result.error] || 0) + 1; });
+
+        recordAuditEvent({
+            action: AUDIT_ACTIONS.TOKEN_REFRESH_BATCH,
+            actor: apiKeyActor(req.apiKey),
+            details: {
+                ...summary,
+                all_active: allActive === true,
+                errors,
+                api_key_name: req.apiKey.name,
+                ip_address: req.ip
+            }
+        });
+
+        res.json({ results, needs_reconnect: needsReconnect, summary });
+    } catch (error) {
+        console.error('[Auth] Error handling batch token request:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get tokens. Please try again.'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/disconnect
+ * Returns the family and its accounts for a disconnect link (used by the disconnect page)
+ */
+router.get('/disconnect', async (req, res) => {
+    try {
+        const { familyId, familyName } = verifyDisconnectToken(req.query.token);
+        const status = await getConnectionStatus(familyId);
+
+        res.json({
+            familyName,
+            accounts: status.accounts.map(({ id, email, provider }) => ({ id, email, provider }))
+        });
+    } catch (error) {
+        if (error instanceof DisconnectError) {
+            return res.status(403).json({
+                error: 'Invalid Link',
+                reason: error.reason,
+                message: DISCONNECT_ERROR_MESSAGES[error.reason]
+            });
+        }
+        console.error('[Auth] Error checking disconnect link:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to check disconnect link'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/disconnect
+ * Disconnects one account ({ token, account_id }) or all of the family's accounts ({ token })
+ * Access is revoked at the provider before the stored tokens are deleted
+ */
+router.post('/disconnect', disconnectRateLimiter, async (req, res) => {
+    const { token, account_id: accountId } = req.body;
+    let familyId;
+
+    try {
+        ({ familyId } = verifyDisconnectToken(token));
+
+        console.log(`[Auth] Family disconnect request for family: ${familyId}${accountId ? `, account: ${accountId}` : ''}`);
+
+        const options = { actor: { type: 'family', id: familyId } };
+        const accounts = accountId
+            ? [await disconnectAccount(familyId, accountId, options)]
+            : await disconnectFamily(familyId, options);
+
+        res.json({
+            success: true,
+            accounts: accounts.map(({ accountId: id, email, provider, revoked }) => ({ id, email, provider, revoked }))
+        });
+    } catch (error) {
+        if (error instanceof DisconnectError) {
+            const status = DISCONNECT_ERROR_STATUSES[error.reason];
+            console.warn(`[Auth] Disconnect failed (${error.reason}) for family: ${familyId || 'unknown'}`);
+            return res.status(status).json({
+                error: 'Disconnect Failed',
+                reason: error.reason,
+                message: DISCONNECT_ERROR_MESSAGES[error.reason]
+            });
+        }
+        console.error(`[Auth] Error disconnecting family ${familyId}:`, error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to disconnect. Please try again.'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/privacy
+ * Returns the family and its accounts for a privacy link (used by the privacy page)
+ */
+router.get('/privacy', async (req, res) => {
+    let familyId;
+
+    try {
+        let familyName;
+        ({ familyId, familyName } = await verifyPrivacyToken(req.query.token));
+        const status = await getConnectionStatus(familyId);
+
+        res.json({
+            familyName,
+            accounts: status.accounts.map(({ email, provider }) => ({ email, provider }))
+        });
+    } catch (error) {
+        sendPrivacyError(res, error, familyId);
+    }
+});
+
+/**
+ * GET /api/auth/privacy/export?token=xxx
+ * Downloads everything stored about the family as JSON (tokens are never included)
+ */
+router.get('/privacy/export', privacyRateLimiter, async (req, res) => {
+    let familyId;
+
+    try {
+        ({ familyId } = await verifyPrivacyToken(req.query.token));
+
+        console.log(`[Auth] Family data export for family: ${familyId}`);
+
+        const data = await exportFamilyData(familyId, { actor: { type: 'family', id: familyId } });
+
+        res.set('Content-Disposition', `attachment; filename="family-data-${data.exported_at.slice(0, 10)}.json"`);
+        res.json(data);
+    } catch (error) {
+        sendPrivacyError(res, error, familyId);
+    }
+});
+
+/**
+ * POST /api/auth/privacy/erase
+ * Erases the family's data ({ token }): access is revoked at the provider, then the
+ * tokens, invites and delivery logs are deleted and the audit history is scrubbed
+ */
+router.post('/privacy/erase', privacyRateLimiter, async (req, res) => {
+    let familyId;
+
+    try {
+        ({ familyId } = await verifyPrivacyToken(req.body.token));
+
+        console.log(`[Auth] Family erasure request for family: ${familyId}`);
+
+        const erasure = await eraseFamilyData(familyId, { actor: { type: 'family', id: familyId } });
+
+        res.json({ success: true, erasure });
+    } catch (error) {
+        sendPrivacyError(res, error, familyId);
+    }
+});
+
 /**
  * GET /api/auth/status
  * Returns connection status for a family
+ * Requires an API key with the status scope
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requireApiKey('status', { familyId: req => req.query.familyId }), async (req, res) => {
     const { familyId } = req.query;
 
     console.log(`[Auth] Status check for family: ${familyId}`);
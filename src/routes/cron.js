@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+
+const { runRefreshCycle } = require('../services/tokenRefresher');
+const { processDueDeliveries } = require('../services/webhooks');
+const { renewWatches } = require('../services/gmailPush');
+const { sendDueReminders } = require('../services/reminders');
+const { purgeAuditLog } = require('../services/audit');
+const { requireApiKey } = require('../middleware/apiKey');
+
+// The long-running server's background jobs, for hosts that cannot run them (serverless)
+const JOBS = {
+    'refresh-tokens': () => runRefreshCycle(),
+    'webhook-retries': async () => ({ attempted: await processDueDeliveries() }),
+    'gmail-watches': () => renewWatches(),
+    'reconnect-reminders': () => sendDueReminders(),
+    'audit-retention': async () => ({ deleted: await purgeAuditLog() })
+};
+
+const requireJobsKey = requireApiKey('jobs', { allFamilies: true });
+
+/**
+ * Run one background job and respond with its result
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function runJob(req, res) {
+    const { job } = req.params;
+    const run = Object.prototype.hasOwnProperty.call(JOBS, job) ? JOBS[job] : null;
+
+    if (!run) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `Unknown job. Use one of: ${Object.keys(JOBS).join(', ')}`
+        });
+    }
+
+    console.log(`[Cron] Running ${job}`);
+
+    try {
+        res.json({ job, result: await run() });
+    } catch (error) {
+        console.error(`[Cron] Error running ${job}:`, error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: `Failed to run ${job}`
+        });
+    }
+}
+
+/**
+ * GET or POST /api/cron/:job
+ * Runs a background job now: refresh-tokens, webhook-retries, gmail-watches,
+ * reconnect-reminders or audit-retention. Vercel Cron sends GET with CRON_SECRET as a
+ * Bearer token, so CRON_SECRET can hold the key.
+ * Requires an API key with the jobs scope and no family allowlist
+ */
+router.get('/:job', requireJobsKey, runJob);
+router.post('/:job', requireJobsKey, runJob);
+
+module.exports = router;
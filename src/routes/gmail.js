@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+
+const {
+    GmailProxyError,
+    searchMessages,
+    getMessage,
+    getAttachment,
+    listLabels,
+    modifyLabels
+} = require('../services/gmail');
+const { buildSchoolDigest } = require('../services/schoolDigest');
+
+const { requireApiKey } = require('../middleware/apiKey');
+
+// Rate limiter for the Gmail proxy (120 requests per minute per IP)
+const gmailRateLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 120,
+    message: {
+        error: 'Too many requests',
+        message: 'Rate limit exceeded. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Read the family and optional account selector from the query string or body
+ * @param {Request} req - Express request
+ * @returns {Object} familyId and selector ({ accountId, email })
+ */
+function getAccountParams(req) {
+    const source = req.method === 'GET' ? req.query : req.body;
+
+    return {
+        familyId: source.family_id,
+        selector: {
+            accountId: source.account_id,
+            email: source.email
+        }
+    };
+}
+
+router.use(requireApiKey('gmail-proxy', { familyId: req => getAccountParams(req).familyId }), gmailRateLimiter);
+
+/**
+ * Send a Gmail proxy error response
+ * @param {Response} res - Express response
+ * @param {Error} error - The error
+ * @param {string} context - Description for the log line
+ */
+function sendError(res, error, context) {
+    if (error instanceof GmailProxyError) {
+        console.warn(`[Gmail] ${context} failed (${error.code}): ${error.message}`);
+        return res.status(error.status).json({
+            error: error.code,
+            message: error.message
+        });
+    }
+
+    console.error(`[Gmail] ${context} failed:`, error);
+    res.status(500).json({
+        error: 'internal_error',
+        message: 'Gmail request failed. Please try again.'
+    });
+}
+
+/**
+ * Reject requests without a family_id
+ */
+function requireFamilyId(req, res, next) {
+    if (!getAccountParams(req).familyId) {
+        return res.status(400).json({
+            error: 'bad_request',
+            message: 'Missing family_id'
+        });
+    }
+    next();
+}
+
+/**
+ * GET /api/gmail/messages
+ * Search messages with a Gmail query (q, max_results, page_token)
+ */
+router.get('/messages', requireFamilyId, async (req, res) => {
+    const { familyId, selector } = getAccountParams(req);
+    const { q, max_results, page_token } = req.query;
+
+    console.log(`[Gmail] Searching messages for family: ${familyId}`);
+
+    try {
+        const result = await searchMessages(familyId, selector, {
+            q,
+            maxResults: max_results,
+            pageToken: page_token
+        });
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, `Search for family ${familyId}`);
+    }
+});
+
+/**
+ * GET /api/gmail/messages/:messageId
+ * Fetch a message with parsed headers, text and HTML bodies and attachment metadata
+ */
+router.get('/messages/:messageId', requireFamilyId, async (req, res) => {
+    const { familyId, selector } = getAccountParams(req);
+
+    console.log(`[Gmail] Fetching message ${req.params.messageId} for family: ${familyId}`);
+
+    try {
+        res.json(await getMessage(familyId, selector, req.params.messageId));
+    } catch (error) {
+        sendError(res, error, `Fetch message for family ${familyId}`);
+    }
+});
+
+/**
+ * GET /api/gmail/messages/:messageId/attachments/:attachmentId
+ * Download an attachment
+ */
+router.get('/messages/:messageId/attachments/:attachmentId', requireFamilyId, async (req, res) => {
+    const { familyId, selector } = getAccountParams(req);
+    const { messageId, attachmentId } = req.params;
+
+    console.log(`[Gmail] Downloading attachment from message ${messageId} for family: ${familyId}`);
+
+    try {
+        const attachment = await getAttachment(familyId, selector, messageId, attachmentId);
+
+        res.setHeader('Content-Type', attachment.mimeType);
+        res.setHeader('Content-Length', attachment.data.length);
+        res.attachment(attachment.filename || 'attachment');
+        res.send(attachment.data);
+    } catch (error) {
+        sendError(res, error, `Download attachment for family ${familyId}`);
+    }
+});
+
+/**
+ * GET /api/gmail/labels
+ * List the account's labels
+ */
+router.get('/labels', requireFamilyId, async (req, res) => {
+    const { familyId, selector } = getAccountParams(req);
+
+    try {
+        res.json({ labels: await listLabels(familyId, selector) });
+    } catch (error) {
+        sendError(res, error, `List labels for family ${familyId}`);
+    }
+});
+
+/**
+ * POST /api/gmail/messages/:messageId/labels
+ * Apply and remove labels ({ add: [...], remove: [...] }, by ID or name)
+ */
+router.post('/messages/:messageId/labels', requireFamilyId, async (req, res) => {
+    const { familyId, selector } = getAccountParams(req);
+    const { add = [], remove = [] } = req.body;
+
+    if (!Array.isArray(add) || !Array.isArray(remove) || (add.length === 0 && remove.length === 0)) {
+        return res.status(400).json({
+            error: 'bad_request',
+            message: 'Provide label arrays in add and/or remove'
+        });
+    }
+
+    console.log(`[Gmail] Modifying labels on message ${req.params.messageId} for family: ${familyId}`);
+
+    try {
+        res.json(await modifyLabels(familyId, selector, req.params.messageId, { add, remove }));
+    } catch (error) {
+        sendError(res, error, `Modify labels for family ${familyId}`);
+    }
+});
+
+/**
+ * POST /api/gmail/school-digest
+ * Classify school email received since a cursor with the family's rules, label it and
+ * return a structured digest ({ cursor, lookback_days, max_messages, apply_label })
+ */
+router.post('/school-digest', requireFamilyId, async (req, res) => {
+    const { familyId, selector } = getAccountParams(req);
+    const { cursor, lookback_days, max_messages, apply_label = true } = req.body;
+
+    if (typeof apply_label !== 'boolean' || (cursor !== undefined && typeof cursor !== 'string')) {
+        return res.status(400).json({
+            error: 'bad_request',
+            message: 'apply_label must be a boolean and cursor a string'
+        });
+    }
+
+    console.log(`[Gmail] Building school digest for family: ${familyId}`);
+
+    try {
+        res.json(await buildSchoolDigest(familyId, selector, {
+            cursor,
+            lookbackDays: lookback_days,
+            maxMessages: max_messages,
+            applyLabel: apply_label
+        }));
+    } catch (error) {
+        sendError(res, error, `School digest for family ${familyId}`);
+    }
+});
+
+module.exports = router;
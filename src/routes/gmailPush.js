@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    GmailPushError,
+    verifyPushRequest,
+    handlePushNotification,
+    renewWatches
+} = require('../services/gmailPush');
+
+const { requireApiKey } = require('../middleware/apiKey');
+
+/**
+ * POST /api/gmail/push
+ * Pub/Sub push endpoint for Gmail watch notifications.
+ * New message IDs are forwarded to GMAIL_PUSH_FORWARD_URL (n8n).
+ * Any 2xx acknowledges the message; errors make Pub/Sub redeliver it.
+ */
+router.post('/', async (req, res) => {
+    try {
+        await verifyPushRequest({
+            authorization: req.headers.authorization,
+            token: req.query.token
+        });
+    } catch (error) {
+        if (error instanceof GmailPushError) {
+            console.warn(`[GmailPush] Rejected push request (${error.reason}): ${error.message}`);
+            return res.status(error.reason === 'not_configured' ? 503 : 403).json({
+                error: error.reason,
+                message: error.message
+            });
+        }
+        throw error;
+    }
+
+    try {
+        const { results } = await handlePushNotification(req.body);
+        const forwarded = results.reduce((total, result) => total + result.messageIds.length, 0);
+
+        console.log(`[GmailPush] Processed notification for ${results.length} account(s), forwarded ${forwarded} message(s)`);
+        res.status(204).end();
+    } catch (error) {
+        if (error instanceof GmailPushError) {
+            // Acknowledge malformed messages so Pub/Sub does not redeliver them forever
+            console.warn(`[GmailPush] Ignoring push message (${error.reason}): ${error.message}`);
+            return res.status(204).end();
+        }
+
+        console.error('[GmailPush] Error processing notification:', error);
+        res.status(500).json({
+            error: 'internal_error',
+            message: 'Failed to process notification'
+        });
+    }
+});
+
+/**
+ * POST /api/gmail/push/renew
+ * Renew Gmail watches that are missing or expire within a day (also runs hourly)
+ */
+router.post('/renew', requireApiKey('gmail-proxy', { allFamilies: true }), async (req, res) => {
+    try {
+        res.json(await renewWatches());
+    } catch (error) {
+        console.error('[GmailPush] Error renewing watches:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to renew Gmail watches'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const app = require('./index');
+const { bootstrapAdmin, AdminAuthError } = require('./services/adminAuth');
+
+// Admin account check for this instance, started by its first request
+let adminCheck = null;
+
+/**
+ * Check the admin accounts once per instance, as `start()` does before listening
+ * A refused configuration (default or missing admin credentials) stays refused; any other
+ * failure is logged and checked again on the next request.
+ * @returns {Promise<void>} Rejects with the AdminAuthError if the server must not serve
+ */
+function checkAdminAccounts() {
+    if (!adminCheck) {
+        adminCheck = bootstrapAdmin().then(() => undefined, error => {
+            if (error instanceof AdminAuthError) {
+                console.error(`[Startup] ${error.message}`);
+                throw error;
+            }
+
+            // The database may be briefly unavailable; the dashboard checks accounts on login
+            console.error('[Startup] Could not check admin accounts:', error.message);
+            adminCheck = null;
+        });
+    }
+
+    return adminCheck;
+}
+
+/**
+ * Request handler for serverless hosts (Vercel)
+ * Serves the app without listening or starting background jobs; vercel.json schedules
+ * each job at /api/cron/:job instead.
+ * @param {Object} req - Node request
+ * @param {Object} res - Node response
+ * @returns {Promise<void>}
+ */
+async function handler(req, res) {
+    try {
+        await checkAdminAccounts();
+    } catch (error) {
+        res.statusCode = 503;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            error: 'Service Unavailable',
+            message: 'The server is not configured. Check the deployment logs.'
+        }));
+        return;
+    }
+
+    app(req, res);
+}
+
+module.exports = handler;
@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getStorage, StorageError } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Dashboard roles: owners can change things, support staff can only look
+const ADMIN_ROLES = ['owner', 'support'];
+
+// scrypt parameters for new password hashes
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 64;
+
+const MIN_PASSWORD_LENGTH = 12;
+
+// Passwords that shipped as defaults or examples and must never be used
+const DEFAULT_PASSWORDS = ['admin', 'admin123', 'password', 'change-this-to-a-secure-password'];
+
+// Minimum time between last_seen_at writes for the same session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Times to retry counting a failed login when a concurrent one changed the count first
+const FAILED_LOGIN_RETRIES = 5;
+
+// When this instance last wrote each session's last_seen_at; entries older than
+// LAST_SEEN_INTERVAL_MS no longer hold back a write and are pruned
+const lastSeenWrites = new Map();
+
+/**
+ * Error raised by admin authentication and account management
+ * `reason` is one of: invalid_credentials, locked, weak_password, invalid, exists, not_found, no_admin
+ */
+class AdminAuthError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'AdminAuthError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Get the admin login and session settings
+ * @returns {Object} sessionTtlMs, maxFailedLogins and lockoutMs
+ */
+function getAuthConfig() {
+    return {
+        sessionTtlMs: (Number(process.env.ADMIN_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+        maxFailedLogins: Number(process.env.ADMIN_MAX_FAILED_LOGINS) || 5,
+        lockoutMs: (Number(process.env.ADMIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+    };
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - The plaintext password
+ * @returns {Promise<string>} Hash in the form scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+
+    return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - The plaintext password
+ * @param {string} storedHash - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+    const [algorithm, n, r, p, salt, hash] = String(storedHash).split('$');
+
+    if (algorithm !== 'scrypt' || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(n),
+        r: Number(r),
+        p: Number(p)
+    });
+
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Hash checked for unknown usernames so they take as long as known ones
+const dummyHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Check that a password is acceptable for an admin account
+ * @param {string} password - The proposed password
+ * @param {string} username - The account's username
+ * @returns {string|null} Why the password is rejected, or null if it is acceptable
+ */
+function checkPasswordStrength(password, username) {
+    if (typeof password !== 'string') {
+        return 'Password is required';
+    }
+
+    if (DEFAULT_PASSWORDS.includes(password.toLowerCase())) {
+        return 'Password is a known default';
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+
+    if (username && password.toLowerCase() === String(username).toLowerCase()) {
+        return 'Password must not be the username';
+    }
+
+    return null;
+}
+
+/**
+ * Hash a session token for storage and lookup
+ * @param {string} token - The session token from the cookie
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip the password hash from an admin user row
+ * @param {Object} user - The admin_users row
+ * @returns {Object} The user safe to return to the dashboard
+ */
+function toPublicUser(user) {
+    const { password_hash, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Create an admin account
+ * @param {Object} params - Account parameters
+ * @param {string} params.username - Login name
+ * @param {string} params.password - Plaintext password (checked for strength)
+ * @param {string} params.role - owner or support
+ * @param {string} params.createdBy - Username of the owner creating it
+ * @returns {Promise<Object>} The new user (without its hash)
+ * @throws {AdminAuthError} If the input is invalid or the username is taken
+ */
+async function createAdminUser({ username, password, role = 'support', createdBy }) {
+    const name = String(username || '').trim();
+
+    if (!name || !ADMIN_ROLES.includes(role)) {
+        throw new AdminAuthError('invalid', `A username and a role (${ADMIN_ROLES.join(', ')}) are required`);
+    }
+
+    const weakness = checkPasswordStrength(password, name);
+    if (weakness) {
+        throw new AdminAuthError('weak_password', weakness);
+    }
+
+    let data;
+    try {
+        [data] = await getStorage().insertRows('admin_users', [{
+            username: name,
+            password_hash: await hashPassword(password),
+            role,
+            created_by: createdBy || null
+        }]);
+    } catch (error) {
+        if (error instanceof StorageError && error.reason === 'conflict') {
+            throw new AdminAuthError('exists', 'That username is already taken');
+        }
+        console.error('[AdminAuth] Error creating admin user:', error);
+        throw error;
+    }
+
+    console.log(`[AdminAuth] Created ${role} admin: ${name}`);
+    return toPublicUser(data);
+}
+
+/**
+ * List admin accounts
+ * @returns {Promise<Array<Object>>} Users without password hashes
+ */
+async function listAdminUsers() {
+    try {
+        return await getStorage().selectRows('admin_users', {
+            columns: ['id', 'username', 'role', 'failed_login_count', 'locked_until', 'last_login_at', 'disabled_at', 'created_by', 'created_at'],
+            order: [['created_at', 'asc']]
+        });
+    } catch (error) {
+        console.error('[AdminAuth] Error listing admin users:', error);
+        throw error;
+    }
+}
+
+/**
+ * Set an admin's password and clear any lockout
+ * @param {string} username - Login name
+ * @param {string} password - New plaintext password (checked for strength)
+ * @returns {Promise<Object>} The updated user
+ * @throws {AdminAuthError} If the password is weak or the user does not exist
+ */
+async function setAdminPassword(username, password) {
+    const weakness = checkPasswordStrength(password, username);
+    if (weakness) {
+        throw new AdminAuthError('weak_password', weakness);
+    }
+
+    let data;
+    try {
+        data = await getStorage().updateRows('admin_users', {
+            password_hash: await hashPassword(password),
+            failed_login_count: 0,
+            locked_until: null
+        }, { username });
+    } catch (error) {
+        console.error('[AdminAuth] Error setting admin password:', error);
+        throw error;
+    }
+
+    if (data.length === 0) {
+        throw new AdminAuthError('not_found', 'Admin user not found');
+    }
+
+    console.log(`[AdminAuth] Password set for admin: ${username}`);
+    return toPublicUser(data[0]);
+}
+
+/**
+ * Disable an admin account and end its sessions
+ * @param {string} userId - Admin user ID
+ * @returns {Promise<Object|null>} The disabled user, or null if not found or already disabled
+ */
+async function disableAdminUser(userId) {
+    let data;
+    try {
+        data = await getStorage().updateRows('admin_users', { disabled_at: new Date().toISOString() }, { id: userId, disabled_at: null });
+    } catch (error) {
+        console.error('[AdminAuth] Error disabling admin user:', error);
+        throw error;
+    }
+
+    if (data.length === 0) {
+        return null;
+    }
+
+    await getStorage().updateRows('admin_sessions', { revoked_at: new Date().toISOString() }, { admin_user_id: userId, revoked_at: null });
+
+    console.log(`[AdminAuth] Disabled admin: ${data[0].username}`);
+    return toPublicUser(data[0]);
+}
+
+/**
+ * Record a failed login, locking the account after too many in a row
+ * The count only changes if it is unchanged since it was read, so concurrent failures
+ * are each counted; a lost race re-reads the account and tries again.
+ * @param {Object} user - The admin_users row
+ * @returns {Promise<boolean>} True if the account is now locked
+ */
+async function recordFailedLogin(user) {
+    const { maxFailedLogins, lockoutMs } = getAuthConfig();
+    const storage = getStorage();
+    let current = user;
+
+    for (let attempt = 0; attempt < FAILED_LOGIN_RETRIES && current; attempt++) {
+        const failures = current.failed_login_count + 1;
+        const lock = failures >= maxFailedLogins;
+
+        const updated = await storage.updateRows('admin_users', {
+            failed_login_count: lock ? 0 : failures,
+            ...(lock ? { locked_until: new Date(Date.now() + lockoutMs).toISOString() } : {})
+        }, { id: user.id, failed_login_count: current.failed_login_count });
+
+        if (updated.length > 0) {
+            if (lock) {
+                console.warn(`[AdminAuth] Locked admin ${user.username} after ${failures} failed logins`);
+            }
+            return lock;
+        }
+
+        [current] = await storage.selectRows('admin_users', { where: { id: user.id }, limit: 1 });
+    }
+
+    console.warn(`[AdminAuth] Could not record a failed login for admin ${user.username}: the count kept changing`);
+    return false;
+}
+
+/**
+ * Forget when a session's last_seen_at was written, for sessions past the write interval
+ */
+function pruneLastSeenWrites() {
+    const cutoff = Date.now() - LAST_SEEN_INTERVAL_MS;
+
+    for (const [sessionId, writtenAt] of lastSeenWrites) {
+        if (writtenAt <= cutoff) {
+            lastSeenWrites.delete(sessionId);
+        }
+    }
+}
+
+/**
+ * Log an admin in and start a session
+ * @param {Object} params - Login parameters
+ * @param {string} params.username - Login name
+ * @param {string} params.password - Plaintext password
+ * @param {string} params.ipAddress - Client IP, stored with the session
+ * @param {string} params.userAgent - Client user agent, stored with the session
+ * @returns {Promise<Object>} The session token, its expiry and the user
+ * @throws {AdminAuthError} invalid_credentials or locked
+ */
+async function login({ username, password, ipAddress, userAgent }) {
+    const [user] = await getStorage().selectRows('admin_users', { where: { username: String(username || '') }, limit: 1 });
+
+    if (!user || user.disabled_at) {
+        await verifyPassword(String(password || ''), await dummyHashPromise);
+        throw new AdminAuthError('invalid_credentials', 'Invalid credentials');
+    }
+
+    if (user.locked_until && new Date(user.locked_until).getTime() > Date.now()) {
+        throw new AdminAuthError('locked', 'Too many failed logins. Please try again later.');
+    }
+
+    if (!(await verifyPassword(String(password || ''), user.password_hash))) {
+        const locked = await recordFailedLogin(user);
+        throw locked
+            ? new AdminAuthError('locked', 'Too many failed logins. Please try again later.')
+            : new AdminAuthError('invalid_credentials', 'Invalid credentials');
+    }
+
+    await getStorage().updateRows(
+        'admin_users',
+        { failed_login_count: 0, locked_until: null, last_login_at: new Date().toISOString() },
+        { id: user.id }
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + getAuthConfig().sessionTtlMs);
+
+    try {
+        await getStorage().insertRows('admin_sessions', [{
+            token_hash: hashSessionToken(token),
+            admin_user_id: user.id,
+            ip_address: ipAddress || null,
+            user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+            expires_at: expiresAt.toISOString()
+        }]);
+    } catch (sessionError) {
+        console.error('[AdminAuth] Error creating session:', sessionError);
+        throw sessionError;
+    }
+
+    return { token, expiresAt, user: toPublicUser(user) };
+}
+
+/**
+ * Look up the session for a token
+ * @param {string} token - The session token from the cookie
+ * @returns {Promise<Object|null>} The session and its user, or null if not valid
+ */
+async function getSession(token) {
+    if (!token) {
+        return null;
+    }
+
+    const storage = getStorage();
+    const [session] = await storage.selectRows('admin_sessions', {
+        columns: ['id', 'admin_user_id', 'expires_at', 'revoked_at'],
+        where: { token_hash: hashSessionToken(token) },
+        limit: 1
+    });
+    const [user] = session
+        ? await storage.selectRows('admin_users', { columns: ['id', 'username', 'role', 'disabled_at'], where: { id: session.admin_user_id }, limit: 1 })
+        : [];
+
+    if (!session || !user || session.revoked_at || user.disabled_at
+        || new Date(session.expires_at).getTime() <= Date.now()) {
+        if (session) {
+            lastSeenWrites.delete(session.id);
+        }
+        return null;
+    }
+
+    const lastSeen = lastSeenWrites.get(session.id) || 0;
+    if (Date.now() - lastSeen >= LAST_SEEN_INTERVAL_MS) {
+        pruneLastSeenWrites();
+        lastSeenWrites.set(session.id, Date.now());
+        storage.updateRows('admin_sessions', { last_seen_at: new Date().toISOString() }, { id: session.id }).catch(updateError => {
+            console.error('[AdminAuth] Error updating session last seen time:', updateError);
+        });
+    }
+
+    return {
+        session: { id: session.id, expiresAt: session.expires_at },
+        user: { id: user.id, username: user.username, role: user.role }
+    };
+}
+
+/**
+ * Revoke a session
+ * @param {Object} match - Which session to revoke
+ * @param {string} match.sessionId - Session ID
+ * @param {string} match.token - Session token (for logout)
+ * @param {string} match.adminUserId - Only revoke if it belongs to this admin (optional)
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeSession({ sessionId, token, adminUserId }) {
+    const where = {
+        revoked_at: null,
+        ...(sessionId ? { id: sessionId } : { token_hash: hashSessionToken(token || '') }),
+        ...(adminUserId ? { admin_user_id: adminUserId } : {})
+    };
+
+    try {
+        const revoked = await getStorage().updateRows('admin_sessions', { revoked_at: new Date().toISOString() }, where);
+        revoked.forEach(session => lastSeenWrites.delete(session.id));
+        return revoked.length > 0;
+    } catch (error) {
+        console.error('[AdminAuth] Error revoking session:', error);
+        throw error;
+    }
+}
+
+/**
+ * List active sessions
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.adminUserId - Only this admin's sessions
+ * @returns {Promise<Array<Object>>} Sessions with the admin's username
+ */
+async function listSessions({ adminUserId } = {}) {
+    try {
+        const storage = getStorage();
+        const sessions = await storage.selectRows('admin_sessions', {
+            columns: ['id', 'admin_user_id', 'ip_address', 'user_agent', 'created_at', 'last_seen_at', 'expires_at'],
+            where: {
+                revoked_at: null,
+                expires_at: { gt: new Date().toISOString() },
+                ...(adminUserId ? { admin_user_id: adminUserId } : {})
+            },
+            order: [['created_at', 'desc']]
+        });
+        const users = await storage.selectRows('admin_users', {
+            columns: ['id', 'username'],
+            where: { id: { in: [...new Set(sessions.map(session => session.admin_user_id))] } }
+        });
+
+        return sessions.map(session => {
+            const user = users.find(candidate => candidate.id === session.admin_user_id);
+            return { ...session, username: user ? user.username : null };
+        });
+    } catch (error) {
+        console.error('[AdminAuth] Error listing sessions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Make sure the dashboard has an owner account
+ * On first run (no admin users), creates an owner from ADMIN_USERNAME and ADMIN_PASSWORD.
+ * A default or weak ADMIN_PASSWORD is always refused.
+ * @returns {Promise<Object>} Whether an owner was created
+ * @throws {AdminAuthError} weak_password or no_admin; the server must not start
+ */
+async function bootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (password) {
+        const weakness = checkPasswordStrength(password, username);
+        if (weakness) {
+            throw new AdminAuthError('weak_password', `ADMIN_PASSWORD is not acceptable: ${weakness}`);
+        }
+    }
+
+    const count = await getStorage().countRows('admin_users');
+
+    if (count > 0) {
+        return { created: false };
+    }
+
+    if (!username || !password) {
+        throw new AdminAuthError('no_admin', 'No admin accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner.');
+    }
+
+    await createAdminUser({ username, password, role: 'owner', createdBy: 'bootstrap' });
+    console.log(`[AdminAuth] Created the first owner account: ${username}. ADMIN_PASSWORD can now be removed.`);
+
+    return { created: true };
+}
+
+module.exports = {
+    AdminAuthError,
+    ADMIN_ROLES,
+    hashPassword,
+    verifyPassword,
+    checkPasswordStrength,
+    createAdminUser,
+    listAdminUsers,
+    setAdminPassword,
+    disableAdminUser,
+    login,
+    getSession,
+    revokeSession,
+    listSessions,
+    bootstrapAdmin
+};
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Operations an API key can be allowed to perform
+const API_KEY_SCOPES = ['refresh', 'status', 'gmail-proxy', 'admin-read', 'metrics', 'jobs'];
+
+// Keys look like fak_<prefix>_<secret>
+const KEY_PATTERN = /^fak_([A-Za-z0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// How long a looked-up key is reused before reading it from the database again
+const CACHE_TTL_MS = 30 * 1000;
+
+// Minimum time between last_used_at writes for the same key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const keyCache = new Map();
+const lastUsedWrites = new Map();
+
+/**
+ * Error raised when an API key cannot be used
+ * `reason` is one of: invalid, expired, revoked
+ */
+class ApiKeyError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Hash an API key for storage and comparison
+ * @param {string} key - The plaintext key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new plaintext API key
+ * @returns {Object} The key and its public prefix
+ */
+function generateApiKey() {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    const prefix = Array.from(crypto.randomBytes(12), byte => alphabet[byte % alphabet.length]).join('');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    return { key: `fak_${prefix}_${secret}`, prefix };
+}
+
+/**
+ * Check whether an API key may access a family
+ * @param {Object} apiKey - Key record (family_ids null means every family)
+ * @param {string} familyId - Unique family identifier
+ * @returns {boolean} True if allowed
+ */
+function isFamilyAllowed(apiKey, familyId) {
+    return !apiKey.family_ids || apiKey.family_ids.includes(familyId);
+}
+
+/**
+ * Strip the hash from a key record and add its status
+ * @param {Object} record - The api_keys row
+ * @returns {Object} The key record safe to return to the dashboard
+ */
+function toPublicKey(record) {
+    const { key_hash, ...rest } = record;
+    let status = 'active';
+
+    if (record.revoked_at) {
+        status = 'revoked';
+    } else if (record.expires_at && new Date(record.expires_at).getTime() <= Date.now()) {
+        status = 'expired';
+    }
+
+    return { ...rest, status };
+}
+
+/**
+ * Create an API key
+ * @param {Object} params - Key parameters
+ * @param {string} params.name - Label shown in the dashboard (e.g. "n8n production")
+ * @param {Array<string>} params.scopes - Subset of API_KEY_SCOPES
+ * @param {Array<string>} params.familyIds - Families the key may access (empty or omitted for all)
+ * @param {string} params.expiresAt - Expiry timestamp (optional)
+ * @param {string} params.createdBy - Admin username creating the key
+ * @returns {Promise<Object>} The key record and the plaintext key (only returned here)
+ */
+async function createApiKey({ name, scopes, familyIds, expiresAt, createdBy }) {
+    const invalidScopes = (scopes || []).filter(scope => !API_KEY_SCOPES.includes(scope));
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0 || invalidScopes.length > 0) {
+        throw new ApiKeyError('invalid', `A name and at least one scope (${API_KEY_SCOPES.join(', ')}) are required`);
+    }
+
+    if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+        throw new ApiKeyError('invalid', 'Invalid expiry date');
+    }
+
+    const { key, prefix } = generateApiKey();
+    const families = (familyIds || []).map(id => String(id).trim()).filter(Boolean);
+
+    let data;
+    try {
+        [data] = await getStorage().insertRows('api_keys', [{
+            name,
+            key_prefix: prefix,
+            key_hash: hashApiKey(key),
+            scopes: [...new Set(scopes)],
+            family_ids: families.length > 0 ? families : null,
+            expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+            created_by: createdBy || null
+        }]);
+    } catch (error) {
+        console.error('[ApiKeys] Error creating API key:', error);
+        throw error;
+    }
+
+    console.log(`[ApiKeys] Created API key ${data.key_prefix} (${name})`);
+    return { apiKey: toPublicKey(data), key };
+}
+
+/**
+ * List API keys, newest first
+ * @returns {Promise<Array<Object>>} Key records with status (no hashes)
+ */
+async function listApiKeys() {
+    let data;
+    try {
+        data = await getStorage().selectRows('api_keys', { order: [['created_at', 'desc']] });
+    } catch (error) {
+        console.error('[ApiKeys] Error listing API keys:', error);
+        throw error;
+    }
+
+    return data.map(toPublicKey);
+}
+
+/**
+ * Revoke an API key
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object|null>} The revoked key, or null if not found or already revoked
+ */
+async function revokeApiKey(keyId) {
+    let data;
+    try {
+        data = await getStorage().updateRows('api_keys', { revoked_at: new Date().toISOString() }, { id: keyId, revoked_at: null });
+    } catch (error) {
+        console.error('[ApiKeys] Error revoking API key:', error);
+        throw error;
+    }
+
+    if (data.length === 0) {
+        return null;
+    }
+
+    keyCache.delete(data[0].key_prefix);
+    console.log(`[ApiKeys] Revoked API key ${data[0].key_prefix}`);
+    return toPublicKey(data[0]);
+}
+
+/**
+ * Load a key record by prefix, with a short cache
+ * @param {string} prefix - The key's public prefix
+ * @returns {Promise<Object|null>} The api_keys row or null
+ */
+async function findKeyByPrefix(prefix) {
+    const cached = keyCache.get(prefix);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.record;
+    }
+
+    const [data] = await getStorage().selectRows('api_keys', { where: { key_prefix: prefix }, limit: 1 });
+    const record = data || null;
+
+    keyCache.set(prefix, { record, expiresAt: Date.now() + CACHE_TTL_MS });
+    return record;
+}
+
+/**
+ * Record that a key was used, at most once a minute per key
+ * @param {Object} record - The api_keys row
+ * @returns {void}
+ */
+function touchLastUsed(record) {
+    const last = lastUsedWrites.get(record.id) || 0;
+
+    if (Date.now() - last < LAST_USED_INTERVAL_MS) {
+        return;
+    }
+
+    lastUsedWrites.set(record.id, Date.now());
+
+    getStorage().updateRows('api_keys', { last_used_at: new Date().toISOString() }, { id: record.id }).catch(error => {
+        console.error(`[ApiKeys] Error updating last used time for ${record.key_prefix}:`, error);
+    });
+}
+
+/**
+ * Verify a presented API key
+ * @param {string} key - The plaintext key from the x-api-key header
+ * @returns {Promise<Object>} The key record (without its hash)
+ * @throws {ApiKeyError} If the key is unknown, expired or revoked
+ */
+async function verifyApiKey(key) {
+    const match = KEY_PATTERN.exec(key || '');
+
+    if (!match) {
+        throw new ApiKeyError('invalid', 'Malformed API key');
+    }
+
+    const record = await findKeyByPrefix(match[1]);
+
+    // Compare against a dummy hash for unknown prefixes so both paths take the same time
+    const expected = Buffer.from(record ? record.key_hash : hashApiKey('unknown'), 'hex');
+    const provided = Buffer.from(hashApiKey(key), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, provided) || !record) {
+        throw new ApiKeyError('invalid', 'Invalid API key');
+    }
+
+    if (record.revoked_at) {
+        throw new ApiKeyError('revoked', 'API key has been revoked');
+    }
+
+    if (record.expires_at && new Date(record.expires_at).getTime() <= Date.now()) {
+        throw new ApiKeyError('expired', 'API key has expired');
+    }
+
+    touchLastUsed(record);
+
+    return toPublicKey(record);
+}
+
+module.exports = {
+    ApiKeyError,
+    API_KEY_SCOPES,
+    hashApiKey,
+    generateApiKey,
+    isFamilyAllowed,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    verifyApiKey
+};
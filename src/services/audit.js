@@ -0,0 +1,296 @@
+const { getStorage } = require('./storage');
+const { toCsv } = require('./csv');
+
+// Audited actions
+const AUDIT_ACTIONS = {
+    CONNECTION_CREATED: 'connection.created',
+    CONNECTION_RECONNECTED: 'connection.reconnected',
+    CONNECTION_DISCONNECTED: 'connection.disconnected',
+    CONNECTION_TESTED: 'connection.tested',
+    FAMILY_DATA_EXPORTED: 'family_data.exported',
+    FAMILY_ERASED: 'family.erased',
+    TOKEN_REFRESH: 'token.refresh',
+    TOKEN_REFRESH_BATCH: 'token.refresh_batch',
+    DISCONNECT_LINK_CREATED: 'disconnect_link.created',
+    PRIVACY_LINK_CREATED: 'privacy_link.created',
+    EMAIL_RULES_UPDATED: 'email_rules.updated',
+    INVITE_CREATED: 'invite.created',
+    INVITE_REVOKED: 'invite.revoked',
+    RECONNECT_REMINDER_SENT: 'reconnect_reminder.sent',
+    API_KEY_CREATED: 'api_key.created',
+    API_KEY_REVOKED: 'api_key.revoked',
+    ADMIN_LOGIN: 'admin.login',
+    ADMIN_LOGIN_FAILED: 'admin.login_failed',
+    ADMIN_LOGOUT: 'admin.logout',
+    ADMIN_USER_CREATED: 'admin_user.created',
+    ADMIN_USER_DISABLED: 'admin_user.disabled',
+    ADMIN_SESSION_REVOKED: 'admin_session.revoked',
+    AUDIT_LOG_EXPORTED: 'audit_log.exported',
+    FAMILIES_IMPORTED: 'families.imported',
+    FAMILIES_EXPORTED: 'families.exported'
+};
+
+// Largest page the dashboard can request, and the most rows a CSV export contains
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+// Rows fetched per query while exporting (PostgREST's default row limit)
+const EXPORT_BATCH_SIZE = 1000;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['created_at', 'action', 'actor_type', 'actor_id', 'family_id', 'account_id', 'details'];
+
+// Retention runs once a day
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let retentionTimer = null;
+
+/**
+ * Append an entry to the audit log
+ * Failures are logged and swallowed so auditing never breaks the action itself.
+ * @param {Object} entry - The audit entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object} entry.actor - Who did it ({ type: admin|family|api_key|system, id })
+ * @param {string} entry.familyId - The family affected (optional)
+ * @param {string} entry.accountId - The account affected (optional)
+ * @param {Object} entry.details - Action-specific data; must not contain tokens
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent({ action, actor, familyId, accountId, details = {} }) {
+    try {
+        await getStorage().insertRows('audit_log', [{
+            action,
+            actor_type: actor.type,
+            actor_id: actor.id || null,
+            family_id: familyId || null,
+            account_id: accountId || null,
+            details
+        }]);
+    } catch (error) {
+        console.error(`[Audit] Error recording ${action}:`, error);
+    }
+}
+
+/**
+ * Build the audit actor for a request authenticated with an API key
+ * Keys are identified by their public prefix ("env" for the legacy API_SECRET_KEY).
+ * @param {Object} apiKey - The key record set by requireApiKey
+ * @returns {Object} The actor
+ */
+function apiKeyActor(apiKey) {
+    return { type: 'api_key', id: apiKey.key_prefix };
+}
+
+/**
+ * Build the storage conditions of audit log filters
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.action - Exact action
+ * @param {string} filters.actorType - admin, family, api_key or system
+ * @param {string} filters.actorId - Exact actor ID
+ * @param {string} filters.familyId - Exact family ID
+ * @param {string} filters.from - Only entries at or after this time
+ * @param {string} filters.to - Only entries before this time
+ * @returns {Object} Conditions for the storage adapter
+ */
+function buildAuditWhere({ action, actorType, actorId, familyId, from, to } = {}) {
+    const where = {};
+
+    if (action) where.action = action;
+    if (actorType) where.actor_type = actorType;
+    if (actorId) where.actor_id = actorId;
+    if (familyId) where.family_id = familyId;
+    if (from || to) {
+        where.created_at = {
+            ...(from ? { gte: new Date(from).toISOString() } : {}),
+            ...(to ? { lt: new Date(to).toISOString() } : {})
+        };
+    }
+
+    return where;
+}
+
+/**
+ * Read a page of audit entries, newest first
+ * @param {Object} where - Conditions (see buildAuditWhere)
+ * @param {number} limit - Entries to read
+ * @param {number} offset - Entries to skip
+ * @returns {Promise<Array<Object>>} audit_log rows
+ */
+function selectAuditEvents(where, limit, offset) {
+    return getStorage().selectRows('audit_log', {
+        where,
+        order: [['created_at', 'desc'], ['id', 'desc']],
+        limit,
+        offset
+    });
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} filters - Optional filters (see buildAuditWhere)
+ * @param {Object} page - Pagination
+ * @param {number} page.limit - Entries per page (at most 200)
+ * @param {number} page.offset - Entries to skip
+ * @returns {Promise<Object>} The entries and the total number matching the filters
+ */
+async function listAuditEvents(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+    const start = Math.max(Number(offset) || 0, 0);
+
+    const where = buildAuditWhere(filters);
+
+    try {
+        const [events, total] = await Promise.all([
+            selectAuditEvents(where, pageSize, start),
+            getStorage().countRows('audit_log', where)
+        ]);
+
+        return { events, total };
+    } catch (error) {
+        console.error('[Audit] Error listing audit log:', error);
+        throw error;
+    }
+}
+
+/**
+ * Read every audit entry matching the filters, up to the export limit
+ * @param {Object} filters - Optional filters (see buildAuditWhere)
+ * @returns {Promise<Object>} The entries, newest first, and whether the limit cut the export short
+ */
+async function exportAuditEvents(filters = {}) {
+    const where = buildAuditWhere(filters);
+    const events = [];
+    let total;
+
+    try {
+        total = await getStorage().countRows('audit_log', where);
+
+        while (events.length < MAX_EXPORT_ROWS) {
+            const batch = await selectAuditEvents(where, EXPORT_BATCH_SIZE, events.length);
+            events.push(...batch);
+
+            if (batch.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+        }
+    } catch (error) {
+        console.error('[Audit] Error exporting audit log:', error);
+        throw error;
+    }
+
+    return { events: events.slice(0, MAX_EXPORT_ROWS), truncated: total > MAX_EXPORT_ROWS };
+}
+
+/**
+ * Format audit entries as CSV
+ * @param {Array<Object>} events - audit_log rows
+ * @returns {string} CSV with a header row
+ */
+function toAuditCsv(events) {
+    return toCsv(CSV_COLUMNS, events);
+}
+
+/**
+ * Get the audit retention period from AUDIT_RETENTION_DAYS
+ * @returns {number} Days to keep entries (0 keeps them forever)
+ */
+function getRetentionDays() {
+    const configured = process.env.AUDIT_RETENTION_DAYS;
+    const days = configured === undefined || configured === '' ? 365 : Number(configured);
+
+    if (!Number.isFinite(days) || days <= 0) {
+        return 0;
+    }
+
+    // The database refuses shorter periods, so the log always covers at least a month
+    return Math.max(Math.floor(days), 30);
+}
+
+/**
+ * Remove personal data from a family's audit entries, for a data-subject erasure
+ * Each entry's details are replaced and its action, actor and time kept. On Supabase the
+ * append-only log only allows this through the scrub_family_audit_log database function.
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<number>} Number of entries scrubbed
+ */
+async function scrubFamilyAuditEvents(familyId) {
+    let scrubbed;
+    try {
+        scrubbed = await getStorage().scrubFamilyAuditLog(familyId);
+    } catch (error) {
+        console.error('[Audit] Error scrubbing audit entries:', error);
+        throw error;
+    }
+
+    console.log(`[Audit] Scrubbed ${scrubbed} audit entries of family: ${familyId}`);
+    return scrubbed;
+}
+
+/**
+ * Delete audit entries older than the retention period
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function purgeAuditLog() {
+    const retainDays = getRetentionDays();
+
+    if (retainDays === 0) {
+        return 0;
+    }
+
+    let deleted;
+    try {
+        deleted = await getStorage().purgeAuditLog(retainDays);
+    } catch (error) {
+        console.error('[Audit] Error applying retention policy:', error);
+        throw error;
+    }
+
+    if (deleted > 0) {
+        console.log(`[Audit] Deleted ${deleted} audit entries older than ${retainDays} days`);
+    }
+
+    return deleted;
+}
+
+/**
+ * Start applying the retention policy daily in the background
+ * @returns {void}
+ */
+function startAuditRetention() {
+    if (retentionTimer || getRetentionDays() === 0) return;
+
+    // Errors are already logged by purgeAuditLog
+    const run = () => purgeAuditLog().catch(() => {});
+
+    retentionTimer = setInterval(run, RETENTION_INTERVAL_MS);
+    retentionTimer.unref();
+    run();
+
+    console.log(`[Audit] Keeping audit entries for ${getRetentionDays()} days`);
+}
+
+/**
+ * Stop the background retention job
+ * @returns {void}
+ */
+function stopAuditRetention() {
+    if (retentionTimer) {
+        clearInterval(retentionTimer);
+        retentionTimer = null;
+    }
+}
+
+module.exports = {
+    recordAuditEvent,
+    apiKeyActor,
+    listAuditEvents,
+    exportAuditEvents,
+    toAuditCsv,
+    getRetentionDays,
+    purgeAuditLog,
+    scrubFamilyAuditEvents,
+    startAuditRetention,
+    stopAuditRetention,
+    AUDIT_ACTIONS,
+    MAX_EXPORT_ROWS
+};
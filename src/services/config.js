@@ -0,0 +1,226 @@
+const { getActiveKeyVersion } = require('./tokenEncryption');
+
+// Variables the server cannot run without
+const REQUIRED_VARIABLES = [
+    'GOOGLE_CLIENT_ID',
+    'GOOGLE_CLIENT_SECRET',
+    'OAUTH_STATE_SECRET',
+    'INVITE_SECRET',
+    'TOKEN_ENCRYPTION_KEYS',
+    'BASE_URL'
+];
+
+// Signing secrets shorter than this are too easy to guess
+const MIN_SECRET_LENGTH = 16;
+
+// Optional settings that must be positive whole numbers when set
+const POSITIVE_INTEGER_VARIABLES = [
+    'REFRESH_THRESHOLD_MINUTES',
+    'REFRESH_INTERVAL_MINUTES',
+    'BATCH_REFRESH_CONCURRENCY',
+    'RECONNECT_REMINDER_INTERVAL_HOURS',
+    'ADMIN_SESSION_TTL_HOURS',
+    'ADMIN_MAX_FAILED_LOGINS',
+    'ADMIN_LOCKOUT_MINUTES'
+];
+
+// Variables that only work together: set all of them or none
+const VARIABLE_GROUPS = [
+    ['MICROSOFT_CLIENT_ID', 'MICROSOFT_CLIENT_SECRET']
+];
+
+const STORAGE_BACKENDS = ['supabase', 'postgres', 'sqlite'];
+const LOG_FORMATS = ['json', 'text'];
+
+/**
+ * Error raised when the configuration is missing or malformed
+ * `problems` lists each variable and what is wrong with it.
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(({ variable, problem }) => `  - ${variable}: ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.reason = 'invalid_config';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Parse a URL, returning null if it is not a valid http(s) URL
+ * @param {string} value - The URL
+ * @returns {URL|null} The parsed URL
+ */
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check BASE_URL, which Google and Microsoft redirect back to
+ * @param {string} value - The configured BASE_URL
+ * @returns {string|null} The problem, or null if it is valid
+ */
+function checkBaseUrl(value) {
+    const url = parseHttpUrl(value);
+
+    if (!url) {
+        return 'must be an http(s) URL, e.g. https://your-domain.example.com';
+    }
+
+    if (value.endsWith('/') || url.search || url.hash) {
+        return 'must not end with a slash or have a query string, or the OAuth redirect URI will not match';
+    }
+
+    const local = ['localhost', '127.0.0.1'].includes(url.hostname);
+
+    if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:' && !local) {
+        return 'must use https in production';
+    }
+
+    return null;
+}
+
+/**
+ * Check a port number
+ * @param {string} value - The configured port
+ * @returns {string|null} The problem, or null if it is valid
+ */
+function checkPort(value) {
+    const port = Number(value);
+    return Number.isInteger(port) && port > 0 && port < 65536 ? null : 'must be a port number between 1 and 65535';
+}
+
+/**
+ * Validate the environment configuration
+ * @returns {Array<Object>} Problems found ({ variable, problem }); empty if the configuration is valid
+ */
+function validateConfig() {
+    const env = process.env;
+    const problems = [];
+    const report = (variable, problem) => problems.push({ variable, problem });
+
+    for (const variable of REQUIRED_VARIABLES) {
+        if (!env[variable]) {
+            report(variable, 'is required');
+        }
+    }
+
+    if (env.BASE_URL) {
+        const problem = checkBaseUrl(env.BASE_URL);
+        if (problem) report('BASE_URL', problem);
+    }
+
+    if (env.GOOGLE_CLIENT_ID && !env.GOOGLE_CLIENT_ID.endsWith('.apps.googleusercontent.com')) {
+        report('GOOGLE_CLIENT_ID', 'must be an OAuth client ID ending in .apps.googleusercontent.com');
+    }
+
+    for (const variable of ['OAUTH_STATE_SECRET', 'INVITE_SECRET']) {
+        if (env[variable] && env[variable].length < MIN_SECRET_LENGTH) {
+            report(variable, `must be at least ${MIN_SECRET_LENGTH} characters`);
+        }
+    }
+
+    if (env.TOKEN_ENCRYPTION_KEYS) {
+        try {
+            getActiveKeyVersion();
+        } catch (error) {
+            report('TOKEN_ENCRYPTION_KEYS', error.message);
+        }
+    }
+
+    for (const variable of ['PORT', 'METRICS_PORT']) {
+        if (env[variable]) {
+            const problem = checkPort(env[variable]);
+            if (problem) report(variable, problem);
+        }
+    }
+
+    for (const variable of POSITIVE_INTEGER_VARIABLES) {
+        if (env[variable] && !/^[1-9]\d*$/.test(env[variable])) {
+            report(variable, 'must be a positive whole number');
+        }
+    }
+
+    if (env.AUDIT_RETENTION_DAYS && !/^\d+$/.test(env.AUDIT_RETENTION_DAYS)) {
+        report('AUDIT_RETENTION_DAYS', 'must be a whole number of days (0 keeps entries forever)');
+    }
+
+    if (env.HEALTH_CONNECTION_ERROR_THRESHOLD) {
+        const threshold = Number(env.HEALTH_CONNECTION_ERROR_THRESHOLD);
+        if (!(threshold > 0 && threshold <= 1)) {
+            report('HEALTH_CONNECTION_ERROR_THRESHOLD', 'must be a fraction between 0 and 1, e.g. 0.25');
+        }
+    }
+
+    for (const group of VARIABLE_GROUPS) {
+        const missing = group.filter(variable => !env[variable]);
+
+        if (missing.length > 0 && missing.length < group.length) {
+            report(missing.join(', '), `must be set together with ${group.filter(variable => env[variable]).join(', ')}`);
+        }
+    }
+
+    const backend = env.STORAGE_BACKEND || 'supabase';
+
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        report('STORAGE_BACKEND', `must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+    } else if (backend === 'postgres' && !env.DATABASE_URL) {
+        report('DATABASE_URL', 'is required when STORAGE_BACKEND is postgres');
+    } else if (backend === 'supabase') {
+        for (const variable of ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY']) {
+            if (!env[variable]) {
+                report(variable, 'is required when STORAGE_BACKEND is supabase');
+            }
+        }
+
+        if (env.SUPABASE_URL && !parseHttpUrl(env.SUPABASE_URL)) {
+            report('SUPABASE_URL', 'must be an http(s) URL, e.g. https://your-project.supabase.co');
+        }
+    }
+
+    if (env.SMTP_HOST && !env.MAIL_FROM) {
+        report('MAIL_FROM', 'is required when SMTP_HOST is set');
+    }
+
+    if (env.ALLOW_LEGACY_API_KEY === 'true' && !env.API_SECRET_KEY) {
+        report('API_SECRET_KEY', 'is required when ALLOW_LEGACY_API_KEY is true');
+    }
+
+    if (env.WEBHOOK_URLS && !env.WEBHOOK_SECRET) {
+        report('WEBHOOK_SECRET', 'is required when WEBHOOK_URLS is set');
+    }
+
+    for (const url of (env.WEBHOOK_URLS || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+        if (!parseHttpUrl(url)) {
+            report('WEBHOOK_URLS', `"${url}" is not an http(s) URL`);
+        }
+    }
+
+    if (env.LOG_FORMAT && !LOG_FORMATS.includes(env.LOG_FORMAT)) {
+        report('LOG_FORMAT', `must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Validate the configuration, throwing if anything is missing or malformed
+ * @throws {ConfigError} Listing every problem found
+ */
+function assertValidConfig() {
+    const problems = validateConfig();
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+}
+
+module.exports = {
+    ConfigError,
+    validateConfig,
+    assertValidConfig
+};
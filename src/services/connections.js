@@ -0,0 +1,272 @@
+const { listAccounts, listFamilyAccounts, getFamilyTokens, parseGrantedScopes } = require('./storage');
+const { getLatestInvite } = require('./invites');
+const { getProvider, DEFAULT_SCOPE_PROFILE } = require('./providers');
+const { refreshFamilyToken } = require('./tokenRefresher');
+const { isInvalidGrantError } = require('./google');
+const { recordAuditEvent, AUDIT_ACTIONS } = require('./audit');
+const { toCsv } = require('./csv');
+
+// Status filters for the connection list
+//   active: working connections, failing: active but the last refresh failed,
+//   needs_reconnect: the refresh token was rejected
+const STATUS_FILTERS = ['active', 'failing', 'needs_reconnect'];
+
+// Columns the connection list can be sorted by
+const SORT_COLUMNS = ['family_id', 'family_name', 'email', 'status', 'token_expiry', 'last_refresh_at', 'last_token_fetch_at', 'created_at'];
+const DATE_COLUMNS = ['token_expiry', 'last_refresh_at', 'last_token_fetch_at', 'created_at'];
+
+// Largest page the dashboard can request
+const MAX_PAGE_SIZE = 200;
+
+// Columns of the connections export, in order (no tokens)
+const EXPORT_COLUMNS = [
+    'family_id', 'family_name', 'email', 'provider', 'status', 'last_error', 'token_expiry',
+    'last_refresh_at', 'last_token_fetch_at', 'granted_scopes', 'created_at', 'updated_at'
+];
+
+/**
+ * Error raised when a connection query or test cannot run
+ * `reason` is one of: invalid, not_found
+ */
+class ConnectionError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ConnectionError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Check whether an account matches a status filter
+ * @param {Object} account - Account summary
+ * @param {string} status - One of STATUS_FILTERS
+ * @returns {boolean} True if it matches
+ */
+function matchesStatus(account, status) {
+    if (status === 'failing') {
+        return account.status === 'active' && Boolean(account.last_error);
+    }
+    return account.status === status;
+}
+
+/**
+ * Compare two accounts by a column, with empty values last
+ * @param {string} column - One of SORT_COLUMNS
+ * @returns {Function} Comparator for ascending order
+ */
+function compareBy(column) {
+    const value = account => {
+        const raw = account[column];
+        if (raw === null || raw === undefined || raw === '') return null;
+        return DATE_COLUMNS.includes(column) ? new Date(raw).getTime() : String(raw).toLowerCase();
+    };
+
+    return (a, b) => {
+        const left = value(a);
+        const right = value(b);
+
+        if (left === right) return 0;
+        if (left === null) return 1;
+        if (right === null) return -1;
+        return left < right ? -1 : 1;
+    };
+}
+
+/**
+ * List connected accounts with search, status and provider filters, sorting and pagination
+ * @param {Object} query - Query options
+ * @param {string} query.search - Case-insensitive text matched against family ID, family name and email
+ * @param {string} query.status - One of STATUS_FILTERS
+ * @param {string} query.provider - google or microsoft
+ * @param {string} query.sort - One of SORT_COLUMNS (default created_at)
+ * @param {string} query.order - asc or desc (default desc)
+ * @param {number} query.limit - Page size (max 200); every match is returned without it
+ * @param {number} query.offset - Rows to skip
+ * @param {Array<string>|null} query.familyIds - Only these families (an API key's allowlist)
+ * @returns {Promise<Object>} The page of accounts, the total matching and counts per status filter
+ * @throws {ConnectionError} If a filter, sort column or order is unknown
+ */
+async function listConnections({ search, status, provider, sort = 'created_at', order = 'desc', limit, offset, familyIds = null } = {}) {
+    if (status && !STATUS_FILTERS.includes(status)) {
+        throw new ConnectionError('invalid', `status must be one of: ${STATUS_FILTERS.join(', ')}`);
+    }
+    if (provider && !getProvider(provider)) {
+        throw new ConnectionError('invalid', `Unknown provider: ${provider}`);
+    }
+    if (!SORT_COLUMNS.includes(sort)) {
+        throw new ConnectionError('invalid', `sort must be one of: ${SORT_COLUMNS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw new ConnectionError('invalid', 'order must be asc or desc');
+    }
+
+    const term = (search || '').trim().toLowerCase();
+
+    const matching = (await listAccounts()).filter(account => {
+        if (familyIds && !familyIds.includes(account.family_id)) return false;
+        if (provider && (account.provider || 'google') !== provider) return false;
+        return !term || [account.family_id, account.family_name, account.email]
+            .some(value => value && value.toLowerCase().includes(term));
+    });
+
+    // Counts before the status filter, so the dashboard can show them on the filter buttons
+    const counts = { all: matching.length };
+    for (const filter of STATUS_FILTERS) {
+        counts[filter] = matching.filter(account => matchesStatus(account, filter)).length;
+    }
+
+    const filtered = status ? matching.filter(account => matchesStatus(account, status)) : matching;
+    const comparator = compareBy(sort);
+    filtered.sort((a, b) => (order === 'asc' ? comparator(a, b) : -comparator(a, b)) || compareBy('created_at')(b, a));
+
+    const start = Math.max(Number(offset) || 0, 0);
+    const page = limit === undefined
+        ? filtered.slice(start)
+        : filtered.slice(start, start + Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE));
+
+    return { accounts: page, total: filtered.length, counts };
+}
+
+/**
+ * Get the diagnostics of a family's connections
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<Object>} The family's accounts (with granted scopes as a list, or null if never recorded) and its latest invite
+ * @throws {ConnectionError} If the family has no connected accounts
+ */
+async function getFamilyConnections(familyId) {
+    const accounts = await listFamilyAccounts(familyId);
+
+    if (accounts.length === 0) {
+        throw new ConnectionError('not_found', 'Family not found');
+    }
+
+    const invite = await getLatestInvite(familyId);
+
+    return {
+        family_id: familyId,
+        family_name: accounts.find(account => account.family_name)?.family_name || null,
+        scope_profile: (invite && invite.scope_profile) || DEFAULT_SCOPE_PROFILE,
+        contact_email: (invite && invite.contact_email) || null,
+        accounts: accounts.map(account => ({
+            ...account,
+            provider: account.provider || 'google',
+            granted_scopes: parseGrantedScopes(account.granted_scopes)
+        }))
+    };
+}
+
+/**
+ * Test a connection end to end: refresh its token, then read the mailbox profile
+ * (Gmail getProfile, or Microsoft Graph /me) with the new token
+ * A rejected refresh token marks the account needs_reconnect as any refresh would.
+ * @param {string} familyId - Unique family identifier
+ * @param {string} accountId - Account (row) ID
+ * @param {Object} options - Test options
+ * @param {Object} options.actor - Who ran the test, for the audit log
+ * @returns {Promise<Object>} ok, and the outcome and duration of the refresh and profile steps
+ * @throws {ConnectionError} If the account does not exist
+ */
+async function testConnection(familyId, accountId, { actor }) {
+    const tokenData = await getFamilyTokens(familyId, { accountId });
+
+    if (!tokenData) {
+        throw new ConnectionError('not_found', 'Account not found');
+    }
+
+    const provider = getProvider(tokenData.provider);
+    const result = { account_id: tokenData.id, email: tokenData.email, provider: provider.name, ok: false };
+
+    let accessToken = null;
+    let startedAt = Date.now();
+
+    try {
+        const newTokens = await refreshFamilyToken(tokenData);
+        accessToken = newTokens.access_token;
+        result.refresh = { ok: true, duration_ms: Date.now() - startedAt, expires_at: newTokens.expires_at };
+    } catch (error) {
+        result.refresh = {
+            ok: false,
+            duration_ms: Date.now() - startedAt,
+            error: isInvalidGrantError(error) ? 'invalid_grant' : 'refresh_failed',
+            message: error.message || String(error)
+        };
+    }
+
+    if (accessToken) {
+        startedAt = Date.now();
+
+        try {
+            const email = await provider.getUserEmail(accessToken);
+            const matches = String(email).toLowerCase() === String(tokenData.email).toLowerCase();
+
+            result.profile = {
+                ok: matches,
+                duration_ms: Date.now() - startedAt,
+                email,
+                ...(matches ? {} : { error: 'email_mismatch', message: `The token belongs to ${email}, not ${tokenData.email}` })
+            };
+        } catch (error) {
+            result.profile = {
+                ok: false,
+                duration_ms: Date.now() - startedAt,
+                error: 'profile_failed',
+                message: error.message || String(error)
+            };
+        }
+    }
+
+    result.ok = Boolean(result.refresh.ok && result.profile && result.profile.ok);
+
+    console.log(`[Connections] Tested account ${accountId} of family ${familyId}: ${result.ok ? 'ok' : (result.profile || result.refresh).error}`);
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.CONNECTION_TESTED,
+        actor,
+        familyId,
+        accountId,
+        details: {
+            email: tokenData.email,
+            provider: provider.name,
+            ok: result.ok,
+            error: result.ok ? null : (result.profile || result.refresh).error
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Shape accounts for the connections export
+ * @param {Array<Object>} accounts - Account summaries from listConnections
+ * @returns {Array<Object>} One object per account with the export columns, granted scopes as a list
+ */
+function toExportRows(accounts) {
+    return accounts.map(account => ({
+        ...Object.fromEntries(EXPORT_COLUMNS.map(column => [column, account[column] ?? null])),
+        provider: account.provider || 'google',
+        granted_scopes: parseGrantedScopes(account.granted_scopes)
+    }));
+}
+
+/**
+ * Format exported accounts as CSV
+ * @param {Array<Object>} rows - Rows from toExportRows
+ * @returns {string} CSV with a header row; granted scopes are space-separated
+ */
+function toConnectionsCsv(rows) {
+    return toCsv(EXPORT_COLUMNS, rows.map(row => ({
+        ...row,
+        granted_scopes: row.granted_scopes ? row.granted_scopes.join(' ') : null
+    })));
+}
+
+module.exports = {
+    ConnectionError,
+    STATUS_FILTERS,
+    SORT_COLUMNS,
+    listConnections,
+    getFamilyConnections,
+    testConnection,
+    toExportRows,
+    toConnectionsCsv
+};
@@ -0,0 +1,107 @@
+/**
+ * Quote a value for CSV
+ * Values starting with a formula character are prefixed with ' so spreadsheets show them as text.
+ * @param {*} value - The cell value
+ * @returns {string} The CSV cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV with a header row
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map(column => toCsvCell(row[column])).join(','));
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text into records
+ * Handles quoted cells (with "" escapes and line breaks), CRLF or LF line endings and a
+ * leading byte order mark, as spreadsheets export them. Blank lines are skipped.
+ * @param {string} text - The CSV text
+ * @returns {Array<Object>} Records with their 1-based line number and cells
+ * @throws {Error} If a quoted cell is not closed
+ */
+function parseCsv(text) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0].trim() !== '') {
+            records.push({ line: recordLine, cells });
+        }
+        cells = [];
+        cell = '';
+    };
+
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unclosed quote in the record starting on line ${recordLine}`);
+    }
+
+    if (cell !== '' || cells.length > 0) {
+        endRecord();
+    }
+
+    return records;
+}
+
+module.exports = {
+    toCsvCell,
+    toCsv,
+    parseCsv
+};
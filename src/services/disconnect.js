@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+
+const { getProvider } = require('./providers');
+const { getFamilyTokens, getConnectionStatus, deleteAccount } = require('./storage');
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhooks');
+const { recordAuditEvent, AUDIT_ACTIONS } = require('./audit');
+
+// Default lifetime of a disconnect link (7 days) and the longest allowed (30 days)
+const DEFAULT_DISCONNECT_TTL_HOURS = 7 * 24;
+const MAX_DISCONNECT_TTL_HOURS = 30 * 24;
+
+/**
+ * Error raised when a disconnect cannot be completed
+ * `reason` is one of: invalid, expired (link), not_found, revoke_failed
+ */
+class DisconnectError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'DisconnectError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Compute the HMAC signature for an encoded disconnect payload
+ * Signed with INVITE_SECRET under a separate prefix, so invite and disconnect
+ * tokens can never be swapped for one another.
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} base64url encoded signature
+ */
+function sign(encodedPayload) {
+    const secret = process.env.INVITE_SECRET;
+
+    if (!secret) {
+        throw new Error('Missing invite configuration. Please set INVITE_SECRET environment variable.');
+    }
+
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`disconnect.${encodedPayload}`)
+        .digest('base64url');
+}
+
+/**
+ * Create a signed link that lets a family disconnect its own accounts
+ * @param {Object} params - Link parameters
+ * @param {string} params.familyId - Unique family identifier
+ * @param {string} params.familyName - Display name shown on the disconnect page
+ * @param {number} params.expiresInHours - Hours until the link expires
+ * @returns {Object} The token, link and expiry
+ */
+function createDisconnectLink({ familyId, familyName, expiresInHours = DEFAULT_DISCONNECT_TTL_HOURS }) {
+    const ttlHours = Math.min(Math.max(Number(expiresInHours) || DEFAULT_DISCONNECT_TTL_HOURS, 1), MAX_DISCONNECT_TTL_HOURS);
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+    const encodedPayload = Buffer.from(JSON.stringify({
+        familyId,
+        familyName: familyName || '',
+        exp: expiresAt.getTime()
+    })).toString('base64url');
+
+    const token = `${encodedPayload}.${sign(encodedPayload)}`;
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    return {
+        token,
+        link: `${baseUrl}/disconnect?${new URLSearchParams({ token }).toString()}`,
+        expiresAt: expiresAt.toISOString()
+    };
+}
+
+/**
+ * Verify a disconnect token
+ * @param {string} token - The signed disconnect token
+ * @returns {Object} familyId and familyName
+ * @throws {DisconnectError} If the token is invalid or expired
+ */
+function verifyDisconnectToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 2) {
+        throw new DisconnectError('invalid', 'Malformed disconnect token');
+    }
+
+    const [encodedPayload, signature] = parts;
+    const expected = Buffer.from(sign(encodedPayload));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new DisconnectError('invalid', 'Disconnect signature does not match');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new DisconnectError('invalid', 'Disconnect payload is not valid JSON');
+    }
+
+    if (!payload.familyId || typeof payload.exp !== 'number') {
+        throw new DisconnectError('invalid', 'Disconnect payload is incomplete');
+    }
+
+    if (Date.now() > payload.exp) {
+        throw new DisconnectError('expired', 'Disconnect link has expired');
+    }
+
+    return {
+        familyId: payload.familyId,
+        familyName: payload.familyName || ''
+    };
+}
+
+/**
+ * Disconnect one of a family's accounts
+ * The grant is revoked at the provider first, then the stored tokens are deleted.
+ * If revocation fails the tokens are kept so it can be retried, unless `force` is set.
+ * @param {string} familyId - Unique family identifier
+ * @param {string} accountId - Account (row) ID
+ * @param {Object} options - Disconnect options
+ * @param {Object} options.actor - Who is disconnecting ({ type: admin|family, id })
+ * @param {boolean} options.force - Delete the tokens even if revocation fails
+ * @returns {Promise<Object>} accountId, email, whether the grant was revoked, and whether the family has no accounts left
+ * @throws {DisconnectError} If the account does not exist or revocation failed
+ */
+async function disconnectAccount(familyId, accountId, { actor, force = false }) {
+    const tokenData = await getFamilyTokens(familyId, { accountId });
+
+    if (!tokenData) {
+        throw new DisconnectError('not_found', 'Account not found');
+    }
+
+    const provider = getProvider(tokenData.provider);
+    let revoked = false;
+    let revokeError = null;
+
+    try {
+        revoked = await provider.revokeToken(tokenData.refresh_token || tokenData.access_token);
+    } catch (error) {
+        revokeError = error.message;
+        console.error(`[Disconnect] Failed to revoke grant for account ${accountId} of family ${familyId}:`, error.message);
+
+        if (!force) {
+            throw new DisconnectError('revoke_failed', `Could not revoke access at ${provider.displayName}: ${error.message}`);
+        }
+    }
+
+    const deleted = await deleteAccount(familyId, accountId);
+
+    if (!deleted) {
+        throw new DisconnectError('not_found', 'Account not found');
+    }
+
+    console.log(`[Disconnect] Disconnected account ${accountId} of family ${familyId} (revoked: ${revoked})`);
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.CONNECTION_DISCONNECTED,
+        actor,
+        familyId,
+        accountId,
+        details: {
+            email: deleted.email,
+            provider: provider.name,
+            revoked,
+            revoke_error: revokeError,
+            forced: Boolean(force && revokeError)
+        }
+    });
+
+    const eventData = {
+        account_id: accountId,
+        family_name: deleted.family_name,
+        email: deleted.email,
+        revoked,
+        deleted_by: actor.type === 'admin' ? actor.id : actor.type
+    };
+
+    emitEvent(WEBHOOK_EVENTS.FAMILY_ACCOUNT_REMOVED, familyId, eventData);
+
+    // Removing the last account disconnects the family entirely
+    const status = await getConnectionStatus(familyId);
+    if (!status.connected) {
+        emitEvent(WEBHOOK_EVENTS.FAMILY_DELETED, familyId, {
+            family_name: deleted.family_name,
+            email: deleted.email,
+            deleted_by: eventData.deleted_by
+        });
+    }
+
+    return {
+        accountId,
+        email: deleted.email,
+        provider: provider.name,
+        revoked,
+        familyDisconnected: !status.connected
+    };
+}
+
+/**
+ * Disconnect every account of a family
+ * Stops at the first account whose grant could not be revoked (unless `force` is set);
+ * accounts already disconnected stay disconnected.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} options - Disconnect options (see disconnectAccount)
+ * @returns {Promise<Array<Object>>} One result per disconnected account
+ * @throws {DisconnectError} If the family has no accounts or revocation failed
+ */
+async function disconnectFamily(familyId, options) {
+    const status = await getConnectionStatus(familyId);
+
+    if (!status.connected) {
+        throw new DisconnectError('not_found', 'Family has no connected accounts');
+    }
+
+    const results = [];
+    for (const account of status.accounts) {
+        results.push(await disconnectAccount(familyId, account.id, options));
+    }
+
+    return results;
+}
+
+module.exports = {
+    DisconnectError,
+    createDisconnectLink,
+    verifyDisconnectToken,
+    disconnectAccount,
+    disconnectFamily,
+    DEFAULT_DISCONNECT_TTL_HOURS
+};
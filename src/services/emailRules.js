@@ -0,0 +1,261 @@
+const { getStorage } = require('./storage');
+
+// Gmail inbox categories a rule can match, with the label ID Gmail gives each
+const GMAIL_CATEGORIES = {
+    primary: 'CATEGORY_PERSONAL',
+    social: 'CATEGORY_SOCIAL',
+    promotions: 'CATEGORY_PROMOTIONS',
+    updates: 'CATEGORY_UPDATES',
+    forums: 'CATEGORY_FORUMS'
+};
+
+// Label applied to matching messages unless the family's rules name another
+const DEFAULT_LABEL_NAME = 'Family Assistant';
+
+// Keywords used for families that have no rules yet
+const DEFAULT_KEYWORDS = [
+    'school', 'teacher', 'classroom', 'homework', 'field trip', 'permission slip',
+    'parent-teacher', 'report card', 'PTA', 'PTO'
+];
+
+// Most entries per rule list, and the longest entry or label name
+const MAX_RULE_ENTRIES = 50;
+const MAX_RULE_LENGTH = 100;
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// family_email_rules columns returned to callers
+const RULE_COLUMNS = ['family_id', 'sender_domains', 'keywords', 'categories', 'label_name', 'updated_by', 'updated_at'];
+
+/**
+ * Error raised when email rules cannot be saved
+ * `reason` is always: invalid
+ */
+class EmailRulesError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'EmailRulesError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Turn a list or a comma-separated string into trimmed entries without duplicates
+ * @param {Array<string>|string} value - The entries
+ * @param {string} name - Field name, for error messages
+ * @returns {Array<string>} The entries, in the order given
+ * @throws {EmailRulesError} If the value is not a list or has too many or too long entries
+ */
+function normalizeList(value, name) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    const entries = typeof value === 'string' ? value.split(',') : value;
+
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+        throw new EmailRulesError('invalid', `${name} must be a list of strings`);
+    }
+
+    const seen = new Set();
+    const result = [];
+
+    for (const entry of entries.map(item => item.trim()).filter(Boolean)) {
+        if (entry.length > MAX_RULE_LENGTH) {
+            throw new EmailRulesError('invalid', `${name} entries must be at most ${MAX_RULE_LENGTH} characters`);
+        }
+        if (!seen.has(entry.toLowerCase())) {
+            seen.add(entry.toLowerCase());
+            result.push(entry);
+        }
+    }
+
+    if (result.length > MAX_RULE_ENTRIES) {
+        throw new EmailRulesError('invalid', `${name} can have at most ${MAX_RULE_ENTRIES} entries`);
+    }
+
+    return result;
+}
+
+/**
+ * Check and normalize a family's rules
+ * Domains lose a leading "@" and are lowercased; keywords keep their case but match case-insensitively.
+ * @param {Object} rules - The rules
+ * @param {Array<string>|string} rules.senderDomains - Sender domains, e.g. school.org
+ * @param {Array<string>|string} rules.keywords - Words or phrases
+ * @param {Array<string>|string} rules.categories - Gmail categories
+ * @param {string} rules.labelName - Gmail label for matching messages
+ * @returns {Object} sender_domains, keywords, categories and label_name
+ * @throws {EmailRulesError} If a rule is invalid or there are no rules at all
+ */
+function validateRules({ senderDomains, keywords, categories, labelName }) {
+    const domains = normalizeList(senderDomains, 'senderDomains').map(domain => domain.replace(/^@/, '').toLowerCase());
+    const invalidDomain = domains.find(domain => !DOMAIN_PATTERN.test(domain));
+
+    if (invalidDomain) {
+        throw new EmailRulesError('invalid', `Not a domain: ${invalidDomain}`);
+    }
+
+    const phrases = normalizeList(keywords, 'keywords');
+
+    if (phrases.some(phrase => /["{}]/.test(phrase))) {
+        throw new EmailRulesError('invalid', 'Keywords cannot contain quotes or braces');
+    }
+
+    const categoryNames = normalizeList(categories, 'categories').map(category => category.toLowerCase());
+    const invalidCategory = categoryNames.find(category => !(category in GMAIL_CATEGORIES));
+
+    if (invalidCategory) {
+        throw new EmailRulesError('invalid', `Category must be one of: ${Object.keys(GMAIL_CATEGORIES).join(', ')}`);
+    }
+
+    if (domains.length === 0 && phrases.length === 0 && categoryNames.length === 0) {
+        throw new EmailRulesError('invalid', 'Add at least one sender domain, keyword or category');
+    }
+
+    const label = labelName === undefined || labelName === null ? DEFAULT_LABEL_NAME : String(labelName).trim();
+
+    if (!label || label.length > MAX_RULE_LENGTH || /^\/|\/$/.test(label)) {
+        throw new EmailRulesError('invalid', `Label name must be 1-${MAX_RULE_LENGTH} characters and cannot start or end with "/"`);
+    }
+
+    return {
+        sender_domains: domains,
+        keywords: phrases,
+        categories: categoryNames,
+        label_name: label
+    };
+}
+
+/**
+ * Get a family's email rules
+ * Families without saved rules get the default keywords (`is_default` is true).
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<Object>} sender_domains, keywords, categories, label_name and when and by whom they were last changed
+ */
+async function getEmailRules(familyId) {
+    let data;
+    try {
+        [data] = await getStorage().selectRows('family_email_rules', { columns: RULE_COLUMNS, where: { family_id: familyId }, limit: 1 });
+    } catch (error) {
+        console.error('[Rules] Error reading email rules:', error);
+        throw error;
+    }
+
+    if (!data) {
+        return {
+            family_id: familyId,
+            sender_domains: [],
+            keywords: [...DEFAULT_KEYWORDS],
+            categories: [],
+            label_name: DEFAULT_LABEL_NAME,
+            updated_by: null,
+            updated_at: null,
+            is_default: true
+        };
+    }
+
+    return { ...data, is_default: false };
+}
+
+/**
+ * Save a family's email rules, replacing any it had
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} rules - Rules as accepted by validateRules
+ * @param {Object} options - Save options
+ * @param {string} options.updatedBy - Admin username making the change
+ * @returns {Promise<Object>} The saved rules
+ * @throws {EmailRulesError} If the rules are invalid
+ */
+async function saveEmailRules(familyId, rules, { updatedBy }) {
+    const normalized = validateRules(rules);
+
+    let saved;
+    try {
+        saved = await getStorage().upsertRow('family_email_rules', {
+            family_id: familyId,
+            ...normalized,
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        }, 'family_id');
+    } catch (error) {
+        console.error('[Rules] Error saving email rules:', error);
+        throw error;
+    }
+
+    console.log(`[Rules] Saved email rules for family: ${familyId}`);
+
+    const data = Object.fromEntries(RULE_COLUMNS.map(column => [column, saved[column]]));
+    return { ...data, is_default: false };
+}
+
+/**
+ * Build the Gmail search query for a family's rules
+ * A message matches if any rule matches: `{a b c}` is Gmail's OR group.
+ * @param {Object} rules - Rules from getEmailRules
+ * @returns {string} The Gmail query
+ */
+function buildGmailQuery(rules) {
+    const terms = [
+        ...rules.sender_domains.map(domain => `from:${domain}`),
+        ...rules.keywords.map(keyword => `"${keyword}"`),
+        ...rules.categories.map(category => `category:${category}`)
+    ];
+
+    return `{${terms.join(' ')}}`;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find which of a family's rules a message matches
+ * Keywords match whole words in the subject or body, case-insensitively.
+ * @param {Object} rules - Rules from getEmailRules
+ * @param {Object} message - Message with from, subject, text and labelIds
+ * @returns {Array<string>} Matched rules, e.g. ["domain:school.org", "keyword:field trip"]; empty if none
+ */
+function matchMessage(rules, { from, subject, text, labelIds }) {
+    const matches = [];
+    const address = /<([^>]+)>/.exec(from || '');
+    const senderDomain = ((address ? address[1] : from || '').split('@')[1] || '').trim().toLowerCase();
+
+    for (const domain of rules.sender_domains) {
+        if (senderDomain === domain || senderDomain.endsWith(`.${domain}`)) {
+            matches.push(`domain:${domain}`);
+        }
+    }
+
+    const content = `${subject || ''}\n${text || ''}`;
+
+    for (const keyword of rules.keywords) {
+        if (new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}])`, 'iu').test(content)) {
+            matches.push(`keyword:${keyword}`);
+        }
+    }
+
+    for (const category of rules.categories) {
+        if ((labelIds || []).includes(GMAIL_CATEGORIES[category])) {
+            matches.push(`category:${category}`);
+        }
+    }
+
+    return matches;
+}
+
+module.exports = {
+    EmailRulesError,
+    GMAIL_CATEGORIES,
+    DEFAULT_LABEL_NAME,
+    validateRules,
+    getEmailRules,
+    saveEmailRules,
+    buildGmailQuery,
+    matchMessage
+};
@@ -0,0 +1,232 @@
+const { parseCsv, toCsv } = require('./csv');
+const { listAccounts } = require('./storage');
+const { createInvite } = require('./invites');
+const { isScopeProfile, SCOPE_PROFILES } = require('./providers');
+const { recordAuditEvent, AUDIT_ACTIONS } = require('./audit');
+
+// Most families one upload can contain (one school cohort)
+const MAX_IMPORT_ROWS = 500;
+
+// Longest family ID accepted
+const MAX_FAMILY_ID_LENGTH = 100;
+
+// Columns of the uploaded CSV; family_id is required, the others may be left out
+const IMPORT_COLUMNS = ['family_id', 'family_name', 'contact_email', 'scope_profile'];
+
+// Columns of the CSV of generated links, in order
+const LINK_CSV_COLUMNS = ['line', 'family_id', 'family_name', 'contact_email', 'status', 'invite_link', 'expires_at', 'error'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error raised when an uploaded CSV cannot be imported at all
+ * `reason` is one of: invalid, too_many_rows
+ */
+class FamilyImportError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'FamilyImportError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Turn a header cell into a column name, so "Family ID" and "family-id" both mean family_id
+ * @param {string} header - The header cell
+ * @returns {string} The column name
+ */
+function toColumnName(header) {
+    return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Parse an uploaded CSV of families
+ * The first row is a header naming the columns; unknown columns are ignored.
+ * @param {string} text - The CSV text
+ * @returns {Array<Object>} One row per family with its line number
+ * @throws {FamilyImportError} If the CSV is malformed, has no family_id column, no rows or too many rows
+ */
+function parseFamilyCsv(text) {
+    let records;
+
+    try {
+        records = parseCsv(text || '');
+    } catch (error) {
+        throw new FamilyImportError('invalid', error.message);
+    }
+
+    if (records.length === 0) {
+        throw new FamilyImportError('invalid', 'The CSV is empty');
+    }
+
+    const [header, ...body] = records;
+    const columns = header.cells.map(toColumnName);
+
+    if (!columns.includes('family_id')) {
+        throw new FamilyImportError('invalid', `The first row must be a header with a family_id column (optional: ${IMPORT_COLUMNS.slice(1).join(', ')})`);
+    }
+
+    if (body.length === 0) {
+        throw new FamilyImportError('invalid', 'The CSV has no families');
+    }
+
+    if (body.length > MAX_IMPORT_ROWS) {
+        throw new FamilyImportError('too_many_rows', `The CSV has ${body.length} families; upload at most ${MAX_IMPORT_ROWS} at a time`);
+    }
+
+    return body.map(({ line, cells }) => {
+        const row = { line };
+
+        for (const column of IMPORT_COLUMNS) {
+            const index = columns.indexOf(column);
+            row[column] = index >= 0 && cells[index] !== undefined ? cells[index].trim() : '';
+        }
+
+        return row;
+    });
+}
+
+/**
+ * Find what is wrong with a row, if anything
+ * @param {Object} row - Parsed row
+ * @returns {string|null} The problem, or null if the row is valid
+ */
+function validateRow(row) {
+    if (!row.family_id) {
+        return 'family_id is required';
+    }
+    if (row.family_id.length > MAX_FAMILY_ID_LENGTH || /[\s\u0000-\u001f]/.test(row.family_id)) {
+        return `family_id must be at most ${MAX_FAMILY_ID_LENGTH} characters without spaces`;
+    }
+    if (row.contact_email && !EMAIL_PATTERN.test(row.contact_email)) {
+        return 'contact_email is not a valid email address';
+    }
+    if (row.scope_profile && !isScopeProfile(row.scope_profile)) {
+        return `scope_profile must be one of: ${SCOPE_PROFILES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check each row of an import
+ * Rows are invalid, duplicate (the family ID appeared on an earlier row), connected (the
+ * family already has connected accounts) or ready.
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Promise<Array<Object>>} The rows with a status and, if not ready, an error
+ */
+async function checkRows(rows) {
+    const connected = new Set((await listAccounts()).map(account => account.family_id));
+    const firstLine = new Map();
+
+    return rows.map(row => {
+        const problem = validateRow(row);
+
+        if (problem) {
+            return { ...row, status: 'invalid', error: problem };
+        }
+
+        if (firstLine.has(row.family_id)) {
+            return { ...row, status: 'duplicate', error: `Same family_id as line ${firstLine.get(row.family_id)}` };
+        }
+        firstLine.set(row.family_id, row.line);
+
+        if (connected.has(row.family_id)) {
+            return { ...row, status: 'connected', error: 'Family already has connected accounts' };
+        }
+
+        return { ...row, status: 'ready', error: null };
+    });
+}
+
+/**
+ * Count rows by status
+ * @param {Array<Object>} rows - Checked rows
+ * @returns {Object} Total rows and the number per status
+ */
+function summarize(rows) {
+    const summary = { rows: rows.length, ready: 0, created: 0, duplicate: 0, connected: 0, invalid: 0, failed: 0 };
+
+    for (const row of rows) {
+        summary[row.status]++;
+    }
+
+    return summary;
+}
+
+/**
+ * Import a CSV of families and generate an invite link for each
+ * Invalid and duplicate rows are always skipped; rows for families that are already connected
+ * are skipped unless includeConnected is set (e.g. to add a second parent's account).
+ * A dry run only checks the rows.
+ * @param {string} text - The CSV text
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Check the rows without creating invites
+ * @param {boolean} options.includeConnected - Also invite families that already have connected accounts
+ * @param {number} options.expiresInHours - Hours until each invite expires
+ * @param {number} options.maxUses - Number of accounts each invite can connect
+ * @param {string} options.scopeProfile - Scope profile for rows without one
+ * @param {string} options.createdBy - Admin username running the import
+ * @returns {Promise<Object>} summary, rows (with status, link and expiry) and, unless a dry run, the CSV of links
+ * @throws {FamilyImportError} If the CSV cannot be read
+ */
+async function importFamilies(text, { dryRun = false, includeConnected = false, expiresInHours, maxUses, scopeProfile, createdBy } = {}) {
+    if (scopeProfile && !isScopeProfile(scopeProfile)) {
+        throw new FamilyImportError('invalid', `Scope profile must be one of: ${SCOPE_PROFILES.join(', ')}`);
+    }
+
+    const rows = await checkRows(parseFamilyCsv(text));
+
+    if (includeConnected) {
+        rows.filter(row => row.status === 'connected').forEach(row => Object.assign(row, { status: 'ready', error: null }));
+    }
+
+    if (dryRun) {
+        return { summary: summarize(rows), rows, csv: null };
+    }
+
+    // Sequential, so a large cohort does not flood Supabase with inserts
+    for (const row of rows.filter(candidate => candidate.status === 'ready')) {
+        try {
+            const invite = await createInvite({
+                familyId: row.family_id,
+                familyName: row.family_name,
+                contactEmail: row.contact_email,
+                scopeProfile: row.scope_profile || scopeProfile,
+                expiresInHours,
+                maxUses,
+                createdBy
+            });
+
+            await recordAuditEvent({
+                action: AUDIT_ACTIONS.INVITE_CREATED,
+                actor: { type: 'admin', id: createdBy },
+                familyId: row.family_id,
+                details: { invite_id: invite.id, expires_at: invite.expires_at, max_uses: invite.max_uses, scope_profile: invite.scope_profile, import: true }
+            });
+
+            Object.assign(row, { status: 'created', invite_id: invite.id, invite_link: invite.link, expires_at: invite.expires_at });
+        } catch (error) {
+            console.error(`[Import] Error creating invite for family ${row.family_id}:`, error);
+            Object.assign(row, { status: 'failed', error: 'Failed to create invite' });
+        }
+    }
+
+    const summary = summarize(rows);
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.FAMILIES_IMPORTED,
+        actor: { type: 'admin', id: createdBy },
+        details: summary
+    });
+
+    console.log(`[Import] Imported ${summary.rows} rows: ${summary.created} invites created, ${summary.rows - summary.created} skipped`);
+
+    return { summary, rows, csv: toCsv(LINK_CSV_COLUMNS, rows) };
+}
+
+module.exports = {
+    FamilyImportError,
+    MAX_IMPORT_ROWS,
+    parseFamilyCsv,
+    importFamilies
+};
@@ -0,0 +1,298 @@
+const { google } = require('googleapis');
+
+const { createOAuth2Client, isInvalidGrantError } = require('./google');
+const { getValidAccessToken, refreshFamilyToken } = require('./tokenRefresher');
+const { observeGoogleCall } = require('./metrics');
+
+/**
+ * Error returned by the Gmail proxy with an HTTP status and a stable code
+ */
+class GmailProxyError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'GmailProxyError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Convert an error from googleapis into a GmailProxyError
+ * @param {Error} error - The error thrown by the Gmail client
+ * @returns {GmailProxyError} The normalized error
+ */
+function normalizeGmailError(error) {
+    if (error instanceof GmailProxyError) {
+        return error;
+    }
+
+    if (isInvalidGrantError(error)) {
+        return new GmailProxyError(401, 'token_invalid', 'Refresh token is invalid or expired. Please reconnect Gmail.');
+    }
+
+    const status = (error.response && error.response.status) || error.code;
+    const message = (error.response && error.response.data && error.response.data.error && error.response.data.error.message)
+        || error.message
+        || 'Gmail request failed';
+
+    switch (status) {
+        case 400:
+            return new GmailProxyError(400, 'bad_request', message);
+        case 401:
+            return new GmailProxyError(401, 'unauthorized', message);
+        case 403:
+            return new GmailProxyError(403, 'forbidden', message);
+        case 404:
+            return new GmailProxyError(404, 'not_found', message);
+        case 429:
+            return new GmailProxyError(429, 'rate_limited', message);
+        default:
+            return new GmailProxyError(502, 'upstream_error', message);
+    }
+}
+
+/**
+ * Create a Gmail client for an access token
+ * @param {string} accessToken - Valid access token
+ * @returns {gmail_v1.Gmail} The Gmail client
+ */
+function createGmailClient(accessToken) {
+    const oauth2Client = createOAuth2Client();
+    oauth2Client.setCredentials({ access_token: accessToken });
+    return google.gmail({ version: 'v1', auth: oauth2Client });
+}
+
+/**
+ * Run a Gmail operation with a family's stored credentials
+ * The access token is refreshed if it is expiring, and once more if Gmail rejects it.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector ({ accountId, email })
+ * @param {Function} operation - Called with a Gmail client; returns the result
+ * @returns {Promise<*>} The operation's result
+ * @throws {GmailProxyError} Normalized error
+ */
+async function withGmail(familyId, selector, operation) {
+    try {
+        const token = await getValidAccessToken(familyId, selector);
+
+        if (!token) {
+            throw new GmailProxyError(404, 'not_connected', 'No connected account found for this family.');
+        }
+
+        if (token.tokenData.provider && token.tokenData.provider !== 'google') {
+            throw new GmailProxyError(400, 'unsupported_provider', 'The Gmail proxy only supports Google accounts.');
+        }
+
+        try {
+            return await operation(createGmailClient(token.access_token));
+        } catch (error) {
+            const status = (error.response && error.response.status) || error.code;
+
+            if (status !== 401 || token.refreshed) {
+                throw error;
+            }
+
+            console.log(`[Gmail] Access token rejected, refreshing for family: ${familyId}`);
+            const newTokens = await refreshFamilyToken(token.tokenData);
+            return await operation(createGmailClient(newTokens.access_token));
+        }
+    } catch (error) {
+        throw normalizeGmailError(error);
+    }
+}
+
+/**
+ * Decode a base64url body from the Gmail API
+ * @param {string} data - base64url encoded data
+ * @returns {Buffer} The decoded bytes
+ */
+function decodeBody(data) {
+    return Buffer.from(data || '', 'base64url');
+}
+
+/**
+ * Parse a Gmail message resource into headers, bodies and attachment metadata
+ * @param {Object} message - Message resource (format=full)
+ * @returns {Object} The parsed message
+ */
+function parseMessage(message) {
+    const headers = {};
+    const result = {
+        id: message.id,
+        threadId: message.threadId,
+        labelIds: message.labelIds || [],
+        snippet: message.snippet || '',
+        internalDate: message.internalDate ? new Date(Number(message.internalDate)).toISOString() : null,
+        headers,
+        text: '',
+        html: '',
+        attachments: []
+    };
+
+    for (const header of (message.payload && message.payload.headers) || []) {
+        const name = header.name.toLowerCase();
+        if (!(name in headers)) {
+            headers[name] = header.value;
+        }
+    }
+
+    const walk = part => {
+        if (!part) return;
+
+        const isAttachment = Boolean(part.filename) || (part.body && part.body.attachmentId);
+
+        if (isAttachment) {
+            result.attachments.push({
+                attachmentId: part.body && part.body.attachmentId,
+                partId: part.partId,
+                filename: part.filename || '',
+                mimeType: part.mimeType,
+                size: (part.body && part.body.size) || 0
+            });
+        } else if (part.mimeType === 'text/plain' && part.body && part.body.data) {
+            result.text += decodeBody(part.body.data).toString('utf8');
+        } else if (part.mimeType === 'text/html' && part.body && part.body.data) {
+            result.html += decodeBody(part.body.data).toString('utf8');
+        }
+
+        (part.parts || []).forEach(walk);
+    };
+
+    walk(message.payload);
+
+    return result;
+}
+
+/**
+ * Search messages with a Gmail query
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector
+ * @param {Object} params - Search parameters
+ * @param {string} params.q - Gmail search query (e.g. "from:school.org newer_than:1d")
+ * @param {number} params.maxResults - Page size (max 100)
+ * @param {string} params.pageToken - Token for the next page
+ * @returns {Promise<Object>} Message IDs, next page token and result estimate
+ */
+async function searchMessages(familyId, selector, { q, maxResults = 25, pageToken }) {
+    return withGmail(familyId, selector, async gmail => {
+        const response = await observeGoogleCall('messages.list', () => gmail.users.messages.list({
+            userId: 'me',
+            q,
+            maxResults: Math.min(Math.max(parseInt(maxResults, 10) || 25, 1), 100),
+            pageToken
+        }));
+
+        return {
+            messages: response.data.messages || [],
+            nextPageToken: response.data.nextPageToken || null,
+            resultSizeEstimate: response.data.resultSizeEstimate || 0
+        };
+    });
+}
+
+/**
+ * Fetch and parse a message
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector
+ * @param {string} messageId - Gmail message ID
+ * @returns {Promise<Object>} The parsed message
+ */
+async function getMessage(familyId, selector, messageId) {
+    return withGmail(familyId, selector, async gmail => {
+        const response = await observeGoogleCall('messages.get', () => gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' }));
+        return parseMessage(response.data);
+    });
+}
+
+/**
+ * Download an attachment
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector
+ * @param {string} messageId - Gmail message ID
+ * @param {string} attachmentId - Attachment ID from getMessage
+ * @returns {Promise<Object>} Attachment bytes with filename and mimeType
+ */
+async function getAttachment(familyId, selector, messageId, attachmentId) {
+    return withGmail(familyId, selector, async gmail => {
+        const message = await observeGoogleCall('messages.get', () => gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' }));
+        const metadata = parseMessage(message.data).attachments.find(a => a.attachmentId === attachmentId);
+
+        if (!metadata) {
+            throw new GmailProxyError(404, 'not_found', 'Attachment not found on this message.');
+        }
+
+        const response = await observeGoogleCall('messages.attachments.get', () => gmail.users.messages.attachments.get({ userId: 'me', messageId, id: attachmentId }));
+
+        return {
+            filename: metadata.filename,
+            mimeType: metadata.mimeType || 'application/octet-stream',
+            data: decodeBody(response.data.data)
+        };
+    });
+}
+
+/**
+ * List the account's labels
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector
+ * @returns {Promise<Array<Object>>} Labels with id, name and type
+ */
+async function listLabels(familyId, selector) {
+    return withGmail(familyId, selector, async gmail => {
+        const response = await observeGoogleCall('labels.list', () => gmail.users.labels.list({ userId: 'me' }));
+        return (response.data.labels || []).map(({ id, name, type }) => ({ id, name, type }));
+    });
+}
+
+/**
+ * Apply and remove labels on a message
+ * Labels may be given by ID (e.g. "UNREAD", "Label_12") or by name.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector
+ * @param {string} messageId - Gmail message ID
+ * @param {Object} changes - Label changes
+ * @param {Array<string>} changes.add - Labels to add
+ * @param {Array<string>} changes.remove - Labels to remove
+ * @returns {Promise<Object>} The message ID and its label IDs after the change
+ */
+async function modifyLabels(familyId, selector, messageId, { add = [], remove = [] }) {
+    return withGmail(familyId, selector, async gmail => {
+        const { data } = await observeGoogleCall('labels.list', () => gmail.users.labels.list({ userId: 'me' }));
+        const labels = data.labels || [];
+
+        const resolve = label => {
+            const match = labels.find(l => l.id === label)
+                || labels.find(l => l.name.toLowerCase() === String(label).toLowerCase());
+
+            if (!match) {
+                throw new GmailProxyError(400, 'unknown_label', `Unknown label: ${label}`);
+            }
+            return match.id;
+        };
+
+        const response = await observeGoogleCall('messages.modify', () => gmail.users.messages.modify({
+            userId: 'me',
+            id: messageId,
+            requestBody: {
+                addLabelIds: add.map(resolve),
+                removeLabelIds: remove.map(resolve)
+            }
+        }));
+
+        return {
+            id: response.data.id,
+            labelIds: response.data.labelIds || []
+        };
+    });
+}
+
+module.exports = {
+    GmailProxyError,
+    withGmail,
+    parseMessage,
+    searchMessages,
+    getMessage,
+    getAttachment,
+    listLabels,
+    modifyLabels
+};
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+const { withGmail } = require('./gmail');
+const { listWatchStates, findAccountsByEmail, updateWatchState } = require('./storage');
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhooks');
+const { observeGoogleCall } = require('./metrics');
+
+// Renew watches this long before they expire (Gmail watches last 7 days)
+const WATCH_RENEWAL_THRESHOLD_MS = 24 * 60 * 60 * 1000;
+
+// Interval between watch renewal runs
+const RENEWAL_INTERVAL_MS = 60 * 60 * 1000;
+
+// Pages of history to read for a single notification
+const MAX_HISTORY_PAGES = 10;
+
+let renewalTimer = null;
+
+/**
+ * Error raised when a push request cannot be verified or parsed
+ */
+class GmailPushError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'GmailPushError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Check whether Gmail push notifications are configured
+ * @returns {boolean} True if a Pub/Sub topic and an n8n forward URL are set
+ */
+function isPushEnabled() {
+    return Boolean(process.env.GMAIL_PUBSUB_TOPIC && process.env.GMAIL_PUSH_FORWARD_URL);
+}
+
+/**
+ * Get the label IDs watched for new messages
+ * @returns {Array<string>} Label IDs from GMAIL_WATCH_LABELS (default INBOX)
+ */
+function getWatchLabels() {
+    return (process.env.GMAIL_WATCH_LABELS || 'INBOX')
+        .split(',')
+        .map(label => label.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Verify that a push request came from our Pub/Sub subscription
+ * Pub/Sub push subscriptions authenticate with a Google-signed OIDC token
+ * (GMAIL_PUSH_AUDIENCE, optionally pinned to GMAIL_PUSH_SERVICE_ACCOUNT), or with a
+ * shared token in the push endpoint URL (GMAIL_PUSH_VERIFICATION_TOKEN).
+ * @param {Object} request - The push request
+ * @param {string} request.authorization - Authorization header
+ * @param {string} request.token - `token` query parameter
+ * @returns {Promise<void>}
+ * @throws {GmailPushError} If the request is not authenticated
+ */
+async function verifyPushRequest({ authorization, token }) {
+    const audience = process.env.GMAIL_PUSH_AUDIENCE;
+    const sharedToken = process.env.GMAIL_PUSH_VERIFICATION_TOKEN;
+
+    if (!audience && !sharedToken) {
+        throw new GmailPushError('not_configured', 'Set GMAIL_PUSH_AUDIENCE or GMAIL_PUSH_VERIFICATION_TOKEN to accept push notifications.');
+    }
+
+    if (sharedToken) {
+        const expected = Buffer.from(sharedToken);
+        const provided = Buffer.from(String(token || ''));
+
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            throw new GmailPushError('unauthorized', 'Invalid push verification token');
+        }
+    }
+
+    if (audience) {
+        const match = /^Bearer (.+)$/.exec(authorization || '');
+
+        if (!match) {
+            throw new GmailPushError('unauthorized', 'Missing push authorization token');
+        }
+
+        let payload;
+        try {
+            const ticket = await new google.auth.OAuth2().verifyIdToken({ idToken: match[1], audience });
+            payload = ticket.getPayload();
+        } catch (error) {
+            throw new GmailPushError('unauthorized', `Invalid push authorization token: ${error.message}`);
+        }
+
+        const serviceAccount = process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+
+        if (serviceAccount && (payload.email !== serviceAccount || !payload.email_verified)) {
+            throw new GmailPushError('unauthorized', 'Push token was not issued for the configured service account');
+        }
+    }
+}
+
+/**
+ * Decode a Pub/Sub push body into the Gmail notification it carries
+ * @param {Object} body - Pub/Sub push body ({ message: { data, messageId }, subscription })
+ * @returns {Object} emailAddress, historyId and the Pub/Sub messageId
+ * @throws {GmailPushError} If the body is not a Gmail notification
+ */
+function decodePushMessage(body) {
+    const message = body && body.message;
+
+    if (!message || typeof message.data !== 'string') {
+        throw new GmailPushError('invalid_payload', 'Push body has no message data');
+    }
+
+    let notification;
+    try {
+        notification = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
+    } catch (error) {
+        throw new GmailPushError('invalid_payload', 'Push message data is not valid JSON');
+    }
+
+    if (!notification.emailAddress || !/^\d+$/.test(String(notification.historyId))) {
+        throw new GmailPushError('invalid_payload', 'Push message is missing emailAddress or historyId');
+    }
+
+    return {
+        emailAddress: notification.emailAddress,
+        historyId: String(notification.historyId),
+        messageId: message.messageId || message.message_id || null
+    };
+}
+
+/**
+ * Collect the IDs of messages added in a list of history records
+ * @param {Array<Object>} history - History records from users.history.list
+ * @param {Array<string>} labelIds - Only include messages with one of these labels (optional)
+ * @returns {Array<string>} Unique message IDs, in history order
+ */
+function extractAddedMessageIds(history, labelIds) {
+    const ids = new Set();
+
+    for (const record of history || []) {
+        for (const added of record.messagesAdded || []) {
+            const message = added.message;
+
+            if (!message || !message.id) continue;
+
+            if (labelIds && message.labelIds && !message.labelIds.some(label => labelIds.includes(label))) {
+                continue;
+            }
+
+            ids.add(message.id);
+        }
+    }
+
+    return [...ids];
+}
+
+/**
+ * Register (or renew) a Gmail watch for an account
+ * @param {Object} account - Account row with id, family_id and email
+ * @returns {Promise<Object>} historyId and expiration of the watch
+ */
+async function startWatch(account) {
+    const response = await withGmail(account.family_id, { accountId: account.id }, gmail => observeGoogleCall('users.watch', () => gmail.users.watch({
+        userId: 'me',
+        requestBody: {
+            topicName: process.env.GMAIL_PUBSUB_TOPIC,
+            labelIds: getWatchLabels(),
+            labelFilterBehavior: 'include'
+        }
+    })));
+
+    const expiration = new Date(Number(response.data.expiration));
+
+    // Keep the stored cursor if there is one so changes since the last notification are not skipped
+    await updateWatchState(account.id, {
+        historyId: account.gmail_history_id ? undefined : String(response.data.historyId),
+        watchExpiresAt: expiration
+    });
+
+    console.log(`[GmailPush] Watching ${account.email} (family ${account.family_id}) until ${expiration.toISOString()}`);
+
+    return { historyId: String(response.data.historyId), expiration };
+}
+
+/**
+ * Renew every Google account watch that is missing or close to expiring
+ * @returns {Promise<Object>} Counts of checked, renewed and failed accounts
+ */
+async function renewWatches() {
+    const summary = { checked: 0, renewed: 0, failed: 0 };
+
+    if (!isPushEnabled()) {
+        return summary;
+    }
+
+    const accounts = await listWatchStates();
+    const renewBefore = Date.now() + WATCH_RENEWAL_THRESHOLD_MS;
+
+    for (const account of accounts) {
+        if ((account.provider && account.provider !== 'google') || account.status !== 'active') {
+            continue;
+        }
+
+        summary.checked++;
+
+        if (account.watch_expires_at && new Date(account.watch_expires_at).getTime() > renewBefore) {
+            continue;
+        }
+
+        try {
+            await startWatch(account);
+            summary.renewed++;
+        } catch (error) {
+            summary.failed++;
+            console.error(`[GmailPush] Failed to renew watch for ${account.email} (family ${account.family_id}):`, error.message);
+        }
+    }
+
+    console.log(`[GmailPush] Watch renewal: ${summary.renewed} renewed, ${summary.failed} failed of ${summary.checked}`);
+
+    return summary;
+}
+
+/**
+ * Read new messages since the stored history ID and forward them to n8n
+ * @param {Object} account - Account row with id, family_id, email and gmail_history_id
+ * @param {string} notifiedHistoryId - historyId from the push notification
+ * @returns {Promise<Object>} Forwarded message IDs for the account
+ */
+async function processAccountNotification(account, notifiedHistoryId) {
+    const startHistoryId = account.gmail_history_id;
+
+    // Nothing stored yet: start from this notification
+    if (!startHistoryId) {
+        await updateWatchState(account.id, { historyId: notifiedHistoryId, expectedHistoryId: null });
+        return { accountId: account.id, messageIds: [], skipped: 'no_cursor' };
+    }
+
+    if (BigInt(notifiedHistoryId) <= BigInt(startHistoryId)) {
+        return { accountId: account.id, messageIds: [], skipped: 'already_processed' };
+    }
+
+    let history = [];
+    let latestHistoryId = notifiedHistoryId;
+    let historyReset = false;
+
+    try {
+        await withGmail(account.family_id, { accountId: account.id }, async gmail => {
+            let pageToken;
+            let pages = 0;
+
+            do {
+                const response = await observeGoogleCall('history.list', () => gmail.users.history.list({
+                    userId: 'me',
+                    startHistoryId,
+                    historyTypes: ['messageAdded'],
+                    pageToken
+                }));
+
+                history = history.concat(response.data.history || []);
+                if (response.data.historyId && BigInt(response.data.historyId) > BigInt(latestHistoryId)) {
+                    latestHistoryId = String(response.data.historyId);
+                }
+                pageToken = response.data.nextPageToken;
+                pages++;
+            } while (pageToken && pages < MAX_HISTORY_PAGES);
+
+            // More history than one notification reads: stop the cursor at the last record read,
+            // so the next notification picks up the rest
+            if (pageToken) {
+                latestHistoryId = history.length > 0 ? String(history[history.length - 1].id) : startHistoryId;
+            }
+        });
+    } catch (error) {
+        // The stored history ID is too old; Gmail no longer has the history for it
+        if (error.code !== 'not_found') {
+            throw error;
+        }
+        historyReset = true;
+    }
+
+    const messageIds = extractAddedMessageIds(history, getWatchLabels());
+
+    // Only the handler that advances the cursor forwards, so concurrent notifications don't duplicate
+    const advanced = await updateWatchState(account.id, {
+        historyId: latestHistoryId,
+        expectedHistoryId: startHistoryId
+    });
+
+    if (!advanced) {
+        return { accountId: account.id, messageIds: [], skipped: 'concurrent' };
+    }
+
+    if (messageIds.length > 0 || historyReset) {
+        await emitEvent(WEBHOOK_EVENTS.GMAIL_MESSAGES_ADDED, account.family_id, {
+            account_id: account.id,
+            email: account.email,
+            history_id: latestHistoryId,
+            message_ids: messageIds,
+            history_reset: historyReset
+        }, { urls: [process.env.GMAIL_PUSH_FORWARD_URL] });
+    }
+
+    return { accountId: account.id, messageIds, historyReset };
+}
+
+/**
+ * Handle a Pub/Sub push notification
+ * @param {Object} body - Pub/Sub push body
+ * @returns {Promise<Object>} The decoded notification and per-account results
+ */
+async function handlePushNotification(body) {
+    const notification = decodePushMessage(body);
+
+    console.log(`[GmailPush] Notification for ${notification.emailAddress} at history ${notification.historyId}`);
+
+    if (!isPushEnabled()) {
+        return { notification, results: [] };
+    }
+
+    const accounts = (await findAccountsByEmail(notification.emailAddress))
+        .filter(account => (!account.provider || account.provider === 'google') && account.status === 'active');
+
+    if (accounts.length === 0) {
+        console.warn(`[GmailPush] No active account for ${notification.emailAddress}; ignoring notification`);
+    }
+
+    const results = [];
+    for (const account of accounts) {
+        results.push(await processAccountNotification(account, notification.historyId));
+    }
+
+    return { notification, results };
+}
+
+/**
+ * Start renewing Gmail watches in the background
+ * Runs once at startup and then every hour. Does nothing unless push is configured.
+ * @returns {void}
+ */
+function startWatchRenewal() {
+    if (renewalTimer || !isPushEnabled()) return;
+
+    const run = () => renewWatches().catch(error => {
+        console.error('[GmailPush] Watch renewal run failed:', error);
+    });
+
+    renewalTimer = setInterval(run, RENEWAL_INTERVAL_MS);
+    renewalTimer.unref();
+    run();
+
+    console.log('[GmailPush] Watch renewal started');
+}
+
+/**
+ * Stop the background watch renewal
+ * @returns {void}
+ */
+function stopWatchRenewal() {
+    if (renewalTimer) {
+        clearInterval(renewalTimer);
+        renewalTimer = null;
+    }
+}
+
+module.exports = {
+    GmailPushError,
+    isPushEnabled,
+    verifyPushRequest,
+    decodePushMessage,
+    extractAddedMessageIds,
+    startWatch,
+    renewWatches,
+    handlePushNotification,
+    startWatchRenewal,
+    stopWatchRenewal
+};
@@ -1,10 +1,18 @@
 const { google } = require('googleapis');
 
-const SCOPES = [
-    'https://www.googleapis.com/auth/gmail.readonly',
-    'https://www.googleapis.com/auth/gmail.labels',
-    'https://www.googleapis.com/auth/gmail.modify'
-];
+const { observeGoogleCall } = require('./metrics');
+
+// Scopes requested for each scope profile (see providers.js)
+const SCOPE_PROFILES = {
+    readonly: [
+        'https://www.googleapis.com/auth/gmail.readonly'
+    ],
+    full: [
+        'https://www.googleapis.com/auth/gmail.readonly',
+        'https://www.googleapis.com/auth/gmail.labels',
+        'https://www.googleapis.com/auth/gmail.modify'
+    ]
+};
 
 /**
  * Create an OAuth2 client configured with credentials
@@ -24,23 +32,24 @@ function createOAuth2Client() {
 
 /**
  * Generate the Google OAuth authorization URL
- * @param {string} familyId - The family identifier to include in state
- * @param {string} familyName - The family name to include in state
+ * Scopes the user granted before are kept (incremental authorization), so asking for
+ * more later only shows the new ones.
+ * @param {string} familyId - The family identifier (used for logging)
+ * @param {string} state - Signed state created by the oauthState service
+ * @param {Object} options - Authorization options
+ * @param {Array<string>} options.scopes - Scopes to request (defaults to the full profile)
+ * @param {boolean} options.forceConsent - Show the consent screen even if already granted,
+ *   which is the only way to be sure Google returns a refresh token
  * @returns {string} The authorization URL
  */
-function generateAuthUrl(familyId, familyName) {
+function generateAuthUrl(familyId, state, { scopes = SCOPE_PROFILES.full, forceConsent = true } = {}) {
     const oauth2Client = createOAuth2Client();
 
-    // Encode state as JSON containing familyId and familyName
-    const state = Buffer.from(JSON.stringify({
-        familyId,
-        familyName: familyName || ''
-    })).toString('base64');
-
     const authUrl = oauth2Client.generateAuthUrl({
         access_type: 'offline',
-        scope: SCOPES,
-        prompt: 'consent', // Force consent screen to always get refresh token
+        scope: scopes,
+        include_granted_scopes: true,
+        ...(forceConsent ? { prompt: 'consent' } : {}),
         state: state
     });
 
@@ -58,7 +67,7 @@ async function exchangeCodeForTokens(code) {
 
     console.log('[Google] Exchanging authorization code for tokens');
 
-    const { tokens } = await oauth2Client.getToken(code);
+    const { tokens } = await observeGoogleCall('oauth.token', () => oauth2Client.getToken(code));
 
     console.log('[Google] Successfully obtained tokens');
     console.log(`[Google] Access token expires at: ${new Date(tokens.expiry_date).toISOString()}`);
@@ -77,7 +86,7 @@ async function refreshAccessToken(refreshToken) {
 
     console.log('[Google] Refreshing access token');
 
-    const { credentials } = await oauth2Client.refreshAccessToken();
+    const { credentials } = await observeGoogleCall('oauth.refresh', () => oauth2Client.refreshAccessToken());
 
     console.log('[Google] Successfully refreshed access token');
     console.log(`[Google] New access token expires at: ${new Date(credentials.expiry_date).toISOString()}`);
@@ -98,13 +107,125 @@ async function getUserEmail(accessToken) {
 
     console.log('[Google] Fetching user email address');
 
-    const response = await gmail.users.getProfile({ userId: 'me' });
+    const response = await observeGoogleCall('users.getProfile', () => gmail.users.getProfile({ userId: 'me' }));
     const email = response.data.emailAddress;
 
     console.log(`[Google] User email: ${email}`);
     return email;
 }
 
+/**
+ * Revoke a token at Google, ending the whole grant for this app
+ * Revoking the refresh token also invalidates its access tokens. A token Google no
+ * longer recognises (already revoked or expired) counts as revoked.
+ * @param {string} token - Refresh token (or access token)
+ * @returns {Promise<boolean>} True once the grant is revoked
+ */
+async function revokeToken(token) {
+    const oauth2Client = createOAuth2Client();
+
+    console.log('[Google] Revoking token');
+
+    try {
+        await observeGoogleCall('oauth.revoke', () => oauth2Client.revokeToken(token));
+    } catch (error) {
+        const data = error.response && error.response.data;
+
+        if (!(data && data.error === 'invalid_token')) {
+            throw error;
+        }
+
+        console.log('[Google] Token was already revoked or expired');
+        return true;
+    }
+
+    console.log('[Google] Successfully revoked token');
+    return true;
+}
+
+/**
+ * Find the OAuth error Google reports for a consent screen request, if any
+ * Google answers either with an error page or a redirect to /signin/oauth/error whose
+ * authError parameter encodes the error name.
+ * @param {Response} response - Response to the authorization URL
+ * @returns {Promise<string>} Text that mentions the error, empty if the request was accepted
+ */
+async function readAuthorizationError(response) {
+    const location = response.headers.get('location') || '';
+
+    if (response.status >= 400) {
+        return response.text();
+    }
+
+    if (location.includes('/oauth/error')) {
+        const authError = new URL(location).searchParams.get('authError') || '';
+        return `${location} ${Buffer.from(authError, 'base64').toString('latin1')}`;
+    }
+
+    return '';
+}
+
+/**
+ * Check the OAuth client configuration against Google, without a user
+ * Loads the consent screen URL, where Google rejects unknown clients and unregistered
+ * redirect URIs, then exchanges a dummy code, which fails with invalid_grant only if the
+ * client secret is right.
+ * @returns {Promise<Object>} ok, the redirectUri checked, and on failure a problem
+ *   (invalid_client, redirect_uri_mismatch, invalid_client_secret, unreachable or
+ *   unexpected_response) with a message
+ */
+async function checkOAuthConfiguration() {
+    const redirectUri = `${process.env.BASE_URL}/api/auth/callback`;
+    const oauth2Client = createOAuth2Client();
+    const fail = (problem, message) => ({ ok: false, redirectUri, problem, message });
+
+    let authError;
+
+    try {
+        const authUrl = oauth2Client.generateAuthUrl({ scope: SCOPE_PROFILES.readonly, state: 'self-test' });
+        const response = await observeGoogleCall('oauth.self_test', () => fetch(authUrl, { redirect: 'manual' }));
+        authError = await readAuthorizationError(response);
+    } catch (error) {
+        return fail('unreachable', `Could not reach Google: ${error.message}`);
+    }
+
+    if (/redirect_uri_mismatch/.test(authError)) {
+        return fail('redirect_uri_mismatch', `${redirectUri} is not an authorized redirect URI of this OAuth client. Add it in Google Cloud Console or fix BASE_URL.`);
+    }
+
+    if (/invalid_client|deleted_client|unauthorized_client/.test(authError)) {
+        return fail('invalid_client', 'Google does not recognise GOOGLE_CLIENT_ID.');
+    }
+
+    try {
+        await observeGoogleCall('oauth.self_test', () => oauth2Client.getToken('self-test'));
+    } catch (error) {
+        const data = error.response && error.response.data;
+        const reason = data && data.error;
+
+        if (reason === 'invalid_grant') {
+            return { ok: true, redirectUri };
+        }
+
+        if (reason === 'invalid_client' || reason === 'unauthorized_client') {
+            return fail('invalid_client_secret', 'Google rejected GOOGLE_CLIENT_SECRET for this client.');
+        }
+
+        if (reason === 'redirect_uri_mismatch') {
+            return fail('redirect_uri_mismatch', `${redirectUri} is not an authorized redirect URI of this OAuth client. Add it in Google Cloud Console or fix BASE_URL.`);
+        }
+
+        if (!error.response) {
+            return fail('unreachable', `Could not reach Google: ${error.message}`);
+        }
+
+        return fail('unexpected_response', `Google answered the test code exchange with ${reason || `status ${error.response.status}`}.`);
+    }
+
+    // A dummy code should never be accepted, but the client clearly works
+    return { ok: true, redirectUri };
+}
+
 /**
  * Check if a token is expired or expiring within a given threshold
  * @param {Date|string} tokenExpiry - Token expiration timestamp
@@ -121,12 +242,27 @@ function isTokenExpiringSoon(tokenExpiry, thresholdMinutes = 5) {
     return (expiryDate.getTime() - now.getTime()) < thresholdMs;
 }
 
+/**
+ * Check if an error from a provider means the refresh token is no longer valid
+ * Microsoft errors are shaped like googleapis errors, so this covers both providers.
+ * @param {Error} error - Error thrown by the OAuth client
+ * @returns {boolean} True if the refresh token was rejected (invalid_grant)
+ */
+function isInvalidGrantError(error) {
+    if (!error) return false;
+    if (error.response && error.response.data && error.response.data.error === 'invalid_grant') return true;
+    return Boolean(error.message && error.message.includes('invalid_grant'));
+}
+
 module.exports = {
     createOAuth2Client,
     generateAuthUrl,
     exchangeCodeForTokens,
     refreshAccessToken,
     getUserEmail,
+    revokeToken,
+    checkOAuthConfiguration,
     isTokenExpiringSoon,
-    SCOPES
+    isInvalidGrantError,
+    SCOPE_PROFILES
 };
@@ -0,0 +1,160 @@
+const { version } = require('../../package.json');
+const { validateConfig } = require('./config');
+const { getStorage } = require('./storage');
+const { getProvider } = require('./providers');
+
+// Time allowed for each dependency check
+const CHECK_TIMEOUT_MS = 5000;
+
+// A passing Google self-test is reused for this long, so probes do not call Google every few seconds
+const GOOGLE_CHECK_TTL_MS = 10 * 60 * 1000;
+
+// A failing one is reused for less, so a fix shows up soon without every probe calling Google
+const GOOGLE_FAILURE_TTL_MS = 60 * 1000;
+
+// Share of connections in an error state above which readiness reports degraded
+const CONNECTION_ERROR_THRESHOLD = parseFloat(process.env.HEALTH_CONNECTION_ERROR_THRESHOLD) || 0.25;
+
+let lastGoogleCheck = null;
+
+/**
+ * Reject a check that takes too long
+ * @param {Promise} promise - The check
+ * @param {string} name - Check name, for the error message
+ * @returns {Promise<*>} The check's result
+ */
+function withTimeout(promise, name) {
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} check timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a check, timing it and turning exceptions into an error status
+ * @param {string} name - Check name
+ * @param {Function} fn - Runs the check; returns { status, ...details }
+ * @returns {Promise<Object>} status (ok, warn or error), latency_ms and details
+ */
+async function runCheck(name, fn) {
+    const startedAt = Date.now();
+
+    try {
+        const result = await withTimeout(fn(), name);
+        return { ...result, latency_ms: Date.now() - startedAt };
+    } catch (error) {
+        console.error(`[Health] ${name} check failed:`, error.message || error);
+        return { status: 'error', message: error.message || String(error), latency_ms: Date.now() - startedAt };
+    }
+}
+
+/**
+ * Check the environment configuration
+ * @returns {Promise<Object>} The check result, listing any problems
+ */
+async function checkConfig() {
+    const problems = validateConfig();
+    return problems.length > 0 ? { status: 'error', problems } : { status: 'ok' };
+}
+
+/**
+ * Check the Google OAuth client with the provider's self-test
+ * A network failure only degrades readiness; a misconfigured client fails it.
+ * @returns {Promise<Object>} The check result with the redirect URI checked
+ */
+async function checkGoogle() {
+    if (lastGoogleCheck) {
+        const ttl = lastGoogleCheck.result.status === 'ok' ? GOOGLE_CHECK_TTL_MS : GOOGLE_FAILURE_TTL_MS;
+
+        if (Date.now() - lastGoogleCheck.checkedAt < ttl) {
+            return { ...lastGoogleCheck.result, cached: true };
+        }
+    }
+
+    const { ok, redirectUri, problem, message } = await getProvider('google').checkConfiguration();
+
+    const result = ok
+        ? { status: 'ok', redirect_uri: redirectUri }
+        : { status: problem === 'unreachable' ? 'warn' : 'error', redirect_uri: redirectUri, problem, message };
+
+    lastGoogleCheck = { result, checkedAt: Date.now() };
+    return result;
+}
+
+/**
+ * Check storage and count the connections in an error state
+ * An account is in an error state when it needs reconnecting or its last refresh failed.
+ * Only counts are read, never the account rows.
+ * @returns {Promise<Array<Object>>} The storage check and the connections check
+ */
+async function checkStorageAndConnections() {
+    const startedAt = Date.now();
+    let total;
+    let inactive;
+    let failing;
+
+    try {
+        const storage = getStorage();
+        [total, inactive, failing] = await withTimeout(Promise.all([
+            storage.countRows('family_gmail_tokens'),
+            storage.countRows('family_gmail_tokens', { status: { neq: 'active' } }),
+            storage.countRows('family_gmail_tokens', { status: 'active', last_error: { neq: null } })
+        ]), 'storage');
+    } catch (error) {
+        console.error('[Health] storage check failed:', error.message || error);
+        const storage = { status: 'error', message: error.message || String(error), latency_ms: Date.now() - startedAt };
+        return [storage, { status: 'warn', message: 'Storage is unavailable' }];
+    }
+
+    const storage = { status: 'ok', backend: process.env.STORAGE_BACKEND || 'supabase', latency_ms: Date.now() - startedAt };
+    const inError = inactive + failing;
+    const errorRatio = total > 0 ? inError / total : 0;
+
+    return [storage, {
+        status: errorRatio > CONNECTION_ERROR_THRESHOLD ? 'warn' : 'ok',
+        total,
+        in_error: inError,
+        error_ratio: Math.round(errorRatio * 1000) / 1000,
+        threshold: CONNECTION_ERROR_THRESHOLD
+    }];
+}
+
+/**
+ * Check whether the server can serve families and n8n
+ * Any failing check makes the server not_ready; warnings (Google unreachable, many
+ * connections in an error state) make it degraded. The checks name the configuration,
+ * redirect URI and storage errors, so only the status may be shown without authentication.
+ * @returns {Promise<Object>} status (ready, degraded or not_ready), version and the checks
+ */
+async function checkReadiness() {
+    const [config, google, [storage, connections]] = await Promise.all([
+        runCheck('config', checkConfig),
+        runCheck('google', checkGoogle),
+        checkStorageAndConnections()
+    ]);
+
+    const checks = { config, storage, google, connections };
+    const statuses = Object.values(checks).map(check => check.status);
+
+    let status = 'ready';
+    if (statuses.includes('error')) {
+        status = 'not_ready';
+    } else if (statuses.includes('warn')) {
+        status = 'degraded';
+    }
+
+    return {
+        status,
+        timestamp: new Date().toISOString(),
+        version,
+        checks
+    };
+}
+
+module.exports = {
+    version,
+    checkReadiness
+};
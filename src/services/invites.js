@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Default lifetime of an invite link (3 days) and the longest allowed (30 days)
+const DEFAULT_INVITE_TTL_HOURS = 72;
+const MAX_INVITE_TTL_HOURS = 30 * 24;
+
+/**
+ * Error raised when an invite token cannot be used
+ * `reason` is one of: invalid, expired, used, revoked
+ */
+class InviteError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'InviteError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Get the secret used to sign invite tokens
+ * @returns {string} The signing secret
+ */
+function getInviteSecret() {
+    const secret = process.env.INVITE_SECRET;
+
+    if (!secret) {
+        throw new Error('Missing invite configuration. Please set INVITE_SECRET environment variable.');
+    }
+
+    return secret;
+}
+
+/**
+ * Compute the HMAC signature for an encoded invite payload
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} base64url encoded signature
+ */
+function sign(encodedPayload) {
+    return crypto
+        .createHmac('sha256', getInviteSecret())
+        .update(encodedPayload)
+        .digest('base64url');
+}
+
+/**
+ * Build the signed token for an invite record
+ * @param {Object} invite - The invite record
+ * @returns {string} The signed invite token
+ */
+function buildInviteToken(invite) {
+    const encodedPayload = Buffer.from(JSON.stringify({
+        id: invite.id,
+        familyId: invite.family_id,
+        exp: new Date(invite.expires_at).getTime(),
+        maxUses: invite.max_uses
+    })).toString('base64url');
+
+    return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Build the /connect URL for an invite token
+ * @param {string} token - The signed invite token
+ * @returns {string} The invite link
+ */
+function buildInviteLink(token) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    return `${baseUrl}/connect?${new URLSearchParams({ invite: token }).toString()}`;
+}
+
+/**
+ * Derive the status of an invite record
+ * @param {Object} invite - The invite record
+ * @returns {string} One of: pending, used, expired, revoked
+ */
+function getInviteStatus(invite) {
+    if (invite.revoked_at) return 'revoked';
+    if (invite.use_count >= invite.max_uses) return 'used';
+    if (new Date(invite.expires_at).getTime() <= Date.now()) return 'expired';
+    return 'pending';
+}
+
+/**
+ * Create and persist a new invite for a family
+ * @param {Object} params - Invite parameters
+ * @param {string} params.familyId - Unique family identifier
+ * @param {string} params.familyName - Display name for the family
+ * @param {number} params.expiresInHours - Hours until the invite expires
+ * @param {number} params.maxUses - Number of successful connections allowed
+ * @param {string} params.createdBy - Admin username creating the invite
+ * @param {string} params.contactEmail - Where reconnect reminders for the family are sent (optional)
+ * @param {string} params.scopeProfile - Scope profile to ask for at consent (optional, see providers.js)
+ * @returns {Promise<Object>} The invite record with its token and link
+ */
+async function createInvite({ familyId, familyName, expiresInHours = DEFAULT_INVITE_TTL_HOURS, maxUses = 1, createdBy, contactEmail, scopeProfile }) {
+    console.log(`[Invites] Creating invite for family: ${familyId}`);
+
+    const ttlHours = Math.min(Math.max(Number(expiresInHours) || DEFAULT_INVITE_TTL_HOURS, 1), MAX_INVITE_TTL_HOURS);
+    const uses = Math.max(parseInt(maxUses, 10) || 1, 1);
+
+    let data;
+    try {
+        [data] = await getStorage().insertRows('family_invites', [{
+            id: crypto.randomUUID(),
+            family_id: familyId,
+            family_name: familyName || null,
+            expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString(),
+            max_uses: uses,
+            created_by: createdBy || null,
+            contact_email: contactEmail || null,
+            scope_profile: scopeProfile || null
+        }]);
+    } catch (error) {
+        console.error('[Invites] Error creating invite:', error);
+        throw error;
+    }
+
+    const token = buildInviteToken(data);
+
+    console.log(`[Invites] Created invite ${data.id} for family: ${familyId}`);
+    return {
+        ...data,
+        status: getInviteStatus(data),
+        token,
+        link: buildInviteLink(token)
+    };
+}
+
+/**
+ * Verify an invite token and load its record
+ * @param {string} token - The signed invite token
+ * @returns {Promise<Object>} The invite record, which is usable
+ * @throws {InviteError} If the token is invalid, expired, used up or revoked
+ */
+async function verifyInviteToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 2) {
+        throw new InviteError('invalid', 'Malformed invite token');
+    }
+
+    const [encodedPayload, signature] = parts;
+    const expected = Buffer.from(sign(encodedPayload));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new InviteError('invalid', 'Invite signature does not match');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+        throw new InviteError('invalid', 'Invite payload is not valid JSON');
+    }
+
+    if (!payload.id || typeof payload.exp !== 'number') {
+        throw new InviteError('invalid', 'Invite payload is incomplete');
+    }
+
+    if (Date.now() > payload.exp) {
+        throw new InviteError('expired', 'Invite has expired');
+    }
+
+    const invite = await getInvite(payload.id);
+
+    if (!invite || invite.family_id !== payload.familyId) {
+        throw new InviteError('invalid', 'Invite does not exist');
+    }
+
+    const status = getInviteStatus(invite);
+
+    if (status !== 'pending') {
+        throw new InviteError(status, `Invite is ${status}`);
+    }
+
+    return invite;
+}
+
+/**
+ * Get an invite by ID
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<Object|null>} The invite record or null if not found
+ */
+async function getInvite(inviteId) {
+    try {
+        const [invite] = await getStorage().selectRows('family_invites', { where: { id: inviteId }, limit: 1 });
+        return invite || null;
+    } catch (error) {
+        console.error('[Invites] Error fetching invite:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the signed token of an invite, to send the family back through /api/auth/start
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<string|null>} The invite token or null if not found
+ */
+async function getInviteToken(inviteId) {
+    const invite = await getInvite(inviteId);
+    return invite ? buildInviteToken(invite) : null;
+}
+
+/**
+ * Record a successful use of an invite
+ * The update only applies if use_count is unchanged since it was read, so
+ * concurrent callbacks cannot both consume the last use.
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<Object>} The updated invite record
+ * @throws {InviteError} If the invite is no longer usable
+ */
+async function consumeInvite(inviteId) {
+    console.log(`[Invites] Consuming invite: ${inviteId}`);
+
+    const invite = await getInvite(inviteId);
+
+    if (!invite) {
+        throw new InviteError('invalid', 'Invite does not exist');
+    }
+
+    const status = getInviteStatus(invite);
+
+    if (status !== 'pending') {
+        throw new InviteError(status, `Invite is ${status}`);
+    }
+
+    let data;
+    try {
+        data = await getStorage().updateRows(
+            'family_invites',
+            { use_count: invite.use_count + 1, last_used_at: new Date().toISOString() },
+            { id: inviteId, use_count: invite.use_count, revoked_at: null }
+        );
+    } catch (error) {
+        console.error('[Invites] Error consuming invite:', error);
+        throw error;
+    }
+
+    if (data.length === 0) {
+        throw new InviteError('used', 'Invite was used concurrently');
+    }
+
+    return data[0];
+}
+
+/**
+ * List invites, newest first
+ * @returns {Promise<Array<Object>>} Invite records with their derived status
+ */
+async function listInvites() {
+    let data;
+    try {
+        data = await getStorage().selectRows('family_invites', { order: [['created_at', 'desc']] });
+    } catch (error) {
+        console.error('[Invites] Error listing invites:', error);
+        throw error;
+    }
+
+    return data.map(invite => ({ ...invite, status: getInviteStatus(invite) }));
+}
+
+/**
+ * Get a family's most recent invite
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<Object|null>} The invite record or null if the family has none
+ */
+async function getLatestInvite(familyId) {
+    try {
+        const [invite] = await getStorage().selectRows('family_invites', {
+            where: { family_id: familyId },
+            order: [['created_at', 'desc']],
+            limit: 1
+        });
+        return invite || null;
+    } catch (error) {
+        console.error('[Invites] Error fetching latest invite:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the contact email most recently given for a family
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<string|null>} The contact email or null if none was given
+ */
+async function getFamilyContactEmail(familyId) {
+    try {
+        const [invite] = await getStorage().selectRows('family_invites', {
+            columns: ['contact_email'],
+            where: { family_id: familyId, contact_email: { neq: null } },
+            order: [['created_at', 'desc']],
+            limit: 1
+        });
+        return invite ? invite.contact_email : null;
+    } catch (error) {
+        console.error('[Invites] Error fetching family contact:', error);
+        throw error;
+    }
+}
+
+/**
+ * Revoke an invite so it can no longer be used
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<Object|null>} The revoked invite or null if not found
+ */
+async function revokeInvite(inviteId) {
+    console.log(`[Invites] Revoking invite: ${inviteId}`);
+
+    let data;
+    try {
+        data = await getStorage().updateRows('family_invites', { revoked_at: new Date().toISOString() }, { id: inviteId, revoked_at: null });
+    } catch (error) {
+        console.error('[Invites] Error revoking invite:', error);
+        throw error;
+    }
+
+    if (data.length === 0) {
+        return null;
+    }
+
+    return { ...data[0], status: getInviteStatus(data[0]) };
+}
+
+module.exports = {
+    createInvite,
+    verifyInviteToken,
+    consumeInvite,
+    getInviteToken,
+    listInvites,
+    revokeInvite,
+    getFamilyContactEmail,
+    getLatestInvite,
+    getInviteStatus,
+    InviteError,
+    DEFAULT_INVITE_TTL_HOURS
+};
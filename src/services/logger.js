@@ -0,0 +1,225 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+// Per-request context (the correlation ID), carried through async calls
+const context = new AsyncLocalStorage();
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|cookie|api[-_]?key|credential|^code$/i;
+
+// Credentials that can turn up inside log messages, and their replacements
+const SECRET_VALUE_PATTERNS = [
+    // Query strings and form bodies: access_token=..., code=..., invite=...
+    [/\b(access_token|refresh_token|id_token|client_secret|code|state|invite|token|api_key|key)=[^&\s"']+/gi, `$1=${REDACTED}`],
+    // Authorization headers
+    [/\b(Bearer|Basic)\s+[\w.~+/-]+=*/gi, `$1 ${REDACTED}`],
+    // Google access and refresh tokens
+    [/\bya29\.[\w.-]+/g, REDACTED],
+    [/\b1\/\/[\w.-]+/g, REDACTED],
+    // JWTs (ID tokens, Microsoft Graph tokens)
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+    // Our API keys (fak_<prefix>_<secret>)
+    [/\b(fak_[A-Za-z0-9]+_)[\w-]+/g, `$1${REDACTED}`],
+    // Email addresses keep only their domain, so logs hold nothing an erasure would have to remove
+    [/[\w.+-]+@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g, `${REDACTED}@$1`]
+];
+
+// Error fields worth logging; others (request config, response bodies) may hold tokens
+const ERROR_FIELDS = ['name', 'message', 'reason', 'code', 'status', 'stack'];
+
+// Console methods and the level they log at
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+// A leading [Prefix] in a console message names the component
+const COMPONENT_PATTERN = /^\[([^\]]+)\]\s*/;
+
+let originalConsole = null;
+
+/**
+ * Remove credentials and email addresses from a string
+ * @param {string} text - The text to clean
+ * @returns {string} The text with tokens, keys, secrets and mailbox names replaced
+ */
+function redactString(text) {
+    return SECRET_VALUE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Serialize an error for a log line, keeping only fields that cannot hold tokens
+ * @param {Error} error - The error
+ * @returns {Object} name, message, reason, code, status and stack
+ */
+function serializeError(error) {
+    const serialized = {};
+
+    for (const field of ERROR_FIELDS) {
+        if (error[field] !== undefined) {
+            serialized[field] = redact(error[field]);
+        }
+    }
+
+    // googleapis errors carry the HTTP status on the response
+    if (serialized.status === undefined && error.response && error.response.status) {
+        serialized.status = error.response.status;
+    }
+
+    return serialized;
+}
+
+/**
+ * Remove credentials from a value before it is logged
+ * Strings are scrubbed of tokens, object keys that look like secrets are replaced
+ * and errors are reduced to safe fields.
+ * @param {*} value - The value to clean
+ * @param {number} depth - Nesting depth, to stop on deep or circular objects
+ * @returns {*} A redacted copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+
+    if (depth >= 5) {
+        return '[Object]';
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1)
+    ]));
+}
+
+/**
+ * Run a function with a logging context, such as a request's correlation ID
+ * Everything logged from the function and the async work it starts carries the context.
+ * @param {Object} values - Context values ({ requestId })
+ * @param {Function} fn - The function to run
+ * @returns {*} The function's return value
+ */
+function runWithContext(values, fn) {
+    return context.run(values, fn);
+}
+
+/**
+ * Get the correlation ID of the request being handled
+ * @returns {string|undefined} The request ID, if inside a request
+ */
+function getRequestId() {
+    const store = context.getStore();
+    return store ? store.requestId : undefined;
+}
+
+/**
+ * Build a structured log line
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - The message
+ * @param {Object} fields - Extra fields (component, error, request details)
+ * @returns {string} The redacted JSON line
+ */
+function formatLogLine(level, message, fields = {}) {
+    const { error, ...rest } = fields;
+
+    return JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        request_id: getRequestId(),
+        message: redactString(message),
+        ...redact(rest),
+        ...(error !== undefined ? { error: error instanceof Error ? serializeError(error) : redact(error) } : {})
+    });
+}
+
+/**
+ * Turn console arguments into a message and fields
+ * A leading [Prefix] becomes the component; the first Error becomes the error field.
+ * @param {Array} args - Arguments passed to console.log and friends
+ * @returns {Object} message and fields
+ */
+function parseConsoleArgs(args) {
+    const fields = {};
+    const parts = [];
+
+    for (const arg of args) {
+        if (arg instanceof Error && fields.error === undefined) {
+            fields.error = arg;
+        } else {
+            parts.push(typeof arg === 'string' ? arg : redact(arg));
+        }
+    }
+
+    let message = parts.length > 0 ? util.format(...parts) : (fields.error ? fields.error.message : '');
+    const component = message.match(COMPONENT_PATTERN);
+
+    if (component) {
+        fields.component = component[1];
+        message = message.slice(component[0].length);
+    }
+
+    return { message: message.trim(), fields };
+}
+
+/**
+ * Write a log line
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - The message
+ * @param {Object} fields - Extra fields (component, error, request details)
+ */
+function log(level, message, fields = {}) {
+    const output = originalConsole || console;
+    const write = level === 'error' || level === 'warn' ? output.error : output.log;
+
+    if (process.env.LOG_FORMAT === 'text') {
+        const prefix = fields.component ? `[${fields.component}] ` : '';
+        const requestId = getRequestId() ? ` (request ${getRequestId()})` : '';
+        const error = fields.error ? ` ${util.format(redact(fields.error))}` : '';
+        write.call(output, `${prefix}${redactString(message)}${requestId}${error}`);
+        return;
+    }
+
+    write.call(output, formatLogLine(level, message, fields));
+}
+
+/**
+ * Route console output through the structured logger
+ * Existing console.log('[Prefix] ...') calls become JSON lines with a component,
+ * the request's correlation ID and credentials redacted. Set LOG_FORMAT=text for
+ * plain, still redacted, lines during local development.
+ */
+function installConsoleLogger() {
+    if (originalConsole) {
+        return;
+    }
+
+    originalConsole = {};
+
+    for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+        originalConsole[method] = console[method];
+        console[method] = (...args) => {
+            const { message, fields } = parseConsoleArgs(args);
+            log(level, message, fields);
+        };
+    }
+}
+
+module.exports = {
+    log,
+    redact,
+    formatLogLine,
+    runWithContext,
+    getRequestId,
+    installConsoleLogger
+};
@@ -0,0 +1,76 @@
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+/**
+ * Check whether outgoing email is configured
+ * @returns {boolean} True if SMTP_HOST and MAIL_FROM are set
+ */
+function isMailConfigured() {
+    return Boolean(process.env.SMTP_HOST && process.env.MAIL_FROM);
+}
+
+/**
+ * Get the SMTP transport, creating it from the environment on first use
+ * @returns {Object} The nodemailer transport
+ */
+function getTransport() {
+    if (!isMailConfigured()) {
+        throw new Error('Missing email configuration. Please set SMTP_HOST and MAIL_FROM environment variables.');
+    }
+
+    if (!transport) {
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    return transport;
+}
+
+/**
+ * Send an email from MAIL_FROM
+ * @param {Object} message - The message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body
+ * @returns {Promise<string>} The message ID
+ */
+async function sendMail({ to, subject, text, html }) {
+    const info = await getTransport().sendMail({
+        from: process.env.MAIL_FROM,
+        to,
+        subject,
+        text,
+        html
+    });
+
+    console.log(`[Mailer] Sent "${subject}" to ${to}`);
+    return info.messageId;
+}
+
+/**
+ * Close the SMTP transport; the next email creates a new one from the environment
+ * @returns {void}
+ */
+function closeMailer() {
+    if (transport) {
+        transport.close();
+        transport = null;
+    }
+}
+
+module.exports = {
+    isMailConfigured,
+    sendMail,
+    closeMailer
+};
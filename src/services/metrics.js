@@ -0,0 +1,139 @@
+const client = require('prom-client');
+
+const { listTokenExpiries } = require('./storage');
+
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const tokenRefreshes = new client.Counter({
+    name: 'token_refreshes_total',
+    help: 'Access token requests by provider and outcome (cached, refreshed, invalid_grant, error)',
+    labelNames: ['provider', 'outcome'],
+    registers: [registry]
+});
+
+const googleApiDuration = new client.Histogram({
+    name: 'google_api_request_duration_seconds',
+    help: 'Latency of Google OAuth and Gmail API calls by operation and outcome',
+    labelNames: ['operation', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry]
+});
+
+const oauthCallbacks = new client.Counter({
+    name: 'oauth_callbacks_total',
+    help: 'OAuth callbacks by provider and outcome',
+    labelNames: ['provider', 'outcome'],
+    registers: [registry]
+});
+
+// Counted from storage on every scrape
+new client.Gauge({
+    name: 'connections',
+    help: 'Connected accounts by status',
+    labelNames: ['status'],
+    registers: [registry],
+    async collect() {
+        let accounts;
+
+        try {
+            accounts = await listTokenExpiries();
+        } catch (error) {
+            console.error('[Metrics] Error counting connections:', error.message || error);
+            return;
+        }
+
+        const counts = { active: 0, needs_reconnect: 0 };
+        for (const account of accounts) {
+            counts[account.status] = (counts[account.status] || 0) + 1;
+        }
+
+        this.reset();
+        for (const [status, count] of Object.entries(counts)) {
+            this.set({ status }, count);
+        }
+    }
+});
+
+/**
+ * Record an access token request
+ * @param {string} provider - google or microsoft
+ * @param {string} outcome - cached, refreshed, invalid_grant or error
+ */
+function recordTokenRefresh(provider, outcome) {
+    tokenRefreshes.inc({ provider: provider || 'google', outcome });
+}
+
+/**
+ * Record the outcome of an OAuth callback
+ * @param {string} provider - google, microsoft or unknown (before the state is verified)
+ * @param {string} outcome - success, or the reason the callback failed
+ */
+function recordOAuthCallback(provider, outcome) {
+    oauthCallbacks.inc({ provider: provider || 'unknown', outcome });
+}
+
+/**
+ * Time a call to a Google API
+ * @param {string} operation - Name of the call (e.g. oauth.refresh, messages.list)
+ * @param {Function} fn - Makes the call; returns a promise
+ * @returns {Promise<*>} The call's result
+ */
+async function observeGoogleCall(operation, fn) {
+    const end = googleApiDuration.startTimer({ operation });
+
+    try {
+        const result = await fn();
+        end({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        end({ outcome: 'error' });
+        throw error;
+    }
+}
+
+/**
+ * Record a finished HTTP request
+ * @param {Object} request - method, route (the matched route pattern), status and durationMs
+ */
+function recordHttpRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status: String(status) };
+
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {Promise<Object>} contentType and body
+ */
+async function renderMetrics() {
+    return {
+        contentType: registry.contentType,
+        body: await registry.metrics()
+    };
+}
+
+module.exports = {
+    recordTokenRefresh,
+    recordOAuthCallback,
+    recordHttpRequest,
+    observeGoogleCall,
+    renderMetrics
+};
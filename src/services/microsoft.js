@@ -0,0 +1,205 @@
+// Scopes every connection needs: a refresh token, sign-in and the user's address
+const BASE_SCOPES = [
+    'offline_access',
+    'openid',
+    'email',
+    'https://graph.microsoft.com/User.Read'
+];
+
+// Scopes requested for each scope profile (see providers.js)
+const SCOPE_PROFILES = {
+    readonly: [...BASE_SCOPES, 'https://graph.microsoft.com/Mail.Read'],
+    full: [...BASE_SCOPES, 'https://graph.microsoft.com/Mail.ReadWrite']
+};
+
+/**
+ * Get the Microsoft identity platform configuration
+ * MICROSOFT_AUTHORITY_URL and MICROSOFT_GRAPH_URL default to the public cloud and
+ * can point at a local stand-in server in tests.
+ * @returns {Object} Client credentials, endpoints and redirect URI
+ */
+function getConfig() {
+    const clientId = process.env.MICROSOFT_CLIENT_ID;
+    const clientSecret = process.env.MICROSOFT_CLIENT_SECRET;
+
+    if (!clientId || !clientSecret) {
+        throw new Error('Missing Microsoft OAuth configuration. Please set MICROSOFT_CLIENT_ID and MICROSOFT_CLIENT_SECRET environment variables.');
+    }
+
+    const authority = (process.env.MICROSOFT_AUTHORITY_URL || 'https://login.microsoftonline.com').replace(/\/$/, '');
+    const tenant = process.env.MICROSOFT_TENANT || 'common';
+
+    return {
+        clientId,
+        clientSecret,
+        authorizeUrl: `${authority}/${tenant}/oauth2/v2.0/authorize`,
+        tokenUrl: `${authority}/${tenant}/oauth2/v2.0/token`,
+        graphUrl: (process.env.MICROSOFT_GRAPH_URL || 'https://graph.microsoft.com').replace(/\/$/, ''),
+        redirectUri: `${process.env.BASE_URL}/api/auth/callback`
+    };
+}
+
+/**
+ * Build an Error from a failed Microsoft response
+ * Shaped like googleapis errors (`response.data.error`) so callers can inspect both the same way.
+ * @param {Response} response - The fetch response
+ * @param {Object} data - The parsed response body
+ * @returns {Error} The error
+ */
+function buildError(response, data) {
+    const code = (data && data.error && (data.error.code || data.error)) || `HTTP ${response.status}`;
+    const description = (data && (data.error_description || (data.error && data.error.message))) || response.statusText;
+
+    const error = new Error(`${code}: ${description}`);
+    error.code = code;
+    error.response = { status: response.status, data };
+    return error;
+}
+
+/**
+ * Call the token endpoint and normalise the response
+ * @param {Object} params - Form parameters for the grant
+ * @returns {Promise<Object>} Token response containing access_token, refresh_token, expiry_date
+ */
+async function requestTokens(params) {
+    const config = getConfig();
+
+    const response = await fetch(config.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            // Graph tokens carry every Graph scope the user consented to, so the base
+            // scopes (part of every profile) return the profile's mail access too
+            scope: BASE_SCOPES.join(' '),
+            ...params
+        }).toString()
+    });
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data || !data.access_token) {
+        throw buildError(response, data);
+    }
+
+    return {
+        access_token: data.access_token,
+        refresh_token: data.refresh_token,
+        scope: data.scope,
+        token_type: data.token_type,
+        expiry_date: Date.now() + (Number(data.expires_in) || 3600) * 1000
+    };
+}
+
+/**
+ * Generate the Microsoft authorization URL
+ * Microsoft always returns a refresh token for offline_access, so consent is never forced.
+ * @param {string} familyId - The family identifier (used for logging)
+ * @param {string} state - Signed state created by the oauthState service
+ * @param {Object} options - Authorization options
+ * @param {Array<string>} options.scopes - Scopes to request (defaults to the full profile)
+ * @returns {string} The authorization URL
+ */
+function generateAuthUrl(familyId, state, { scopes = SCOPE_PROFILES.full } = {}) {
+    const config = getConfig();
+
+    const params = new URLSearchParams({
+        client_id: config.clientId,
+        response_type: 'code',
+        redirect_uri: config.redirectUri,
+        response_mode: 'query',
+        scope: scopes.join(' '),
+        prompt: 'select_account', // Let families pick which account to connect
+        state
+    });
+
+    console.log(`[Microsoft] Generated auth URL for family: ${familyId}`);
+    return `${config.authorizeUrl}?${params.toString()}`;
+}
+
+/**
+ * Exchange authorization code for tokens
+ * @param {string} code - The authorization code from Microsoft
+ * @returns {Promise<Object>} Token response containing access_token, refresh_token, expiry_date
+ */
+async function exchangeCodeForTokens(code) {
+    console.log('[Microsoft] Exchanging authorization code for tokens');
+
+    const tokens = await requestTokens({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: getConfig().redirectUri
+    });
+
+    console.log('[Microsoft] Successfully obtained tokens');
+    console.log(`[Microsoft] Access token expires at: ${new Date(tokens.expiry_date).toISOString()}`);
+
+    return tokens;
+}
+
+/**
+ * Refresh an access token using a refresh token
+ * Microsoft rotates refresh tokens, so the response usually includes a new refresh_token
+ * @param {string} refreshToken - The refresh token
+ * @returns {Promise<Object>} New token response
+ */
+async function refreshAccessToken(refreshToken) {
+    console.log('[Microsoft] Refreshing access token');
+
+    const tokens = await requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+    });
+
+    console.log('[Microsoft] Successfully refreshed access token');
+    console.log(`[Microsoft] New access token expires at: ${new Date(tokens.expiry_date).toISOString()}`);
+
+    return tokens;
+}
+
+/**
+ * Get the user's email address from Microsoft Graph
+ * @param {string} accessToken - Valid access token
+ * @returns {Promise<string>} The user's email address
+ */
+async function getUserEmail(accessToken) {
+    console.log('[Microsoft] Fetching user email address');
+
+    const response = await fetch(`${getConfig().graphUrl}/v1.0/me?$select=mail,userPrincipalName`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data) {
+        throw buildError(response, data);
+    }
+
+    // Outlook.com accounts may have no `mail`; the UPN is their sign-in address
+    const email = data.mail || data.userPrincipalName;
+
+    console.log(`[Microsoft] User email: ${email}`);
+    return email;
+}
+
+/**
+ * Revoke a token at Microsoft
+ * The identity platform has no endpoint to revoke a single app's refresh token; the user
+ * removes the app's access at https://account.live.com/consent/Manage (personal accounts)
+ * or https://myapps.microsoft.com (work and school accounts).
+ * @returns {Promise<boolean>} Always false: nothing was revoked
+ */
+async function revokeToken() {
+    console.log('[Microsoft] Token revocation is not supported; the stored tokens will only be deleted');
+    return false;
+}
+
+module.exports = {
+    generateAuthUrl,
+    exchangeCodeForTokens,
+    refreshAccessToken,
+    getUserEmail,
+    revokeToken,
+    SCOPE_PROFILES
+};
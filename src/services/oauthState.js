@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// How long a state issued by /api/auth/start stays valid (10 minutes)
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Cookie that binds a state to the browser that started the flow
+const STATE_COOKIE_NAME = 'oauth_state_nonce';
+
+/**
+ * Error raised when an OAuth state fails verification
+ * `reason` is one of: tampered, expired, replayed, mismatch
+ */
+class OAuthStateError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'OAuthStateError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Get the secret used to sign OAuth state
+ * @returns {string} The signing secret
+ */
+function getStateSecret() {
+    const secret = process.env.OAUTH_STATE_SECRET;
+
+    if (!secret) {
+        throw new Error('Missing OAuth state configuration. Please set OAUTH_STATE_SECRET environment variable.');
+    }
+
+    return secret;
+}
+
+/**
+ * Compute the HMAC signature for an encoded state payload
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} base64url encoded signature
+ */
+function sign(encodedPayload) {
+    return crypto
+        .createHmac('sha256', getStateSecret())
+        .update(encodedPayload)
+        .digest('base64url');
+}
+
+/**
+ * Create a signed, expiring OAuth state for a family
+ * @param {Object} params - State parameters
+ * @param {string} params.familyId - The family identifier
+ * @param {string} params.familyName - The family display name
+ * @param {string} params.inviteId - The invite the flow was started from
+ * @param {string} params.provider - The mail provider being connected
+ * @param {boolean} params.consent - Whether the consent screen was forced
+ * @returns {Object} The signed state string and the nonce to bind to the browser cookie
+ */
+function createState({ familyId, familyName, inviteId, provider, consent = true }) {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const issuedAt = Date.now();
+
+    const payload = {
+        familyId,
+        familyName: familyName || '',
+        inviteId,
+        provider,
+        consent,
+        nonce,
+        iat: issuedAt,
+        exp: issuedAt + STATE_TTL_MS
+    };
+
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const state = `${encodedPayload}.${sign(encodedPayload)}`;
+
+    return { state, nonce };
+}
+
+/**
+ * Check whether a state's nonce was already used
+ * @param {string} nonce - The state nonce
+ * @returns {Promise<boolean>} True if a callback already used it
+ */
+async function isNonceUsed(nonce) {
+    try {
+        return await getStorage().countRows('oauth_state_nonces', { nonce }) > 0;
+    } catch (error) {
+        console.error('[OAuthState] Error checking state nonce:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a state's nonce as used, across every server instance
+ * The nonce is the table's primary key, so only the first of two concurrent callbacks can insert it.
+ * Nonces past their state's expiry are deleted; the expiry check rejects those states anyway.
+ * @param {string} nonce - The state nonce
+ * @param {number} expiresAt - The state expiry, in milliseconds since the epoch
+ * @throws {OAuthStateError} If the nonce was already used
+ */
+async function consumeNonce(nonce, expiresAt) {
+    const storage = getStorage();
+
+    try {
+        await storage.insertRows('oauth_state_nonces', [{ nonce, expires_at: new Date(expiresAt).toISOString() }]);
+    } catch (error) {
+        if (error.reason === 'conflict') {
+            throw new OAuthStateError('replayed', 'State has already been used');
+        }
+        console.error('[OAuthState] Error recording state nonce:', error);
+        throw error;
+    }
+
+    try {
+        await storage.deleteRows('oauth_state_nonces', { expires_at: { lt: new Date().toISOString() } });
+    } catch (error) {
+        console.error('[OAuthState] Error pruning used nonces:', error);
+    }
+}
+
+/**
+ * Verify a state returned by Google and consume its nonce
+ * @param {string} state - The state query parameter from the callback
+ * @param {string} cookieNonce - The nonce from the browser cookie set at /api/auth/start
+ * @returns {Promise<Object>} The verified payload containing familyId, familyName, inviteId and provider
+ * @throws {OAuthStateError} If the state is tampered, expired, replayed or not bound to this browser
+ */
+async function verifyState(state, cookieNonce) {
+    const parts = typeof state === 'string' ? state.split('.') : [];
+
+    if (parts.length !== 2) {
+        throw new OAuthStateError('tampered', 'Malformed state parameter');
+    }
+
+    const [encodedPayload, signature] = parts;
+    const expected = Buffer.from(sign(encodedPayload));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new OAuthStateError('tampered', 'State signature does not match');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+        throw new OAuthStateError('tampered', 'State payload is not valid JSON');
+    }
+
+    if (!payload.familyId || !payload.inviteId || !payload.nonce || !payload.exp) {
+        throw new OAuthStateError('tampered', 'State payload is missing required fields');
+    }
+
+    if (await isNonceUsed(payload.nonce)) {
+        throw new OAuthStateError('replayed', 'State has already been used');
+    }
+
+    if (Date.now() > payload.exp) {
+        throw new OAuthStateError('expired', 'State has expired');
+    }
+
+    if (!cookieNonce || cookieNonce !== payload.nonce) {
+        throw new OAuthStateError('mismatch', 'State is not bound to this browser session');
+    }
+
+    await consumeNonce(payload.nonce, payload.exp);
+
+    return {
+        familyId: payload.familyId,
+        familyName: payload.familyName,
+        inviteId: payload.inviteId,
+        provider: payload.provider,
+        consent: payload.consent !== false
+    };
+}
+
+module.exports = {
+    createState,
+    verifyState,
+    OAuthStateError,
+    STATE_TTL_MS,
+    STATE_COOKIE_NAME
+};
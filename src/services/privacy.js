@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+
+const { getProvider } = require('./providers');
+const { getStorage, listFamilyAccounts, getFamilyTokens, deleteAccount, parseGrantedScopes } = require('./storage');
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhooks');
+const { recordAuditEvent, exportAuditEvents, scrubFamilyAuditEvents, AUDIT_ACTIONS } = require('./audit');
+
+// Default lifetime of a privacy link (7 days) and the longest allowed (30 days)
+const DEFAULT_PRIVACY_TTL_HOURS = 7 * 24;
+const MAX_PRIVACY_TTL_HOURS = 30 * 24;
+
+/**
+ * Error raised when a data export or erasure cannot be completed
+ * `reason` is one of: invalid, expired (link), erased (link issued before an erasure), not_found, revoke_failed
+ */
+class PrivacyError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PrivacyError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Compute the HMAC signature for an encoded privacy link payload
+ * Signed with INVITE_SECRET under its own prefix, so privacy, invite and disconnect
+ * tokens can never be swapped for one another.
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} base64url encoded signature
+ */
+function sign(encodedPayload) {
+    const secret = process.env.INVITE_SECRET;
+
+    if (!secret) {
+        throw new Error('Missing invite configuration. Please set INVITE_SECRET environment variable.');
+    }
+
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`privacy.${encodedPayload}`)
+        .digest('base64url');
+}
+
+/**
+ * Create a signed link that lets a family download or erase its data
+ * @param {Object} params - Link parameters
+ * @param {string} params.familyId - Unique family identifier
+ * @param {string} params.familyName - Display name shown on the privacy page
+ * @param {number} params.expiresInHours - Hours until the link expires
+ * @returns {Object} The token, link and expiry
+ */
+function createPrivacyLink({ familyId, familyName, expiresInHours = DEFAULT_PRIVACY_TTL_HOURS }) {
+    const ttlHours = Math.min(Math.max(Number(expiresInHours) || DEFAULT_PRIVACY_TTL_HOURS, 1), MAX_PRIVACY_TTL_HOURS);
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+    const encodedPayload = Buffer.from(JSON.stringify({
+        familyId,
+        familyName: familyName || '',
+        iat: Date.now(),
+        exp: expiresAt.getTime()
+    })).toString('base64url');
+
+    const token = `${encodedPayload}.${sign(encodedPayload)}`;
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    return {
+        token,
+        link: `${baseUrl}/privacy?${new URLSearchParams({ token }).toString()}`,
+        expiresAt: expiresAt.toISOString()
+    };
+}
+
+/**
+ * Get when a family's data was last erased
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<number|null>} Time of the latest erasure (ms), or null if never erased
+ */
+async function getLatestErasureTime(familyId) {
+    let latest;
+    try {
+        [latest] = await getStorage().selectRows('family_erasures', {
+            columns: ['created_at'],
+            where: { family_id: familyId },
+            order: [['created_at', 'desc']],
+            limit: 1
+        });
+    } catch (error) {
+        console.error('[Privacy] Error reading erasures:', error);
+        throw error;
+    }
+
+    return latest ? new Date(latest.created_at).getTime() : null;
+}
+
+/**
+ * Verify a privacy link token
+ * Links issued before the family's latest erasure no longer work, so a leaked link cannot
+ * read what the family stores after reconnecting.
+ * @param {string} token - The signed privacy token
+ * @returns {Promise<Object>} familyId and familyName
+ * @throws {PrivacyError} If the token is invalid, expired or predates an erasure
+ */
+async function verifyPrivacyToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 2) {
+        throw new PrivacyError('invalid', 'Malformed privacy token');
+    }
+
+    const [encodedPayload, signature] = parts;
+    const expected = Buffer.from(sign(encodedPayload));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new PrivacyError('invalid', 'Privacy signature does not match');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new PrivacyError('invalid', 'Privacy payload is not valid JSON');
+    }
+
+    if (!payload.familyId || typeof payload.exp !== 'number') {
+        throw new PrivacyError('invalid', 'Privacy payload is incomplete');
+    }
+
+    if (Date.now() > payload.exp) {
+        throw new PrivacyError('expired', 'Privacy link has expired');
+    }
+
+    // Links from before `iat` was added count as issued before any erasure
+    const erasedAt = await getLatestErasureTime(payload.familyId);
+
+    if (erasedAt !== null && erasedAt >= (Number(payload.iat) || 0)) {
+        throw new PrivacyError('erased', 'Privacy link was issued before the family was erased');
+    }
+
+    return {
+        familyId: payload.familyId,
+        familyName: payload.familyName || ''
+    };
+}
+
+/**
+ * Read a family's rows from a table
+ * @param {string} table - Table name
+ * @param {string} familyId - Unique family identifier
+ * @param {Array<string>} columns - Columns to read (all if omitted)
+ * @returns {Promise<Array<Object>>} The rows, oldest first
+ */
+async function selectFamilyRows(table, familyId, columns) {
+    try {
+        return await getStorage().selectRows(table, {
+            columns,
+            where: { family_id: familyId },
+            order: [['created_at', 'asc']]
+        });
+    } catch (error) {
+        console.error(`[Privacy] Error reading ${table}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a family's rows from a table
+ * @param {string} table - Table name
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function deleteFamilyRows(table, familyId) {
+    try {
+        const deleted = await getStorage().deleteRows(table, { family_id: familyId });
+        return deleted.length;
+    } catch (error) {
+        console.error(`[Privacy] Error deleting from ${table}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Delete the attempt logs of a family's webhook deliveries
+ * Supabase cascades these with the deliveries; the other backends have no foreign keys.
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<void>}
+ */
+async function deleteDeliveryAttempts(familyId) {
+    const deliveries = await selectFamilyRows('webhook_deliveries', familyId, ['id']);
+
+    try {
+        await getStorage().deleteRows('webhook_delivery_attempts', { delivery_id: { in: deliveries.map(delivery => delivery.id) } });
+    } catch (error) {
+        console.error('[Privacy] Error deleting from webhook_delivery_attempts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Bundle everything stored about a family, for a data-subject access request
+ * Connection records never include tokens; webhook deliveries leave out the receiving URL.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} options - Export options
+ * @param {Object} options.actor - Who asked for the export, for the audit log
+ * @returns {Promise<Object>} The family's connections, invites, reconnect reminders, audit entries, webhook deliveries, email rules and past erasures
+ * @throws {PrivacyError} If nothing is stored about the family
+ */
+async function exportFamilyData(familyId, { actor }) {
+    const accounts = await listFamilyAccounts(familyId);
+
+    const [invites, reminders, deliveries, emailRules, erasures, audit] = await Promise.all([
+        selectFamilyRows('family_invites', familyId, ['id', 'family_name', 'contact_email', 'scope_profile', 'max_uses', 'use_count', 'last_used_at', 'created_by', 'expires_at', 'revoked_at', 'created_at']),
+        selectFamilyRows('reconnect_reminders', familyId, ['id', 'account_id', 'recipient', 'trigger', 'status', 'error', 'created_at']),
+        selectFamilyRows('webhook_deliveries', familyId, ['id', 'event_type', 'payload', 'status', 'attempts', 'delivered_at', 'created_at']),
+        selectFamilyRows('family_email_rules', familyId, ['sender_domains', 'keywords', 'categories', 'label_name', 'updated_at', 'created_at']),
+        selectFamilyRows('family_erasures', familyId, ['id', 'requested_by_type', 'summary', 'created_at']),
+        exportAuditEvents({ familyId })
+    ]);
+
+    if ([accounts, invites, reminders, deliveries, emailRules, erasures, audit.events].every(rows => rows.length === 0)) {
+        throw new PrivacyError('not_found', 'No data is stored for this family');
+    }
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.FAMILY_DATA_EXPORTED,
+        actor,
+        familyId,
+        details: { accounts: accounts.length, audit_entries: audit.events.length, webhook_deliveries: deliveries.length }
+    });
+
+    console.log(`[Privacy] Exported data of family: ${familyId}`);
+
+    return {
+        family_id: familyId,
+        exported_at: new Date().toISOString(),
+        connections: accounts.map(account => ({
+            ...account,
+            provider: account.provider || 'google',
+            granted_scopes: parseGrantedScopes(account.granted_scopes)
+        })),
+        invites,
+        reconnect_reminders: reminders,
+        audit_log: audit.events,
+        audit_log_truncated: audit.truncated,
+        webhook_deliveries: deliveries,
+        email_rules: emailRules[0] || null,
+        erasures
+    };
+}
+
+/**
+ * Erase a family's data, for a data-subject erasure request
+ * Revokes every account's grant at its provider, then hard-deletes the token rows,
+ * invites, reconnect reminders, webhook deliveries (and their attempt logs) and email rules, scrubs
+ * personal data from the family's audit entries and records a tombstone in family_erasures.
+ * If a grant cannot be revoked nothing is deleted, unless `force` is set.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} options - Erasure options
+ * @param {Object} options.actor - Who asked for the erasure ({ type: admin|family, id })
+ * @param {boolean} options.force - Erase even if a grant cannot be revoked
+ * @returns {Promise<Object>} The tombstone: its ID, when, and what was removed
+ * @throws {PrivacyError} If nothing is stored about the family, or a grant could not be revoked
+ */
+async function eraseFamilyData(familyId, { actor, force = false }) {
+    const accounts = await listFamilyAccounts(familyId);
+    const [invites, audit] = await Promise.all([
+        selectFamilyRows('family_invites', familyId, ['id']),
+        exportAuditEvents({ familyId })
+    ]);
+
+    if (accounts.length === 0 && invites.length === 0 && audit.events.length === 0) {
+        throw new PrivacyError('not_found', 'No data is stored for this family');
+    }
+
+    // Revoke every grant before deleting anything, so a failure leaves the data in place
+    // (Microsoft cannot revoke its grants; those accounts count as not revoked)
+    let revoked = 0;
+    let notRevoked = 0;
+
+    for (const account of accounts) {
+        const tokenData = await getFamilyTokens(familyId, { accountId: account.id });
+        const provider = getProvider(tokenData.provider);
+
+        try {
+            if (await provider.revokeToken(tokenData.refresh_token || tokenData.access_token)) {
+                revoked++;
+            } else {
+                notRevoked++;
+            }
+        } catch (error) {
+            console.error(`[Privacy] Failed to revoke grant for account ${account.id} of family ${familyId}:`, error.message);
+            notRevoked++;
+
+            if (!force) {
+                throw new PrivacyError('revoke_failed', `Could not revoke access at ${provider.displayName}: ${error.message}`);
+            }
+        }
+    }
+
+    for (const account of accounts) {
+        await deleteAccount(familyId, account.id);
+    }
+
+    const reminders = await deleteFamilyRows('reconnect_reminders', familyId);
+    const invitesDeleted = await deleteFamilyRows('family_invites', familyId);
+    await deleteDeliveryAttempts(familyId);
+    const deliveries = await deleteFamilyRows('webhook_deliveries', familyId);
+    await deleteFamilyRows('family_email_rules', familyId);
+    const auditScrubbed = await scrubFamilyAuditEvents(familyId);
+
+    const summary = {
+        accounts_deleted: accounts.length,
+        grants_revoked: revoked,
+        grants_not_revoked: notRevoked,
+        invites_deleted: invitesDeleted,
+        reminders_deleted: reminders,
+        webhook_deliveries_deleted: deliveries,
+        audit_entries_scrubbed: auditScrubbed
+    };
+
+    let tombstone;
+    try {
+        [tombstone] = await getStorage().insertRows('family_erasures', [{
+            family_id: familyId,
+            requested_by_type: actor.type,
+            requested_by_id: actor.id || null,
+            summary
+        }]);
+    } catch (error) {
+        console.error('[Privacy] Error recording erasure:', error);
+        throw error;
+    }
+
+    console.log(`[Privacy] Erased data of family ${familyId}: ${JSON.stringify(summary)}`);
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.FAMILY_ERASED,
+        actor,
+        familyId,
+        details: { erasure_id: tombstone.id, ...summary }
+    });
+
+    // Not keyed to the family, so the erasure leaves no delivery rows behind it; the payload
+    // carries only the family ID and erasure ID, as the tombstone does
+    emitEvent(WEBHOOK_EVENTS.FAMILY_ERASED, familyId, { erasure_id: tombstone.id }, { keyByFamily: false });
+
+    return {
+        id: tombstone.id,
+        family_id: familyId,
+        erased_at: tombstone.created_at,
+        ...summary
+    };
+}
+
+module.exports = {
+    PrivacyError,
+    createPrivacyLink,
+    verifyPrivacyToken,
+    exportFamilyData,
+    eraseFamilyData,
+    DEFAULT_PRIVACY_TTL_HOURS
+};
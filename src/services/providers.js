@@ -0,0 +1,81 @@
+const google = require('./google');
+const microsoft = require('./microsoft');
+
+const DEFAULT_PROVIDER = 'google';
+
+// Scope profiles an invite can ask for; each provider maps them to its own scopes
+//   readonly: read mail only
+//   full: read, label and modify mail
+const SCOPE_PROFILES = ['readonly', 'full'];
+const DEFAULT_SCOPE_PROFILE = 'full';
+
+/**
+ * Mail providers a family can connect
+ * Each implements generateAuthUrl, exchangeCodeForTokens, refreshAccessToken, getUserEmail
+ * and revokeToken, returns tokens as { access_token, refresh_token, expiry_date, scope },
+ * and lists the scopes of each scope profile in scopeProfiles. Google also implements
+ * checkConfiguration, a self-test of its OAuth client used by /health/ready.
+ */
+const PROVIDERS = {
+    google: {
+        name: 'google',
+        displayName: 'Google',
+        isConfigured: () => Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+        generateAuthUrl: google.generateAuthUrl,
+        exchangeCodeForTokens: google.exchangeCodeForTokens,
+        refreshAccessToken: google.refreshAccessToken,
+        getUserEmail: google.getUserEmail,
+        revokeToken: google.revokeToken,
+        checkConfiguration: google.checkOAuthConfiguration,
+        scopeProfiles: google.SCOPE_PROFILES
+    },
+    microsoft: {
+        name: 'microsoft',
+        displayName: 'Microsoft',
+        isConfigured: () => Boolean(process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET),
+        generateAuthUrl: microsoft.generateAuthUrl,
+        exchangeCodeForTokens: microsoft.exchangeCodeForTokens,
+        refreshAccessToken: microsoft.refreshAccessToken,
+        getUserEmail: microsoft.getUserEmail,
+        revokeToken: microsoft.revokeToken,
+        scopeProfiles: microsoft.SCOPE_PROFILES
+    }
+};
+
+/**
+ * Get a provider by name
+ * Records stored before providers were added have no provider and are Google.
+ * @param {string} name - Provider name (google or microsoft)
+ * @returns {Object|null} The provider or null if unknown
+ */
+function getProvider(name) {
+    return PROVIDERS[name || DEFAULT_PROVIDER] || null;
+}
+
+/**
+ * List the providers that have credentials configured
+ * @returns {Array<Object>} Provider name and display name
+ */
+function listConfiguredProviders() {
+    return Object.values(PROVIDERS)
+        .filter(provider => provider.isConfigured())
+        .map(({ name, displayName }) => ({ name, displayName }));
+}
+
+/**
+ * Check whether a name is a known scope profile
+ * @param {string} name - Scope profile name
+ * @returns {boolean} True for readonly and full
+ */
+function isScopeProfile(name) {
+    return SCOPE_PROFILES.includes(name);
+}
+
+module.exports = {
+    getProvider,
+    listConfiguredProviders,
+    isScopeProfile,
+    SCOPE_PROFILES,
+    DEFAULT_SCOPE_PROFILE,
+    DEFAULT_PROVIDER
+};
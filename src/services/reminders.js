@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { getStorage, getConnectionStatus, getFamilyTokens } = require('./storage');
+const { createInvite, revokeInvite, getFamilyContactEmail, getLatestInvite } = require('./invites');
+const { getProvider } = require('./providers');
+const { isMailConfigured, sendMail } = require('./mailer');
+const { recordAuditEvent, AUDIT_ACTIONS } = require('./audit');
+
+// Hours after a reminder before another automatic one goes to the same family
+const REMINDER_INTERVAL_HOURS = parseInt(process.env.RECONNECT_REMINDER_INTERVAL_HOURS, 10) || 24;
+
+// Interval between sweeps for reminders that are due but were never sent
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Lifetime of the invite link in a reminder (7 days)
+const REMINDER_INVITE_TTL_HOURS = 7 * 24;
+
+// Bundled templates; EMAIL_TEMPLATES_DIR may hold replacements with the same file names
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, '../templates');
+
+const REMINDER_SUBJECT = 'Please reconnect {{email}} to Family Assistant';
+
+let sweepTimer = null;
+
+/**
+ * Error raised when a reminder cannot be sent
+ * `reason` is one of: not_configured, not_found, not_needed, throttled, send_failed
+ */
+class ReminderError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ReminderError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Escape a value for an HTML template
+ * @param {string} value - The value
+ * @returns {string} The escaped value
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an email template, replacing {{name}} placeholders
+ * @param {string} fileName - Template file name
+ * @param {Object} values - Placeholder values
+ * @returns {string} The rendered template (values are escaped in .html templates)
+ */
+function renderTemplate(fileName, values) {
+    const overridePath = process.env.EMAIL_TEMPLATES_DIR && path.join(process.env.EMAIL_TEMPLATES_DIR, fileName);
+    const templatePath = overridePath && fs.existsSync(overridePath)
+        ? overridePath
+        : path.join(DEFAULT_TEMPLATES_DIR, fileName);
+
+    const escape = fileName.endsWith('.html') ? escapeHtml : String;
+
+    return fs.readFileSync(templatePath, 'utf8').replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+        return name in values ? escape(values[name]) : placeholder;
+    });
+}
+
+/**
+ * Build the subject and bodies of a reconnect reminder
+ * @param {Object} values - familyName, email, providerName, link and expiresAt
+ * @returns {Object} subject, text and html
+ */
+function buildReminderEmail(values) {
+    return {
+        subject: REMINDER_SUBJECT.replace('{{email}}', values.email),
+        text: renderTemplate('reconnect-reminder.txt', values),
+        html: renderTemplate('reconnect-reminder.html', values)
+    };
+}
+
+/**
+ * Get the most recent reminder sent to a family
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<Object|null>} The reminder row or null if none was sent
+ */
+async function getLastReminder(familyId) {
+    try {
+        const [reminder] = await getStorage().selectRows('reconnect_reminders', {
+            where: { family_id: familyId, status: 'sent' },
+            order: [['created_at', 'desc']],
+            limit: 1
+        });
+        return reminder || null;
+    } catch (error) {
+        console.error('[Reminders] Error fetching last reminder:', error);
+        throw error;
+    }
+}
+
+/**
+ * Log a reminder attempt
+ * @param {Object} reminder - The reconnect_reminders row to insert
+ * @returns {Promise<Object>} The inserted row
+ */
+async function logReminder(reminder) {
+    try {
+        const [logged] = await getStorage().insertRows('reconnect_reminders', [reminder]);
+        return logged;
+    } catch (error) {
+        console.error('[Reminders] Error logging reminder:', error);
+        throw error;
+    }
+}
+
+/**
+ * Email a family a fresh /connect link for an account that needs reconnecting
+ * The email goes to the family's contact email, or the broken mailbox if none was given.
+ * Automatic reminders are throttled to one per family per RECONNECT_REMINDER_INTERVAL_HOURS;
+ * manual ones are not. If sending fails, the new invite is revoked.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} options - Reminder options
+ * @param {string} options.accountId - The account to reconnect (defaults to the first that needs it)
+ * @param {string} options.trigger - automatic or manual
+ * @param {string} options.sentBy - Admin username for manual reminders
+ * @returns {Promise<Object>} The reconnect_reminders row
+ * @throws {ReminderError} If email is not configured, nothing needs reconnecting, the
+ *   family was reminded recently or the email could not be sent
+ */
+async function sendReconnectReminder(familyId, { accountId, trigger = 'automatic', sentBy } = {}) {
+    if (!isMailConfigured()) {
+        throw new ReminderError('not_configured', 'Email is not configured. Set SMTP_HOST and MAIL_FROM to send reminders.');
+    }
+
+    const { accounts } = await getConnectionStatus(familyId);
+    const account = accounts.find(candidate => candidate.status === 'needs_reconnect' && (!accountId || candidate.id === accountId));
+
+    if (!account) {
+        if (accounts.length === 0 || (accountId && !accounts.some(candidate => candidate.id === accountId))) {
+            throw new ReminderError('not_found', 'Account not found');
+        }
+        throw new ReminderError('not_needed', 'No account of this family needs reconnecting');
+    }
+
+    if (trigger === 'automatic') {
+        const lastReminder = await getLastReminder(familyId);
+        const nextAllowed = lastReminder && new Date(lastReminder.created_at).getTime() + REMINDER_INTERVAL_HOURS * 60 * 60 * 1000;
+
+        if (nextAllowed && nextAllowed > Date.now()) {
+            throw new ReminderError('throttled', `Family was reminded at ${lastReminder.created_at}; next reminder allowed after ${new Date(nextAllowed).toISOString()}`);
+        }
+    }
+
+    const tokenData = await getFamilyTokens(familyId, { accountId: account.id });
+    const contactEmail = await getFamilyContactEmail(familyId);
+    const latestInvite = await getLatestInvite(familyId);
+    const recipient = contactEmail || account.email;
+
+    const invite = await createInvite({
+        familyId,
+        familyName: tokenData.family_name,
+        contactEmail,
+        // Reconnect with the access the family chose last time
+        scopeProfile: latestInvite ? latestInvite.scope_profile : null,
+        expiresInHours: REMINDER_INVITE_TTL_HOURS,
+        createdBy: sentBy || 'reconnect-reminder'
+    });
+
+    const email = buildReminderEmail({
+        familyName: tokenData.family_name || 'there',
+        email: account.email,
+        providerName: getProvider(account.provider).displayName,
+        link: invite.link,
+        expiresAt: new Date(invite.expires_at).toUTCString()
+    });
+
+    const reminder = {
+        family_id: familyId,
+        account_id: account.id,
+        recipient,
+        invite_id: invite.id,
+        trigger,
+        sent_by: sentBy || null
+    };
+
+    try {
+        await sendMail({ to: recipient, ...email });
+    } catch (error) {
+        console.error(`[Reminders] Failed to send reminder for family ${familyId}:`, error.message);
+
+        await revokeInvite(invite.id);
+        await logReminder({ ...reminder, status: 'failed', error: error.message });
+        throw new ReminderError('send_failed', `Could not send the reminder: ${error.message}`);
+    }
+
+    const sent = await logReminder({ ...reminder, status: 'sent' });
+
+    await recordAuditEvent({
+        action: AUDIT_ACTIONS.RECONNECT_REMINDER_SENT,
+        actor: trigger === 'manual' ? { type: 'admin', id: sentBy } : { type: 'system', id: 'reconnect-reminder' },
+        familyId,
+        accountId: account.id,
+        details: { recipient, email: account.email, invite_id: invite.id, trigger }
+    });
+
+    console.log(`[Reminders] Sent ${trigger} reconnect reminder for family ${familyId} to ${recipient}`);
+    return sent;
+}
+
+/**
+ * Send the automatic reminder for an account that just entered needs_reconnect
+ * Runs in the background and never throws; does nothing when email is not configured.
+ * @param {string} familyId - Unique family identifier
+ * @param {string} accountId - The account that needs reconnecting
+ * @returns {Promise<void>}
+ */
+async function remindFamilyToReconnect(familyId, accountId) {
+    if (!isMailConfigured()) {
+        return;
+    }
+
+    try {
+        await sendReconnectReminder(familyId, { accountId, trigger: 'automatic' });
+    } catch (error) {
+        if (error instanceof ReminderError && error.reason === 'throttled') {
+            console.log(`[Reminders] Skipping reminder for family ${familyId}: ${error.message}`);
+            return;
+        }
+        console.error(`[Reminders] Error sending reminder for family ${familyId}:`, error.message || error);
+    }
+}
+
+/**
+ * Send the automatic reminders that are due but were never sent
+ * An account is due when it needs reconnecting and no reminder for it was sent since its
+ * last refresh failed: the email failed, or a serverless instance was frozen before sending it.
+ * Throttling still applies, so a family gets at most one automatic reminder per interval.
+ * @returns {Promise<Object>} Counts of checked accounts and sent, throttled and failed reminders
+ */
+async function sendDueReminders() {
+    const summary = { checked: 0, sent: 0, throttled: 0, failed: 0 };
+
+    if (!isMailConfigured()) {
+        return summary;
+    }
+
+    let accounts;
+    try {
+        accounts = await getStorage().selectRows('family_gmail_tokens', {
+            columns: ['id', 'family_id', 'last_refresh_at', 'created_at'],
+            where: { status: 'needs_reconnect' },
+            order: [['created_at', 'asc']]
+        });
+    } catch (error) {
+        console.error('[Reminders] Error fetching accounts that need reconnecting:', error);
+        throw error;
+    }
+
+    for (const account of accounts) {
+        summary.checked++;
+
+        try {
+            const [reminded] = await getStorage().selectRows('reconnect_reminders', {
+                columns: ['id'],
+                where: { account_id: account.id, status: 'sent', created_at: { gte: account.last_refresh_at || account.created_at } },
+                limit: 1
+            });
+            if (reminded) continue;
+
+            await sendReconnectReminder(account.family_id, { accountId: account.id, trigger: 'automatic' });
+            summary.sent++;
+        } catch (error) {
+            if (error instanceof ReminderError && error.reason === 'throttled') {
+                summary.throttled++;
+                continue;
+            }
+            console.error(`[Reminders] Error sending due reminder for family ${account.family_id}:`, error.message || error);
+            summary.failed++;
+        }
+    }
+
+    console.log(`[Reminders] Reminder sweep: ${summary.sent} sent, ${summary.throttled} throttled, ${summary.failed} failed of ${summary.checked}`);
+
+    return summary;
+}
+
+/**
+ * Start sweeping for due reminders in the background
+ * Runs every hour. Does nothing unless email is configured.
+ * @returns {void}
+ */
+function startReminderSweep() {
+    if (sweepTimer || !isMailConfigured()) return;
+
+    const run = () => sendDueReminders().catch(error => {
+        console.error('[Reminders] Reminder sweep failed:', error);
+    });
+
+    sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+}
+
+/**
+ * Stop the background reminder sweep
+ * @returns {void}
+ */
+function stopReminderSweep() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+module.exports = {
+    ReminderError,
+    sendReconnectReminder,
+    remindFamilyToReconnect,
+    sendDueReminders,
+    startReminderSweep,
+    stopReminderSweep,
+    buildReminderEmail
+};
@@ -0,0 +1,563 @@
+const { GmailProxyError, withGmail, parseMessage } = require('./gmail');
+const { listFamilyAccounts, parseGrantedScopes } = require('./storage');
+const { getEmailRules, buildGmailQuery, matchMessage } = require('./emailRules');
+const { observeGoogleCall } = require('./metrics');
+
+// Window read when there is no cursor for an account, and the longest allowed
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MAX_LOOKBACK_DAYS = 30;
+
+// Messages classified per account in one digest
+const DEFAULT_MAX_MESSAGES = 25;
+const MAX_MESSAGES = 100;
+
+// Message IDs listed per Gmail search, and the searches made to find an account's oldest matches
+const MAX_LISTED_MESSAGES = 500;
+const MAX_LIST_WINDOWS = 20;
+
+// Dates and action items kept per message, and the longest body read
+const MAX_EXTRACTED_ITEMS = 10;
+const MAX_BODY_LENGTH = 20000;
+
+// Scopes needed to create the label and apply it
+const LABEL_SCOPES = [
+    'https://www.googleapis.com/auth/gmail.labels',
+    'https://www.googleapis.com/auth/gmail.modify'
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY = '(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\\s+';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+// Date formats recognized in message bodies; numeric dates are month/day
+const DATE_PATTERNS = [
+    { type: 'iso', regex: /\b(\d{4})-(\d{2})-(\d{2})\b/gi },
+    { type: 'month_day', regex: new RegExp(`\\b(?:${WEEKDAY})?${MONTH}\\s+(\\d{1,2})${ORDINAL}\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi') },
+    { type: 'day_month', regex: new RegExp(`\\b(?:${WEEKDAY})?(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4})\\b)?`, 'gi') },
+    { type: 'numeric', regex: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g },
+    { type: 'relative', regex: /\b(today|tonight|tomorrow)\b/gi },
+    { type: 'weekday', regex: /\b(?:(this|next)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/gi }
+];
+
+// A time right after a date, e.g. "at 3:30 pm" or ", 9am"
+const TIME_PATTERN = /^,?\s*(?:at|@|from)?\s*(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?/i;
+
+// Words that make a sentence an action item
+const ACTION_PATTERN = /\b(please|kindly|remember to|don'?t forget|do not forget|make sure|must|required|need(?:s)? to|sign(?:ed)?|return|bring|rsvp|register|sign up|submit|complete|pay|due|deadline|no later than)\b/i;
+
+// Boilerplate sentences that are never action items
+const BOILERPLATE_PATTERN = /\b(unsubscribe|privacy policy|manage (?:your )?preferences|view (?:this email )?in (?:your|a) browser)\b/i;
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - The date
+ * @returns {string} The formatted date
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build a UTC date from parts, rejecting dates that do not exist (e.g. February 30)
+ * @param {number} year - Full year
+ * @param {number} month - Month, 0-11
+ * @param {number} day - Day of the month
+ * @returns {Date|null} The date, or null if it does not exist
+ */
+function makeDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Pick the year for a date written without one
+ * Dates more than two months before the message are taken to be next year's (a December
+ * email about "January 5").
+ * @param {number} month - Month, 0-11
+ * @param {number} day - Day of the month
+ * @param {Date} reference - When the message was received
+ * @returns {Date|null} The date, or null if it does not exist
+ */
+function inferYear(month, day, reference) {
+    const year = reference.getUTCFullYear();
+    const date = makeDate(year, month, day);
+
+    if (date && reference - date > 61 * 24 * 60 * 60 * 1000) {
+        return makeDate(year + 1, month, day);
+    }
+    return date;
+}
+
+/**
+ * Turn a date match into a date
+ * Relative dates and weekdays count from the message's UTC date; "next Friday" and a bare
+ * "Friday" both mean the coming Friday (a bare weekday may be the same day).
+ * @param {string} type - Pattern type from DATE_PATTERNS
+ * @param {Array<string>} match - The regex match
+ * @param {Date} reference - When the message was received
+ * @returns {Date|null} The date, or null if the match is not a real date
+ */
+function resolveDate(type, match, reference) {
+    const today = new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate()));
+    const year = value => (value ? (value.length === 2 ? 2000 + Number(value) : Number(value)) : null);
+    const monthIndex = name => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+    switch (type) {
+        case 'iso':
+            return makeDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        case 'month_day':
+        case 'day_month': {
+            const [monthName, day] = type === 'month_day' ? [match[1], match[2]] : [match[2], match[1]];
+            return match[3]
+                ? makeDate(year(match[3]), monthIndex(monthName), Number(day))
+                : inferYear(monthIndex(monthName), Number(day), reference);
+        }
+        case 'numeric':
+            return match[3]
+                ? makeDate(year(match[3]), Number(match[1]) - 1, Number(match[2]))
+                : inferYear(Number(match[1]) - 1, Number(match[2]), reference);
+        case 'relative':
+            return new Date(today.getTime() + (match[1].toLowerCase() === 'tomorrow' ? 1 : 0) * 24 * 60 * 60 * 1000);
+        case 'weekday': {
+            let days = (WEEKDAYS.indexOf(match[2].toLowerCase()) - today.getUTCDay() + 7) % 7;
+            if (days === 0 && match[1]) {
+                days = 7;
+            }
+            return new Date(today.getTime() + days * 24 * 60 * 60 * 1000);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Read the time written right after a date, if any
+ * @param {string} following - Text after the date
+ * @returns {string|null} The time as HH:MM, or null
+ */
+function extractTime(following) {
+    const match = TIME_PATTERN.exec(following);
+
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > 12 || Number(match[2] || 0) > 59) {
+        return null;
+    }
+
+    const hours = (Number(match[1]) % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0);
+    return `${String(hours).padStart(2, '0')}:${match[2] || '00'}`;
+}
+
+/**
+ * Find the dates mentioned in a sentence
+ * @param {string} sentence - The sentence
+ * @param {Date} reference - When the message was received
+ * @returns {Array<Object>} Dates (YYYY-MM-DD) with the time if one follows, and the text matched
+ */
+function extractDatesFromSentence(sentence, reference) {
+    const found = [];
+    const taken = [];
+
+    for (const { type, regex } of DATE_PATTERNS) {
+        regex.lastIndex = 0;
+
+        for (const match of sentence.matchAll(regex)) {
+            const start = match.index;
+            const end = start + match[0].length;
+
+            // An earlier pattern already read this text (e.g. "Friday, March 8" before "Friday")
+            if (taken.some(([from, to]) => start < to && end > from)) {
+                continue;
+            }
+
+            const date = resolveDate(type, match, reference);
+            if (!date) {
+                continue;
+            }
+
+            taken.push([start, end]);
+            found.push({ index: start, date: toDateString(date), time: extractTime(sentence.slice(end, end + 20)), text: match[0].trim() });
+        }
+    }
+
+    return found.sort((a, b) => a.index - b.index).map(({ index, ...rest }) => rest);
+}
+
+/**
+ * Convert an HTML body to plain text
+ * @param {string} html - The HTML
+ * @returns {string} The text, with block elements on their own lines
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;|&apos;/gi, '\'')
+        .replace(/&amp;/gi, '&');
+}
+
+/**
+ * Split a message body into sentences, leaving out quoted replies
+ * @param {string} text - The plain text body
+ * @returns {Array<string>} The sentences
+ */
+function splitSentences(text) {
+    const lines = [];
+
+    for (const line of text.slice(0, MAX_BODY_LENGTH).split(/\r?\n/)) {
+        // Everything after "On <date>, <someone> wrote:" is the quoted earlier message
+        if (/^On .+ wrote:\s*$/.test(line.trim())) {
+            break;
+        }
+        if (!line.trim().startsWith('>')) {
+            lines.push(line);
+        }
+    }
+
+    return lines
+        .join('\n')
+        .split(/\n\s*\n|(?<=[.!?])\s+|\n(?=\s*(?:[-*•]|\d+[.)])\s)/)
+        .map(sentence => sentence.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').replace(/\s+/g, ' ').trim())
+        .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Pull dates and action items out of a message
+ * These are heuristics: dates are the formats in DATE_PATTERNS, action items are sentences
+ * with words like "please", "sign", "bring" or "due".
+ * @param {Object} message - Message with subject and text
+ * @param {Date} reference - When the message was received
+ * @returns {Object} dates (with the sentence each appears in) and action_items (with the first date in the sentence as due_date)
+ */
+function extractDetails({ subject, text }, reference) {
+    const dates = [];
+    const actionItems = [];
+    const seenDates = new Set();
+
+    for (const sentence of [subject || '', ...splitSentences(text || '')].filter(Boolean)) {
+        const sentenceDates = extractDatesFromSentence(sentence, reference);
+
+        for (const found of sentenceDates) {
+            const key = `${found.date} ${found.time}`;
+            if (!seenDates.has(key) && dates.length < MAX_EXTRACTED_ITEMS) {
+                seenDates.add(key);
+                dates.push({ ...found, context: sentence.slice(0, 300) });
+            }
+        }
+
+        if (sentence !== subject && ACTION_PATTERN.test(sentence) && !BOILERPLATE_PATTERN.test(sentence)
+            && sentence.length >= 8 && actionItems.length < MAX_EXTRACTED_ITEMS) {
+            actionItems.push({
+                text: sentence.length > 300 ? `${sentence.slice(0, 297)}...` : sentence,
+                due_date: sentenceDates.length > 0 ? sentenceDates[0].date : null
+            });
+        }
+    }
+
+    return { dates, action_items: actionItems };
+}
+
+/**
+ * Classify a parsed message against a family's rules
+ * @param {Object} rules - Rules from getEmailRules
+ * @param {Object} parsed - Message from parseMessage
+ * @returns {Object|null} The digest entry, or null if no rule matches
+ */
+function classifyMessage(rules, parsed) {
+    const message = {
+        from: parsed.headers.from || '',
+        subject: parsed.headers.subject || '',
+        text: parsed.text || htmlToText(parsed.html || '') || parsed.snippet,
+        labelIds: parsed.labelIds
+    };
+
+    const matchedBy = matchMessage(rules, message);
+
+    if (matchedBy.length === 0) {
+        return null;
+    }
+
+    return {
+        id: parsed.id,
+        thread_id: parsed.threadId,
+        from: message.from,
+        subject: message.subject,
+        received_at: parsed.internalDate,
+        snippet: parsed.snippet,
+        matched_by: matchedBy,
+        ...extractDetails(message, new Date(parsed.internalDate || Date.now())),
+        attachments: parsed.attachments.map(attachment => attachment.filename).filter(Boolean)
+    };
+}
+
+/**
+ * Encode the per-account positions reached by a digest
+ * @param {Object} positions - Account ID to the receive time (ms) of the last message read
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(positions) {
+    return Buffer.from(JSON.stringify({ v: 1, accounts: positions })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from an earlier digest
+ * @param {string} cursor - Opaque cursor, or empty for none
+ * @returns {Object} Account ID to receive time (ms)
+ * @throws {GmailProxyError} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    if (!cursor) {
+        return {};
+    }
+
+    try {
+        const { v, accounts } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+        if (v === 1 && accounts && typeof accounts === 'object' && Object.values(accounts).every(Number.isFinite)) {
+            return accounts;
+        }
+    } catch (error) {
+        // Reported below
+    }
+
+    throw new GmailProxyError(400, 'invalid_cursor', 'cursor is not a cursor returned by this endpoint');
+}
+
+/**
+ * Find the ID of a label by name, creating the label if it does not exist
+ * @param {gmail_v1.Gmail} gmail - Gmail client
+ * @param {string} name - Label name
+ * @returns {Promise<string>} The label ID
+ */
+async function ensureLabel(gmail, name) {
+    const { data } = await observeGoogleCall('labels.list', () => gmail.users.labels.list({ userId: 'me' }));
+    const existing = (data.labels || []).find(label => label.name.toLowerCase() === name.toLowerCase());
+
+    if (existing) {
+        return existing.id;
+    }
+
+    const created = await observeGoogleCall('labels.create', () => gmail.users.labels.create({
+        userId: 'me',
+        requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+    }));
+
+    return created.data.id;
+}
+
+/**
+ * List the IDs of the messages matching a search, oldest first
+ * Gmail lists newest first, so when more than MAX_LISTED_MESSAGES match, the search is narrowed
+ * with `before:` to the oldest message listed and repeated until everything in the window fits.
+ * The IDs returned are then every match up to the window's end: none older is left out.
+ * @param {Object} gmail - Authorized Gmail client
+ * @param {string} query - Gmail search, including its `after:` bound
+ * @returns {Promise<Object>} ids, oldest first, and whether newer matches were left out of the window
+ * @throws {GmailProxyError} If the matches do not fit after MAX_LIST_WINDOWS searches
+ */
+async function listOldestMatches(gmail, query) {
+    let before = null;
+
+    for (let window = 0; window < MAX_LIST_WINDOWS; window++) {
+        const q = before === null ? query : `${query} before:${before}`;
+        const response = await observeGoogleCall('messages.list', () => gmail.users.messages.list({
+            userId: 'me',
+            q,
+            maxResults: MAX_LISTED_MESSAGES
+        }));
+        const ids = (response.data.messages || []).map(message => message.id);
+
+        if (!response.data.nextPageToken) {
+            return { ids: ids.reverse(), truncated: before !== null };
+        }
+
+        const oldest = await observeGoogleCall('messages.get', () => gmail.users.messages.get({
+            userId: 'me',
+            id: ids[ids.length - 1],
+            format: 'minimal'
+        }));
+        // "before:" is exclusive; one second on keeps the oldest message and any received with it
+        const next = Math.floor(Number(oldest.data.internalDate) / 1000) + 1;
+
+        if (before !== null && next >= before) {
+            break;
+        }
+        before = next;
+    }
+
+    throw new GmailProxyError(422, 'too_many_messages', `More than ${MAX_LIST_WINDOWS * MAX_LISTED_MESSAGES} messages match since the cursor; start with a shorter lookback.`);
+}
+
+/**
+ * Classify one account's new messages and label the matches
+ * Reads the oldest unread-by-digest messages first, so `maxMessages` never skips any.
+ * @param {Object} account - Account summary with id, family_id, email and granted_scopes
+ * @param {Object} rules - Rules from getEmailRules
+ * @param {Object} options - Digest options
+ * @param {number} options.since - Receive time (ms) of the last message already read
+ * @param {number} options.maxMessages - Messages to classify
+ * @param {boolean} options.applyLabel - Whether to label matching messages
+ * @returns {Promise<Object>} The account's digest entries, new position and whether more messages wait
+ */
+async function digestAccount(account, rules, { since, maxMessages, applyLabel }) {
+    const grantedScopes = parseGrantedScopes(account.granted_scopes);
+    // Scopes recorded before migration 015 are unknown; try, and let Gmail refuse
+    const canLabel = !grantedScopes || LABEL_SCOPES.every(scope => grantedScopes.includes(scope));
+
+    return withGmail(account.family_id, { accountId: account.id }, async gmail => {
+        const { ids, truncated } = await listOldestMatches(gmail, `${buildGmailQuery(rules)} after:${Math.floor(since / 1000)}`);
+        const batch = ids.slice(0, maxMessages);
+        const messages = [];
+        const labelIds = new Map();
+        let position = since;
+
+        for (const id of batch) {
+            const response = await observeGoogleCall('messages.get', () => gmail.users.messages.get({ userId: 'me', id, format: 'full' }));
+            const parsed = parseMessage(response.data);
+            const receivedAt = Number(response.data.internalDate);
+
+            // "after:" has one-second precision; skip what the previous digest already read
+            if (receivedAt <= since) {
+                continue;
+            }
+            position = Math.max(position, receivedAt);
+
+            const entry = classifyMessage(rules, parsed);
+            if (entry) {
+                messages.push({ ...entry, account_id: account.id, account_email: account.email, labeled: false });
+                labelIds.set(entry.id, parsed.labelIds);
+            }
+        }
+
+        let labelError = null;
+
+        if (applyLabel && messages.length > 0) {
+            if (!canLabel) {
+                labelError = 'missing_scope';
+            } else {
+                const labelId = await ensureLabel(gmail, rules.label_name);
+                const unlabeled = messages.filter(message => !labelIds.get(message.id).includes(labelId));
+
+                if (unlabeled.length > 0) {
+                    await observeGoogleCall('messages.batchModify', () => gmail.users.messages.batchModify({
+                        userId: 'me',
+                        requestBody: { ids: unlabeled.map(message => message.id), addLabelIds: [labelId] }
+                    }));
+                }
+                messages.forEach(message => { message.labeled = true; });
+            }
+        }
+
+        return { messages, position, hasMore: ids.length > batch.length || truncated, labelError };
+    });
+}
+
+/**
+ * Build a family's school email digest
+ * Runs the family's rules over each connected Google account's messages received after the
+ * cursor (or in the last `lookbackDays` without one), extracts dates and action items, labels
+ * the matches and returns the next cursor. Accounts that need reconnecting are skipped; an
+ * account that fails is reported and keeps its position.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector ({ accountId, email })
+ * @param {Object} options - Digest options
+ * @param {string} options.cursor - Cursor from the previous digest
+ * @param {number} options.lookbackDays - Days to read for accounts the cursor does not cover
+ * @param {number} options.maxMessages - Messages to classify per account
+ * @param {boolean} options.applyLabel - Whether to label matching messages
+ * @returns {Promise<Object>} The digest: messages, upcoming dates, per-account results and the next cursor
+ * @throws {GmailProxyError} If the cursor is invalid, the family has no Google account or every account failed
+ */
+async function buildSchoolDigest(familyId, selector = {}, { cursor, lookbackDays, maxMessages, applyLabel = true } = {}) {
+    const positions = decodeCursor(cursor);
+    const lookbackMs = Math.min(Math.max(parseInt(lookbackDays, 10) || DEFAULT_LOOKBACK_DAYS, 1), MAX_LOOKBACK_DAYS) * 24 * 60 * 60 * 1000;
+    const limit = Math.min(Math.max(parseInt(maxMessages, 10) || DEFAULT_MAX_MESSAGES, 1), MAX_MESSAGES);
+
+    const accounts = (await listFamilyAccounts(familyId)).filter(account => (!account.provider || account.provider === 'google')
+        && (!selector.accountId || account.id === selector.accountId)
+        && (!selector.email || account.email === selector.email));
+
+    if (accounts.length === 0) {
+        throw new GmailProxyError(404, 'not_connected', 'No connected Google account found for this family.');
+    }
+
+    const rules = await getEmailRules(familyId);
+    const generatedAt = new Date();
+    const nextPositions = { ...positions };
+    const results = [];
+    const messages = [];
+    let firstError = null;
+
+    for (const account of accounts) {
+        const result = { account_id: account.id, email: account.email };
+
+        if (account.status === 'needs_reconnect') {
+            results.push({ ...result, ok: false, error: 'needs_reconnect' });
+            continue;
+        }
+
+        const since = positions[account.id] || generatedAt.getTime() - lookbackMs;
+
+        try {
+            const digest = await digestAccount(account, rules, { since, maxMessages: limit, applyLabel });
+
+            nextPositions[account.id] = digest.position;
+            messages.push(...digest.messages);
+            results.push({ ...result, ok: true, messages: digest.messages.length, has_more: digest.hasMore, label_error: digest.labelError });
+        } catch (error) {
+            console.warn(`[Digest] Account ${account.id} of family ${familyId} failed: ${error.message}`);
+            firstError = firstError || error;
+            results.push({ ...result, ok: false, error: error.code || 'error', message: error.message });
+        }
+    }
+
+    if (firstError && results.every(result => !result.ok)) {
+        throw firstError;
+    }
+
+    messages.sort((a, b) => (a.received_at < b.received_at ? -1 : 1));
+
+    const today = toDateString(generatedAt);
+    const upcoming = messages
+        .flatMap(message => message.dates.map(date => ({ date: date.date, time: date.time, text: date.text, subject: message.subject, message_id: message.id })))
+        .filter(date => date.date >= today)
+        .sort((a, b) => `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`));
+
+    console.log(`[Digest] Family ${familyId}: ${messages.length} school messages from ${accounts.length} account(s)`);
+
+    return {
+        family_id: familyId,
+        generated_at: generatedAt.toISOString(),
+        cursor: encodeCursor(nextPositions),
+        has_more: results.some(result => result.has_more),
+        label: rules.label_name,
+        rules: {
+            sender_domains: rules.sender_domains,
+            keywords: rules.keywords,
+            categories: rules.categories,
+            is_default: rules.is_default
+        },
+        accounts: results,
+        summary: {
+            messages: messages.length,
+            action_items: messages.reduce((total, message) => total + message.action_items.length, 0),
+            upcoming
+        },
+        messages
+    };
+}
+
+module.exports = {
+    extractDetails,
+    classifyMessage,
+    encodeCursor,
+    decodeCursor,
+    listOldestMatches,
+    buildSchoolDigest
+};
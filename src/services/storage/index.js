@@ -0,0 +1,596 @@
+const {
+    getActiveKeyVersion,
+    generateDataKey,
+    unwrapDataKey,
+    rewrapDataKey,
+    encryptToken,
+    decryptToken
+} = require('../tokenEncryption');
+const { StorageError } = require('./tables');
+
+/**
+ * Storage
+ * Every table is read and written through an adapter chosen by STORAGE_BACKEND:
+ * supabase (default), postgres or sqlite. Connected accounts (family_gmail_tokens) have
+ * the methods below; adapters store raw rows and encryption happens here, so every
+ * backend holds the same ciphertext. The other tables (see tables.js) share generic
+ * methods, used by the services that own them; family_gmail_tokens can be read and
+ * counted through them too, but not written.
+ *
+ * An adapter implements:
+ * - upsertAccount(row): insert, or update the row with the same family_id and email
+ * - findAccounts({ familyId, accountId, email, limit }): matching rows, oldest first
+ * - findAccountsByEmail(email): rows with the email, case-insensitively
+ * - listAccounts(): every row, newest first
+ * - updateAccount(accountId, changes, expected): update if the row still has the expected
+ *   column values (null means IS NULL); returns the row or null
+ * - deleteAccount(familyId, accountId): the deleted row or null
+ * - listAccountsForRotation(activeVersion, { afterId, limit }): rows not under the active
+ *   key version, ordered by id
+ * - selectRows(table, { columns, where, order, limit, offset }): matching rows; `where` maps
+ *   columns to conditions (see tables.js parseCondition), `order` is [[column, 'asc'|'desc']]
+ * - countRows(table, where): number of matching rows
+ * - insertRows(table, rows): the inserted rows, with their defaults
+ * - upsertRow(table, row, conflictColumn): insert, or update the given columns of the row
+ *   with the same value in the unique conflictColumn; returns the row
+ * - updateRows(table, changes, where): the updated rows
+ * - deleteRows(table, where): the deleted rows
+ * - scrubFamilyAuditLog(familyId): replace the details of a family's audit entries; returns
+ *   the number changed
+ * - purgeAuditLog(retainDays): delete older audit entries; returns the number deleted
+ * - close()
+ *
+ * Writes that break a unique constraint throw a StorageError with reason `conflict`.
+ */
+
+// Columns safe to show in listings (no tokens or key material)
+const ACCOUNT_COLUMNS = [
+    'id', 'family_id', 'family_name', 'email', 'provider', 'status', 'token_expiry',
+    'last_refresh_at', 'last_error', 'gmail_history_id', 'watch_expires_at', 'granted_scopes',
+    'last_token_fetch_at', 'created_at', 'updated_at'
+];
+
+const STORAGE_BACKENDS = {
+    supabase: () => require('./supabaseAdapter').createSupabaseAdapter(),
+    postgres: () => require('./postgresAdapter').createPostgresAdapter(),
+    sqlite: () => require('./sqliteAdapter').createSqliteAdapter()
+};
+
+// Minimum time between last_token_fetch_at writes for the same account
+const TOKEN_FETCH_INTERVAL_MS = 60 * 1000;
+
+let adapter = null;
+const tokenFetchWrites = new Map();
+
+/**
+ * Get the storage adapter, created on first use from STORAGE_BACKEND
+ * @returns {Object} The storage adapter
+ * @throws {Error} If STORAGE_BACKEND is unknown or the backend is not configured
+ */
+function getStorage() {
+    if (!adapter) {
+        const backend = process.env.STORAGE_BACKEND || 'supabase';
+        const create = STORAGE_BACKENDS[backend];
+
+        if (!create) {
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+        }
+
+        adapter = create();
+        console.log(`[Storage] Using ${adapter.name} storage`);
+    }
+
+    return adapter;
+}
+
+/**
+ * Replace the storage adapter (used by tests and embedders)
+ * @param {Object|null} newAdapter - The adapter, or null to create one from STORAGE_BACKEND again
+ * @returns {void}
+ */
+function setStorage(newAdapter) {
+    adapter = newAdapter;
+}
+
+/**
+ * Close the storage adapter's connections
+ * @returns {Promise<void>}
+ */
+async function closeStorage() {
+    if (adapter) {
+        const current = adapter;
+        adapter = null;
+        await current.close();
+    }
+}
+
+/**
+ * Pick the listing columns of an account row
+ * @param {Object} row - The stored row
+ * @returns {Object} The row without tokens or key material
+ */
+function toAccountSummary(row) {
+    return Object.fromEntries(ACCOUNT_COLUMNS.filter(column => column in row).map(column => [column, row[column]]));
+}
+
+/**
+ * Split a stored granted_scopes value into a list
+ * @param {string|null} grantedScopes - Space-separated scopes
+ * @returns {Array<string>|null} The scopes, or null if they were never recorded
+ */
+function parseGrantedScopes(grantedScopes) {
+    return grantedScopes ? grantedScopes.split(' ').filter(Boolean) : null;
+}
+
+/**
+ * Encrypt a token pair under a fresh data key
+ * @param {string} accessToken - Plaintext access token
+ * @param {string} refreshToken - Plaintext refresh token
+ * @returns {Object} Column values for family_gmail_tokens
+ */
+function encryptTokenColumns(accessToken, refreshToken) {
+    const { dataKey, wrappedKey, keyVersion } = generateDataKey();
+
+    return {
+        access_token: encryptToken(accessToken, dataKey),
+        refresh_token: encryptToken(refreshToken, dataKey),
+        encrypted_data_key: wrappedKey,
+        encryption_key_version: keyVersion
+    };
+}
+
+/**
+ * Decrypt the tokens of a family_gmail_tokens row
+ * Rows written before encryption was enabled (no key version) are returned as-is
+ * @param {Object} record - The stored row
+ * @returns {Object} The row with plaintext tokens and without key material
+ */
+function decryptTokenRecord(record) {
+    const { encrypted_data_key, encryption_key_version, ...rest } = record;
+
+    if (!encryption_key_version) {
+        return rest;
+    }
+
+    const dataKey = unwrapDataKey(encrypted_data_key, encryption_key_version);
+
+    return {
+        ...rest,
+        access_token: decryptToken(record.access_token, dataKey),
+        refresh_token: decryptToken(record.refresh_token, dataKey)
+    };
+}
+
+/**
+ * Upsert (insert or update) Gmail tokens for one of a family's accounts
+ * Accounts are keyed by family and email, so connecting a second mailbox adds a row
+ * @param {Object} params - Token parameters
+ * @param {string} params.familyId - Unique family identifier
+ * @param {string} params.familyName - Display name for the family
+ * @param {string} params.email - Connected Gmail address
+ * @param {string} params.provider - Mail provider (google or microsoft)
+ * @param {string} params.accessToken - Gmail API access token
+ * @param {string} params.refreshToken - Gmail API refresh token
+ * @param {Date} params.tokenExpiry - Token expiration timestamp
+ * @param {string} params.grantedScopes - Space-separated scopes from the token response (optional)
+ * @returns {Promise<Object>} The upserted record
+ */
+async function upsertFamilyTokens({ familyId, familyName, email, provider = 'google', accessToken, refreshToken, tokenExpiry, grantedScopes }) {
+    console.log(`[Storage] Upserting tokens for family: ${familyId}`);
+
+    try {
+        const data = await getStorage().upsertAccount({
+            family_id: familyId,
+            family_name: familyName,
+            email: email,
+            provider,
+            ...encryptTokenColumns(accessToken, refreshToken),
+            token_expiry: tokenExpiry,
+            granted_scopes: grantedScopes || null,
+            status: 'active',
+            last_error: null
+        });
+
+        console.log(`[Storage] Successfully upserted tokens for family: ${familyId}, account: ${data.id}`);
+        return decryptTokenRecord(data);
+    } catch (error) {
+        console.error('[Storage] Error upserting tokens:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get tokens for one of a family's accounts
+ * Without a selector, the family's first connected account is returned.
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector
+ * @param {string} selector.accountId - Account (row) ID
+ * @param {string} selector.email - Connected Gmail address
+ * @returns {Promise<Object|null>} The token record or null if not found
+ */
+async function getFamilyTokens(familyId, { accountId, email } = {}) {
+    console.log(`[Storage] Fetching tokens for family: ${familyId}`);
+
+    let data;
+    try {
+        data = await getStorage().findAccounts({ familyId, accountId, email, limit: 1 });
+    } catch (error) {
+        console.error('[Storage] Error fetching tokens:', error);
+        throw error;
+    }
+
+    if (data.length === 0) {
+        console.log(`[Storage] No tokens found for family: ${familyId}`);
+        return null;
+    }
+
+    console.log(`[Storage] Found tokens for family: ${familyId}, account: ${data[0].id}`);
+    return decryptTokenRecord(data[0]);
+}
+
+/**
+ * Update the access token for an account after a successful refresh
+ * Also marks the account active, clears the last refresh error and releases the refresh lock
+ * @param {string} accountId - Account (row) ID
+ * @param {string} accessToken - New access token
+ * @param {Date} tokenExpiry - New token expiration timestamp
+ * @param {string} refreshToken - New refresh token, for providers that rotate them (optional)
+ * @param {Object} options - Update options
+ * @param {string|null} options.expectedExpiry - Only update if token_expiry still has this value
+ * @param {string} options.grantedScopes - Scopes from the token response, if it listed them
+ * @returns {Promise<Object|null>} The updated record, or null if expectedExpiry no longer matched
+ */
+async function updateAccessToken(accountId, accessToken, tokenExpiry, refreshToken, { expectedExpiry, grantedScopes } = {}) {
+    console.log(`[Storage] Updating access token for account: ${accountId}`);
+
+    try {
+        const [existing] = await getStorage().findAccounts({ accountId });
+
+        if (!existing) {
+            throw new Error(`Account not found: ${accountId}`);
+        }
+
+        // Reuse the row's data key; rows still in plaintext get encrypted in full
+        let tokenColumns;
+        if (existing.encryption_key_version) {
+            const dataKey = unwrapDataKey(existing.encrypted_data_key, existing.encryption_key_version);
+            tokenColumns = { access_token: encryptToken(accessToken, dataKey) };
+            if (refreshToken) {
+                tokenColumns.refresh_token = encryptToken(refreshToken, dataKey);
+            }
+        } else {
+            tokenColumns = encryptTokenColumns(accessToken, refreshToken || existing.refresh_token);
+        }
+
+        const data = await getStorage().updateAccount(accountId, {
+            ...tokenColumns,
+            token_expiry: tokenExpiry,
+            status: 'active',
+            last_refresh_at: new Date().toISOString(),
+            last_error: null,
+            refresh_locked_until: null,
+            ...(grantedScopes ? { granted_scopes: grantedScopes } : {})
+        }, expectedExpiry === undefined ? {} : { token_expiry: expectedExpiry });
+
+        if (!data && expectedExpiry !== undefined) {
+            console.warn(`[Storage] Token for account ${accountId} was already replaced, keeping the stored one`);
+            return null;
+        }
+
+        if (!data) {
+            throw new Error(`Account not found: ${accountId}`);
+        }
+
+        console.log(`[Storage] Successfully updated access token for account: ${accountId}`);
+        return decryptTokenRecord(data);
+    } catch (error) {
+        console.error('[Storage] Error updating access token:', error);
+        throw error;
+    }
+}
+
+/**
+ * Claim the lock for refreshing an account's token
+ * A compare-and-set on the lock the caller last read, so of several server instances
+ * only one can win. The lock expires by itself if its holder dies mid-refresh.
+ * @param {string} accountId - Account (row) ID
+ * @param {Object} params - Lock parameters
+ * @param {string|null} params.currentLock - refresh_locked_until as last read
+ * @param {number} params.ttlMs - How long the lock is held
+ * @returns {Promise<boolean>} True if claimed, false if another refresh holds the lock
+ */
+async function claimRefreshLock(accountId, { currentLock, ttlMs }) {
+    if (currentLock && new Date(currentLock).getTime() > Date.now()) {
+        return false;
+    }
+
+    const row = await getStorage().updateAccount(
+        accountId,
+        { refresh_locked_until: new Date(Date.now() + ttlMs).toISOString() },
+        { refresh_locked_until: currentLock || null }
+    );
+
+    return Boolean(row);
+}
+
+/**
+ * Record a failed refresh attempt for an account and release its refresh lock
+ * @param {string} accountId - Account (row) ID
+ * @param {Object} params - Failure details
+ * @param {string} params.status - New connection status (unchanged if omitted)
+ * @param {string} params.error - Error message to store
+ * @returns {Promise<void>}
+ */
+async function recordRefreshFailure(accountId, { status, error: errorMessage }) {
+    console.log(`[Storage] Recording refresh failure for account: ${accountId}`);
+
+    try {
+        await getStorage().updateAccount(accountId, {
+            ...(status ? { status } : {}),
+            last_refresh_at: new Date().toISOString(),
+            last_error: errorMessage,
+            refresh_locked_until: null
+        });
+    } catch (error) {
+        console.error('[Storage] Error recording refresh failure:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record that a caller (n8n) fetched an account's access token
+ * Written at most once a minute per account, in the background; failures are only logged.
+ * @param {string} accountId - Account (row) ID
+ */
+function recordTokenFetch(accountId) {
+    const last = tokenFetchWrites.get(accountId) || 0;
+
+    if (Date.now() - last < TOKEN_FETCH_INTERVAL_MS) {
+        return;
+    }
+
+    tokenFetchWrites.set(accountId, Date.now());
+
+    getStorage().updateAccount(accountId, { last_token_fetch_at: new Date().toISOString() }).catch(error => {
+        console.error(`[Storage] Error recording token fetch for account ${accountId}:`, error);
+    });
+}
+
+/**
+ * List every connected account, newest first
+ * @returns {Promise<Array<Object>>} Account rows without tokens or key material
+ */
+async function listAccounts() {
+    try {
+        const rows = await getStorage().listAccounts();
+        return rows.map(toAccountSummary);
+    } catch (error) {
+        console.error('[Storage] Error listing accounts:', error);
+        throw error;
+    }
+}
+
+/**
+ * List a family's connected accounts, oldest first
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<Array<Object>>} Account rows without tokens or key material
+ */
+async function listFamilyAccounts(familyId) {
+    try {
+        const rows = await getStorage().findAccounts({ familyId });
+        return rows.map(toAccountSummary);
+    } catch (error) {
+        console.error('[Storage] Error listing family accounts:', error);
+        throw error;
+    }
+}
+
+/**
+ * List the token expiry and status of every connected account
+ * @returns {Promise<Array<Object>>} Rows with id, family_id, email, token_expiry and status, soonest expiry first
+ */
+async function listTokenExpiries() {
+    const accounts = await listAccounts();
+
+    return accounts
+        .map(({ id, family_id, email, token_expiry, status }) => ({ id, family_id, email, token_expiry, status }))
+        .sort((a, b) => new Date(a.token_expiry || 0) - new Date(b.token_expiry || 0));
+}
+
+/**
+ * List accounts with their Gmail push watch state
+ * @returns {Promise<Array<Object>>} Rows with id, family_id, email, provider, status, gmail_history_id and watch_expires_at
+ */
+async function listWatchStates() {
+    const accounts = await listAccounts();
+
+    return accounts.map(({ id, family_id, email, provider, status, gmail_history_id, watch_expires_at }) => ({
+        id, family_id, email, provider, status, gmail_history_id, watch_expires_at
+    }));
+}
+
+/**
+ * Find the connected accounts for an email address (across families)
+ * @param {string} email - Connected email address
+ * @returns {Promise<Array<Object>>} Rows with id, family_id, email, provider, status and gmail_history_id
+ */
+async function findAccountsByEmail(email) {
+    try {
+        const rows = await getStorage().findAccountsByEmail(email);
+
+        return rows.map(({ id, family_id, email: accountEmail, provider, status, gmail_history_id }) => ({
+            id, family_id, email: accountEmail, provider, status, gmail_history_id
+        }));
+    } catch (error) {
+        console.error('[Storage] Error finding accounts by email:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update the Gmail push watch state of an account
+ * With `expectedHistoryId`, the update only applies if the stored history ID is unchanged.
+ * @param {string} accountId - Account (row) ID
+ * @param {Object} state - New watch state
+ * @param {string} state.historyId - Last processed historyId (unchanged if omitted)
+ * @param {Date} state.watchExpiresAt - Watch expiry (unchanged if omitted)
+ * @param {string|null} state.expectedHistoryId - History ID the caller started from (optional)
+ * @returns {Promise<boolean>} False if the compare-and-set did not match
+ */
+async function updateWatchState(accountId, { historyId, watchExpiresAt, expectedHistoryId }) {
+    try {
+        const updated = await getStorage().updateAccount(
+            accountId,
+            {
+                ...(historyId ? { gmail_history_id: historyId } : {}),
+                ...(watchExpiresAt ? { watch_expires_at: watchExpiresAt } : {})
+            },
+            expectedHistoryId !== undefined ? { gmail_history_id: expectedHistoryId } : {}
+        );
+
+        return Boolean(updated);
+    } catch (error) {
+        console.error('[Storage] Error updating watch state:', error);
+        throw error;
+    }
+}
+
+/**
+ * Check if a family has connected their Gmail
+ * `email` and `connectedAt` describe the first connected account; `accounts` lists all of them
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<Object>} Connection status object
+ */
+async function getConnectionStatus(familyId) {
+    console.log(`[Storage] Checking connection status for family: ${familyId}`);
+
+    let data;
+    try {
+        data = await getStorage().findAccounts({ familyId });
+    } catch (error) {
+        console.error('[Storage] Error checking connection status:', error);
+        throw error;
+    }
+
+    if (data.length === 0) {
+        return { connected: false, accounts: [] };
+    }
+
+    return {
+        connected: true,
+        email: data[0].email,
+        connectedAt: data[0].created_at,
+        accounts: data.map(account => ({
+            id: account.id,
+            email: account.email,
+            provider: account.provider,
+            status: account.status,
+            grantedScopes: parseGrantedScopes(account.granted_scopes),
+            connectedAt: account.created_at
+        }))
+    };
+}
+
+/**
+ * Delete one of a family's accounts
+ * @param {string} familyId - Unique family identifier
+ * @param {string} accountId - Account (row) ID
+ * @returns {Promise<Object|null>} The deleted row's family_name and email, or null if not found
+ */
+async function deleteAccount(familyId, accountId) {
+    console.log(`[Storage] Deleting account ${accountId} of family: ${familyId}`);
+
+    try {
+        const deleted = await getStorage().deleteAccount(familyId, accountId);
+        return deleted ? { family_name: deleted.family_name, email: deleted.email } : null;
+    } catch (error) {
+        console.error('[Storage] Error deleting account:', error);
+        throw error;
+    }
+}
+
+/**
+ * Re-encrypt every row that is not under the active encryption key version
+ * Data keys are re-wrapped in place, and plaintext rows are encrypted. Each update
+ * only applies if the row still has the key version that was read, so rows written
+ * concurrently (already under the active key) are left alone. Old key versions must
+ * stay in TOKEN_ENCRYPTION_KEYS until this has completed.
+ * @param {Object} options - Rotation options
+ * @param {number} options.batchSize - Rows fetched per query
+ * @returns {Promise<Object>} Counts of rotated, skipped and failed rows
+ */
+async function rotateTokenEncryption({ batchSize = 100 } = {}) {
+    const activeVersion = getActiveKeyVersion();
+    const result = { rotated: 0, skipped: 0, failed: 0 };
+    let lastId = null;
+
+    console.log(`[Storage] Rotating token encryption to key version ${activeVersion}`);
+
+    for (;;) {
+        let rows;
+        try {
+            rows = await getStorage().listAccountsForRotation(activeVersion, { afterId: lastId, limit: batchSize });
+        } catch (error) {
+            console.error('[Storage] Error fetching rows for key rotation:', error);
+            throw error;
+        }
+
+        if (rows.length === 0) {
+            break;
+        }
+
+        for (const row of rows) {
+            lastId = row.id;
+
+            try {
+                let changes;
+
+                if (row.encryption_key_version) {
+                    const { wrappedKey, keyVersion } = rewrapDataKey(row.encrypted_data_key, row.encryption_key_version);
+                    changes = { encrypted_data_key: wrappedKey, encryption_key_version: keyVersion };
+                } else {
+                    changes = encryptTokenColumns(row.access_token, row.refresh_token);
+                }
+
+                const updated = await getStorage().updateAccount(row.id, changes, {
+                    encryption_key_version: row.encryption_key_version || null
+                });
+
+                if (updated) {
+                    result.rotated++;
+                } else {
+                    result.skipped++;
+                }
+            } catch (rowError) {
+                console.error(`[Storage] Failed to rotate encryption for family ${row.family_id}:`, rowError);
+                result.failed++;
+            }
+        }
+    }
+
+    console.log(`[Storage] Key rotation complete: ${result.rotated} rotated, ${result.skipped} skipped, ${result.failed} failed`);
+    return result;
+}
+
+module.exports = {
+    StorageError,
+    getStorage,
+    setStorage,
+    closeStorage,
+    upsertFamilyTokens,
+    getFamilyTokens,
+    updateAccessToken,
+    getConnectionStatus,
+    deleteAccount,
+    claimRefreshLock,
+    recordRefreshFailure,
+    recordTokenFetch,
+    listAccounts,
+    listFamilyAccounts,
+    listTokenExpiries,
+    listWatchStates,
+    findAccountsByEmail,
+    updateWatchState,
+    rotateTokenEncryption,
+    parseGrantedScopes
+};
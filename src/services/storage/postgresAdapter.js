@@ -0,0 +1,342 @@
+const { TABLES, StorageError, getTable, withDefaults } = require('./tables');
+const {
+    WRITABLE_COLUMNS,
+    checkColumns,
+    buildUpdate,
+    buildSelect,
+    buildCount,
+    buildInsert,
+    buildUpsert,
+    buildUpdateRows,
+    buildDelete,
+    buildTableSchema
+} = require('./sql');
+
+// Postgres column type for each table column type (see tables.js)
+const COLUMN_TYPES = {
+    uuid: 'UUID',
+    text: 'TEXT',
+    integer: 'INTEGER',
+    boolean: 'BOOLEAN',
+    timestamp: 'TIMESTAMP WITH TIME ZONE',
+    json: 'JSONB',
+    array: 'TEXT[]'
+};
+
+// JSON written by scrub_family_audit_log in place of an entry's details
+const ERASED_DETAILS = JSON.stringify({ erased: true });
+
+// Created on first use, so self-hosted databases need no separate migration step.
+// audit_log is append-only as on Supabase (migrations 012 and 018): only the scrub and
+// purge functions may update or delete its rows.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS family_gmail_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    family_id TEXT NOT NULL,
+    family_name TEXT,
+    email TEXT,
+    provider TEXT NOT NULL DEFAULT 'google',
+    access_token TEXT NOT NULL,
+    refresh_token TEXT NOT NULL,
+    token_expiry TIMESTAMP WITH TIME ZONE,
+    encrypted_data_key TEXT,
+    encryption_key_version INTEGER,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'needs_reconnect', 'revoked')),
+    last_refresh_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    gmail_history_id TEXT,
+    watch_expires_at TIMESTAMP WITH TIME ZONE,
+    refresh_locked_until TIMESTAMP WITH TIME ZONE,
+    granted_scopes TEXT,
+    last_token_fetch_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT family_gmail_tokens_family_id_email_key UNIQUE (family_id, email)
+);
+CREATE INDEX IF NOT EXISTS idx_family_gmail_tokens_family_id ON family_gmail_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_family_gmail_tokens_email ON family_gmail_tokens(lower(email));
+ALTER TABLE family_gmail_tokens ADD COLUMN IF NOT EXISTS refresh_locked_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE family_gmail_tokens ADD COLUMN IF NOT EXISTS granted_scopes TEXT;
+ALTER TABLE family_gmail_tokens ADD COLUMN IF NOT EXISTS last_token_fetch_at TIMESTAMP WITH TIME ZONE;
+${Object.keys(TABLES).map(table => [
+        buildTableSchema(table, COLUMN_TYPES),
+        ...Object.entries(getTable(table).columns).map(([column, type]) =>
+            `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS "${column}" ${COLUMN_TYPES[type]};`)
+    ].join('\n')).join('\n')}
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND current_setting('audit_log.purging', true) = 'on' THEN
+        RETURN OLD;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND current_setting('audit_log.erasing', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'audit_log is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+CREATE OR REPLACE FUNCTION scrub_family_audit_log(target_family_id TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    scrubbed INTEGER;
+BEGIN
+    IF target_family_id IS NULL OR target_family_id = '' THEN
+        RAISE EXCEPTION 'target_family_id is required';
+    END IF;
+
+    PERFORM set_config('audit_log.erasing', 'on', true);
+    UPDATE audit_log
+        SET details = '${ERASED_DETAILS}'::jsonb
+        WHERE family_id = target_family_id AND details <> '${ERASED_DETAILS}'::jsonb;
+    GET DIAGNOSTICS scrubbed = ROW_COUNT;
+    PERFORM set_config('audit_log.erasing', 'off', true);
+
+    RETURN scrubbed;
+END;
+$$ LANGUAGE plpgsql;
+CREATE OR REPLACE FUNCTION purge_audit_log(retain_days INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    deleted INTEGER;
+BEGIN
+    IF retain_days IS NULL OR retain_days < 30 THEN
+        RAISE EXCEPTION 'retain_days must be at least 30';
+    END IF;
+
+    PERFORM set_config('audit_log.purging', 'on', true);
+    DELETE FROM audit_log WHERE created_at < NOW() - make_interval(days => retain_days);
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    PERFORM set_config('audit_log.purging', 'off', true);
+
+    RETURN deleted;
+END;
+$$ LANGUAGE plpgsql;
+`;
+
+const TIMESTAMP_COLUMNS = ['token_expiry', 'last_refresh_at', 'watch_expires_at', 'refresh_locked_until', 'last_token_fetch_at', 'created_at', 'updated_at'];
+
+/**
+ * Return timestamps as ISO strings, like the Supabase API does
+ * @param {Object} row - Row from pg
+ * @returns {Object} The row with ISO string timestamps
+ */
+function normalizeRow(row) {
+    if (!row) return null;
+
+    const normalized = { ...row };
+    for (const column of TIMESTAMP_COLUMNS) {
+        if (normalized[column] instanceof Date) {
+            normalized[column] = normalized[column].toISOString();
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Convert a table column value for binding to Postgres
+ * @param {string} type - Column type (see tables.js)
+ * @param {*} value - Column value
+ * @returns {*} JSON as text, dates as ISO strings, everything else unchanged
+ */
+function toTableValue(type, value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (type === 'json') {
+        return JSON.stringify(value);
+    }
+    return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Return every timestamp of a table row as an ISO string
+ * @param {Object} row - Row from pg
+ * @returns {Object} The row with ISO string timestamps
+ */
+function normalizeTableRow(row) {
+    const normalized = { ...row };
+    for (const [column, value] of Object.entries(row)) {
+        if (value instanceof Date) {
+            normalized[column] = value.toISOString();
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Create the storage adapter for a plain Postgres database
+ * Creates every table on first use. Requires the optional `pg` package.
+ * @param {Object} options - Connection options
+ * @param {string} options.connectionString - Postgres connection URL (defaults to DATABASE_URL)
+ * @returns {Object} Storage adapter (see storage/index.js)
+ */
+function createPostgresAdapter({ connectionString = process.env.DATABASE_URL } = {}) {
+    if (!connectionString) {
+        throw new Error('Missing Postgres configuration. Please set DATABASE_URL environment variable.');
+    }
+
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString });
+    let schemaReady = null;
+
+    async function query(text, params = []) {
+        if (!schemaReady) {
+            schemaReady = pool.query(SCHEMA).catch(error => {
+                schemaReady = null;
+                throw error;
+            });
+        }
+        await schemaReady;
+
+        const { rows } = await pool.query(text, params);
+        return rows.map(normalizeRow);
+    }
+
+    const dialect = { placeholder: n => `$${n}`, toDb: toTableValue };
+
+    /**
+     * Run a table statement and normalize the rows it returns
+     * @param {Object} statement - text and params
+     * @returns {Promise<Array<Object>>} The returned rows
+     * @throws {StorageError} If the statement breaks a unique constraint
+     */
+    async function queryTable({ text, params }) {
+        try {
+            const rows = await query(text, params);
+            return rows.map(normalizeTableRow);
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new StorageError('conflict', error.message);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        name: 'postgres',
+
+        async upsertAccount(row) {
+            const columns = checkColumns(row, WRITABLE_COLUMNS);
+            const placeholders = columns.map((column, index) => `$${index + 1}`);
+            const updates = columns
+                .filter(column => column !== 'family_id' && column !== 'email')
+                .map(column => `${column} = EXCLUDED.${column}`);
+
+            const rows = await query(
+                `INSERT INTO family_gmail_tokens (${columns.join(', ')}) VALUES (${placeholders.join(', ')})
+                 ON CONFLICT (family_id, email) DO UPDATE SET ${[...updates, 'updated_at = NOW()'].join(', ')}
+                 RETURNING *`,
+                columns.map(column => row[column])
+            );
+            return rows[0];
+        },
+
+        async findAccounts({ familyId, accountId, email, limit } = {}) {
+            const conditions = [];
+            const params = [];
+
+            if (familyId) { params.push(familyId); conditions.push(`family_id = $${params.length}`); }
+            if (accountId) { params.push(accountId); conditions.push(`id = $${params.length}`); }
+            if (email) { params.push(email); conditions.push(`email = $${params.length}`); }
+
+            return query(
+                `SELECT * FROM family_gmail_tokens
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                 ORDER BY created_at ASC, id ASC
+                 ${limit ? `LIMIT ${Number(limit)}` : ''}`,
+                params
+            );
+        },
+
+        async findAccountsByEmail(email) {
+            return query('SELECT * FROM family_gmail_tokens WHERE lower(email) = lower($1)', [email]);
+        },
+
+        async listAccounts() {
+            return query('SELECT * FROM family_gmail_tokens ORDER BY created_at DESC, id DESC');
+        },
+
+        async updateAccount(accountId, changes, expected = {}) {
+            const { set, where, setParams, whereParams } = buildUpdate(changes, expected, n => `$${n}`);
+
+            const rows = await query(
+                `UPDATE family_gmail_tokens SET ${[set, 'updated_at = NOW()'].filter(Boolean).join(', ')}
+                 WHERE id = $1${where}
+                 RETURNING *`,
+                [accountId, ...setParams, ...whereParams]
+            );
+            return rows[0] || null;
+        },
+
+        async deleteAccount(familyId, accountId) {
+            const rows = await query(
+                'DELETE FROM family_gmail_tokens WHERE family_id = $1 AND id = $2 RETURNING *',
+                [familyId, accountId]
+            );
+            return rows[0] || null;
+        },
+
+        async listAccountsForRotation(activeVersion, { afterId, limit }) {
+            return query(
+                `SELECT * FROM family_gmail_tokens
+                 WHERE (encryption_key_version IS NULL OR encryption_key_version <> $1)
+                 ${afterId ? 'AND id > $3' : ''}
+                 ORDER BY id ASC
+                 LIMIT $2`,
+                afterId ? [activeVersion, limit, afterId] : [activeVersion, limit]
+            );
+        },
+
+        async selectRows(table, options = {}) {
+            return queryTable(buildSelect(dialect, table, options));
+        },
+
+        async countRows(table, where = {}) {
+            const [{ count }] = await queryTable(buildCount(dialect, table, where));
+            return Number(count);
+        },
+
+        async insertRows(table, rows) {
+            return queryTable(buildInsert(dialect, table, rows.map(row => withDefaults(table, row))));
+        },
+
+        async upsertRow(table, row, conflictColumn) {
+            const [upserted] = await queryTable(buildUpsert(dialect, table, withDefaults(table, row), Object.keys(row), conflictColumn));
+            return upserted;
+        },
+
+        async updateRows(table, changes, where = {}) {
+            return queryTable(buildUpdateRows(dialect, table, changes, where));
+        },
+
+        async deleteRows(table, where = {}) {
+            return queryTable(buildDelete(dialect, table, where));
+        },
+
+        async scrubFamilyAuditLog(familyId) {
+            const [{ scrubbed }] = await query('SELECT scrub_family_audit_log($1) AS scrubbed', [familyId]);
+            return scrubbed;
+        },
+
+        async purgeAuditLog(retainDays) {
+            const [{ deleted }] = await query('SELECT purge_audit_log($1) AS deleted', [retainDays]);
+            return deleted;
+        },
+
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+module.exports = {
+    createPostgresAdapter
+};
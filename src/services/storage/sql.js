@@ -0,0 +1,284 @@
+const { getTable, checkWritable, checkTableColumns, parseCondition } = require('./tables');
+
+// Comparison operators accepted in `where` conditions
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Columns of family_gmail_tokens that can be written
+const WRITABLE_COLUMNS = [
+    'family_id',
+    'family_name',
+    'email',
+    'provider',
+    'access_token',
+    'refresh_token',
+    'token_expiry',
+    'encrypted_data_key',
+    'encryption_key_version',
+    'status',
+    'last_refresh_at',
+    'last_error',
+    'gmail_history_id',
+    'watch_expires_at',
+    'refresh_locked_until',
+    'granted_scopes',
+    'last_token_fetch_at'
+];
+
+// Columns compared by updateAccount's compare-and-set conditions
+const COMPARABLE_COLUMNS = ['gmail_history_id', 'encryption_key_version', 'token_expiry', 'refresh_locked_until'];
+
+/**
+ * Check that every key of an object is an allowed column
+ * Column names are interpolated into SQL, so only known names may pass.
+ * @param {Object} values - Column values
+ * @param {Array<string>} allowed - Allowed column names
+ * @returns {Array<string>} The column names
+ * @throws {Error} If a column is not allowed
+ */
+function checkColumns(values, allowed) {
+    const columns = Object.keys(values);
+    const unknown = columns.filter(column => !allowed.includes(column));
+
+    if (unknown.length > 0) {
+        throw new Error(`Unknown family_gmail_tokens columns: ${unknown.join(', ')}`);
+    }
+
+    return columns;
+}
+
+/**
+ * Build the SET and WHERE clauses of a compare-and-set update
+ * Parameters are numbered from 2: the row ID is the first parameter.
+ * @param {Object} changes - Column values to set
+ * @param {Object} expected - Column values the row must still have (null means IS NULL)
+ * @param {Function} placeholder - Returns the placeholder for the nth parameter (1-based)
+ * @returns {Object} set and where SQL fragments, with setParams and whereParams
+ */
+function buildUpdate(changes, expected, placeholder) {
+    const setParams = [];
+    const whereParams = [];
+
+    const assign = checkColumns(changes, WRITABLE_COLUMNS).map(column => {
+        setParams.push(changes[column]);
+        return `${column} = ${placeholder(setParams.length + 1)}`;
+    });
+
+    const conditions = checkColumns(expected, COMPARABLE_COLUMNS).map(column => {
+        if (expected[column] === null) {
+            return `${column} IS NULL`;
+        }
+        whereParams.push(expected[column]);
+        return `${column} = ${placeholder(setParams.length + whereParams.length + 1)}`;
+    });
+
+    return {
+        set: assign.join(', '),
+        where: conditions.map(condition => ` AND ${condition}`).join(''),
+        setParams,
+        whereParams
+    };
+}
+
+/**
+ * Quote a column or table name
+ * @param {string} name - A checked name
+ * @returns {string} The quoted identifier
+ */
+function quote(name) {
+    return `"${name}"`;
+}
+
+/**
+ * Start collecting the parameters of a statement
+ * @param {Object} dialect - The adapter's placeholder(n) and toDb(type, value)
+ * @param {string} table - Table name, for column types
+ * @returns {Object} bind(column, value), returning the placeholder, and the params bound so far
+ */
+function createBinder(dialect, table) {
+    const { columns } = getTable(table);
+    const params = [];
+
+    return {
+        params,
+        bind(column, value) {
+            params.push(dialect.toDb(columns[column], value));
+            return dialect.placeholder(params.length);
+        }
+    };
+}
+
+/**
+ * Build one condition of a WHERE clause
+ * @param {string} column - A checked column name
+ * @param {string} operator - eq, neq, gt, gte, lt, lte or in
+ * @param {*} value - The value compared with
+ * @param {Function} bind - Binds a value and returns its placeholder
+ * @returns {string} The condition
+ */
+function buildCondition(column, operator, value, bind) {
+    if (operator === 'in') {
+        return value.length > 0 ? `${quote(column)} IN (${value.map(item => bind(column, item)).join(', ')})` : '1 = 0';
+    }
+    if (!(operator in OPERATORS)) {
+        throw new Error(`Unknown operator: ${operator}`);
+    }
+    if (value === null) {
+        return `${quote(column)} ${operator === 'neq' ? 'IS NOT NULL' : 'IS NULL'}`;
+    }
+    return `${quote(column)} ${OPERATORS[operator]} ${bind(column, value)}`;
+}
+
+/**
+ * Build the WHERE clause of a table statement
+ * @param {string} table - Table name
+ * @param {Object} where - Conditions by column (see tables.js parseCondition), all of which must hold
+ * @param {Function} bind - Binds a value and returns its placeholder
+ * @returns {string} The clause, or an empty string without conditions
+ */
+function buildWhere(table, where = {}, bind) {
+    const conditions = checkTableColumns(table, Object.keys(where)).flatMap(column =>
+        parseCondition(where[column]).map(([operator, value]) => buildCondition(column, operator, value, bind)));
+
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Build a SELECT on a table
+ * @param {Object} dialect - placeholder(n), toDb(type, value) and an optional tiebreaker column
+ * @param {string} table - Table name
+ * @param {Object} query - columns, where, order ([[column, 'asc'|'desc'], ...]), limit and offset (with a limit)
+ * @returns {Object} text and params
+ */
+function buildSelect(dialect, table, { columns, where, order = [], limit, offset } = {}) {
+    const { params, bind } = createBinder(dialect, table);
+    const selected = columns ? checkTableColumns(table, columns).map(quote).join(', ') : '*';
+    const sort = checkTableColumns(table, order.map(([column]) => column))
+        .map((column, index) => `${quote(column)} ${order[index][1] === 'desc' ? 'DESC' : 'ASC'}`);
+
+    // Rows written in the same millisecond keep their insertion order
+    if (dialect.tiebreaker && sort.length > 0) {
+        sort.push(`${dialect.tiebreaker} ${order[order.length - 1][1] === 'desc' ? 'DESC' : 'ASC'}`);
+    }
+
+    return {
+        text: `SELECT ${selected} FROM ${quote(table)}${buildWhere(table, where, bind)}`
+            + (sort.length > 0 ? ` ORDER BY ${sort.join(', ')}` : '')
+            + (limit ? ` LIMIT ${Number(limit)}` : '')
+            + (limit && offset ? ` OFFSET ${Number(offset)}` : ''),
+        params
+    };
+}
+
+/**
+ * Build a COUNT on a table
+ * @param {Object} dialect - placeholder(n) and toDb(type, value)
+ * @param {string} table - Table name
+ * @param {Object} where - Conditions (see buildWhere)
+ * @returns {Object} text and params; the count is returned as `count`
+ */
+function buildCount(dialect, table, where) {
+    const { params, bind } = createBinder(dialect, table);
+
+    return { text: `SELECT COUNT(*) AS count FROM ${quote(table)}${buildWhere(table, where, bind)}`, params };
+}
+
+/**
+ * Build an INSERT of one or more rows, returning them
+ * @param {Object} dialect - placeholder(n) and toDb(type, value)
+ * @param {string} table - Table name
+ * @param {Array<Object>} rows - Rows with their defaults applied
+ * @returns {Object} text and params
+ */
+function buildInsert(dialect, table, rows) {
+    const { params, bind } = createBinder(dialect, checkWritable(table));
+    const columns = checkTableColumns(table, [...new Set(rows.flatMap(row => Object.keys(row)))]);
+    const values = rows.map(row => `(${columns.map(column => bind(column, row[column] === undefined ? null : row[column])).join(', ')})`);
+
+    return {
+        text: `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES ${values.join(', ')} RETURNING *`,
+        params
+    };
+}
+
+/**
+ * Build an INSERT that updates the existing row when a unique column already has the value
+ * Only the columns the caller gave are updated; the ID and created_at of an existing row stay.
+ * @param {Object} dialect - placeholder(n) and toDb(type, value)
+ * @param {string} table - Table name
+ * @param {Object} row - Row with its defaults applied
+ * @param {Array<string>} given - Columns the caller gave
+ * @param {string} conflictColumn - The unique column
+ * @returns {Object} text and params
+ */
+function buildUpsert(dialect, table, row, given, conflictColumn) {
+    const insert = buildInsert(dialect, table, [row]);
+    const updates = checkTableColumns(table, [conflictColumn, ...given])
+        .filter(column => column !== conflictColumn && column !== 'id' && column !== 'created_at')
+        .map(column => `${quote(column)} = excluded.${quote(column)}`);
+
+    return {
+        text: insert.text.replace(' RETURNING *', ` ON CONFLICT (${quote(conflictColumn)}) ${updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'} RETURNING *`),
+        params: insert.params
+    };
+}
+
+/**
+ * Build an UPDATE of the rows matching the conditions, returning them
+ * @param {Object} dialect - placeholder(n) and toDb(type, value)
+ * @param {string} table - Table name
+ * @param {Object} changes - Column values to set
+ * @param {Object} where - Conditions (see buildWhere)
+ * @returns {Object} text and params
+ */
+function buildUpdateRows(dialect, table, changes, where) {
+    const { params, bind } = createBinder(dialect, checkWritable(table));
+    const assignments = checkTableColumns(table, Object.keys(changes)).map(column => `${quote(column)} = ${bind(column, changes[column])}`);
+
+    return {
+        text: `UPDATE ${quote(table)} SET ${assignments.join(', ')}${buildWhere(table, where, bind)} RETURNING *`,
+        params
+    };
+}
+
+/**
+ * Build a DELETE of the rows matching the conditions, returning them
+ * @param {Object} dialect - placeholder(n) and toDb(type, value)
+ * @param {string} table - Table name
+ * @param {Object} where - Conditions (see buildWhere)
+ * @returns {Object} text and params
+ */
+function buildDelete(dialect, table, where) {
+    const { params, bind } = createBinder(dialect, checkWritable(table));
+
+    return { text: `DELETE FROM ${quote(table)}${buildWhere(table, where, bind)} RETURNING *`, params };
+}
+
+/**
+ * Build the CREATE TABLE and CREATE INDEX statements of a table
+ * @param {string} table - Table name
+ * @param {Object} types - SQL type for each column type (uuid, text, integer, ...)
+ * @returns {string} The statements
+ */
+function buildTableSchema(table, types) {
+    const { columns, primaryKey, unique, indexes } = getTable(table);
+    const definitions = Object.entries(columns).map(([column, type]) =>
+        `${quote(column)} ${types[type]}${column === primaryKey ? ' PRIMARY KEY' : ''}${unique.includes(column) ? ' UNIQUE' : ''}`);
+
+    return [
+        `CREATE TABLE IF NOT EXISTS ${quote(table)} (${definitions.join(', ')});`,
+        ...indexes.map(index => `CREATE INDEX IF NOT EXISTS idx_${table}_${index.replace(/, /g, '_')} ON ${quote(table)}(${index.split(', ').map(quote).join(', ')});`)
+    ].join('\n');
+}
+
+module.exports = {
+    WRITABLE_COLUMNS,
+    checkColumns,
+    buildUpdate,
+    buildSelect,
+    buildCount,
+    buildInsert,
+    buildUpsert,
+    buildUpdateRows,
+    buildDelete,
+    buildTableSchema
+};
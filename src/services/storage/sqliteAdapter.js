@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { TABLES, StorageError, getTable, withDefaults } = require('./tables');
+const {
+    WRITABLE_COLUMNS,
+    checkColumns,
+    buildUpdate,
+    buildSelect,
+    buildCount,
+    buildInsert,
+    buildUpsert,
+    buildUpdateRows,
+    buildDelete,
+    buildTableSchema
+} = require('./sql');
+
+// Timestamps are stored as ISO 8601 text, which sorts chronologically
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS family_gmail_tokens (
+    id TEXT PRIMARY KEY,
+    family_id TEXT NOT NULL,
+    family_name TEXT,
+    email TEXT,
+    provider TEXT NOT NULL DEFAULT 'google',
+    access_token TEXT NOT NULL,
+    refresh_token TEXT NOT NULL,
+    token_expiry TEXT,
+    encrypted_data_key TEXT,
+    encryption_key_version INTEGER,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'needs_reconnect', 'revoked')),
+    last_refresh_at TEXT,
+    last_error TEXT,
+    gmail_history_id TEXT,
+    watch_expires_at TEXT,
+    refresh_locked_until TEXT,
+    granted_scopes TEXT,
+    last_token_fetch_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (family_id, email)
+);
+CREATE INDEX IF NOT EXISTS idx_family_gmail_tokens_family_id ON family_gmail_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_family_gmail_tokens_email ON family_gmail_tokens(email COLLATE NOCASE);
+`;
+
+// SQLite column type for each table column type (see tables.js)
+const COLUMN_TYPES = {
+    uuid: 'TEXT',
+    text: 'TEXT',
+    integer: 'INTEGER',
+    boolean: 'INTEGER',
+    timestamp: 'TEXT',
+    json: 'TEXT',
+    array: 'TEXT'
+};
+
+// JSON written by scrubFamilyAuditLog in place of an entry's details
+const ERASED_DETAILS = JSON.stringify({ erased: true });
+
+// audit_log is append-only as on Supabase (migrations 012 and 018). SQLite has no session
+// settings, so scrubFamilyAuditLog and purgeAuditLog allow their change by inserting it
+// into audit_log_allowed_changes inside the transaction that makes it.
+const AUDIT_LOG_GUARD = `
+CREATE TABLE IF NOT EXISTS audit_log_allowed_changes (operation TEXT PRIMARY KEY);
+CREATE TRIGGER IF NOT EXISTS audit_log_append_only_update BEFORE UPDATE ON audit_log
+    WHEN NOT EXISTS (SELECT 1 FROM audit_log_allowed_changes WHERE operation = 'UPDATE')
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only (UPDATE not allowed)'); END;
+CREATE TRIGGER IF NOT EXISTS audit_log_append_only_delete BEFORE DELETE ON audit_log
+    WHEN NOT EXISTS (SELECT 1 FROM audit_log_allowed_changes WHERE operation = 'DELETE')
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only (DELETE not allowed)'); END;
+`;
+
+/**
+ * Convert a value for binding to SQLite
+ * @param {*} value - Column value
+ * @returns {*} Dates as ISO strings, everything else unchanged
+ */
+function toDbValue(value) {
+    return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Convert a table column value for binding to SQLite
+ * @param {string} type - Column type (see tables.js)
+ * @param {*} value - Column value
+ * @returns {*} JSON and lists as JSON text, booleans as 0 or 1, dates as ISO strings
+ */
+function toTableValue(type, value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (type === 'json' || type === 'array') {
+        return JSON.stringify(value);
+    }
+    if (type === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return toDbValue(value);
+}
+
+/**
+ * Convert a table row read from SQLite
+ * @param {string} table - Table name
+ * @param {Object} row - The stored row
+ * @returns {Object} The row with JSON, lists and booleans restored
+ */
+function fromTableRow(table, row) {
+    const { columns } = getTable(table);
+    const converted = { ...row };
+
+    for (const [column, value] of Object.entries(row)) {
+        if (value === null) continue;
+        if (columns[column] === 'json' || columns[column] === 'array') converted[column] = JSON.parse(value);
+        if (columns[column] === 'boolean') converted[column] = Boolean(value);
+    }
+
+    return converted;
+}
+
+/**
+ * Create the storage adapter for an embedded SQLite database
+ * Creates every table on open, so a new database needs no migration step.
+ * Requires the optional `better-sqlite3` package.
+ * @param {Object} options - Database options
+ * @param {string} options.filename - Database file, or :memory: (defaults to SQLITE_PATH or data/family-assistant.db)
+ * @returns {Object} Storage adapter (see storage/index.js)
+ */
+function createSqliteAdapter({ filename = process.env.SQLITE_PATH || 'data/family-assistant.db' } = {}) {
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    // Databases created before these columns were added lack them
+    const existingColumns = db.prepare('PRAGMA table_info(family_gmail_tokens)').all().map(column => column.name);
+    for (const column of ['refresh_locked_until', 'granted_scopes', 'last_token_fetch_at']) {
+        if (!existingColumns.includes(column)) {
+            db.exec(`ALTER TABLE family_gmail_tokens ADD COLUMN ${column} TEXT`);
+        }
+    }
+
+    for (const table of Object.keys(TABLES)) {
+        db.exec(buildTableSchema(table, COLUMN_TYPES));
+
+        // Tables created by an older version lack the columns added since
+        const tableColumns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+        for (const [column, type] of Object.entries(getTable(table).columns)) {
+            if (!tableColumns.includes(column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN "${column}" ${COLUMN_TYPES[type]}`);
+            }
+        }
+    }
+
+    db.exec(AUDIT_LOG_GUARD);
+
+    /**
+     * Run a change to audit_log that its triggers would otherwise refuse
+     * @param {string} operation - UPDATE or DELETE
+     * @param {Function} change - Makes the change; returns the number of rows changed
+     * @returns {number} The number of rows changed
+     */
+    const changeAuditLog = db.transaction((operation, change) => {
+        db.prepare('INSERT INTO audit_log_allowed_changes (operation) VALUES (?)').run(operation);
+        const changes = change();
+        db.prepare('DELETE FROM audit_log_allowed_changes WHERE operation = ?').run(operation);
+        return changes;
+    });
+
+    const now = () => new Date().toISOString();
+    const dialect = { placeholder: () => '?', toDb: toTableValue, tiebreaker: 'rowid' };
+
+    /**
+     * Run a table statement and convert the rows it returns
+     * @param {string} table - Table name
+     * @param {Object} statement - text and params
+     * @returns {Array<Object>} The returned rows
+     * @throws {StorageError} If the statement breaks a unique constraint
+     */
+    function runTable(table, { text, params }) {
+        try {
+            return db.prepare(text).all(...params).map(row => fromTableRow(table, row));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+                throw new StorageError('conflict', error.message);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        name: 'sqlite',
+
+        async upsertAccount(row) {
+            const columns = checkColumns(row, WRITABLE_COLUMNS);
+            const updates = columns
+                .filter(column => column !== 'family_id' && column !== 'email')
+                .map(column => `${column} = excluded.${column}`);
+
+            return db.prepare(
+                `INSERT INTO family_gmail_tokens (id, ${columns.join(', ')}, created_at, updated_at)
+                 VALUES (?, ${columns.map(() => '?').join(', ')}, ?, ?)
+                 ON CONFLICT (family_id, email) DO UPDATE SET ${[...updates, 'updated_at = excluded.updated_at'].join(', ')}
+                 RETURNING *`
+            ).get(crypto.randomUUID(), ...columns.map(column => toDbValue(row[column])), now(), now());
+        },
+
+        async findAccounts({ familyId, accountId, email, limit } = {}) {
+            const conditions = [];
+            const params = [];
+
+            if (familyId) { params.push(familyId); conditions.push('family_id = ?'); }
+            if (accountId) { params.push(accountId); conditions.push('id = ?'); }
+            if (email) { params.push(email); conditions.push('email = ?'); }
+
+            return db.prepare(
+                `SELECT * FROM family_gmail_tokens
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                 ORDER BY created_at ASC, rowid ASC
+                 ${limit ? `LIMIT ${Number(limit)}` : ''}`
+            ).all(...params);
+        },
+
+        async findAccountsByEmail(email) {
+            return db.prepare('SELECT * FROM family_gmail_tokens WHERE email = ? COLLATE NOCASE').all(email);
+        },
+
+        async listAccounts() {
+            return db.prepare('SELECT * FROM family_gmail_tokens ORDER BY created_at DESC, rowid DESC').all();
+        },
+
+        async updateAccount(accountId, changes, expected = {}) {
+            const { set, where, setParams, whereParams } = buildUpdate(changes, expected, () => '?');
+
+            const row = db.prepare(
+                `UPDATE family_gmail_tokens SET ${[set, 'updated_at = ?'].filter(Boolean).join(', ')}
+                 WHERE id = ?${where}
+                 RETURNING *`
+            ).get(...setParams.map(toDbValue), now(), accountId, ...whereParams.map(toDbValue));
+
+            return row || null;
+        },
+
+        async deleteAccount(familyId, accountId) {
+            const row = db.prepare('DELETE FROM family_gmail_tokens WHERE family_id = ? AND id = ? RETURNING *')
+                .get(familyId, accountId);
+            return row || null;
+        },
+
+        async listAccountsForRotation(activeVersion, { afterId, limit }) {
+            return db.prepare(
+                `SELECT * FROM family_gmail_tokens
+                 WHERE (encryption_key_version IS NULL OR encryption_key_version <> ?)
+                 ${afterId ? 'AND id > ?' : ''}
+                 ORDER BY id ASC
+                 LIMIT ?`
+            ).all(...(afterId ? [activeVersion, afterId, limit] : [activeVersion, limit]));
+        },
+
+        async selectRows(table, query = {}) {
+            return runTable(table, buildSelect(dialect, table, query));
+        },
+
+        async countRows(table, where = {}) {
+            const { text, params } = buildCount(dialect, table, where);
+            return db.prepare(text).get(...params).count;
+        },
+
+        async insertRows(table, rows) {
+            return runTable(table, buildInsert(dialect, table, rows.map(row => withDefaults(table, row))));
+        },
+
+        async upsertRow(table, row, conflictColumn) {
+            const [upserted] = runTable(table, buildUpsert(dialect, table, withDefaults(table, row), Object.keys(row), conflictColumn));
+            return upserted;
+        },
+
+        async updateRows(table, changes, where = {}) {
+            return runTable(table, buildUpdateRows(dialect, table, changes, where));
+        },
+
+        async deleteRows(table, where = {}) {
+            return runTable(table, buildDelete(dialect, table, where));
+        },
+
+        async scrubFamilyAuditLog(familyId) {
+            return changeAuditLog('UPDATE', () => db.prepare('UPDATE audit_log SET details = ? WHERE family_id = ? AND details <> ?')
+                .run(ERASED_DETAILS, familyId, ERASED_DETAILS).changes);
+        },
+
+        async purgeAuditLog(retainDays) {
+            if (!(retainDays >= 30)) {
+                throw new Error('retain_days must be at least 30');
+            }
+
+            const cutoff = new Date(Date.now() - retainDays * 24 * 60 * 60 * 1000).toISOString();
+            return changeAuditLog('DELETE', () => db.prepare('DELETE FROM audit_log WHERE created_at < ?').run(cutoff).changes);
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    createSqliteAdapter
+};
@@ -0,0 +1,206 @@
+const { getSupabase } = require('../supabase');
+const { StorageError, checkWritable, checkTableColumns, parseCondition } = require('./tables');
+
+const TABLE = 'family_gmail_tokens';
+
+// Comparison operators accepted in `where` conditions, besides `in`
+const COMPARISONS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'];
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Apply compare-and-set conditions to an update query
+ * @param {Object} query - Supabase query
+ * @param {Object} expected - Column values the row must still have (null means IS NULL)
+ * @returns {Object} The query with conditions applied
+ */
+function applyExpected(query, expected) {
+    return Object.entries(expected).reduce(
+        (q, [column, value]) => (value === null ? q.is(column, null) : q.eq(column, value)),
+        query
+    );
+}
+
+/**
+ * Apply `where` conditions (see tables.js parseCondition) to a table query
+ * @param {Object} query - Supabase query
+ * @param {string} table - Table name
+ * @param {Object} where - Conditions by column, all of which must hold
+ * @returns {Object} The query with conditions applied
+ */
+function applyWhere(query, table, where = {}) {
+    const conditions = checkTableColumns(table, Object.keys(where))
+        .flatMap(column => parseCondition(where[column]).map(([operator, value]) => [column, operator, value]));
+
+    return conditions.reduce((q, [column, operator, condition]) => {
+        const value = condition instanceof Date ? condition.toISOString() : condition;
+
+        if (operator === 'in') return q.in(column, value);
+        if (!COMPARISONS.includes(operator)) {
+            throw new Error(`Unknown operator: ${operator}`);
+        }
+        if (value === null) return operator === 'neq' ? q.not(column, 'is', null) : q.is(column, null);
+        return q[operator](column, value);
+    }, query);
+}
+
+/**
+ * Get the rows of a Supabase response
+ * @param {Object} response - data and error
+ * @returns {Array<Object>|Object} The data
+ * @throws {StorageError} If a write broke a unique constraint
+ * @throws {Object} The Supabase error for any other failure
+ */
+function unwrap({ data, error }) {
+    if (error && error.code === UNIQUE_VIOLATION) throw new StorageError('conflict', error.message);
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Create the storage adapter for the Supabase tables
+ * @returns {Object} Storage adapter (see storage/index.js)
+ */
+function createSupabaseAdapter() {
+    return {
+        name: 'supabase',
+
+        async upsertAccount(row) {
+            const { data, error } = await getSupabase()
+                .from(TABLE)
+                .upsert(row, { onConflict: 'family_id,email' })
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+        },
+
+        async findAccounts({ familyId, accountId, email, limit } = {}) {
+            let query = getSupabase().from(TABLE).select('*');
+
+            if (familyId) query = query.eq('family_id', familyId);
+            if (accountId) query = query.eq('id', accountId);
+            if (email) query = query.eq('email', email);
+
+            query = query.order('created_at', { ascending: true });
+            if (limit) query = query.limit(limit);
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data || [];
+        },
+
+        async findAccountsByEmail(email) {
+            const { data, error } = await getSupabase()
+                .from(TABLE)
+                .select('*')
+                .ilike('email', email);
+
+            if (error) throw error;
+            return data || [];
+        },
+
+        async listAccounts() {
+            const { data, error } = await getSupabase()
+                .from(TABLE)
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+            return data || [];
+        },
+
+        async updateAccount(accountId, changes, expected = {}) {
+            const query = applyExpected(
+                getSupabase().from(TABLE).update(changes).eq('id', accountId),
+                expected
+            );
+
+            const { data, error } = await query.select();
+
+            if (error) throw error;
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async deleteAccount(familyId, accountId) {
+            const { data, error } = await getSupabase()
+                .from(TABLE)
+                .delete()
+                .eq('family_id', familyId)
+                .eq('id', accountId)
+                .select();
+
+            if (error) throw error;
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async listAccountsForRotation(activeVersion, { afterId, limit }) {
+            let query = getSupabase()
+                .from(TABLE)
+                .select('*')
+                .or(`encryption_key_version.is.null,encryption_key_version.neq.${activeVersion}`)
+                .order('id', { ascending: true })
+                .limit(limit);
+
+            if (afterId) {
+                query = query.gt('id', afterId);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data || [];
+        },
+
+        async selectRows(table, { columns, where, order = [], limit, offset } = {}) {
+            let query = applyWhere(getSupabase().from(table).select(columns ? checkTableColumns(table, columns).join(',') : '*'), table, where);
+
+            for (const [column, direction] of order) {
+                query = query.order(column, { ascending: direction !== 'desc' });
+            }
+            if (limit) query = offset ? query.range(offset, offset + limit - 1) : query.limit(limit);
+
+            return unwrap(await query) || [];
+        },
+
+        async countRows(table, where = {}) {
+            const { count, error } = await applyWhere(getSupabase().from(table).select('*', { count: 'exact', head: true }), table, where);
+
+            if (error) throw error;
+            return count || 0;
+        },
+
+        async insertRows(table, rows) {
+            return unwrap(await getSupabase().from(checkWritable(table)).insert(rows).select()) || [];
+        },
+
+        async upsertRow(table, row, conflictColumn) {
+            return unwrap(await getSupabase().from(checkWritable(table)).upsert(row, { onConflict: conflictColumn }).select().single());
+        },
+
+        async updateRows(table, changes, where = {}) {
+            return unwrap(await applyWhere(getSupabase().from(checkWritable(table)).update(changes), table, where).select()) || [];
+        },
+
+        async deleteRows(table, where = {}) {
+            return unwrap(await applyWhere(getSupabase().from(checkWritable(table)).delete(), table, where).select()) || [];
+        },
+
+        async scrubFamilyAuditLog(familyId) {
+            return unwrap(await getSupabase().rpc('scrub_family_audit_log', { target_family_id: familyId })) || 0;
+        },
+
+        async purgeAuditLog(retainDays) {
+            return unwrap(await getSupabase().rpc('purge_audit_log', { retain_days: retainDays })) || 0;
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = {
+    createSupabaseAdapter
+};
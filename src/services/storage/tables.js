@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+
+/**
+ * Tables other than family_gmail_tokens, as the adapters see them
+ * Mirrors supabase/migrations: the Supabase adapter uses the migrated tables, the Postgres
+ * and SQLite adapters create them from these definitions. Column types are uuid, text,
+ * integer, boolean, timestamp (ISO strings in and out), json and array (of strings).
+ * Defaults are filled in before insert, so every backend stores the same rows.
+ */
+const TABLES = {
+    family_invites: {
+        columns: {
+            id: 'uuid',
+            family_id: 'text',
+            family_name: 'text',
+            contact_email: 'text',
+            scope_profile: 'text',
+            expires_at: 'timestamp',
+            max_uses: 'integer',
+            use_count: 'integer',
+            last_used_at: 'timestamp',
+            revoked_at: 'timestamp',
+            created_by: 'text',
+            created_at: 'timestamp'
+        },
+        defaults: { max_uses: 1, use_count: 0 },
+        indexes: ['family_id']
+    },
+    webhook_deliveries: {
+        columns: {
+            id: 'uuid',
+            event_id: 'uuid',
+            event_type: 'text',
+            family_id: 'text',
+            url: 'text',
+            payload: 'json',
+            status: 'text',
+            attempts: 'integer',
+            last_status_code: 'integer',
+            last_error: 'text',
+            next_attempt_at: 'timestamp',
+            delivered_at: 'timestamp',
+            created_at: 'timestamp'
+        },
+        defaults: { status: 'pending', attempts: 0, next_attempt_at: now },
+        indexes: ['family_id', 'status, next_attempt_at']
+    },
+    webhook_delivery_attempts: {
+        columns: {
+            id: 'uuid',
+            delivery_id: 'uuid',
+            attempt: 'integer',
+            status_code: 'integer',
+            error: 'text',
+            duration_ms: 'integer',
+            manual: 'boolean',
+            created_at: 'timestamp'
+        },
+        defaults: { manual: false },
+        indexes: ['delivery_id']
+    },
+    audit_log: {
+        columns: {
+            id: 'uuid',
+            action: 'text',
+            actor_type: 'text',
+            actor_id: 'text',
+            family_id: 'text',
+            account_id: 'uuid',
+            details: 'json',
+            created_at: 'timestamp'
+        },
+        defaults: { details: () => ({}) },
+        indexes: ['created_at', 'family_id', 'action']
+    },
+    api_keys: {
+        columns: {
+            id: 'uuid',
+            name: 'text',
+            key_prefix: 'text',
+            key_hash: 'text',
+            scopes: 'array',
+            family_ids: 'array',
+            expires_at: 'timestamp',
+            last_used_at: 'timestamp',
+            revoked_at: 'timestamp',
+            created_by: 'text',
+            created_at: 'timestamp'
+        },
+        defaults: { scopes: () => [] },
+        unique: ['key_prefix']
+    },
+    admin_users: {
+        columns: {
+            id: 'uuid',
+            username: 'text',
+            password_hash: 'text',
+            role: 'text',
+            failed_login_count: 'integer',
+            locked_until: 'timestamp',
+            last_login_at: 'timestamp',
+            disabled_at: 'timestamp',
+            created_by: 'text',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        },
+        defaults: { role: 'support', failed_login_count: 0 },
+        unique: ['username']
+    },
+    admin_sessions: {
+        columns: {
+            id: 'uuid',
+            token_hash: 'text',
+            admin_user_id: 'uuid',
+            ip_address: 'text',
+            user_agent: 'text',
+            expires_at: 'timestamp',
+            last_seen_at: 'timestamp',
+            revoked_at: 'timestamp',
+            created_at: 'timestamp'
+        },
+        defaults: { last_seen_at: now },
+        unique: ['token_hash'],
+        indexes: ['admin_user_id']
+    },
+    reconnect_reminders: {
+        columns: {
+            id: 'uuid',
+            family_id: 'text',
+            account_id: 'uuid',
+            recipient: 'text',
+            invite_id: 'uuid',
+            trigger: 'text',
+            sent_by: 'text',
+            status: 'text',
+            error: 'text',
+            created_at: 'timestamp'
+        },
+        indexes: ['family_id']
+    },
+    family_erasures: {
+        columns: {
+            id: 'uuid',
+            family_id: 'text',
+            requested_by_type: 'text',
+            requested_by_id: 'text',
+            summary: 'json',
+            created_at: 'timestamp'
+        },
+        defaults: { summary: () => ({}) },
+        indexes: ['family_id']
+    },
+    family_email_rules: {
+        primaryKey: 'family_id',
+        columns: {
+            family_id: 'text',
+            sender_domains: 'array',
+            keywords: 'array',
+            categories: 'array',
+            label_name: 'text',
+            updated_by: 'text',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        },
+        defaults: { sender_domains: () => [], keywords: () => [], categories: () => [], label_name: 'Family Assistant' }
+    },
+    oauth_state_nonces: {
+        primaryKey: 'nonce',
+        columns: {
+            nonce: 'text',
+            expires_at: 'timestamp',
+            created_at: 'timestamp'
+        },
+        indexes: ['expires_at']
+    }
+};
+
+/**
+ * Tables the adapters create and write with their own methods, readable through the
+ * generic ones (selectRows, countRows)
+ * family_gmail_tokens is written only through the account methods, which keep its tokens encrypted.
+ */
+const READ_ONLY_TABLES = {
+    family_gmail_tokens: {
+        columns: {
+            id: 'uuid',
+            family_id: 'text',
+            family_name: 'text',
+            email: 'text',
+            provider: 'text',
+            access_token: 'text',
+            refresh_token: 'text',
+            token_expiry: 'timestamp',
+            encrypted_data_key: 'text',
+            encryption_key_version: 'integer',
+            status: 'text',
+            last_refresh_at: 'timestamp',
+            last_error: 'text',
+            gmail_history_id: 'text',
+            watch_expires_at: 'timestamp',
+            refresh_locked_until: 'timestamp',
+            granted_scopes: 'text',
+            last_token_fetch_at: 'timestamp',
+            created_at: 'timestamp',
+            updated_at: 'timestamp'
+        }
+    }
+};
+
+/**
+ * Error raised by an adapter when a write breaks a constraint
+ * `reason` is always: conflict (a unique column already has the value)
+ */
+class StorageError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'StorageError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Get the current time as stored in timestamp columns
+ * @returns {string} ISO 8601 time
+ */
+function now() {
+    return new Date().toISOString();
+}
+
+/**
+ * Look up a table definition
+ * @param {string} table - Table name
+ * @returns {Object} The definition, with its primary key filled in
+ * @throws {Error} If the table is unknown
+ */
+function getTable(table) {
+    const definition = TABLES[table] || READ_ONLY_TABLES[table];
+
+    if (!definition) {
+        throw new Error(`Unknown table: ${table}`);
+    }
+
+    return { primaryKey: 'id', unique: [], indexes: [], defaults: {}, ...definition };
+}
+
+/**
+ * Check that the generic methods may write to a table
+ * @param {string} table - Table name
+ * @returns {string} The table name
+ * @throws {Error} If the table is unknown or read-only
+ */
+function checkWritable(table) {
+    if (READ_ONLY_TABLES[table]) {
+        throw new Error(`${table} is read-only here; use the account methods`);
+    }
+
+    getTable(table);
+    return table;
+}
+
+/**
+ * Check that every column name is one of a table's
+ * Column names are interpolated into SQL, so only known names may pass.
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Column names
+ * @returns {Array<string>} The column names
+ * @throws {Error} If a column is unknown
+ */
+function checkTableColumns(table, columns) {
+    const known = getTable(table).columns;
+    const unknown = columns.filter(column => !(column in known));
+
+    if (unknown.length > 0) {
+        throw new Error(`Unknown ${table} columns: ${unknown.join(', ')}`);
+    }
+
+    return columns;
+}
+
+/**
+ * Split a `where` condition into its operators and values
+ * A condition is a value (equality; null means IS NULL) or an object of operators, all of
+ * which must hold: eq, neq, gt, gte, lt, lte or in (a list); { neq: null } means IS NOT NULL.
+ * @param {*} condition - The condition on one column
+ * @returns {Array<Array>} [operator, value] pairs
+ */
+function parseCondition(condition) {
+    const isOperator = condition !== null && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date);
+    return isOperator ? Object.entries(condition) : [['eq', condition]];
+}
+
+/**
+ * Fill in the defaults of a row about to be inserted
+ * New rows get an ID (if the table has one), created_at and updated_at, then the table's defaults.
+ * @param {string} table - Table name
+ * @param {Object} row - Column values
+ * @returns {Object} The row with every default applied
+ */
+function withDefaults(table, row) {
+    const { columns, defaults } = getTable(table);
+    const filled = { ...row };
+    const generated = {
+        ...(columns.id === 'uuid' ? { id: () => crypto.randomUUID() } : {}),
+        ...(columns.created_at ? { created_at: now } : {}),
+        ...(columns.updated_at ? { updated_at: now } : {}),
+        ...defaults
+    };
+
+    for (const [column, value] of Object.entries(generated)) {
+        if (filled[column] === undefined) {
+            filled[column] = typeof value === 'function' ? value() : value;
+        }
+    }
+
+    return filled;
+}
+
+module.exports = {
+    TABLES,
+    StorageError,
+    getTable,
+    checkWritable,
+    checkTableColumns,
+    parseCondition,
+    withDefaults
+};
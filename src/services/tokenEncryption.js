@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+/**
+ * Load the versioned master keys from the environment
+ * TOKEN_ENCRYPTION_KEYS is a comma separated list of `version:base64key` pairs,
+ * e.g. "1:abc...,2:def...". Each key must decode to 32 bytes.
+ * @returns {Map<number, Buffer>} Master keys by version
+ */
+function loadMasterKeys() {
+    const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+
+    if (!raw) {
+        throw new Error('Missing token encryption configuration. Please set TOKEN_ENCRYPTION_KEYS environment variable.');
+    }
+
+    const keys = new Map();
+
+    for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+        const [versionPart, keyPart] = entry.split(':');
+        const version = parseInt(versionPart, 10);
+        const key = Buffer.from(keyPart || '', 'base64');
+
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry: version "${versionPart}" must be a positive integer`);
+        }
+
+        if (key.length !== KEY_LENGTH) {
+            throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry: key version ${version} must be ${KEY_LENGTH} bytes (base64 encoded)`);
+        }
+
+        keys.set(version, key);
+    }
+
+    if (keys.size === 0) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS does not contain any keys');
+    }
+
+    return keys;
+}
+
+/**
+ * Get the key version new data keys are wrapped with
+ * Defaults to the highest configured version unless TOKEN_ENCRYPTION_ACTIVE_VERSION is set
+ * @returns {number} The active key version
+ */
+function getActiveKeyVersion() {
+    const keys = loadMasterKeys();
+    const configured = process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION;
+
+    if (configured) {
+        const version = parseInt(configured, 10);
+        if (!keys.has(version)) {
+            throw new Error(`TOKEN_ENCRYPTION_ACTIVE_VERSION ${configured} is not present in TOKEN_ENCRYPTION_KEYS`);
+        }
+        return version;
+    }
+
+    return Math.max(...keys.keys());
+}
+
+/**
+ * Get a master key by version
+ * @param {number} version - The key version
+ * @returns {Buffer} The master key
+ */
+function getMasterKey(version) {
+    const key = loadMasterKeys().get(Number(version));
+
+    if (!key) {
+        throw new Error(`Token encryption key version ${version} is not configured`);
+    }
+
+    return key;
+}
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {Buffer|string} plaintext - The value to encrypt
+ * @param {Buffer} key - 32 byte key
+ * @returns {string} Encoded as `iv.tag.ciphertext` (base64url)
+ */
+function encrypt(plaintext, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, ciphertext].map(b => b.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - Encoded `iv.tag.ciphertext`
+ * @param {Buffer} key - 32 byte key
+ * @returns {Buffer} The plaintext
+ */
+function decrypt(payload, key) {
+    const [iv, tag, ciphertext] = payload.split('.').map(p => Buffer.from(p, 'base64url'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Generate a new data key wrapped with the active master key
+ * @returns {Object} The plaintext data key, the wrapped data key and its key version
+ */
+function generateDataKey() {
+    const keyVersion = getActiveKeyVersion();
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+    return {
+        dataKey,
+        wrappedKey: encrypt(dataKey, getMasterKey(keyVersion)),
+        keyVersion
+    };
+}
+
+/**
+ * Unwrap a data key with the master key it was wrapped with
+ * @param {string} wrappedKey - The wrapped data key
+ * @param {number} keyVersion - The master key version
+ * @returns {Buffer} The plaintext data key
+ */
+function unwrapDataKey(wrappedKey, keyVersion) {
+    return decrypt(wrappedKey, getMasterKey(keyVersion));
+}
+
+/**
+ * Re-wrap a data key under the active master key
+ * The data key itself is unchanged, so values encrypted with it stay readable
+ * @param {string} wrappedKey - The wrapped data key
+ * @param {number} keyVersion - The master key version it is currently wrapped with
+ * @returns {Object} The new wrapped key and key version
+ */
+function rewrapDataKey(wrappedKey, keyVersion) {
+    const activeVersion = getActiveKeyVersion();
+    const dataKey = unwrapDataKey(wrappedKey, keyVersion);
+
+    return {
+        wrappedKey: encrypt(dataKey, getMasterKey(activeVersion)),
+        keyVersion: activeVersion
+    };
+}
+
+/**
+ * Encrypt a token with a data key
+ * @param {string} token - The plaintext token
+ * @param {Buffer} dataKey - The plaintext data key
+ * @returns {string} The encrypted token
+ */
+function encryptToken(token, dataKey) {
+    return encrypt(Buffer.from(token, 'utf8'), dataKey);
+}
+
+/**
+ * Decrypt a token with a data key
+ * @param {string} encryptedToken - The encrypted token
+ * @param {Buffer} dataKey - The plaintext data key
+ * @returns {string} The plaintext token
+ */
+function decryptToken(encryptedToken, dataKey) {
+    return decrypt(encryptedToken, dataKey).toString('utf8');
+}
+
+module.exports = {
+    getActiveKeyVersion,
+    generateDataKey,
+    unwrapDataKey,
+    rewrapDataKey,
+    encryptToken,
+    decryptToken
+};
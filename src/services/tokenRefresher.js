@@ -0,0 +1,382 @@
+const {
+    isTokenExpiringSoon,
+    isInvalidGrantError
+} = require('./google');
+
+const { getProvider } = require('./providers');
+
+const {
+    getFamilyTokens,
+    updateAccessToken,
+    claimRefreshLock,
+    recordRefreshFailure,
+    listTokenExpiries,
+    parseGrantedScopes
+} = require('./storage');
+
+const { emitEvent, WEBHOOK_EVENTS } = require('./webhooks');
+const { remindFamilyToReconnect } = require('./reminders');
+const { recordTokenRefresh } = require('./metrics');
+
+// Refresh tokens expiring within this many minutes on each cycle
+const REFRESH_THRESHOLD_MINUTES = parseInt(process.env.REFRESH_THRESHOLD_MINUTES, 10) || 15;
+
+// Minutes between background refresh cycles
+const REFRESH_INTERVAL_MINUTES = parseInt(process.env.REFRESH_INTERVAL_MINUTES, 10) || 10;
+
+// Families whose tokens a batch request refreshes at the same time
+const BATCH_REFRESH_CONCURRENCY = parseInt(process.env.BATCH_REFRESH_CONCURRENCY, 10) || 5;
+
+// How long a refresh may hold an account's lock, and how often other instances check on it
+const REFRESH_LOCK_TTL_MS = 30 * 1000;
+const REFRESH_LOCK_POLL_MS = 250;
+
+let refreshTimer = null;
+let currentCycle = null;
+
+// Refreshes in progress in this process, by account ID
+const inFlightRefreshes = new Map();
+
+/**
+ * Pick the token fields handed to callers from a stored account
+ * @param {Object} record - The account's token record
+ * @returns {Object} access_token, expires_at and granted_scopes
+ */
+function toAccessToken(record) {
+    return {
+        access_token: record.access_token,
+        expires_at: new Date(record.token_expiry).toISOString(),
+        granted_scopes: parseGrantedScopes(record.granted_scopes)
+    };
+}
+
+/**
+ * Refresh the access token for one of a family's accounts and record the outcome
+ * Concurrent calls for the same account share one refresh: in this process through
+ * the in-flight promise, across instances through a lock on the account row.
+ * On invalid_grant the account is marked needs_reconnect (emitting a webhook and
+ * emailing the family a reconnect reminder the first time); other errors are recorded
+ * without changing the status. The error is rethrown either way.
+ * @param {Object} tokenData - The family's token record from getFamilyTokens
+ * @returns {Promise<Object>} The new access_token, expires_at and granted_scopes
+ */
+function refreshFamilyToken(tokenData) {
+    const accountId = tokenData.id;
+
+    if (inFlightRefreshes.has(accountId)) {
+        console.log(`[Refresher] Refresh already in progress for account ${accountId}, joining it`);
+        return inFlightRefreshes.get(accountId);
+    }
+
+    const refresh = refreshWithLock(tokenData).finally(() => {
+        inFlightRefreshes.delete(accountId);
+    });
+
+    inFlightRefreshes.set(accountId, refresh);
+    return refresh;
+}
+
+/**
+ * Refresh an account's token if this instance wins its refresh lock, otherwise
+ * wait for the instance that holds the lock and use its token
+ * @param {Object} tokenData - The account's token record
+ * @returns {Promise<Object>} The new access_token, expires_at and granted_scopes
+ */
+async function refreshWithLock(tokenData) {
+    const claimed = await claimRefreshLock(tokenData.id, {
+        currentLock: tokenData.refresh_locked_until || null,
+        ttlMs: REFRESH_LOCK_TTL_MS
+    });
+
+    if (!claimed) {
+        return waitForRefresh(tokenData);
+    }
+
+    const familyId = tokenData.family_id;
+    const accountId = tokenData.id;
+
+    try {
+        const provider = getProvider(tokenData.provider);
+        const newTokens = await provider.refreshAccessToken(tokenData.refresh_token);
+        const newExpiry = new Date(newTokens.expiry_date);
+
+        // Store the new refresh token if the provider rotated it
+        const rotatedRefreshToken = newTokens.refresh_token && newTokens.refresh_token !== tokenData.refresh_token
+            ? newTokens.refresh_token
+            : undefined;
+
+        // Only replace the token we refreshed, in case a lock expired and another instance got there first
+        const updated = await updateAccessToken(accountId, newTokens.access_token, newExpiry, rotatedRefreshToken, {
+            expectedExpiry: tokenData.token_expiry || null,
+            grantedScopes: newTokens.scope
+        });
+
+        recordTokenRefresh(tokenData.provider, 'refreshed');
+        return toAccessToken(updated || await getFamilyTokens(familyId, { accountId }));
+    } catch (error) {
+        const invalidGrant = isInvalidGrantError(error);
+
+        recordTokenRefresh(tokenData.provider, invalidGrant ? 'invalid_grant' : 'error');
+
+        try {
+            await recordRefreshFailure(accountId, {
+                status: invalidGrant ? 'needs_reconnect' : undefined,
+                error: invalidGrant ? 'invalid_grant: refresh token is invalid or revoked' : (error.message || String(error))
+            });
+        } catch (recordError) {
+            console.error(`[Refresher] Failed to record refresh failure for account ${accountId}:`, recordError);
+        }
+
+        if (invalidGrant && tokenData.status !== 'needs_reconnect') {
+            emitEvent(WEBHOOK_EVENTS.FAMILY_NEEDS_RECONNECT, familyId, { account_id: accountId, email: tokenData.email });
+            remindFamilyToReconnect(familyId, accountId);
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Wait for another instance's refresh of an account to finish
+ * Returns the token it stored; if it failed or its lock expired, tries the refresh again.
+ * @param {Object} tokenData - The account's token record as read before the refresh
+ * @returns {Promise<Object>} The new access_token, expires_at and granted_scopes
+ */
+async function waitForRefresh(tokenData) {
+    console.log(`[Refresher] Account ${tokenData.id} is being refreshed by another instance, waiting`);
+
+    for (;;) {
+        await new Promise(resolve => setTimeout(resolve, REFRESH_LOCK_POLL_MS));
+
+        const current = await getFamilyTokens(tokenData.family_id, { accountId: tokenData.id });
+
+        if (!current) {
+            throw new Error(`Account not found: ${tokenData.id}`);
+        }
+
+        const lockHeld = current.refresh_locked_until && new Date(current.refresh_locked_until).getTime() > Date.now();
+
+        if (lockHeld) {
+            continue;
+        }
+
+        if (current.token_expiry !== tokenData.token_expiry && current.status === 'active') {
+            return toAccessToken(current);
+        }
+
+        if (current.status === 'needs_reconnect') {
+            throw new Error('invalid_grant: refresh token is invalid or revoked');
+        }
+
+        // The other refresh failed or died; try it here
+        return refreshWithLock(current);
+    }
+}
+
+/**
+ * Get a usable access token for one of a family's accounts, refreshing it if it is expiring
+ * @param {string} familyId - Unique family identifier
+ * @param {Object} selector - Optional account selector ({ accountId, email })
+ * @returns {Promise<Object|null>} The token record, access_token, expires_at, granted_scopes and whether it was refreshed, or null if not connected
+ */
+async function getValidAccessToken(familyId, selector = {}) {
+    const tokenData = await getFamilyTokens(familyId, selector);
+
+    if (!tokenData) {
+        return null;
+    }
+
+    if (!isTokenExpiringSoon(tokenData.token_expiry)) {
+        recordTokenRefresh(tokenData.provider, 'cached');
+        return { tokenData, ...toAccessToken(tokenData), refreshed: false };
+    }
+
+    console.log(`[Refresher] Token expiring soon, refreshing for family: ${familyId}, account: ${tokenData.id}`);
+
+    const newTokens = await refreshFamilyToken(tokenData);
+
+    return { tokenData, ...newTokens, refreshed: true };
+}
+
+/**
+ * Run an async function over items with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} fn - Called with each item; returns a promise
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Get a usable access token for a family's first account, for a batch request
+ * Never throws: failures are returned as an error reason.
+ * @param {string} familyId - Unique family identifier
+ * @returns {Promise<Object>} The token (access_token, expires_at, granted_scopes, account, refreshed) or
+ *   an error of not_found, needs_reconnect or refresh_failed
+ */
+async function getBatchAccessToken(familyId) {
+    let tokenData = null;
+
+    try {
+        tokenData = await getFamilyTokens(familyId);
+
+        if (!tokenData) {
+            return { family_id: familyId, error: 'not_found' };
+        }
+
+        const account = { account_id: tokenData.id, email: tokenData.email, provider: tokenData.provider };
+
+        // The refresh token was already rejected; only reconnecting helps
+        if (tokenData.status === 'needs_reconnect') {
+            return { family_id: familyId, ...account, error: 'needs_reconnect' };
+        }
+
+        if (!isTokenExpiringSoon(tokenData.token_expiry)) {
+            recordTokenRefresh(tokenData.provider, 'cached');
+            return { family_id: familyId, ...account, ...toAccessToken(tokenData), refreshed: false };
+        }
+
+        const newTokens = await refreshFamilyToken(tokenData);
+
+        return { family_id: familyId, ...account, ...newTokens, refreshed: true };
+    } catch (error) {
+        const account = tokenData ? { account_id: tokenData.id, email: tokenData.email, provider: tokenData.provider } : {};
+
+        if (isInvalidGrantError(error)) {
+            return { family_id: familyId, ...account, error: 'needs_reconnect' };
+        }
+
+        console.error(`[Refresher] Batch refresh failed for family ${familyId}:`, error.message || error);
+        return { family_id: familyId, ...account, error: 'refresh_failed' };
+    }
+}
+
+/**
+ * Get usable access tokens for many families, refreshing expiring ones in parallel
+ * @param {Array<string>} familyIds - Unique family identifiers
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Families refreshed at the same time (defaults to BATCH_REFRESH_CONCURRENCY)
+ * @returns {Promise<Array<Object>>} One result per family, in order (see getBatchAccessToken)
+ */
+function getBatchAccessTokens(familyIds, { concurrency = BATCH_REFRESH_CONCURRENCY } = {}) {
+    return mapWithConcurrency(familyIds, Math.max(concurrency, 1), getBatchAccessToken);
+}
+
+/**
+ * List the families with at least one active connection
+ * @returns {Promise<Array<string>>} Family IDs
+ */
+async function listActiveFamilyIds() {
+    const connections = await listTokenExpiries();
+    return [...new Set(connections.filter(connection => connection.status === 'active').map(connection => connection.family_id))];
+}
+
+/**
+ * Refresh every active account whose token is close to expiry
+ * Concurrent calls share the cycle already in progress.
+ * @param {Object} options - Cycle options
+ * @param {number} options.thresholdMinutes - Refresh tokens expiring within this many minutes
+ * @returns {Promise<Object>} Counts of checked, refreshed, needs_reconnect and failed accounts
+ */
+function runRefreshCycle({ thresholdMinutes = REFRESH_THRESHOLD_MINUTES } = {}) {
+    if (currentCycle) {
+        console.log('[Refresher] Refresh cycle already running, joining it');
+        return currentCycle;
+    }
+
+    currentCycle = (async () => {
+        const startedAt = Date.now();
+        const result = { checked: 0, refreshed: 0, needsReconnect: 0, failed: 0 };
+
+        console.log('[Refresher] Starting refresh cycle');
+
+        const connections = await listTokenExpiries();
+
+        for (const connection of connections) {
+            if (connection.status !== 'active') continue;
+
+            result.checked++;
+
+            if (!isTokenExpiringSoon(connection.token_expiry, thresholdMinutes)) continue;
+
+            try {
+                const tokenData = await getFamilyTokens(connection.family_id, { accountId: connection.id });
+                if (!tokenData) continue;
+
+                await refreshFamilyToken(tokenData);
+                result.refreshed++;
+            } catch (error) {
+                if (isInvalidGrantError(error)) {
+                    console.warn(`[Refresher] Refresh token rejected for family: ${connection.family_id}, account: ${connection.id}`);
+                    result.needsReconnect++;
+                } else {
+                    console.error(`[Refresher] Error refreshing family ${connection.family_id}, account ${connection.id}:`, error);
+                    result.failed++;
+                }
+            }
+        }
+
+        console.log(`[Refresher] Refresh cycle complete in ${Date.now() - startedAt}ms: ${result.checked} checked, ${result.refreshed} refreshed, ${result.needsReconnect} need reconnect, ${result.failed} failed`);
+        return result;
+    })();
+
+    currentCycle.then(
+        () => { currentCycle = null; },
+        () => { currentCycle = null; }
+    );
+
+    return currentCycle;
+}
+
+/**
+ * Start running refresh cycles in the background
+ * @returns {void}
+ */
+function startTokenRefresher() {
+    if (refreshTimer) return;
+
+    console.log(`[Refresher] Background refresh every ${REFRESH_INTERVAL_MINUTES} minutes`);
+
+    refreshTimer = setInterval(() => {
+        runRefreshCycle().catch(error => {
+            console.error('[Refresher] Refresh cycle failed:', error);
+        });
+    }, REFRESH_INTERVAL_MINUTES * 60 * 1000);
+
+    // Don't keep the process alive just for the refresher
+    refreshTimer.unref();
+}
+
+/**
+ * Stop the background refresher
+ * @returns {void}
+ */
+function stopTokenRefresher() {
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+}
+
+module.exports = {
+    refreshFamilyToken,
+    getValidAccessToken,
+    getBatchAccessTokens,
+    listActiveFamilyIds,
+    runRefreshCycle,
+    startTokenRefresher,
+    stopTokenRefresher
+};
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Lifecycle events sent to webhooks
+const WEBHOOK_EVENTS = {
+    FAMILY_CONNECTED: 'family.connected',
+    FAMILY_ACCOUNT_ADDED: 'family.account_added',
+    FAMILY_RECONNECTED: 'family.reconnected',
+    FAMILY_ACCOUNT_REMOVED: 'family.account_removed',
+    FAMILY_DELETED: 'family.deleted',
+    FAMILY_ERASED: 'family.erased',
+    FAMILY_NEEDS_RECONNECT: 'family.needs_reconnect',
+    GMAIL_MESSAGES_ADDED: 'gmail.messages_added'
+};
+
+// Automatic attempts before a delivery is marked failed
+const MAX_ATTEMPTS = 6;
+
+// Delay before the first retry; doubles on each attempt (30s, 1m, 2m, 4m, 8m)
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+// Timeout for a single delivery request
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// Interval between retry worker runs
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+// How long a claimed delivery is hidden from other workers while it is attempted
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+
+let workerTimer = null;
+let currentRun = null;
+
+/**
+ * Get the configured webhook URLs
+ * @returns {Array<string>} Webhook URLs from WEBHOOK_URLS
+ */
+function getWebhookUrls() {
+    return (process.env.WEBHOOK_URLS || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Sign a webhook body
+ * The signature covers `${timestamp}.${body}` so receivers can reject stale replays.
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} body - The JSON request body
+ * @returns {string} The X-Webhook-Signature header value
+ */
+function signPayload(timestamp, body) {
+    const secret = process.env.WEBHOOK_SECRET;
+
+    if (!secret) {
+        throw new Error('Missing webhook configuration. Please set WEBHOOK_SECRET environment variable.');
+    }
+
+    const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Record an event and deliver it to every configured webhook
+ * Delivery happens in the background; this never throws into the caller.
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {string} familyId - The family the event is about
+ * @param {Object} data - Event-specific data
+ * @param {Object} options - Delivery options
+ * @param {Array<string>} options.urls - Deliver to these URLs instead of WEBHOOK_URLS
+ * @param {boolean} options.keyByFamily - Store the family ID on the delivery rows; false leaves
+ *   it only in the payload, so the rows are not part of the family's data
+ * @returns {Promise<void>}
+ */
+async function emitEvent(eventType, familyId, data = {}, { urls = getWebhookUrls(), keyByFamily = true } = {}) {
+    if (urls.length === 0) {
+        return;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+        id: eventId,
+        type: eventType,
+        created_at: new Date().toISOString(),
+        data: { family_id: familyId, ...data }
+    };
+
+    console.log(`[Webhooks] Emitting ${eventType} for family: ${familyId}`);
+
+    try {
+        const deliveries = await getStorage().insertRows('webhook_deliveries', urls.map(url => ({
+            event_id: eventId,
+            event_type: eventType,
+            family_id: keyByFamily ? familyId : null,
+            url,
+            payload,
+            // Picked up by the retry worker only if the immediate attempt below never finishes
+            next_attempt_at: new Date(Date.now() + BASE_RETRY_DELAY_MS).toISOString()
+        })));
+
+        for (const delivery of deliveries) {
+            attemptDelivery(delivery).catch(attemptError => {
+                console.error(`[Webhooks] Error delivering ${delivery.id}:`, attemptError);
+            });
+        }
+    } catch (error) {
+        console.error(`[Webhooks] Error recording ${eventType} event:`, error);
+    }
+}
+
+/**
+ * Make one HTTP attempt for a delivery and record the outcome
+ * Failed attempts schedule a retry with exponential backoff until MAX_ATTEMPTS. A manual
+ * replay of a delivery that already stopped (failed or succeeded) is a single attempt; a
+ * replay of a pending one keeps its retries.
+ * @param {Object} delivery - The webhook_deliveries row
+ * @param {Object} options - Attempt options
+ * @param {boolean} options.manual - True for an admin replay
+ * @returns {Promise<Object>} The updated delivery row
+ */
+async function attemptDelivery(delivery, { manual = false } = {}) {
+    const attempt = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'FamilyAssistant-Webhooks/1.0',
+                'X-Webhook-Id': delivery.event_id,
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Signature': signPayload(Math.floor(startedAt / 1000), body)
+            },
+            body,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+
+        statusCode = response.status;
+        if (!response.ok) {
+            errorMessage = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        errorMessage = error.message || String(error);
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const succeeded = !errorMessage;
+
+    console.log(`[Webhooks] Delivery ${delivery.id} attempt ${attempt} ${succeeded ? 'succeeded' : `failed: ${errorMessage}`}`);
+
+    try {
+        await getStorage().insertRows('webhook_delivery_attempts', [{
+            delivery_id: delivery.id,
+            attempt,
+            status_code: statusCode,
+            error: errorMessage,
+            duration_ms: durationMs,
+            manual
+        }]);
+    } catch (attemptError) {
+        console.error('[Webhooks] Error logging delivery attempt:', attemptError);
+    }
+
+    let update;
+    if (succeeded) {
+        update = { status: 'succeeded', delivered_at: new Date().toISOString(), next_attempt_at: null };
+    } else if ((manual && delivery.status !== 'pending') || attempt >= MAX_ATTEMPTS) {
+        update = { status: 'failed', next_attempt_at: null };
+    } else {
+        const delay = BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+        update = { status: 'pending', next_attempt_at: new Date(Date.now() + delay).toISOString() };
+    }
+
+    try {
+        const [updated] = await getStorage().updateRows('webhook_deliveries', {
+            ...update,
+            attempts: attempt,
+            last_status_code: statusCode,
+            last_error: errorMessage
+        }, { id: delivery.id });
+
+        return updated;
+    } catch (error) {
+        console.error('[Webhooks] Error updating delivery:', error);
+        throw error;
+    }
+}
+
+/**
+ * Claim a due delivery so no other run or instance attempts it at the same time
+ * Pushes next_attempt_at past the attempt, but only if the row is unchanged since it was read.
+ * @param {Object} delivery - The webhook_deliveries row as selected
+ * @returns {Promise<boolean>} True if this run now owns the attempt
+ */
+async function claimDelivery(delivery) {
+    try {
+        const claimed = await getStorage().updateRows(
+            'webhook_deliveries',
+            { next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS).toISOString() },
+            { id: delivery.id, status: 'pending', attempts: delivery.attempts, next_attempt_at: delivery.next_attempt_at }
+        );
+
+        return claimed.length > 0;
+    } catch (error) {
+        console.error(`[Webhooks] Error claiming delivery ${delivery.id}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Attempt every pending delivery whose retry is due
+ * Concurrent calls share the run already in progress.
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+function processDueDeliveries() {
+    if (currentRun) {
+        return currentRun;
+    }
+
+    currentRun = (async () => {
+        let deliveries;
+        try {
+            deliveries = await getStorage().selectRows('webhook_deliveries', {
+                where: { status: 'pending', next_attempt_at: { lte: new Date().toISOString() } },
+                order: [['next_attempt_at', 'asc']],
+                limit: 50
+            });
+        } catch (error) {
+            console.error('[Webhooks] Error fetching due deliveries:', error);
+            throw error;
+        }
+
+        let attempted = 0;
+
+        for (const delivery of deliveries) {
+            try {
+                // Another instance claimed it, or it changed since it was read
+                if (!await claimDelivery(delivery)) {
+                    continue;
+                }
+
+                await attemptDelivery(delivery);
+                attempted++;
+            } catch (attemptError) {
+                console.error(`[Webhooks] Error retrying delivery ${delivery.id}:`, attemptError);
+            }
+        }
+
+        return attempted;
+    })();
+
+    currentRun.then(
+        () => { currentRun = null; },
+        () => { currentRun = null; }
+    );
+
+    return currentRun;
+}
+
+/**
+ * List recent deliveries with their attempt log, newest first
+ * @param {Object} options - List options
+ * @param {number} options.limit - Maximum deliveries to return
+ * @returns {Promise<Array<Object>>} Deliveries with an `attempts_log` array
+ */
+async function listDeliveries({ limit = 100 } = {}) {
+    try {
+        const storage = getStorage();
+        const deliveries = await storage.selectRows('webhook_deliveries', { order: [['created_at', 'desc']], limit });
+        const attempts = await storage.selectRows('webhook_delivery_attempts', {
+            columns: ['delivery_id', 'attempt', 'status_code', 'error', 'duration_ms', 'manual', 'created_at'],
+            where: { delivery_id: { in: deliveries.map(delivery => delivery.id) } },
+            order: [['attempt', 'asc']]
+        });
+
+        return deliveries.map(delivery => ({
+            ...delivery,
+            attempts_log: attempts
+                .filter(attempt => attempt.delivery_id === delivery.id)
+                .map(({ delivery_id, ...attempt }) => attempt)
+        }));
+    } catch (error) {
+        console.error('[Webhooks] Error listing deliveries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Replay a delivery now, whatever its current status
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<Object|null>} The updated delivery or null if not found
+ */
+async function replayDelivery(deliveryId) {
+    console.log(`[Webhooks] Replaying delivery: ${deliveryId}`);
+
+    let delivery;
+    try {
+        [delivery] = await getStorage().selectRows('webhook_deliveries', { where: { id: deliveryId }, limit: 1 });
+    } catch (error) {
+        console.error('[Webhooks] Error fetching delivery:', error);
+        throw error;
+    }
+
+    if (!delivery) {
+        return null;
+    }
+
+    return attemptDelivery(delivery, { manual: true });
+}
+
+/**
+ * Start retrying due deliveries in the background
+ * @returns {void}
+ */
+function startWebhookWorker() {
+    if (workerTimer || (getWebhookUrls().length === 0 && !process.env.GMAIL_PUSH_FORWARD_URL)) return;
+
+    workerTimer = setInterval(() => {
+        processDueDeliveries().catch(error => {
+            console.error('[Webhooks] Retry worker failed:', error);
+        });
+    }, WORKER_INTERVAL_MS);
+
+    // Don't keep the process alive just for the worker
+    workerTimer.unref();
+}
+
+/**
+ * Stop the background retry worker
+ * @returns {void}
+ */
+function stopWebhookWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    emitEvent,
+    processDueDeliveries,
+    listDeliveries,
+    replayDelivery,
+    startWebhookWorker,
+    stopWebhookWorker
+};
@@ -0,0 +1,17 @@
+-- Envelope encryption for family_gmail_tokens
+-- access_token and refresh_token hold AES-256-GCM ciphertext encrypted with a per-row
+-- data key. The data key is stored wrapped by the master key named by encryption_key_version.
+-- Rows with a NULL encryption_key_version still hold plaintext tokens until the
+-- key rotation routine (npm run rotate-keys) encrypts them.
+ALTER TABLE family_gmail_tokens
+    ADD COLUMN IF NOT EXISTS encrypted_data_key TEXT,
+    ADD COLUMN IF NOT EXISTS encryption_key_version INTEGER;
+
+-- Index used by key rotation to find rows under an old key version
+CREATE INDEX IF NOT EXISTS idx_family_gmail_tokens_key_version ON family_gmail_tokens(encryption_key_version);
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_gmail_tokens.access_token IS 'Gmail API access token, encrypted with the row data key';
+COMMENT ON COLUMN family_gmail_tokens.refresh_token IS 'Gmail API refresh token, encrypted with the row data key';
+COMMENT ON COLUMN family_gmail_tokens.encrypted_data_key IS 'Per-row data key, wrapped by the master key version in encryption_key_version';
+COMMENT ON COLUMN family_gmail_tokens.encryption_key_version IS 'Version of the TOKEN_ENCRYPTION_KEYS master key wrapping the data key (NULL for legacy plaintext rows)';
@@ -0,0 +1,34 @@
+-- Create the family_invites table
+-- Invite links carry a token signed with INVITE_SECRET; this table is the source of
+-- truth for expiry, remaining uses and revocation.
+CREATE TABLE IF NOT EXISTS family_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    family_id TEXT NOT NULL,
+    family_name TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    max_uses INTEGER NOT NULL DEFAULT 1 CHECK (max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create an index on family_id for faster lookups
+CREATE INDEX IF NOT EXISTS idx_family_invites_family_id ON family_invites(family_id);
+
+-- Enable Row Level Security (RLS) on the table
+ALTER TABLE family_invites ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage invites
+CREATE POLICY "Service role can manage all invites" ON family_invites
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE family_invites IS 'Signed, expiring invite links for connecting a family Gmail account';
+COMMENT ON COLUMN family_invites.max_uses IS 'Number of successful connections the invite allows';
+COMMENT ON COLUMN family_invites.use_count IS 'Number of successful connections made with the invite';
+COMMENT ON COLUMN family_invites.revoked_at IS 'Set when an admin revokes the invite';
+COMMENT ON COLUMN family_invites.created_by IS 'Admin username that generated the invite';
@@ -0,0 +1,14 @@
+-- Track the outcome of token refreshes on each connection
+ALTER TABLE family_gmail_tokens
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'needs_reconnect', 'revoked')),
+    ADD COLUMN IF NOT EXISTS last_refresh_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+-- Index used by the background refresher to find active connections
+CREATE INDEX IF NOT EXISTS idx_family_gmail_tokens_status ON family_gmail_tokens(status);
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_gmail_tokens.status IS 'Connection status: active, needs_reconnect (refresh token rejected) or revoked';
+COMMENT ON COLUMN family_gmail_tokens.last_refresh_at IS 'Timestamp of the last refresh attempt';
+COMMENT ON COLUMN family_gmail_tokens.last_error IS 'Error from the last failed refresh attempt, cleared on success';
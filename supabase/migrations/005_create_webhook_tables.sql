@@ -0,0 +1,58 @@
+-- Create the webhook_deliveries table
+-- One row per event per configured webhook URL
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL,
+    event_type TEXT NOT NULL,
+    family_id TEXT,
+    url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Index used by the retry worker to find due deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_family_id ON webhook_deliveries(family_id);
+
+-- Create the webhook_delivery_attempts table
+-- One row per HTTP request made for a delivery
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    manual BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id);
+
+-- Enable Row Level Security (RLS) on the tables
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_delivery_attempts ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage deliveries
+CREATE POLICY "Service role can manage all webhook deliveries" ON webhook_deliveries
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Service role can manage all webhook delivery attempts" ON webhook_delivery_attempts
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE webhook_deliveries IS 'Outbound webhook notifications for connection lifecycle events';
+COMMENT ON COLUMN webhook_deliveries.event_id IS 'Shared by every delivery of the same event; sent as X-Webhook-Id';
+COMMENT ON COLUMN webhook_deliveries.next_attempt_at IS 'When the retry worker should next attempt a pending delivery';
+COMMENT ON TABLE webhook_delivery_attempts IS 'Log of each HTTP attempt made for a webhook delivery';
+COMMENT ON COLUMN webhook_delivery_attempts.manual IS 'True for replays triggered from the admin dashboard';
@@ -0,0 +1,10 @@
+-- Allow a family to connect several Gmail accounts, one row per family and email
+ALTER TABLE family_gmail_tokens DROP CONSTRAINT IF EXISTS family_gmail_tokens_family_id_key;
+
+ALTER TABLE family_gmail_tokens
+    ADD CONSTRAINT family_gmail_tokens_family_id_email_key UNIQUE (family_id, email);
+
+-- Add comments for documentation
+COMMENT ON TABLE family_gmail_tokens IS 'Stores Gmail OAuth tokens for family accounts (one row per connected account)';
+COMMENT ON COLUMN family_gmail_tokens.family_id IS 'Identifier of the family the account belongs to';
+COMMENT ON COLUMN family_gmail_tokens.email IS 'Connected Gmail address, unique within a family';
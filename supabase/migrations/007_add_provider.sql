@@ -0,0 +1,7 @@
+-- Record which mail provider each connected account belongs to
+ALTER TABLE family_gmail_tokens
+    ADD COLUMN IF NOT EXISTS provider TEXT NOT NULL DEFAULT 'google'
+        CHECK (provider IN ('google', 'microsoft'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_gmail_tokens.provider IS 'Mail provider of the account: google or microsoft';
@@ -0,0 +1,11 @@
+-- Track Gmail push notification watches (users.watch) per connected account
+ALTER TABLE family_gmail_tokens
+    ADD COLUMN IF NOT EXISTS gmail_history_id TEXT,
+    ADD COLUMN IF NOT EXISTS watch_expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Index used to look up accounts from push notifications
+CREATE INDEX IF NOT EXISTS idx_family_gmail_tokens_email ON family_gmail_tokens(email);
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_gmail_tokens.gmail_history_id IS 'Last Gmail historyId processed for push notifications';
+COMMENT ON COLUMN family_gmail_tokens.watch_expires_at IS 'When the Gmail users.watch registration expires (renewed before then)';
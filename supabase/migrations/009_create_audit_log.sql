@@ -0,0 +1,31 @@
+-- Create the audit_log table
+-- One row per security-relevant action (disconnects, ...)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    action TEXT NOT NULL,
+    actor_type TEXT NOT NULL CHECK (actor_type IN ('admin', 'family', 'api_key', 'system')),
+    actor_id TEXT,
+    family_id TEXT,
+    account_id UUID,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_family_id ON audit_log(family_id);
+
+-- Enable Row Level Security (RLS) on the table
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage the audit log
+CREATE POLICY "Service role can manage the audit log" ON audit_log
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE audit_log IS 'Record of security-relevant actions taken by admins, families and the system';
+COMMENT ON COLUMN audit_log.action IS 'What happened, e.g. connection.disconnected';
+COMMENT ON COLUMN audit_log.actor_type IS 'Who did it: admin, family, api_key or system';
+COMMENT ON COLUMN audit_log.actor_id IS 'Admin username or other identifier of the actor';
+COMMENT ON COLUMN audit_log.details IS 'Action-specific data (never tokens)';
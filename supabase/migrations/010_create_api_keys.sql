@@ -0,0 +1,33 @@
+-- Create the api_keys table
+-- Keys are stored as SHA-256 hashes; the plaintext key is only shown once when created
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL UNIQUE,
+    key_hash TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    family_ids TEXT[],
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT api_keys_scopes_check CHECK (scopes <@ ARRAY['refresh', 'status', 'gmail-proxy', 'admin-read']::TEXT[])
+);
+
+-- Enable Row Level Security (RLS) on the table
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage API keys
+CREATE POLICY "Service role can manage all API keys" ON api_keys
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE api_keys IS 'API keys for n8n and other server-to-server callers';
+COMMENT ON COLUMN api_keys.key_prefix IS 'Public part of the key, used to look it up and to identify it in the dashboard';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 hash of the full key';
+COMMENT ON COLUMN api_keys.scopes IS 'Allowed operations: refresh, status, gmail-proxy, admin-read';
+COMMENT ON COLUMN api_keys.family_ids IS 'Families the key may access; NULL for all families';
+COMMENT ON COLUMN api_keys.last_used_at IS 'Last successful authentication (updated at most once a minute)';
@@ -0,0 +1,59 @@
+-- Create the admin_users table
+CREATE TABLE IF NOT EXISTS admin_users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'support' CHECK (role IN ('owner', 'support')),
+    failed_login_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    disabled_at TIMESTAMP WITH TIME ZONE,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_admin_users_updated_at ON admin_users;
+CREATE TRIGGER update_admin_users_updated_at
+    BEFORE UPDATE ON admin_users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create the admin_sessions table
+-- Session tokens are stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    token_hash TEXT UNIQUE NOT NULL,
+    admin_user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    ip_address TEXT,
+    user_agent TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin_user_id ON admin_sessions(admin_user_id);
+
+-- Enable Row Level Security (RLS) on the tables
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage admins
+CREATE POLICY "Service role can manage all admin users" ON admin_users
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Service role can manage all admin sessions" ON admin_sessions
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE admin_users IS 'Admin dashboard accounts';
+COMMENT ON COLUMN admin_users.password_hash IS 'scrypt hash: scrypt$N$r$p$salt$hash';
+COMMENT ON COLUMN admin_users.role IS 'owner (full access) or support (read-only)';
+COMMENT ON COLUMN admin_users.locked_until IS 'Logins are refused until this time after repeated failures';
+COMMENT ON TABLE admin_sessions IS 'Admin dashboard sessions, sent to the browser as an HttpOnly cookie';
+COMMENT ON COLUMN admin_sessions.token_hash IS 'SHA-256 hash of the session token';
@@ -0,0 +1,56 @@
+-- Make audit_log append-only
+-- Rows can be inserted but never updated, deleted or truncated, except by
+-- purge_audit_log() enforcing the retention policy
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND current_setting('audit_log.purging', true) = 'on' THEN
+        RETURN OLD;
+    END IF;
+
+    RAISE EXCEPTION 'audit_log is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Delete entries older than the retention period; returns the number deleted
+CREATE OR REPLACE FUNCTION purge_audit_log(retain_days INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    deleted INTEGER;
+BEGIN
+    IF retain_days IS NULL OR retain_days < 30 THEN
+        RAISE EXCEPTION 'retain_days must be at least 30';
+    END IF;
+
+    PERFORM set_config('audit_log.purging', 'on', true);
+    DELETE FROM audit_log WHERE created_at < NOW() - make_interval(days => retain_days);
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    PERFORM set_config('audit_log.purging', 'off', true);
+
+    RETURN deleted;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION purge_audit_log(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION purge_audit_log(INTEGER) TO service_role;
+
+-- Indexes for the admin dashboard's filters
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_type, actor_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE audit_log IS 'Append-only record of token access and security-relevant actions by admins, families, API keys and the system';
+COMMENT ON COLUMN audit_log.actor_id IS 'Admin username, family ID, API key prefix or other identifier of the actor';
+COMMENT ON FUNCTION purge_audit_log(INTEGER) IS 'Retention policy: deletes audit entries older than retain_days (at least 30)';
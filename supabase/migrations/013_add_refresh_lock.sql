@@ -0,0 +1,7 @@
+-- Lease taken by the server instance refreshing an account's token, so concurrent
+-- refresh requests across instances call the provider only once
+ALTER TABLE family_gmail_tokens
+    ADD COLUMN IF NOT EXISTS refresh_locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_gmail_tokens.refresh_locked_until IS 'Refresh in progress until this time (claimed by compare-and-set, cleared when the refresh finishes)';
@@ -0,0 +1,38 @@
+-- Contact address for a family, entered when an admin generates an invite
+-- Reconnect reminders go here, or to the connected mailbox when it is not set
+ALTER TABLE family_invites
+    ADD COLUMN IF NOT EXISTS contact_email TEXT;
+
+-- Create the reconnect_reminders table
+-- One row per reminder email sent (or attempted) to a family whose connection broke
+CREATE TABLE IF NOT EXISTS reconnect_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    family_id TEXT NOT NULL,
+    account_id UUID,
+    recipient TEXT NOT NULL,
+    invite_id UUID REFERENCES family_invites(id) ON DELETE SET NULL,
+    trigger TEXT NOT NULL CHECK (trigger IN ('automatic', 'manual')),
+    sent_by TEXT,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Index used to throttle reminders per family
+CREATE INDEX IF NOT EXISTS idx_reconnect_reminders_family_id ON reconnect_reminders(family_id, created_at DESC);
+
+-- Enable Row Level Security (RLS) on the table
+ALTER TABLE reconnect_reminders ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage reminders
+CREATE POLICY "Service role can manage all reconnect reminders" ON reconnect_reminders
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_invites.contact_email IS 'Where reconnect reminders for the family are sent';
+COMMENT ON TABLE reconnect_reminders IS 'Emails asking a family to reconnect an account that needs re-authorization';
+COMMENT ON COLUMN reconnect_reminders.invite_id IS 'Fresh invite whose /connect link the email contains';
+COMMENT ON COLUMN reconnect_reminders.trigger IS 'automatic when a refresh token was rejected, manual when sent from the admin dashboard';
+COMMENT ON COLUMN reconnect_reminders.sent_by IS 'Admin username for manual reminders';
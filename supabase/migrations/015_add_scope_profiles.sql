@@ -0,0 +1,11 @@
+-- Scope profile an invite asks for, so families can grant read-only access
+ALTER TABLE family_invites
+    ADD COLUMN IF NOT EXISTS scope_profile TEXT;
+
+-- Scopes the provider granted each connection, as returned in its token response
+ALTER TABLE family_gmail_tokens
+    ADD COLUMN IF NOT EXISTS granted_scopes TEXT;
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_invites.scope_profile IS 'Scope profile requested at consent (readonly or full); NULL means the default profile';
+COMMENT ON COLUMN family_gmail_tokens.granted_scopes IS 'Space-separated scopes granted to the connection; NULL for connections made before scopes were recorded';
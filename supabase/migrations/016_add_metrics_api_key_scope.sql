@@ -0,0 +1,8 @@
+-- Allow API keys with the metrics scope, for Prometheus scraping /metrics
+ALTER TABLE api_keys DROP CONSTRAINT IF EXISTS api_keys_scopes_check;
+
+ALTER TABLE api_keys
+    ADD CONSTRAINT api_keys_scopes_check CHECK (scopes <@ ARRAY['refresh', 'status', 'gmail-proxy', 'admin-read', 'metrics']::TEXT[]);
+
+-- Add comments for documentation
+COMMENT ON COLUMN api_keys.scopes IS 'Allowed operations: refresh, status, gmail-proxy, admin-read, metrics';
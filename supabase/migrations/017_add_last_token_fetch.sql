@@ -0,0 +1,6 @@
+-- When n8n (or another API caller) last fetched each connection's access token
+ALTER TABLE family_gmail_tokens
+    ADD COLUMN IF NOT EXISTS last_token_fetch_at TIMESTAMP WITH TIME ZONE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN family_gmail_tokens.last_token_fetch_at IS 'Last time an API caller fetched the access token through /api/auth/refresh or /api/auth/refresh-batch (updated at most once a minute)';
@@ -0,0 +1,69 @@
+-- Create the family_erasures table
+-- One row per data-subject erasure: the minimal tombstone left once a family's data is gone
+CREATE TABLE IF NOT EXISTS family_erasures (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    family_id TEXT NOT NULL,
+    requested_by_type TEXT NOT NULL CHECK (requested_by_type IN ('admin', 'family')),
+    requested_by_id TEXT,
+    summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_family_erasures_family_id ON family_erasures(family_id);
+
+-- Enable Row Level Security (RLS) on the table
+ALTER TABLE family_erasures ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage erasures
+CREATE POLICY "Service role can manage family erasures" ON family_erasures
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Let scrub_family_audit_log() update entries of the append-only audit log
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND current_setting('audit_log.purging', true) = 'on' THEN
+        RETURN OLD;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND current_setting('audit_log.erasing', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'audit_log is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Remove personal data (emails, names, IP addresses, ...) from a family's audit entries
+-- Keeps what happened and when; returns the number of entries scrubbed
+CREATE OR REPLACE FUNCTION scrub_family_audit_log(target_family_id TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    scrubbed INTEGER;
+BEGIN
+    IF target_family_id IS NULL OR target_family_id = '' THEN
+        RAISE EXCEPTION 'target_family_id is required';
+    END IF;
+
+    PERFORM set_config('audit_log.erasing', 'on', true);
+    UPDATE audit_log
+        SET details = '{"erased": true}'::jsonb
+        WHERE family_id = target_family_id AND details <> '{"erased": true}'::jsonb;
+    GET DIAGNOSTICS scrubbed = ROW_COUNT;
+    PERFORM set_config('audit_log.erasing', 'off', true);
+
+    RETURN scrubbed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION scrub_family_audit_log(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION scrub_family_audit_log(TEXT) TO service_role;
+
+-- Add comments for documentation
+COMMENT ON TABLE family_erasures IS 'Tombstones of data-subject erasures: which family, who asked and how much was removed (no personal data)';
+COMMENT ON COLUMN family_erasures.requested_by_type IS 'Who asked for the erasure: admin or family (through a signed privacy link)';
+COMMENT ON COLUMN family_erasures.requested_by_id IS 'Admin username, or the family ID';
+COMMENT ON COLUMN family_erasures.summary IS 'Counts of accounts, grants, invites, reminders, webhook deliveries and audit entries removed or scrubbed';
+COMMENT ON FUNCTION scrub_family_audit_log(TEXT) IS 'Data-subject erasure: replaces the details of a family''s audit entries with {"erased": true}';
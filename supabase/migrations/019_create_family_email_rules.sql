@@ -0,0 +1,30 @@
+-- Create the family_email_rules table
+-- One row per family: which email counts as school email for its digest
+CREATE TABLE IF NOT EXISTS family_email_rules (
+    family_id TEXT PRIMARY KEY,
+    sender_domains TEXT[] NOT NULL DEFAULT '{}',
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    categories TEXT[] NOT NULL DEFAULT '{}'
+        CHECK (categories <@ ARRAY['primary', 'social', 'promotions', 'updates', 'forums']::TEXT[]),
+    label_name TEXT NOT NULL DEFAULT 'Family Assistant',
+    updated_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (RLS) on the table
+ALTER TABLE family_email_rules ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage rules
+CREATE POLICY "Service role can manage all family email rules" ON family_email_rules
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE family_email_rules IS 'Per-family rules deciding which messages go into the school email digest';
+COMMENT ON COLUMN family_email_rules.sender_domains IS 'Sender domains that always match (subdomains included), e.g. school.org';
+COMMENT ON COLUMN family_email_rules.keywords IS 'Words or phrases that match in the subject or body, e.g. field trip';
+COMMENT ON COLUMN family_email_rules.categories IS 'Gmail inbox categories that match: primary, social, promotions, updates or forums';
+COMMENT ON COLUMN family_email_rules.label_name IS 'Gmail label applied to matching messages (created if missing)';
+COMMENT ON COLUMN family_email_rules.updated_by IS 'Admin username who last changed the rules';
@@ -0,0 +1,8 @@
+-- Allow API keys with the jobs scope, for schedulers calling /api/cron/* on serverless hosts
+ALTER TABLE api_keys DROP CONSTRAINT IF EXISTS api_keys_scopes_check;
+
+ALTER TABLE api_keys
+    ADD CONSTRAINT api_keys_scopes_check CHECK (scopes <@ ARRAY['refresh', 'status', 'gmail-proxy', 'admin-read', 'metrics', 'jobs']::TEXT[]);
+
+-- Add comments for documentation
+COMMENT ON COLUMN api_keys.scopes IS 'Allowed operations: refresh, status, gmail-proxy, admin-read, metrics, jobs';
@@ -0,0 +1,23 @@
+-- Create the oauth_state_nonces table
+-- One row per OAuth state used by a callback, so a state is single-use across every server instance
+CREATE TABLE IF NOT EXISTS oauth_state_nonces (
+    nonce TEXT PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Index used to delete nonces whose state has expired
+CREATE INDEX IF NOT EXISTS idx_oauth_state_nonces_expires_at ON oauth_state_nonces(expires_at);
+
+-- Enable Row Level Security (RLS) on the table
+ALTER TABLE oauth_state_nonces ENABLE ROW LEVEL SECURITY;
+
+-- Only server-side access with the service key can manage nonces
+CREATE POLICY "Service role can manage all OAuth state nonces" ON oauth_state_nonces
+    FOR ALL
+    USING (true)
+    WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE oauth_state_nonces IS 'Nonces of OAuth states already used by /api/auth/callback; a second use is a replay';
+COMMENT ON COLUMN oauth_state_nonces.expires_at IS 'When the state expires; the row can be deleted after this';
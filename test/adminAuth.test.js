@@ -0,0 +1,46 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+describe('admin auth', () => {
+    let adminAuth;
+    const originalEnv = { ...process.env };
+
+    before(() => {
+        adminAuth = require('../src/services/adminAuth');
+    });
+
+    afterEach(() => {
+        process.env.ADMIN_USERNAME = originalEnv.ADMIN_USERNAME;
+        process.env.ADMIN_PASSWORD = originalEnv.ADMIN_PASSWORD;
+        if (originalEnv.ADMIN_USERNAME === undefined) delete process.env.ADMIN_USERNAME;
+        if (originalEnv.ADMIN_PASSWORD === undefined) delete process.env.ADMIN_PASSWORD;
+    });
+
+    it('hashes passwords with a random salt and verifies them', async () => {
+        const hash = await adminAuth.hashPassword('correct horse battery');
+
+        assert.match(hash, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+        assert.notStrictEqual(await adminAuth.hashPassword('correct horse battery'), hash);
+        assert.strictEqual(await adminAuth.verifyPassword('correct horse battery', hash), true);
+        assert.strictEqual(await adminAuth.verifyPassword('correct horse battery!', hash), false);
+        assert.strictEqual(await adminAuth.verifyPassword('anything', 'plaintext'), false);
+    });
+
+    it('rejects short, default and username passwords', () => {
+        assert.ok(adminAuth.checkPasswordStrength('short', 'alice'));
+        assert.ok(adminAuth.checkPasswordStrength('change-this-to-a-secure-password', 'alice'));
+        assert.ok(adminAuth.checkPasswordStrength('alice.example', 'Alice.Example'));
+        assert.strictEqual(adminAuth.checkPasswordStrength('a long enough passphrase', 'alice'), null);
+    });
+
+    it('refuses to bootstrap with the default password before touching the database', async () => {
+        process.env.ADMIN_USERNAME = 'admin';
+        process.env.ADMIN_PASSWORD = 'admin123';
+
+        await assert.rejects(adminAuth.bootstrapAdmin(), error => {
+            assert.ok(error instanceof adminAuth.AdminAuthError);
+            assert.strictEqual(error.reason, 'weak_password');
+            return true;
+        });
+    });
+});
@@ -0,0 +1,827 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+
+const { startTestServer } = require('./helpers/testServer');
+
+const PASSWORD = 'a strong passphrase';
+
+describe('admin routes', () => {
+    let server;
+    let owner;
+    let support;
+    let adminAuth;
+
+    before(async () => {
+        server = await startTestServer();
+        adminAuth = require('../src/services/adminAuth');
+
+        await adminAuth.createAdminUser({ username: 'owner', password: PASSWORD, role: 'owner' });
+        await adminAuth.createAdminUser({ username: 'helper', password: PASSWORD, role: 'support' });
+
+        owner = await login('owner');
+        support = await login('helper');
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    /**
+     * Log in with a fresh client
+     * @param {string} username - Admin username
+     * @returns {Promise<Object>} The client holding the session cookie
+     */
+    async function login(username) {
+        const client = server.createClient();
+        const response = await client.request('/admin/login', { method: 'POST', body: { username, password: PASSWORD } });
+
+        assert.strictEqual(response.status, 200);
+        return client;
+    }
+
+    /**
+     * Store a connected account for a family
+     * @param {string} familyId - Family ID
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} The stored account
+     */
+    function seedAccount(familyId, email) {
+        return server.storage.upsertFamilyTokens({
+            familyId,
+            email,
+            accessToken: `access-${email}`,
+            refreshToken: `refresh-${email}`,
+            tokenExpiry: new Date(Date.now() + 3600 * 1000)
+        });
+    }
+
+    const auditActions = async () => (await server.rowsOf('audit_log')).map(entry => entry.action);
+
+    describe('sessions', () => {
+        it('serves the dashboard page', async () => {
+            const response = await server.createClient().request('/admin');
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.body, /<html/i);
+        });
+
+        it('sets an HttpOnly strict cookie on login and reports the role', async () => {
+            const client = server.createClient();
+            const response = await client.request('/admin/login', { method: 'POST', body: { username: 'owner', password: PASSWORD } });
+            const cookie = response.headers.getSetCookie().find(header => header.startsWith('admin_session='));
+
+            assert.deepStrictEqual(response.body, { success: true, username: 'owner', role: 'owner' });
+            assert.match(cookie, /HttpOnly/);
+            assert.match(cookie, /SameSite=Strict/);
+            assert.match(cookie, /Path=\/admin/);
+
+            const check = await client.request('/admin/check-session');
+            assert.deepStrictEqual(check.body, { valid: true, username: 'owner', role: 'owner' });
+        });
+
+        it('rejects wrong passwords and unknown users alike', async () => {
+            const client = server.createClient();
+
+            const wrong = await client.request('/admin/login', { method: 'POST', body: { username: 'owner', password: 'not the password' } });
+            const unknown = await client.request('/admin/login', { method: 'POST', body: { username: 'nobody', password: PASSWORD } });
+
+            assert.strictEqual(wrong.status, 401);
+            assert.deepStrictEqual(unknown.body, wrong.body);
+            assert.strictEqual(client.cookies.size, 0);
+            assert.ok((await auditActions()).includes('admin.login_failed'));
+        });
+
+        it('requires a session on every dashboard route', async () => {
+            const client = server.createClient();
+            const routes = [
+                ['GET', '/admin/check-session'],
+                ['GET', '/admin/families'],
+                ['GET', '/admin/families/f'],
+                ['POST', '/admin/families/f/accounts/a/test'],
+                ['GET', '/admin/families/f/email-rules'],
+                ['PUT', '/admin/families/f/email-rules'],
+                ['GET', '/admin/families/export'],
+                ['POST', '/admin/families/import'],
+                ['POST', '/admin/refresh-tokens'],
+                ['DELETE', '/admin/families/f/accounts/a'],
+                ['DELETE', '/admin/families/f'],
+                ['POST', '/admin/families/f/disconnect-link'],
+                ['POST', '/admin/families/f/privacy-link'],
+                ['GET', '/admin/families/f/data-export'],
+                ['POST', '/admin/families/f/erase'],
+                ['POST', '/admin/families/f/reconnect-reminder'],
+                ['POST', '/admin/generate-link'],
+                ['GET', '/admin/invites'],
+                ['POST', '/admin/invites/i/revoke'],
+                ['GET', '/admin/webhooks/deliveries'],
+                ['POST', '/admin/webhooks/deliveries/d/replay'],
+                ['GET', '/admin/api-keys'],
+                ['POST', '/admin/api-keys'],
+                ['POST', '/admin/api-keys/k/revoke'],
+                ['GET', '/admin/users'],
+                ['POST', '/admin/users'],
+                ['POST', '/admin/users/u/disable'],
+                ['GET', '/admin/sessions'],
+                ['POST', '/admin/sessions/s/revoke'],
+                ['GET', '/admin/audit'],
+                ['GET', '/admin/audit/export.csv']
+            ];
+
+            for (const [method, path] of routes) {
+                const response = await client.request(path, { method, body: method === 'GET' ? undefined : {} });
+                assert.strictEqual(response.status, 401, `${method} ${path}`);
+            }
+        });
+
+        it('keeps support staff read-only', async () => {
+            assert.strictEqual((await support.request('/admin/families')).status, 200);
+            assert.strictEqual((await support.request('/admin/generate-link', { method: 'POST', body: { familyId: 'f' } })).status, 403);
+            assert.strictEqual((await support.request('/admin/refresh-tokens', { method: 'POST' })).status, 403);
+            assert.strictEqual((await support.request('/admin/users', { method: 'POST', body: {} })).status, 403);
+        });
+
+        it('revokes the session on logout', async () => {
+            const client = await login('owner');
+
+            const response = await client.request('/admin/logout', { method: 'POST' });
+            assert.deepStrictEqual(response.body, { success: true });
+            assert.strictEqual(client.cookies.size, 0);
+
+            const revoked = (await server.rowsOf('admin_sessions')).filter(session => session.revoked_at);
+            assert.strictEqual(revoked.length, 1);
+            assert.ok((await auditActions()).includes('admin.logout'));
+        });
+    });
+
+    describe('families', () => {
+        it('lists connected accounts without tokens', async () => {
+            await seedAccount('family-list', 'parent@example.com');
+
+            const response = await owner.request('/admin/families');
+            const account = response.body.families.find(family => family.family_id === 'family-list');
+
+            assert.strictEqual(account.email, 'parent@example.com');
+            assert.ok(!('access_token' in account) && !('refresh_token' in account));
+        });
+
+        it('accepts an admin-read API key limited to some families', async () => {
+            await seedAccount('family-hidden', 'hidden@example.com');
+            const created = await owner.request('/admin/api-keys', {
+                method: 'POST',
+                body: { name: 'reporting', scopes: ['admin-read'], familyIds: ['family-list'] }
+            });
+
+            const response = await server.createClient().request('/admin/families', { headers: { 'x-api-key': created.body.key } });
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual([...new Set(response.body.families.map(family => family.family_id))], ['family-list']);
+        });
+
+        it('searches, filters, sorts and pages the families', async () => {
+            await seedAccount('health-a', 'alpha@health.example.com');
+            await seedAccount('health-b', 'bravo@health.example.com');
+            const failing = await seedAccount('health-c', 'charlie@health.example.com');
+            await server.storage.recordRefreshFailure(failing.id, { error: 'timeout' });
+
+            const list = query => owner.request(`/admin/families?search=HEALTH.example&${query}`);
+
+            const all = await list('sort=email&order=asc');
+            assert.deepStrictEqual(all.body.families.map(family => family.family_id), ['health-a', 'health-b', 'health-c']);
+            assert.deepStrictEqual(all.body.counts, { all: 3, active: 3, failing: 1, needs_reconnect: 0 });
+
+            const failingOnly = await list('status=failing');
+            assert.deepStrictEqual(failingOnly.body.families.map(family => family.family_id), ['health-c']);
+            assert.strictEqual(failingOnly.body.total, 1);
+
+            const page = await list('sort=family_id&order=desc&limit=1&offset=1');
+            assert.deepStrictEqual(page.body.families.map(family => family.family_id), ['health-b']);
+            assert.strictEqual(page.body.total, 3);
+
+            assert.strictEqual((await list('status=broken')).status, 400);
+            assert.strictEqual((await list('sort=refresh_token')).status, 400);
+        });
+
+        it('shows a family\'s connection diagnostics', async () => {
+            const response = await support.request('/admin/families/health-c');
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.scope_profile, 'full');
+            assert.strictEqual(response.body.accounts.length, 1);
+
+            const [account] = response.body.accounts;
+            assert.strictEqual(account.last_error, 'timeout');
+            assert.strictEqual(account.granted_scopes, null);
+            assert.ok('token_expiry' in account && 'last_token_fetch_at' in account);
+            assert.ok(!('access_token' in account) && !('refresh_token' in account));
+
+            assert.strictEqual((await support.request('/admin/families/no-such-family')).status, 404);
+        });
+
+        it('tests a connection by refreshing and reading the profile', async () => {
+            const account = await seedAccount('health-test', 'tested@example.com');
+            server.google.grant('refresh-tested@example.com', 'tested@example.com');
+
+            assert.strictEqual((await support.request(`/admin/families/health-test/accounts/${account.id}/test`, { method: 'POST' })).status, 403);
+
+            const response = await owner.request(`/admin/families/health-test/accounts/${account.id}/test`, { method: 'POST' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.ok, true);
+            assert.strictEqual(response.body.refresh.ok, true);
+            assert.strictEqual(response.body.profile.email, 'tested@example.com');
+            assert.ok((await auditActions()).includes('connection.tested'));
+
+            const missing = await owner.request('/admin/families/health-test/accounts/no-such-account/test', { method: 'POST' });
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('reports a rejected refresh token when testing a connection', async () => {
+            const account = await seedAccount('health-revoked', 'revoked@example.com');
+
+            const response = await owner.request(`/admin/families/health-revoked/accounts/${account.id}/test`, { method: 'POST' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.ok, false);
+            assert.strictEqual(response.body.refresh.error, 'invalid_grant');
+            assert.ok(!response.body.profile);
+            assert.strictEqual((await server.storage.getFamilyTokens('health-revoked')).status, 'needs_reconnect');
+        });
+
+        it('runs a refresh cycle', async () => {
+            const response = await owner.request('/admin/refresh-tokens', { method: 'POST' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.success, true);
+            assert.strictEqual(typeof response.body.checked, 'number');
+        });
+
+        it('disconnects one account after revoking its grant', async () => {
+            const account = await seedAccount('family-disconnect', 'one@example.com');
+            await seedAccount('family-disconnect', 'two@example.com');
+
+            const response = await owner.request(`/admin/families/family-disconnect/accounts/${account.id}`, { method: 'DELETE' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.revoked, true);
+            assert.ok(server.google.calls.revoked.includes('refresh-one@example.com'));
+            assert.strictEqual((await server.storage.getConnectionStatus('family-disconnect')).accounts.length, 1);
+
+            const missing = await owner.request(`/admin/families/family-disconnect/accounts/${account.id}`, { method: 'DELETE' });
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('disconnects a whole family', async () => {
+            const response = await owner.request('/admin/families/family-disconnect', { method: 'DELETE' });
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.accounts.map(account => account.email), ['two@example.com']);
+            assert.strictEqual((await server.storage.getConnectionStatus('family-disconnect')).connected, false);
+            assert.strictEqual((await owner.request('/admin/families/family-disconnect', { method: 'DELETE' })).status, 404);
+        });
+
+        it('creates a disconnect link for the family', async () => {
+            const response = await owner.request('/admin/families/family-list/disconnect-link', {
+                method: 'POST',
+                body: { familyName: 'List Family', expiresInHours: 2 }
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.body.link, /\/disconnect\?token=/);
+            assert.ok((await auditActions()).includes('disconnect_link.created'));
+        });
+    });
+
+    describe('email rules', () => {
+        const rulesPath = '/admin/families/family-rules/email-rules';
+
+        it('starts a family on the default rules', async () => {
+            const response = await support.request(rulesPath);
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.is_default, true);
+            assert.strictEqual(response.body.label_name, 'Family Assistant');
+            assert.ok(response.body.keywords.includes('field trip'));
+        });
+
+        it('saves a family\'s rules for owners only', async () => {
+            const body = { senderDomains: 'school.org', keywords: ['bake sale'], categories: ['forums'], labelName: 'School' };
+
+            assert.strictEqual((await support.request(rulesPath, { method: 'PUT', body })).status, 403);
+
+            const saved = await owner.request(rulesPath, { method: 'PUT', body });
+            assert.strictEqual(saved.status, 200);
+            assert.deepStrictEqual(saved.body.sender_domains, ['school.org']);
+            assert.strictEqual(saved.body.updated_by, 'owner');
+
+            const response = await support.request(rulesPath);
+            assert.strictEqual(response.body.is_default, false);
+            assert.strictEqual(response.body.label_name, 'School');
+            assert.ok((await auditActions()).includes('email_rules.updated'));
+
+            const invalid = await owner.request(rulesPath, { method: 'PUT', body: { categories: ['inbox'] } });
+            assert.strictEqual(invalid.status, 400);
+            assert.match(invalid.body.error, /Category must be one of/);
+        });
+    });
+
+    describe('bulk import and export', () => {
+        const CSV = [
+            'Family ID,Family Name,Contact Email,Scope Profile',
+            'cohort-1,"Adams, Ann",ann@example.com,readonly',
+            'cohort-2,Baker,,',
+            'cohort-1,Adams again,,',
+            'cohort-connected,Connected,,',
+            ',Missing ID,,',
+            'cohort-3,Bad Email,not-an-email,'
+        ].join('\r\n');
+
+        const importCsv = (client, body) => client.request('/admin/families/import', { method: 'POST', body: { csv: CSV, ...body } });
+
+        it('checks an import without creating invites on a dry run', async () => {
+            await seedAccount('cohort-connected', 'connected@example.com');
+            const invitesBefore = (await server.rowsOf('family_invites')).length;
+
+            const response = await importCsv(owner, { dryRun: true });
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.summary, { rows: 6, ready: 2, created: 0, duplicate: 1, connected: 1, invalid: 2, failed: 0 });
+            assert.deepStrictEqual(response.body.rows.map(row => [row.line, row.status]), [
+                [2, 'ready'], [3, 'ready'], [4, 'duplicate'], [5, 'connected'], [6, 'invalid'], [7, 'invalid']
+            ]);
+            assert.strictEqual(response.body.csv, null);
+            assert.strictEqual((await server.rowsOf('family_invites')).length, invitesBefore);
+        });
+
+        it('generates an invite link per ready row and a CSV of the links', async () => {
+            assert.strictEqual((await importCsv(support, {})).status, 403);
+
+            const response = await importCsv(owner, { scopeProfile: 'full', maxUses: 2 });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.summary.created, 2);
+
+            const created = response.body.rows.filter(row => row.status === 'created');
+            assert.deepStrictEqual(created.map(row => row.family_id), ['cohort-1', 'cohort-2']);
+            assert.match(created[0].invite_link, /\/connect\?invite=/);
+
+            const invite = (await server.rowsOf('family_invites')).find(row => row.id === created[0].invite_id);
+            assert.strictEqual(invite.family_name, 'Adams, Ann');
+            assert.strictEqual(invite.scope_profile, 'readonly');
+            assert.strictEqual(invite.contact_email, 'ann@example.com');
+            assert.strictEqual(invite.max_uses, 2);
+
+            const [header, ...lines] = response.body.csv.trim().split('\r\n');
+            assert.strictEqual(header, 'line,family_id,family_name,contact_email,status,invite_link,expires_at,error');
+            assert.strictEqual(lines.length, 6);
+            assert.ok(lines[3].includes('Family already has connected accounts'));
+            assert.ok((await auditActions()).includes('families.imported'));
+        });
+
+        it('invites connected families when asked', async () => {
+            const response = await importCsv(owner, { dryRun: true, includeConnected: true });
+
+            assert.strictEqual(response.body.rows.find(row => row.family_id === 'cohort-connected').status, 'ready');
+        });
+
+        it('rejects a CSV without a family_id header', async () => {
+            const response = await owner.request('/admin/families/import', { method: 'POST', body: { csv: 'name\nSmith\n' } });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.error, 'invalid');
+            assert.strictEqual((await owner.request('/admin/families/import', { method: 'POST', body: {} })).status, 400);
+        });
+
+        it('exports connections as CSV and JSON without tokens', async () => {
+            const csv = await support.request('/admin/families/export?search=cohort');
+
+            assert.strictEqual(csv.status, 200);
+            assert.match(csv.headers.get('content-type'), /text\/csv/);
+            assert.match(csv.headers.get('content-disposition'), /attachment; filename="connections-.*\.csv"/);
+            const [header, ...lines] = csv.body.trim().split('\r\n');
+            assert.strictEqual(header, 'family_id,family_name,email,provider,status,last_error,token_expiry,last_refresh_at,last_token_fetch_at,granted_scopes,created_at,updated_at');
+            assert.deepStrictEqual(lines.map(line => line.split(',')[0]), ['cohort-connected']);
+
+            const json = await support.request('/admin/families/export?format=json');
+            const account = json.body.families.find(family => family.family_id === 'cohort-connected');
+            assert.strictEqual(account.email, 'connected@example.com');
+            assert.strictEqual(account.provider, 'google');
+            assert.ok(!('access_token' in account) && !('refresh_token' in account) && !('id' in account));
+            assert.ok((await auditActions()).includes('families.exported'));
+
+            assert.strictEqual((await support.request('/admin/families/export?format=xml')).status, 400);
+        });
+    });
+
+    describe('privacy requests', () => {
+        before(async () => {
+            await seedAccount('family-privacy', 'private@example.com');
+            await server.insertRow('family_invites', { family_id: 'family-privacy', family_name: 'Private Family', contact_email: 'private@example.com' });
+            await server.insertRow('webhook_deliveries', { family_id: 'family-privacy', event_type: 'token.refreshed', payload: { email: 'private@example.com' }, status: 'delivered', url: 'https://hooks.example.com/secret' });
+        });
+
+        it('exports everything stored about a family without tokens', async () => {
+            assert.strictEqual((await support.request('/admin/families/family-privacy/data-export')).status, 403);
+
+            const response = await owner.request('/admin/families/family-privacy/data-export');
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers.get('content-disposition'), /attachment; filename="family-family-privacy-data-.*\.json"/);
+            assert.strictEqual(response.body.family_id, 'family-privacy');
+            assert.deepStrictEqual(response.body.connections.map(account => account.email), ['private@example.com']);
+            assert.strictEqual(response.body.invites.length, 1);
+            assert.strictEqual(response.body.webhook_deliveries.length, 1);
+            assert.ok(!JSON.stringify(response.body).includes('refresh-private@example.com'));
+            assert.ok(!JSON.stringify(response.body).includes('hooks.example.com'));
+            assert.ok((await auditActions()).includes('family_data.exported'));
+
+            assert.strictEqual((await owner.request('/admin/families/nobody/data-export')).status, 404);
+        });
+
+        it('creates a privacy link for the family', async () => {
+            assert.strictEqual((await support.request('/admin/families/family-privacy/privacy-link', { method: 'POST', body: {} })).status, 403);
+
+            const response = await owner.request('/admin/families/family-privacy/privacy-link', { method: 'POST', body: { familyName: 'Private Family' } });
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.body.link, /\/privacy\?token=/);
+            assert.ok((await auditActions()).includes('privacy_link.created'));
+        });
+
+        it('keeps everything when a grant cannot be revoked, unless forced', async () => {
+            const google = require('../src/services/providers').getProvider('google');
+            const revokeToken = google.revokeToken;
+            google.revokeToken = async () => { throw new Error('Google is unavailable'); };
+
+            try {
+                const response = await owner.request('/admin/families/family-privacy/erase', { method: 'POST', body: { confirm: 'family-privacy' } });
+
+                assert.strictEqual(response.status, 502);
+                assert.strictEqual(response.body.error, 'revoke_failed');
+                assert.strictEqual((await server.storage.getConnectionStatus('family-privacy')).connected, true);
+            } finally {
+                google.revokeToken = revokeToken;
+            }
+        });
+
+        it('erases a family after confirmation, leaving a tombstone', async () => {
+            const erase = (client, body) => client.request('/admin/families/family-privacy/erase', { method: 'POST', body });
+
+            assert.strictEqual((await erase(support, { confirm: 'family-privacy' })).status, 403);
+            assert.strictEqual((await erase(owner, { confirm: 'another-family' })).status, 400);
+
+            // The family.erased event goes to a closed port, so its first attempt fails and logs a retry
+            process.env.WEBHOOK_URLS = 'http://127.0.0.1:1/hook';
+            let response;
+            try {
+                response = await erase(owner, { confirm: 'family-privacy' });
+            } finally {
+                delete process.env.WEBHOOK_URLS;
+            }
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual({ ...response.body.erasure, id: undefined, erased_at: undefined }, {
+                id: undefined,
+                erased_at: undefined,
+                family_id: 'family-privacy',
+                accounts_deleted: 1,
+                grants_revoked: 1,
+                grants_not_revoked: 0,
+                invites_deleted: 1,
+                reminders_deleted: 0,
+                webhook_deliveries_deleted: 1,
+                audit_entries_scrubbed: 2
+            });
+            assert.ok(server.google.calls.revoked.includes('refresh-private@example.com'));
+            assert.strictEqual((await server.storage.getConnectionStatus('family-privacy')).connected, false);
+            assert.ok(!(await server.rowsOf('family_invites')).some(row => row.family_id === 'family-privacy'));
+
+            const erasedEvent = async () => (await server.rowsOf('webhook_deliveries')).find(row => row.event_type === 'family.erased');
+            for (let i = 0; i < 100 && (await erasedEvent()).attempts === 0; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            const delivery = await erasedEvent();
+            assert.strictEqual(delivery.family_id, null);
+            assert.strictEqual(delivery.payload.data.erasure_id, response.body.erasure.id);
+            assert.strictEqual(delivery.attempts, 1);
+            assert.ok(!(await server.rowsOf('webhook_deliveries')).some(row => row.family_id === 'family-privacy'));
+
+            const entries = (await server.rowsOf('audit_log')).filter(entry => entry.family_id === 'family-privacy');
+            assert.deepStrictEqual(entries.map(entry => entry.action), ['family_data.exported', 'privacy_link.created', 'family.erased']);
+            assert.deepStrictEqual(entries[0].details, { erased: true });
+            assert.ok(!JSON.stringify(entries).includes('private@example.com'));
+
+            const [tombstone] = await server.rowsOf('family_erasures');
+            assert.strictEqual(tombstone.id, response.body.erasure.id);
+            assert.strictEqual(tombstone.requested_by_type, 'admin');
+            assert.strictEqual(tombstone.summary.accounts_deleted, 1);
+        });
+    });
+
+    describe('invites', () => {
+        let inviteId;
+
+        it('generates an invite link', async () => {
+            const response = await owner.request('/admin/generate-link', {
+                method: 'POST',
+                body: { familyId: 'family-invite', familyName: 'Invite Family', maxUses: 2 }
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.body.link, /\/connect\?invite=/);
+            assert.strictEqual(response.body.invite.max_uses, 2);
+            inviteId = response.body.invite.id;
+
+            assert.strictEqual((await owner.request('/admin/generate-link', { method: 'POST', body: {} })).status, 400);
+        });
+
+        it('accepts a scope profile and a contact email', async () => {
+            const generate = body => owner.request('/admin/generate-link', { method: 'POST', body: { familyId: 'family-invite', ...body } });
+
+            const readonly = await generate({ scopeProfile: 'readonly', contactEmail: 'parent@example.com' });
+            assert.strictEqual(readonly.body.invite.scope_profile, 'readonly');
+
+            assert.strictEqual((await generate({ scopeProfile: 'calendar' })).status, 400);
+            assert.strictEqual((await generate({ contactEmail: 'not-an-email' })).status, 400);
+        });
+
+        it('lists invites with their status', async () => {
+            const response = await support.request('/admin/invites');
+            const invite = response.body.invites.find(candidate => candidate.id === inviteId);
+
+            assert.strictEqual(invite.status, 'pending');
+        });
+
+        it('revokes an invite once', async () => {
+            const response = await owner.request(`/admin/invites/${inviteId}/revoke`, { method: 'POST' });
+
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.body.invite.revoked_at);
+            assert.strictEqual((await owner.request(`/admin/invites/${inviteId}/revoke`, { method: 'POST' })).status, 404);
+            assert.ok((await auditActions()).includes('invite.revoked'));
+        });
+    });
+
+    describe('webhook deliveries', () => {
+        let sink;
+        let received = 0;
+        let lastRequest = null;
+
+        before(async () => {
+            // Fails requests to /fail, accepts the rest
+            sink = http.createServer(async (req, res) => {
+                let body = '';
+                for await (const chunk of req) body += chunk;
+
+                received++;
+                lastRequest = { headers: req.headers, body };
+                res.writeHead(req.url === '/fail' ? 500 : 204).end();
+            });
+            sink.listen(0, '127.0.0.1');
+            await once(sink, 'listening');
+        });
+
+        after(() => {
+            sink.close();
+        });
+
+        it('lists deliveries and replays one', async () => {
+            const { emitEvent } = require('../src/services/webhooks');
+            await emitEvent('family.connected', 'family-webhook', {}, { urls: [`http://127.0.0.1:${sink.address().port}/hook`] });
+
+            // The first attempt runs in the background
+            const deliveryStatus = async () => (await server.rowsOf('webhook_deliveries')).find(row => row.family_id === 'family-webhook').status;
+            for (let i = 0; i < 100 && await deliveryStatus() === 'pending'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+
+            const list = await owner.request('/admin/webhooks/deliveries');
+            const [delivery] = list.body.deliveries;
+
+            assert.strictEqual(delivery.family_id, 'family-webhook');
+            assert.strictEqual(delivery.status, 'succeeded');
+            assert.strictEqual(delivery.attempts_log.length, 1);
+
+            const replay = await owner.request(`/admin/webhooks/deliveries/${delivery.id}/replay`, { method: 'POST' });
+
+            assert.strictEqual(replay.body.success, true);
+            assert.strictEqual(replay.body.delivery.attempts, 2);
+            assert.strictEqual(received, 2);
+
+            const missing = await owner.request('/admin/webhooks/deliveries/00000000-0000-0000-0000-000000000000/replay', { method: 'POST' });
+            assert.strictEqual(missing.status, 404);
+        });
+
+        it('attempts a due delivery once even when runs overlap', async () => {
+            const { processDueDeliveries } = require('../src/services/webhooks');
+            const before = received;
+
+            const due = await server.insertRow('webhook_deliveries', {
+                event_id: 'event-due',
+                event_type: 'family.connected',
+                family_id: 'family-webhook',
+                url: `http://127.0.0.1:${sink.address().port}/hook`,
+                payload: { id: 'event-due' },
+                next_attempt_at: new Date(Date.now() - 1000).toISOString()
+            });
+
+            const [first, second] = await Promise.all([processDueDeliveries(), processDueDeliveries()]);
+
+            assert.strictEqual(first, 1);
+            assert.strictEqual(second, 1);
+            assert.strictEqual(received, before + 1);
+
+            const row = (await server.rowsOf('webhook_deliveries')).find(delivery => delivery.id === due.id);
+            assert.strictEqual(row.attempts, 1);
+            assert.strictEqual(row.status, 'succeeded');
+        });
+
+        /**
+         * Store a delivery to the sink
+         * @param {Object} row - Columns to override (path, status, attempts, next_attempt_at)
+         * @returns {Promise<Object>} The stored delivery
+         */
+        const seedDelivery = ({ path = '/hook', ...row } = {}) => server.insertRow('webhook_deliveries', {
+            event_id: crypto.randomUUID(),
+            event_type: 'family.connected',
+            family_id: 'family-webhook',
+            url: `http://127.0.0.1:${sink.address().port}${path}`,
+            payload: { id: 'event-seeded' },
+            ...row
+        });
+
+        const deliveryRow = async id => (await server.rowsOf('webhook_deliveries')).find(delivery => delivery.id === id);
+
+        it('signs every attempt and retries failures with exponential backoff', async () => {
+            const { processDueDeliveries } = require('../src/services/webhooks');
+            const due = await seedDelivery({ path: '/fail', next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+
+            const startedAt = Date.now();
+            assert.strictEqual(await processDueDeliveries(), 1);
+
+            const [, timestamp, signature] = lastRequest.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+            const expected = crypto.createHmac('sha256', 'test-webhook-secret').update(`${timestamp}.${lastRequest.body}`).digest('hex');
+            assert.strictEqual(signature, expected);
+            assert.strictEqual(lastRequest.headers['x-webhook-event'], 'family.connected');
+
+            const retried = await deliveryRow(due.id);
+            assert.strictEqual(retried.status, 'pending');
+            assert.strictEqual(retried.attempts, 1);
+            assert.strictEqual(retried.last_status_code, 500);
+            const delay = new Date(retried.next_attempt_at).getTime() - startedAt;
+            assert.ok(delay >= 30 * 1000 && delay < 35 * 1000, `retry in ${delay}ms`);
+
+            // Not due again yet
+            assert.strictEqual(await processDueDeliveries(), 0);
+
+            const last = await seedDelivery({ path: '/fail', attempts: 5, next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+            await processDueDeliveries();
+            assert.strictEqual((await deliveryRow(last.id)).status, 'failed');
+        });
+
+        it('keeps the retries of a pending delivery when a replay fails', async () => {
+            const nextAttemptAt = new Date(Date.now() + 60 * 1000).toISOString();
+            const pending = await seedDelivery({ path: '/fail', attempts: 1, next_attempt_at: nextAttemptAt });
+
+            const replay = await owner.request(`/admin/webhooks/deliveries/${pending.id}/replay`, { method: 'POST' });
+
+            assert.strictEqual(replay.body.delivery.status, 'pending');
+            assert.strictEqual(replay.body.delivery.attempts, 2);
+            assert.ok(replay.body.delivery.next_attempt_at);
+
+            const exhausted = await seedDelivery({ path: '/fail', attempts: 5 });
+            const last = await owner.request(`/admin/webhooks/deliveries/${exhausted.id}/replay`, { method: 'POST' });
+            assert.strictEqual(last.body.delivery.status, 'failed');
+            assert.strictEqual(last.body.delivery.next_attempt_at, null);
+
+            const stopped = await seedDelivery({ path: '/fail', status: 'failed', attempts: 6, next_attempt_at: null });
+            const again = await owner.request(`/admin/webhooks/deliveries/${stopped.id}/replay`, { method: 'POST' });
+            assert.strictEqual(again.body.delivery.status, 'failed');
+            assert.strictEqual(again.body.delivery.attempts, 7);
+        });
+    });
+
+    describe('API keys', () => {
+        it('creates, lists and revokes a scoped key', async () => {
+            const created = await owner.request('/admin/api-keys', {
+                method: 'POST',
+                body: { name: 'n8n', scopes: ['status'] }
+            });
+
+            assert.strictEqual(created.status, 200);
+            assert.match(created.body.key, /^fak_/);
+            assert.ok(!('key_hash' in created.body.apiKey));
+
+            const status = await server.createClient().request('/api/auth/status?familyId=family-list', { headers: { 'x-api-key': created.body.key } });
+            assert.strictEqual(status.status, 200);
+
+            const list = await support.request('/admin/api-keys');
+            assert.ok(list.body.apiKeys.some(key => key.id === created.body.apiKey.id && key.status === 'active'));
+            assert.ok(list.body.scopes.includes('refresh'));
+
+            const revoked = await owner.request(`/admin/api-keys/${created.body.apiKey.id}/revoke`, { method: 'POST' });
+            assert.strictEqual(revoked.body.apiKey.status, 'revoked');
+            assert.strictEqual((await owner.request(`/admin/api-keys/${created.body.apiKey.id}/revoke`, { method: 'POST' })).status, 404);
+        });
+
+        it('rejects unknown scopes', async () => {
+            const response = await owner.request('/admin/api-keys', { method: 'POST', body: { name: 'bad', scopes: ['everything'] } });
+            assert.strictEqual(response.status, 400);
+        });
+    });
+
+    describe('admin users and sessions', () => {
+        let userId;
+
+        it('creates admin users with strong passwords only', async () => {
+            const weak = await owner.request('/admin/users', { method: 'POST', body: { username: 'weak', password: 'admin123', role: 'support' } });
+            assert.strictEqual(weak.status, 400);
+
+            const created = await owner.request('/admin/users', { method: 'POST', body: { username: 'newbie', password: PASSWORD, role: 'support' } });
+            assert.strictEqual(created.status, 200);
+            assert.ok(!('password_hash' in created.body.user));
+            userId = created.body.user.id;
+
+            const duplicate = await owner.request('/admin/users', { method: 'POST', body: { username: 'newbie', password: PASSWORD, role: 'support' } });
+            assert.strictEqual(duplicate.status, 409);
+
+            const list = await support.request('/admin/users');
+            assert.deepStrictEqual(list.body.users.map(user => user.username), ['owner', 'helper', 'newbie']);
+        });
+
+        it('counts every one of concurrent failed logins and locks the account', async () => {
+            await adminAuth.createAdminUser({ username: 'targeted', password: PASSWORD, role: 'support' });
+
+            const attempts = await Promise.allSettled([1, 2, 3, 4, 5].map(() => adminAuth.login({ username: 'targeted', password: 'not the password' })));
+            assert.ok(attempts.every(attempt => attempt.status === 'rejected'));
+
+            const [user] = (await server.rowsOf('admin_users')).filter(row => row.username === 'targeted');
+            assert.ok(new Date(user.locked_until).getTime() > Date.now());
+            await assert.rejects(adminAuth.login({ username: 'targeted', password: PASSWORD }), { reason: 'locked' });
+        });
+
+        it('disables a user and ends their sessions', async () => {
+            const newbie = await login('newbie');
+
+            const response = await owner.request(`/admin/users/${userId}/disable`, { method: 'POST' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual((await newbie.request('/admin/check-session')).status, 401);
+            assert.strictEqual((await owner.request(`/admin/users/${userId}/disable`, { method: 'POST' })).status, 404);
+        });
+
+        it('does not let an owner disable themselves', async () => {
+            const ownerId = (await server.rowsOf('admin_users')).find(user => user.username === 'owner').id;
+            const response = await owner.request(`/admin/users/${ownerId}/disable`, { method: 'POST' });
+
+            assert.strictEqual(response.status, 400);
+        });
+
+        it('shows support staff only their own sessions', async () => {
+            const ownerView = await owner.request('/admin/sessions');
+            const supportView = await support.request('/admin/sessions');
+
+            assert.ok(ownerView.body.sessions.some(session => session.username === 'helper'));
+            assert.ok(supportView.body.sessions.every(session => session.username === 'helper'));
+            assert.strictEqual(supportView.body.sessions.filter(session => session.current).length, 1);
+        });
+
+        it('revokes sessions within the role limits', async () => {
+            const other = await login('owner');
+            const ownerSession = (await other.request('/admin/sessions')).body.sessions.find(session => session.current);
+
+            const denied = await support.request(`/admin/sessions/${ownerSession.id}/revoke`, { method: 'POST' });
+            assert.strictEqual(denied.status, 404);
+
+            const revoked = await owner.request(`/admin/sessions/${ownerSession.id}/revoke`, { method: 'POST' });
+            assert.strictEqual(revoked.status, 200);
+            assert.strictEqual((await other.request('/admin/check-session')).status, 401);
+        });
+    });
+
+    describe('audit log', () => {
+        it('lists entries with filters', async () => {
+            const response = await support.request('/admin/audit?action=admin.login&limit=2');
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.events.length, 2);
+            assert.ok(response.body.total > 2);
+            assert.ok(response.body.events.every(event => event.action === 'admin.login'));
+            assert.ok(response.body.actions.includes('token.refresh'));
+
+            assert.strictEqual((await support.request('/admin/audit?from=yesterday')).status, 400);
+        });
+
+        it('exports entries as CSV and audits the export', async () => {
+            const response = await owner.request('/admin/audit/export.csv?actorType=admin');
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/csv/);
+            assert.match(response.headers.get('content-disposition'), /attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"/);
+            assert.ok(response.body.startsWith('created_at,action,actor_type,actor_id,family_id,account_id,details\r\n'));
+            assert.ok((await auditActions()).includes('audit_log.exported'));
+        });
+    });
+});
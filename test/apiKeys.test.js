@@ -0,0 +1,90 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Run a middleware against a fake request and capture the outcome
+ */
+async function run(middleware, headers = {}) {
+    const req = { headers, query: {}, body: {} };
+    const result = { nextCalled: false, status: null, body: null, req };
+    const res = {
+        status(code) { result.status = code; return this; },
+        json(body) { result.body = body; return this; }
+    };
+
+    await middleware(req, res, () => { result.nextCalled = true; });
+    return result;
+}
+
+describe('api keys', () => {
+    let apiKeys;
+    let requireApiKey;
+
+    before(() => {
+        process.env.API_SECRET_KEY = 'legacy-secret';
+        process.env.ALLOW_LEGACY_API_KEY = 'true';
+
+        apiKeys = require('../src/services/apiKeys');
+        ({ requireApiKey } = require('../src/middleware/apiKey'));
+    });
+
+    it('generates keys with a public prefix and stores only a hash', () => {
+        const { key, prefix } = apiKeys.generateApiKey();
+
+        assert.match(key, /^fak_[A-Za-z0-9]{12}_[A-Za-z0-9_-]{43}$/);
+        assert.ok(key.startsWith(`fak_${prefix}_`));
+        assert.match(apiKeys.hashApiKey(key), /^[0-9a-f]{64}$/);
+        assert.notStrictEqual(apiKeys.generateApiKey().key, key);
+    });
+
+    it('limits family-restricted keys to their allowlist', () => {
+        assert.ok(apiKeys.isFamilyAllowed({ family_ids: null }, 'family1'));
+        assert.ok(apiKeys.isFamilyAllowed({ family_ids: ['family1'] }, 'family1'));
+        assert.ok(!apiKeys.isFamilyAllowed({ family_ids: ['family1'] }, 'family2'));
+    });
+
+    it('rejects malformed keys before looking them up', async () => {
+        await assert.rejects(apiKeys.verifyApiKey('not-a-key'), { reason: 'invalid' });
+    });
+
+    it('requires the x-api-key header', async () => {
+        const result = await run(requireApiKey('refresh'));
+
+        assert.strictEqual(result.status, 401);
+        assert.strictEqual(result.nextCalled, false);
+    });
+
+    it('rejects unknown keys', async () => {
+        const result = await run(requireApiKey('refresh'), { 'x-api-key': 'wrong' });
+
+        assert.strictEqual(result.status, 403);
+        assert.strictEqual(result.nextCalled, false);
+    });
+
+    it('accepts the legacy API_SECRET_KEY only for refresh, status and the Gmail proxy', async () => {
+        for (const scope of apiKeys.API_KEY_SCOPES) {
+            const result = await run(requireApiKey(scope, { allFamilies: true }), { 'x-api-key': 'legacy-secret' });
+            const allowed = ['refresh', 'status', 'gmail-proxy'].includes(scope);
+
+            assert.strictEqual(result.nextCalled, allowed, scope);
+            if (allowed) {
+                assert.strictEqual(result.req.apiKey.name, 'API_SECRET_KEY');
+            } else {
+                assert.strictEqual(result.status, 403);
+            }
+        }
+    });
+
+    it('rejects the legacy API_SECRET_KEY unless ALLOW_LEGACY_API_KEY is true', async () => {
+        delete process.env.ALLOW_LEGACY_API_KEY;
+
+        try {
+            const result = await run(requireApiKey('refresh'), { 'x-api-key': 'legacy-secret' });
+
+            assert.strictEqual(result.status, 403);
+            assert.strictEqual(result.nextCalled, false);
+        } finally {
+            process.env.ALLOW_LEGACY_API_KEY = 'true';
+        }
+    });
+});
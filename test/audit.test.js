@@ -0,0 +1,58 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+describe('audit log', () => {
+    let audit;
+    const originalRetention = process.env.AUDIT_RETENTION_DAYS;
+
+    before(() => {
+        audit = require('../src/services/audit');
+    });
+
+    afterEach(() => {
+        if (originalRetention === undefined) {
+            delete process.env.AUDIT_RETENTION_DAYS;
+        } else {
+            process.env.AUDIT_RETENTION_DAYS = originalRetention;
+        }
+    });
+
+    it('exports entries as CSV with quoting and JSON details', () => {
+        const csv = audit.toAuditCsv([{
+            created_at: '2024-05-01T10:00:00.000Z',
+            action: 'token.refresh',
+            actor_type: 'api_key',
+            actor_id: 'AbCdEf123456',
+            family_id: 'exhale001',
+            account_id: null,
+            details: { result: 'refreshed', email: 'parent@example.com' }
+        }]);
+
+        const [header, row] = csv.trim().split('\r\n');
+
+        assert.strictEqual(header, 'created_at,action,actor_type,actor_id,family_id,account_id,details');
+        assert.strictEqual(row, '2024-05-01T10:00:00.000Z,token.refresh,api_key,AbCdEf123456,exhale001,,'
+            + '"{""result"":""refreshed"",""email"":""parent@example.com""}"');
+    });
+
+    it('neutralises spreadsheet formulas in exported values', () => {
+        const csv = audit.toAuditCsv([{ action: 'admin.login_failed', actor_type: 'admin', actor_id: '=HYPERLINK("x")' }]);
+
+        assert.ok(csv.includes(`"'=HYPERLINK(""x"")"`));
+    });
+
+    it('identifies API key actors by their public prefix', () => {
+        assert.deepStrictEqual(audit.apiKeyActor({ key_prefix: 'env', name: 'API_SECRET_KEY' }), { type: 'api_key', id: 'env' });
+    });
+
+    it('keeps entries for a year by default, at least 30 days, and forever when disabled', () => {
+        delete process.env.AUDIT_RETENTION_DAYS;
+        assert.strictEqual(audit.getRetentionDays(), 365);
+
+        process.env.AUDIT_RETENTION_DAYS = '7';
+        assert.strictEqual(audit.getRetentionDays(), 30);
+
+        process.env.AUDIT_RETENTION_DAYS = '0';
+        assert.strictEqual(audit.getRetentionDays(), 0);
+    });
+});
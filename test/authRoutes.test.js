@@ -0,0 +1,611 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { startTestServer, TEST_ENV } = require('./helpers/testServer');
+
+describe('auth routes', () => {
+    let server;
+    let invites;
+
+    before(async () => {
+        server = await startTestServer();
+        invites = require('../src/services/invites');
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    /**
+     * Create an invite and return its token
+     * @param {Object} options - createInvite options
+     * @returns {Promise<Object>} The invite record and token
+     */
+    async function createInvite(options = {}) {
+        const invite = await invites.createInvite({ familyId: 'family1', familyName: 'Smith Family', ...options });
+        return { invite, token: new URL(invite.link).searchParams.get('invite') };
+    }
+
+    /**
+     * Start the OAuth flow and consent on the fake Google screen
+     * @param {Object} client - Client from createClient
+     * @param {string} token - Invite token
+     * @param {string} email - Google account to consent with
+     * @param {Object} options - Grant options for the fake Google
+     * @returns {Promise<Object>} The state and code to call back with
+     */
+    async function consent(client, token, email, options) {
+        const start = await client.request(`/api/auth/start?invite=${encodeURIComponent(token)}`);
+        assert.strictEqual(start.status, 302);
+
+        const state = new URL(start.location).searchParams.get('state');
+        return { state, code: server.google.authorize(email, options) };
+    }
+
+    const callbackPath = ({ state, code }) => `/api/auth/callback?${new URLSearchParams({ state, code })}`;
+    const apiKey = { 'x-api-key': TEST_ENV.API_SECRET_KEY };
+
+    /**
+     * Store an account whose refresh token the fake Google accepts or rejects
+     * @param {string} familyId - Family ID
+     * @param {Object} options - Account options
+     * @returns {Promise<Object>} The stored account
+     */
+    async function seedAccount(familyId, { expiresInMs, grantValid = true }) {
+        const refreshToken = `1//refresh-${familyId}`;
+        if (grantValid) {
+            server.google.grant(refreshToken, `${familyId}@example.com`);
+        }
+
+        return server.storage.upsertFamilyTokens({
+            familyId,
+            email: `${familyId}@example.com`,
+            accessToken: `access-${familyId}`,
+            refreshToken,
+            tokenExpiry: new Date(Date.now() + expiresInMs)
+        });
+    }
+
+    describe('GET /connect', () => {
+        it('serves the connect page for a valid invite', async () => {
+            const { token } = await createInvite();
+            const response = await server.createClient().request(`/connect?invite=${encodeURIComponent(token)}`);
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/html/);
+        });
+
+        it('redirects to the error page without a valid invite', async () => {
+            const client = server.createClient();
+
+            const missing = await client.request('/connect');
+            assert.strictEqual(missing.status, 302);
+            assert.match(missing.location, /^\/error\.html\?message=/);
+
+            const tampered = await client.request('/connect?invite=not-a-token');
+            assert.match(tampered.location, /reason=invite_invalid/);
+        });
+
+        it('treats a signed invite without an ID as invalid, not expired', async () => {
+            const payload = Buffer.from(JSON.stringify({ familyId: 'family-no-id', exp: Date.now() + 60000 })).toString('base64url');
+            const signature = crypto.createHmac('sha256', TEST_ENV.INVITE_SECRET).update(payload).digest('base64url');
+
+            const response = await server.createClient().request(`/connect?invite=${encodeURIComponent(`${payload}.${signature}`)}`);
+            assert.match(response.location, /reason=invite_invalid/);
+        });
+
+        it('rejects expired invites', async () => {
+            const { token } = await createInvite({ expiresInHours: 1 });
+            const realNow = Date.now;
+            Date.now = () => realNow() + 61 * 60 * 1000;
+
+            try {
+                const response = await server.createClient().request(`/connect?invite=${encodeURIComponent(token)}`);
+                assert.match(response.location, /reason=invite_expired/);
+                await assert.rejects(invites.verifyInviteToken(token), { reason: 'expired' });
+            } finally {
+                Date.now = realNow;
+            }
+        });
+
+        it('lets only one of two concurrent uses consume a single-use invite', async () => {
+            const { invite } = await createInvite({ familyId: 'family-race' });
+
+            const results = await Promise.allSettled([invites.consumeInvite(invite.id), invites.consumeInvite(invite.id)]);
+
+            assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+            assert.strictEqual(results.find(result => result.status === 'rejected').reason.reason, 'used');
+            const [stored] = (await server.rowsOf('family_invites')).filter(row => row.id === invite.id);
+            assert.strictEqual(stored.use_count, 1);
+        });
+
+        it('rejects revoked invites', async () => {
+            const { invite, token } = await createInvite();
+            await invites.revokeInvite(invite.id);
+
+            const response = await server.createClient().request(`/connect?invite=${encodeURIComponent(token)}`);
+            assert.match(response.location, /reason=invite_revoked/);
+        });
+    });
+
+    describe('GET /api/auth/start', () => {
+        it('redirects to Google with a signed state bound to a cookie', async () => {
+            const { token } = await createInvite();
+            const client = server.createClient();
+
+            const response = await client.request(`/api/auth/start?invite=${encodeURIComponent(token)}`);
+            const location = new URL(response.location);
+
+            assert.strictEqual(response.status, 302);
+            assert.strictEqual(location.host, 'accounts.google.com');
+            assert.strictEqual(location.searchParams.get('client_id'), TEST_ENV.GOOGLE_CLIENT_ID);
+            assert.strictEqual(location.searchParams.get('redirect_uri'), `${TEST_ENV.BASE_URL}/api/auth/callback`);
+            assert.strictEqual(location.searchParams.get('access_type'), 'offline');
+            assert.ok(location.searchParams.get('state'));
+            assert.ok(client.cookies.get('oauth_state_nonce'));
+        });
+
+        it('rejects missing invites and unconfigured providers', async () => {
+            const { token } = await createInvite();
+            const client = server.createClient();
+
+            const missing = await client.request('/api/auth/start');
+            assert.match(missing.location, /^\/error\.html/);
+
+            const microsoft = await client.request(`/api/auth/start?invite=${encodeURIComponent(token)}&provider=microsoft`);
+            assert.match(decodeURIComponent(microsoft.location), /not supported/);
+            assert.strictEqual(client.cookies.size, 0);
+        });
+    });
+
+    describe('GET /api/auth/callback', () => {
+        it('stores the tokens, uses up the invite and redirects to the success page', async () => {
+            const { invite, token } = await createInvite({ familyId: 'family-callback' });
+            const client = server.createClient();
+
+            const response = await client.request(callbackPath(await consent(client, token, 'parent@example.com')));
+
+            assert.strictEqual(response.status, 302);
+            assert.match(response.location, /^\/success\.html\?email=parent%40example\.com&familyName=Smith%20Family$/);
+            assert.strictEqual(client.cookies.has('oauth_state_nonce'), false);
+
+            const stored = await server.storage.getFamilyTokens('family-callback');
+            assert.strictEqual(stored.email, 'parent@example.com');
+            assert.strictEqual(stored.provider, 'google');
+            assert.ok(stored.refresh_token.startsWith('1//'));
+
+            const [storedInvite] = (await server.rowsOf('family_invites')).filter(row => row.id === invite.id);
+            assert.strictEqual(storedInvite.use_count, 1);
+
+            const audit = (await server.rowsOf('audit_log')).filter(entry => entry.family_id === 'family-callback');
+            assert.deepStrictEqual(audit.map(entry => entry.action), ['connection.created']);
+        });
+
+        it('records a reconnect of the same mailbox', async () => {
+            const { token } = await createInvite({ familyId: 'family-reconnect', maxUses: 2 });
+
+            for (let i = 0; i < 2; i++) {
+                const client = server.createClient();
+                await client.request(callbackPath(await consent(client, token, 'parent@example.com')));
+            }
+
+            const audit = (await server.rowsOf('audit_log')).filter(entry => entry.family_id === 'family-reconnect');
+            assert.deepStrictEqual(audit.map(entry => entry.action), ['connection.created', 'connection.reconnected']);
+            assert.strictEqual((await server.storage.getConnectionStatus('family-reconnect')).accounts.length, 1);
+        });
+
+        it('tells the connect page only how many accounts are connected', async () => {
+            const { token } = await createInvite({ familyId: 'family-invite-status', maxUses: 2 });
+            const client = server.createClient();
+            await client.request(callbackPath(await consent(client, token, 'private@example.com')));
+
+            const invite = await server.createClient().request(`/api/auth/invite?invite=${encodeURIComponent(token)}`);
+
+            assert.strictEqual(invite.status, 200);
+            assert.strictEqual(invite.body.connected, true);
+            assert.strictEqual(invite.body.accountCount, 1);
+            assert.ok(!JSON.stringify(invite.body).includes('private@example.com'));
+            assert.ok(!('accounts' in invite.body) && !('disconnectLink' in invite.body));
+        });
+
+        it('rejects a state from another browser or one used before', async () => {
+            const { token } = await createInvite({ maxUses: 2 });
+            const client = server.createClient();
+            const params = await consent(client, token, 'parent@example.com');
+
+            const otherBrowser = await server.createClient().request(callbackPath(params));
+            assert.match(otherBrowser.location, /reason=state_mismatch/);
+
+            const completed = await client.request(callbackPath(params));
+            assert.match(completed.location, /^\/success\.html/);
+
+            const replayed = await client.request(callbackPath(params));
+            assert.match(replayed.location, /reason=state_replayed/);
+        });
+
+        it('refuses an invite that was used up during the flow', async () => {
+            const { token } = await createInvite({ familyId: 'family-spent' });
+            const first = server.createClient();
+            const second = server.createClient();
+
+            const firstParams = await consent(first, token, 'one@example.com');
+            const secondParams = await consent(second, token, 'two@example.com');
+
+            assert.match((await first.request(callbackPath(firstParams))).location, /^\/success\.html/);
+            assert.match((await second.request(callbackPath(secondParams))).location, /reason=invite_used/);
+            assert.strictEqual((await server.storage.getConnectionStatus('family-spent')).accounts.length, 1);
+        });
+
+        it('fails without storing anything when Google returns no refresh token or an error', async () => {
+            const { token } = await createInvite({ familyId: 'family-no-refresh', maxUses: 3 });
+            const client = server.createClient();
+
+            const noRefresh = await client.request(callbackPath(await consent(client, token, 'parent@example.com', { withRefreshToken: false })));
+            assert.match(decodeURIComponent(noRefresh.location), /Failed to get refresh token/);
+
+            const denied = await client.request('/api/auth/callback?error=access_denied');
+            assert.match(decodeURIComponent(denied.location), /Authentication failed: access_denied/);
+
+            const missingCode = await client.request('/api/auth/callback?state=abc');
+            assert.match(decodeURIComponent(missingCode.location), /Missing authorization code/);
+
+            assert.strictEqual(await server.storage.getFamilyTokens('family-no-refresh'), null);
+        });
+    });
+
+    describe('POST /api/auth/refresh', () => {
+        const refresh = body => server.createClient().request('/api/auth/refresh', { method: 'POST', body, headers: apiKey });
+
+        it('returns a token that is still valid without calling Google', async () => {
+            await seedAccount('family-valid', { expiresInMs: 60 * 60 * 1000 });
+            const before = server.google.calls.refresh;
+
+            const response = await refresh({ family_id: 'family-valid' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.access_token, 'access-family-valid');
+            assert.strictEqual(response.body.refreshed, false);
+            assert.strictEqual(server.google.calls.refresh, before);
+        });
+
+        it('refreshes a token that is about to expire and stores the new one', async () => {
+            const account = await seedAccount('family-expiring', { expiresInMs: 60 * 1000 });
+
+            const response = await refresh({ family_id: 'family-expiring' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.refreshed, true);
+            assert.strictEqual(response.body.account_id, account.id);
+            assert.ok(response.body.access_token.startsWith('ya29.'));
+            assert.ok(new Date(response.body.expires_at).getTime() > Date.now() + 30 * 60 * 1000);
+
+            const stored = await server.storage.getFamilyTokens('family-expiring');
+            assert.strictEqual(stored.access_token, response.body.access_token);
+        });
+
+        it('calls Google once for concurrent requests for the same family', async () => {
+            await seedAccount('family-concurrent', { expiresInMs: 60 * 1000 });
+            const before = server.google.calls.refresh;
+
+            const responses = await Promise.all([1, 2, 3, 4, 5].map(() => refresh({ family_id: 'family-concurrent' })));
+
+            assert.strictEqual(server.google.calls.refresh - before, 1);
+            assert.ok(responses.every(response => response.status === 200));
+            assert.strictEqual(new Set(responses.map(response => response.body.access_token)).size, 1);
+        });
+
+        it('reports invalid_grant and marks the account for reconnection', async () => {
+            await seedAccount('family-revoked', { expiresInMs: -60 * 1000, grantValid: false });
+
+            const response = await refresh({ family_id: 'family-revoked' });
+
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual(response.body.error, 'Token Invalid');
+
+            const status = await server.storage.getConnectionStatus('family-revoked');
+            assert.strictEqual(status.accounts[0].status, 'needs_reconnect');
+        });
+
+        it('picks one of a family\'s accounts by account_id or email', async () => {
+            const expiry = new Date(Date.now() + 60 * 60 * 1000);
+            const store = email => server.storage.upsertFamilyTokens({ familyId: 'family-two', email, accessToken: `access-${email}`, refreshToken: `refresh-${email}`, tokenExpiry: expiry });
+            await store('mum@example.com');
+            const dad = await store('dad@example.com');
+            const other = await seedAccount('family-other', { expiresInMs: 60 * 60 * 1000 });
+
+            const first = await refresh({ family_id: 'family-two' });
+            assert.strictEqual(first.body.email, 'mum@example.com');
+
+            const byId = await refresh({ family_id: 'family-two', account_id: dad.id });
+            assert.strictEqual(byId.body.access_token, 'access-dad@example.com');
+            assert.strictEqual(byId.body.account_id, dad.id);
+
+            const byEmail = await refresh({ family_id: 'family-two', email: 'dad@example.com' });
+            assert.strictEqual(byEmail.body.account_id, dad.id);
+
+            // Another family's account is never returned
+            const foreign = await refresh({ family_id: 'family-two', account_id: other.id });
+            assert.strictEqual(foreign.status, 404);
+            assert.strictEqual((await refresh({ family_id: 'family-two', email: 'nobody@example.com' })).status, 404);
+        });
+
+        it('refuses an account that needs reconnecting even while its access token is valid', async () => {
+            const account = await seedAccount('family-broken', { expiresInMs: 60 * 60 * 1000 });
+            await server.storage.recordRefreshFailure(account.id, { status: 'needs_reconnect', error: 'invalid_grant' });
+            const before = server.google.calls.refresh;
+
+            const response = await refresh({ family_id: 'family-broken' });
+
+            assert.strictEqual(response.status, 409);
+            assert.strictEqual(response.body.reason, 'needs_reconnect');
+            assert.strictEqual(response.body.account_id, account.id);
+            assert.ok(!('access_token' in response.body));
+            assert.strictEqual(server.google.calls.refresh, before);
+        });
+
+        it('returns 404 for a family that never connected and 400 without a family', async () => {
+            assert.strictEqual((await refresh({ family_id: 'family-unknown' })).status, 404);
+            assert.strictEqual((await refresh({})).status, 400);
+        });
+
+        it('requires an API key', async () => {
+            const response = await server.createClient().request('/api/auth/refresh', { method: 'POST', body: { family_id: 'family-valid' } });
+            assert.strictEqual(response.status, 401);
+
+            const wrong = await server.createClient().request('/api/auth/refresh', {
+                method: 'POST',
+                body: { family_id: 'family-valid' },
+                headers: { 'x-api-key': 'fa_wrongkey_secret' }
+            });
+            assert.strictEqual(wrong.status, 403);
+        });
+
+        it('audits each request', async () => {
+            const results = (await server.rowsOf('audit_log'))
+                .filter(entry => entry.action === 'token.refresh')
+                .map(entry => entry.details.result);
+
+            for (const result of ['valid', 'refreshed', 'needs_reconnect', 'invalid_grant', 'not_found', 'bad_request']) {
+                assert.ok(results.includes(result), `missing ${result}`);
+            }
+        });
+    });
+
+    describe('POST /api/auth/refresh-batch', () => {
+        const batch = (body, headers = apiKey) => server.createClient().request('/api/auth/refresh-batch', { method: 'POST', body, headers });
+
+        it('returns tokens or an error for each family and lists those that need reconnecting', async () => {
+            await seedAccount('batch-valid', { expiresInMs: 60 * 60 * 1000 });
+            await seedAccount('batch-expiring', { expiresInMs: 60 * 1000 });
+            await seedAccount('batch-revoked', { expiresInMs: -60 * 1000, grantValid: false });
+
+            const response = await batch({ family_ids: ['batch-valid', 'batch-expiring', 'batch-revoked', 'batch-unknown'] });
+            const [valid, expiring, revoked, unknown] = response.body.results;
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(valid.access_token, 'access-batch-valid');
+            assert.strictEqual(valid.refreshed, false);
+            assert.strictEqual(expiring.refreshed, true);
+            assert.ok(expiring.access_token.startsWith('ya29.'));
+            assert.deepStrictEqual([revoked.error, revoked.email], ['needs_reconnect', 'batch-revoked@example.com']);
+            assert.ok(!('access_token' in revoked));
+            assert.strictEqual(unknown.error, 'not_found');
+
+            assert.deepStrictEqual(response.body.needs_reconnect, ['batch-revoked']);
+            assert.deepStrictEqual(response.body.summary, { requested: 4, succeeded: 2, refreshed: 1, needs_reconnect: 1, failed: 2 });
+        });
+
+        it('does not call Google again for accounts already marked for reconnection', async () => {
+            const before = server.google.calls.refresh;
+
+            const response = await batch({ family_ids: ['batch-revoked'] });
+
+            assert.strictEqual(response.body.results[0].error, 'needs_reconnect');
+            assert.strictEqual(server.google.calls.refresh, before);
+        });
+
+        it('covers every family with an active connection', async () => {
+            const response = await batch({ all_active: true });
+            const families = response.body.results.map(result => result.family_id);
+
+            assert.ok(families.includes('batch-valid') && families.includes('batch-expiring'));
+            assert.ok(!families.includes('batch-revoked'));
+            assert.ok(response.body.results.every(result => result.access_token));
+        });
+
+        it('limits family-restricted keys to their families', async () => {
+            const { key } = await require('../src/services/apiKeys').createApiKey({
+                name: 'one family',
+                scopes: ['refresh'],
+                familyIds: ['batch-valid']
+            });
+
+            const listed = await batch({ family_ids: ['batch-valid', 'batch-expiring'] }, { 'x-api-key': key });
+            assert.deepStrictEqual(listed.body.results.map(result => result.error || 'ok'), ['ok', 'forbidden']);
+
+            const all = await batch({ all_active: true }, { 'x-api-key': key });
+            assert.deepStrictEqual(all.body.results.map(result => result.family_id), ['batch-valid']);
+        });
+
+        it('validates the request', async () => {
+            assert.strictEqual((await batch({})).status, 400);
+            assert.strictEqual((await batch({ family_ids: [] })).status, 400);
+            assert.strictEqual((await batch({ family_ids: [''] })).status, 400);
+            assert.strictEqual((await batch({ family_ids: Array.from({ length: 501 }, (_, i) => `f${i}`) })).status, 400);
+            assert.strictEqual((await batch({ all_active: true }, {})).status, 401);
+        });
+
+        it('audits each batch without tokens', async () => {
+            const [entry] = (await server.rowsOf('audit_log')).filter(row => row.action === 'token.refresh_batch');
+
+            assert.strictEqual(entry.details.requested, 4);
+            assert.deepStrictEqual(entry.details.errors, { needs_reconnect: 1, not_found: 1 });
+            assert.strictEqual(entry.family_id, null);
+            assert.ok(!JSON.stringify(entry.details).includes('ya29.'));
+            assert.ok(!JSON.stringify(entry.details).includes('batch-'));
+        });
+    });
+
+    describe('scope profiles', () => {
+        const READONLY = 'https://www.googleapis.com/auth/gmail.readonly';
+        const FULL = `${READONLY} https://www.googleapis.com/auth/gmail.labels https://www.googleapis.com/auth/gmail.modify`;
+
+        it('asks for the invite\'s scope profile and records the granted scopes', async () => {
+            const { token } = await createInvite({ familyId: 'family-readonly', scopeProfile: 'readonly' });
+            const client = server.createClient();
+
+            const invite = await client.request(`/api/auth/invite?invite=${encodeURIComponent(token)}`);
+            assert.strictEqual(invite.body.scopeProfile, 'readonly');
+
+            const start = new URL((await client.request(`/api/auth/start?invite=${encodeURIComponent(token)}`)).location);
+            assert.strictEqual(start.searchParams.get('scope'), READONLY);
+            assert.strictEqual(start.searchParams.get('include_granted_scopes'), 'true');
+            assert.strictEqual(start.searchParams.get('prompt'), 'consent');
+
+            const code = server.google.authorize('reader@example.com', { scope: READONLY });
+            await client.request(callbackPath({ state: start.searchParams.get('state'), code }));
+
+            const status = await server.createClient().request('/api/auth/status?familyId=family-readonly', { headers: apiKey });
+            assert.deepStrictEqual(status.body.accounts[0].grantedScopes, [READONLY]);
+
+            const refresh = await server.createClient().request('/api/auth/refresh', { method: 'POST', body: { family_id: 'family-readonly' }, headers: apiKey });
+            assert.deepStrictEqual(refresh.body.granted_scopes, [READONLY]);
+        });
+
+        it('adds scopes to a working connection without forcing consent', async () => {
+            const { token } = await createInvite({ familyId: 'family-readonly' });
+            const client = server.createClient();
+            const before = await server.storage.getFamilyTokens('family-readonly');
+
+            const start = new URL((await client.request(`/api/auth/start?invite=${encodeURIComponent(token)}`)).location);
+            assert.strictEqual(start.searchParams.get('scope'), FULL);
+            assert.strictEqual(start.searchParams.get('prompt'), null);
+
+            // Google returns no refresh token for a grant that already exists
+            const code = server.google.authorize('reader@example.com', { withRefreshToken: false, scope: FULL });
+            const callback = await client.request(callbackPath({ state: start.searchParams.get('state'), code }));
+            assert.match(callback.location, /^\/success\.html/);
+
+            const after = await server.storage.getFamilyTokens('family-readonly');
+            assert.strictEqual(after.refresh_token, before.refresh_token);
+            assert.strictEqual(after.granted_scopes, FULL);
+        });
+
+        it('starts again with the consent screen when a new mailbox returns no refresh token', async () => {
+            const { token } = await createInvite({ familyId: 'family-readonly' });
+            const client = server.createClient();
+
+            const start = new URL((await client.request(`/api/auth/start?invite=${encodeURIComponent(token)}`)).location);
+            const code = server.google.authorize('second@example.com', { withRefreshToken: false });
+            const callback = await client.request(callbackPath({ state: start.searchParams.get('state'), code }));
+
+            assert.match(callback.location, /^\/api\/auth\/start\?.*consent=true/);
+
+            const retry = new URL((await client.request(callback.location)).location);
+            assert.strictEqual(retry.searchParams.get('prompt'), 'consent');
+        });
+    });
+
+    describe('privacy links', () => {
+        let privacy;
+
+        before(() => {
+            privacy = require('../src/services/privacy');
+        });
+
+        const tokenFor = (familyId, options) => new URL(privacy.createPrivacyLink({ familyId, familyName: 'Privacy Family', ...options }).link).searchParams.get('token');
+
+        it('serves the privacy page for a valid link only', async () => {
+            const client = server.createClient();
+
+            assert.strictEqual((await client.request(`/privacy?token=${encodeURIComponent(tokenFor('family-privacy'))}`)).status, 200);
+
+            const forged = await client.request('/privacy?token=abc.def');
+            assert.strictEqual(forged.status, 302);
+            assert.match(forged.location, /reason=privacy_invalid/);
+        });
+
+        it('lets the family download and then erase its data', async () => {
+            await seedAccount('family-privacy', { expiresInMs: 3600 * 1000 });
+            const token = tokenFor('family-privacy');
+            const client = server.createClient();
+
+            const accounts = await client.request(`/api/auth/privacy?token=${encodeURIComponent(token)}`);
+            assert.deepStrictEqual(accounts.body, { familyName: 'Privacy Family', accounts: [{ email: 'family-privacy@example.com', provider: 'google' }] });
+
+            const exported = await client.request(`/api/auth/privacy/export?token=${encodeURIComponent(token)}`);
+            assert.strictEqual(exported.status, 200);
+            assert.match(exported.headers.get('content-disposition'), /attachment/);
+            assert.strictEqual(exported.body.connections.length, 1);
+            assert.ok(!JSON.stringify(exported.body).includes('1//refresh-family-privacy'));
+
+            const erased = await client.request('/api/auth/privacy/erase', { method: 'POST', body: { token } });
+            assert.strictEqual(erased.status, 200);
+            assert.strictEqual(erased.body.erasure.accounts_deleted, 1);
+            assert.strictEqual(erased.body.erasure.grants_revoked, 1);
+            assert.ok(server.google.calls.revoked.includes('1//refresh-family-privacy'));
+            assert.strictEqual((await server.storage.getConnectionStatus('family-privacy')).connected, false);
+            assert.strictEqual((await server.rowsOf('family_erasures')).find(row => row.family_id === 'family-privacy').requested_by_type, 'family');
+
+            // The link dies with the data; a family that reconnects needs a new one
+            const again = await client.request('/api/auth/privacy/erase', { method: 'POST', body: { token } });
+            assert.strictEqual(again.status, 410);
+            assert.strictEqual(again.body.reason, 'erased');
+            assert.strictEqual((await client.request(`/privacy?token=${encodeURIComponent(token)}`)).status, 302);
+
+            await seedAccount('family-privacy', { expiresInMs: 3600 * 1000 });
+            const originalNow = Date.now;
+            Date.now = () => originalNow() + 1000;
+            try {
+                const fresh = await client.request(`/api/auth/privacy/export?token=${encodeURIComponent(tokenFor('family-privacy'))}`);
+                assert.strictEqual(fresh.status, 200);
+                assert.strictEqual(fresh.body.erasures.length, 1);
+            } finally {
+                Date.now = originalNow;
+            }
+        });
+
+        it('rejects expired and forged links', async () => {
+            const client = server.createClient();
+            const expired = tokenFor('family-privacy', { expiresInHours: 1 });
+
+            const originalNow = Date.now;
+            Date.now = () => originalNow() + 2 * 3600 * 1000;
+            try {
+                assert.strictEqual((await client.request(`/api/auth/privacy?token=${encodeURIComponent(expired)}`)).status, 403);
+            } finally {
+                Date.now = originalNow;
+            }
+
+            const forged = await client.request('/api/auth/privacy/erase', { method: 'POST', body: { token: `${expired.split('.')[0]}.forged` } });
+            assert.strictEqual(forged.status, 403);
+            assert.strictEqual((await client.request(`/api/auth/privacy?token=${encodeURIComponent(tokenFor('nobody'))}`)).body.accounts.length, 0);
+        });
+    });
+
+    describe('GET /api/auth/status', () => {
+        it('reports connected accounts without tokens', async () => {
+            await server.storage.upsertFamilyTokens({ familyId: 'family-status', email: 'parent@example.com', accessToken: 'a', refreshToken: 'r' });
+
+            const response = await server.createClient().request('/api/auth/status?familyId=family-status', { headers: apiKey });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.connected, true);
+            assert.strictEqual(response.body.accounts[0].email, 'parent@example.com');
+            assert.ok(!('access_token' in response.body.accounts[0]));
+        });
+
+        it('reports families that are not connected', async () => {
+            const response = await server.createClient().request('/api/auth/status?familyId=nobody', { headers: apiKey });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.connected, false);
+        });
+
+        it('requires a familyId and an API key', async () => {
+            assert.strictEqual((await server.createClient().request('/api/auth/status', { headers: apiKey })).status, 400);
+            assert.strictEqual((await server.createClient().request('/api/auth/status?familyId=family-status')).status, 401);
+        });
+    });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseCsv, toCsv } = require('../src/services/csv');
+
+describe('csv', () => {
+    it('parses quoted cells, escaped quotes and line breaks inside quotes', () => {
+        const records = parseCsv('\uFEFFfamily_id,family_name\r\nsmith01,"Smith, Jane ""J"""\r\n\r\njones02,"Jones\nFamily"\n');
+
+        assert.deepStrictEqual(records, [
+            { line: 1, cells: ['family_id', 'family_name'] },
+            { line: 2, cells: ['smith01', 'Smith, Jane "J"'] },
+            { line: 4, cells: ['jones02', 'Jones\nFamily'] }
+        ]);
+    });
+
+    it('rejects an unclosed quote', () => {
+        assert.throws(() => parseCsv('family_id\n"smith01\n'), /Unclosed quote in the record starting on line 2/);
+    });
+
+    it('round-trips what it writes', () => {
+        const rows = [{ family_id: 'smith01', family_name: 'Smith, "Jane"' }, { family_id: 'jones02', family_name: null }];
+        const records = parseCsv(toCsv(['family_id', 'family_name'], rows));
+
+        assert.deepStrictEqual(records.map(record => record.cells), [
+            ['family_id', 'family_name'],
+            ['smith01', 'Smith, "Jane"'],
+            ['jones02', '']
+        ]);
+    });
+});
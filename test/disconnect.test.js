@@ -0,0 +1,50 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('family disconnect links', () => {
+    let disconnect;
+
+    before(() => {
+        process.env.INVITE_SECRET = 'test-invite-secret';
+        process.env.BASE_URL = 'http://localhost:3000';
+
+        disconnect = require('../src/services/disconnect');
+    });
+
+    it('creates a link whose token verifies to the family', () => {
+        const { token, link, expiresAt } = disconnect.createDisconnectLink({ familyId: 'family1', familyName: 'Smith Family' });
+
+        assert.strictEqual(link, `http://localhost:3000/disconnect?token=${encodeURIComponent(token)}`);
+        assert.ok(new Date(expiresAt).getTime() > Date.now() + 6 * 24 * 60 * 60 * 1000);
+        assert.deepStrictEqual(disconnect.verifyDisconnectToken(token), { familyId: 'family1', familyName: 'Smith Family' });
+    });
+
+    it('rejects tampered and malformed tokens', () => {
+        const { token } = disconnect.createDisconnectLink({ familyId: 'family1' });
+        const [, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ familyId: 'family2', exp: Date.now() + 60000 })).toString('base64url');
+
+        for (const candidate of [`${forged}.${signature}`, 'not-a-token', undefined]) {
+            assert.throws(() => disconnect.verifyDisconnectToken(candidate), { reason: 'invalid' });
+        }
+    });
+
+    it('rejects tokens signed as something other than a disconnect link', () => {
+        const crypto = require('crypto');
+        const payload = Buffer.from(JSON.stringify({ familyId: 'family1', exp: Date.now() + 60000 })).toString('base64url');
+        const inviteStyleSignature = crypto.createHmac('sha256', 'test-invite-secret').update(payload).digest('base64url');
+
+        assert.throws(() => disconnect.verifyDisconnectToken(`${payload}.${inviteStyleSignature}`), { reason: 'invalid' });
+    });
+
+    it('rejects expired links', (t) => {
+        const { token } = disconnect.createDisconnectLink({ familyId: 'family1', expiresInHours: 1 });
+
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * 60 * 60 * 1000 });
+        try {
+            assert.throws(() => disconnect.verifyDisconnectToken(token), { reason: 'expired' });
+        } finally {
+            t.mock.timers.reset();
+        }
+    });
+});
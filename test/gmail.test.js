@@ -0,0 +1,78 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+const encode = text => Buffer.from(text, 'utf8').toString('base64url');
+
+describe('gmail proxy message parsing', () => {
+    let parseMessage;
+
+    before(() => {
+        ({ parseMessage } = require('../src/services/gmail'));
+    });
+
+    it('extracts headers, bodies and attachment metadata from nested parts', () => {
+        const parsed = parseMessage({
+            id: 'msg1',
+            threadId: 'thread1',
+            labelIds: ['INBOX', 'UNREAD'],
+            snippet: 'Field trip on Friday',
+            internalDate: '1704096000000',
+            payload: {
+                mimeType: 'multipart/mixed',
+                headers: [
+                    { name: 'From', value: 'Office <office@school.org>' },
+                    { name: 'Subject', value: 'Field trip' },
+                    { name: 'Received', value: 'first' },
+                    { name: 'Received', value: 'second' }
+                ],
+                parts: [
+                    {
+                        partId: '0',
+                        mimeType: 'multipart/alternative',
+                        parts: [
+                            { partId: '0.0', mimeType: 'text/plain', body: { data: encode('Please sign the form.') } },
+                            { partId: '0.1', mimeType: 'text/html', body: { data: encode('<p>Please sign the form.</p>') } }
+                        ]
+                    },
+                    {
+                        partId: '1',
+                        mimeType: 'application/pdf',
+                        filename: 'permission.pdf',
+                        body: { attachmentId: 'att1', size: 1234 }
+                    }
+                ]
+            }
+        });
+
+        assert.strictEqual(parsed.id, 'msg1');
+        assert.strictEqual(parsed.internalDate, '2024-01-01T08:00:00.000Z');
+        assert.strictEqual(parsed.headers.from, 'Office <office@school.org>');
+        assert.strictEqual(parsed.headers.subject, 'Field trip');
+        assert.strictEqual(parsed.headers.received, 'first');
+        assert.strictEqual(parsed.text, 'Please sign the form.');
+        assert.strictEqual(parsed.html, '<p>Please sign the form.</p>');
+        assert.deepStrictEqual(parsed.attachments, [{
+            attachmentId: 'att1',
+            partId: '1',
+            filename: 'permission.pdf',
+            mimeType: 'application/pdf',
+            size: 1234
+        }]);
+    });
+
+    it('handles a single-part message', () => {
+        const parsed = parseMessage({
+            id: 'msg2',
+            payload: {
+                mimeType: 'text/plain',
+                headers: [{ name: 'Subject', value: 'Hello' }],
+                body: { data: encode('Just text') }
+            }
+        });
+
+        assert.strictEqual(parsed.text, 'Just text');
+        assert.strictEqual(parsed.html, '');
+        assert.deepStrictEqual(parsed.attachments, []);
+        assert.deepStrictEqual(parsed.labelIds, []);
+    });
+});
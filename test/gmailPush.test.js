@@ -0,0 +1,68 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const pushNotification = require('./fixtures/gmail-push-notification.json');
+const historyList = require('./fixtures/gmail-history-list.json');
+
+describe('gmail push notifications', () => {
+    let gmailPush;
+
+    before(() => {
+        gmailPush = require('../src/services/gmailPush');
+    });
+
+    afterEach(() => {
+        delete process.env.GMAIL_PUSH_VERIFICATION_TOKEN;
+        delete process.env.GMAIL_PUSH_AUDIENCE;
+    });
+
+    it('decodes the Gmail notification from a Pub/Sub push body', () => {
+        assert.deepStrictEqual(gmailPush.decodePushMessage(pushNotification), {
+            emailAddress: 'parent@gmail.com',
+            historyId: '9876543',
+            messageId: '2070443601311540'
+        });
+    });
+
+    it('rejects push bodies that are not Gmail notifications', () => {
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64');
+
+        for (const body of [
+            {},
+            { message: {} },
+            { message: { data: Buffer.from('not json').toString('base64') } },
+            { message: { data: encode({ emailAddress: 'parent@gmail.com' }) } },
+            { message: { data: encode({ emailAddress: 'parent@gmail.com', historyId: 'abc' }) } }
+        ]) {
+            assert.throws(() => gmailPush.decodePushMessage(body), error => {
+                assert.ok(error instanceof gmailPush.GmailPushError);
+                assert.strictEqual(error.reason, 'invalid_payload');
+                return true;
+            });
+        }
+    });
+
+    it('extracts unique added message IDs in the watched labels', () => {
+        assert.deepStrictEqual(gmailPush.extractAddedMessageIds(historyList.history, ['INBOX']), ['m1', 'm3']);
+        assert.deepStrictEqual(gmailPush.extractAddedMessageIds(historyList.history), ['m1', 'm2', 'm3']);
+        assert.deepStrictEqual(gmailPush.extractAddedMessageIds(undefined), []);
+    });
+
+    it('accepts a push with the shared verification token', async () => {
+        process.env.GMAIL_PUSH_VERIFICATION_TOKEN = 'push-secret';
+
+        await gmailPush.verifyPushRequest({ token: 'push-secret' });
+        await assert.rejects(gmailPush.verifyPushRequest({ token: 'push-secreT' }), { reason: 'unauthorized' });
+        await assert.rejects(gmailPush.verifyPushRequest({}), { reason: 'unauthorized' });
+    });
+
+    it('requires a bearer token when OIDC verification is configured', async () => {
+        process.env.GMAIL_PUSH_AUDIENCE = 'https://connect.example.com/api/gmail/push';
+
+        await assert.rejects(gmailPush.verifyPushRequest({ authorization: 'Basic abc' }), { reason: 'unauthorized' });
+    });
+
+    it('refuses push requests when no verification is configured', async () => {
+        await assert.rejects(gmailPush.verifyPushRequest({ token: 'anything' }), { reason: 'not_configured' });
+    });
+});
@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startTestServer, TEST_ENV } = require('./helpers/testServer');
+
+describe('health checks', () => {
+    let server;
+    let readKey;
+
+    before(async () => {
+        server = await startTestServer();
+        ({ key: readKey } = await require('../src/services/apiKeys').createApiKey({ name: 'monitor', scopes: ['admin-read'] }));
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    const ready = () => server.createClient().request('/admin/health', { headers: { 'x-api-key': readKey } });
+
+    /**
+     * Run a request with the clock moved past the cached result of a failing Google self-test
+     * @param {Function} fn - Makes the request
+     * @returns {Promise<*>} Its result
+     */
+    async function afterFailureExpires(fn) {
+        const now = Date.now;
+        Date.now = () => now() + 61 * 1000;
+
+        try {
+            return await fn();
+        } finally {
+            Date.now = now;
+        }
+    }
+
+    it('reports the package version on /health', async () => {
+        const response = await server.createClient().request('/health');
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.version, require('../package.json').version);
+    });
+
+    it('is not ready when Google rejects the redirect URI', async () => {
+        server.google.failSelfTest('redirect_uri_mismatch');
+
+        try {
+            const response = await ready();
+
+            assert.strictEqual(response.status, 503);
+            assert.strictEqual(response.body.status, 'not_ready');
+            assert.strictEqual(response.body.checks.google.status, 'error');
+            assert.strictEqual(response.body.checks.google.problem, 'redirect_uri_mismatch');
+            assert.strictEqual(response.body.checks.google.redirect_uri, `${TEST_ENV.BASE_URL}/api/auth/callback`);
+
+            // The failure is cached too, for a shorter time
+            const selfTests = server.google.calls.selfTest;
+            const status = await server.createClient().request('/health/ready');
+            assert.strictEqual(status.status, 503);
+            assert.strictEqual(status.body.checks, undefined);
+            assert.strictEqual(server.google.calls.selfTest, selfTests);
+        } finally {
+            server.google.failSelfTest(null);
+        }
+    });
+
+    it('is ready when storage and Google work, and caches the Google self-test', async () => {
+        const first = await afterFailureExpires(ready);
+        const selfTests = server.google.calls.selfTest;
+        const second = await ready();
+
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.status, 'ready');
+        assert.deepStrictEqual(
+            Object.fromEntries(Object.entries(first.body.checks).map(([name, check]) => [name, check.status])),
+            { config: 'ok', storage: 'ok', google: 'ok', connections: 'ok' }
+        );
+        assert.strictEqual(second.body.checks.google.cached, true);
+        assert.strictEqual(server.google.calls.selfTest, selfTests);
+    });
+
+    it('is degraded when many connections are in an error state', async () => {
+        for (const familyId of ['health-active', 'health-revoked']) {
+            await server.storage.upsertFamilyTokens({
+                familyId,
+                email: `${familyId}@example.com`,
+                accessToken: 'access',
+                refreshToken: 'refresh',
+                tokenExpiry: new Date(Date.now() + 3600 * 1000)
+            });
+        }
+        const revoked = await server.storage.getFamilyTokens('health-revoked');
+        await server.storage.recordRefreshFailure(revoked.id, { status: 'needs_reconnect', error: 'invalid_grant' });
+
+        const response = await ready();
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.status, 'degraded');
+        assert.strictEqual(response.body.checks.connections.status, 'warn');
+        assert.strictEqual(response.body.checks.connections.total, 2);
+        assert.strictEqual(response.body.checks.connections.in_error, 1);
+        assert.strictEqual(response.body.checks.connections.error_ratio, 0.5);
+    });
+
+    it('shows only the status without authentication', async () => {
+        const response = await server.createClient().request('/health/ready');
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(Object.keys(response.body).sort(), ['status', 'timestamp', 'version']);
+        assert.strictEqual(response.body.status, 'degraded');
+
+        assert.strictEqual((await server.createClient().request('/admin/health')).status, 401);
+    });
+});
+
+describe('configuration validation', () => {
+    const { validateConfig } = require('../src/services/config');
+
+    /**
+     * Validate with some variables changed
+     * @param {Object} overrides - Variables to set; undefined removes one
+     * @returns {Object} Problems by variable
+     */
+    function validateWith(overrides) {
+        const saved = { ...process.env };
+        Object.assign(process.env, TEST_ENV);
+
+        for (const [name, value] of Object.entries(overrides)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+
+        try {
+            return Object.fromEntries(validateConfig().map(({ variable, problem }) => [variable, problem]));
+        } finally {
+            process.env = saved;
+        }
+    }
+
+    it('accepts a complete configuration', () => {
+        assert.deepStrictEqual(validateWith({}), {});
+    });
+
+    it('reports missing and malformed variables together', () => {
+        const problems = validateWith({
+            GOOGLE_CLIENT_SECRET: undefined,
+            BASE_URL: 'https://example.com/',
+            GOOGLE_CLIENT_ID: 'not-a-client-id',
+            TOKEN_ENCRYPTION_KEYS: '1:tooshort',
+            INVITE_SECRET: 'short',
+            PORT: 'eighty',
+            STORAGE_BACKEND: 'postgres',
+            MICROSOFT_CLIENT_ID: 'abc'
+        });
+
+        assert.deepStrictEqual(Object.keys(problems).sort(), [
+            'BASE_URL', 'DATABASE_URL', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'INVITE_SECRET',
+            'MICROSOFT_CLIENT_SECRET', 'PORT', 'TOKEN_ENCRYPTION_KEYS'
+        ]);
+        assert.strictEqual(problems.GOOGLE_CLIENT_SECRET, 'is required');
+        assert.match(problems.TOKEN_ENCRYPTION_KEYS, /32 bytes/);
+    });
+
+    it('requires the Supabase settings only for the supabase backend', () => {
+        assert.deepStrictEqual(validateWith({ STORAGE_BACKEND: 'sqlite' }), {});
+
+        const problems = validateWith({ STORAGE_BACKEND: 'supabase', SUPABASE_URL: 'not-a-url', SUPABASE_SERVICE_KEY: undefined });
+        assert.match(problems.SUPABASE_URL, /http/);
+        assert.strictEqual(problems.SUPABASE_SERVICE_KEY, 'is required when STORAGE_BACKEND is supabase');
+    });
+
+    it('requires https for BASE_URL in production', () => {
+        assert.match(validateWith({ NODE_ENV: 'production', BASE_URL: 'http://example.com' }).BASE_URL, /https/);
+        assert.deepStrictEqual(validateWith({ NODE_ENV: 'production', BASE_URL: 'http://localhost:3000' }), {});
+    });
+});
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+
+// Column defaults from supabase/migrations, applied on insert
+const TABLE_DEFAULTS = {
+    family_invites: { max_uses: 1, use_count: 0, last_used_at: null, revoked_at: null, contact_email: null, scope_profile: null },
+    webhook_deliveries: { status: 'pending', attempts: 0, last_status_code: null, last_error: null },
+    webhook_delivery_attempts: { manual: false },
+    audit_log: { details: {} },
+    reconnect_reminders: { account_id: null, invite_id: null, sent_by: null, error: null },
+    api_keys: { scopes: [], family_ids: null, expires_at: null, last_used_at: null, revoked_at: null },
+    admin_users: { role: 'support', failed_login_count: 0, locked_until: null, last_login_at: null, disabled_at: null },
+    admin_sessions: { last_seen_at: null, revoked_at: null }
+};
+
+// Unique columns, which make inserts fail with 23505 like Postgres
+const UNIQUE_COLUMNS = {
+    api_keys: ['key_prefix'],
+    admin_users: ['username'],
+    admin_sessions: ['token_hash'],
+    oauth_state_nonces: ['nonce']
+};
+
+/**
+ * Compare two column values the way Postgres orders them (nulls last)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Create an in-memory stand-in for the Supabase client
+ * Supports the subset of the PostgREST query builder the services use, and
+ * returns { data, error, count } like supabase-js instead of throwing.
+ * @param {Object} options - Options
+ * @param {Object} options.functions - Handlers for rpc() calls, by function name
+ * @returns {Object} The client, with its rows in `tables`
+ */
+function createFakeSupabase({ functions = {} } = {}) {
+    const tables = {};
+    const rowsOf = table => (tables[table] = tables[table] || []);
+
+    /**
+     * Project a row onto a select list
+     * @param {Object} row - The row
+     * @param {string} columns - The select list, e.g. "*" or "id,username"
+     * @returns {Object} The selected columns
+     */
+    function project(row, columns) {
+        const result = {};
+
+        for (const item of (columns || '*').split(',').map(column => column.trim())) {
+            if (item === '*') {
+                Object.assign(result, row);
+            } else {
+                result[item] = row[item] === undefined ? null : row[item];
+            }
+        }
+
+        return result;
+    }
+
+    class Query {
+        constructor(table) {
+            this.table = table;
+            this.operation = 'select';
+            this.filters = [];
+            this.orders = [];
+            this.columns = '*';
+            this.returning = false;
+        }
+
+        select(columns = '*', { count, head = false } = {}) {
+            if (this.operation === 'select') {
+                this.count = count;
+                this.head = head;
+            } else {
+                this.returning = true;
+            }
+            this.columns = columns;
+            return this;
+        }
+
+        insert(values) {
+            this.operation = 'insert';
+            this.values = Array.isArray(values) ? values : [values];
+            return this;
+        }
+
+        upsert(values, { onConflict = 'id' } = {}) {
+            this.operation = 'upsert';
+            this.values = Array.isArray(values) ? values : [values];
+            this.conflictColumns = onConflict.split(',').map(column => column.trim());
+            return this;
+        }
+
+        update(changes) {
+            this.operation = 'update';
+            this.changes = changes;
+            return this;
+        }
+
+        delete() {
+            this.operation = 'delete';
+            return this;
+        }
+
+        eq(column, value) { return this.where(row => compareValues(row[column], value) === 0); }
+        neq(column, value) { return this.where(row => compareValues(row[column], value) !== 0); }
+        is(column, value) { return this.where(row => (row[column] === undefined ? null : row[column]) === value); }
+        gt(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) > 0); }
+        gte(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) >= 0); }
+        lt(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) < 0); }
+        lte(column, value) { return this.where(row => row[column] != null && compareValues(row[column], value) <= 0); }
+        in(column, values) { return this.where(row => values.includes(row[column])); }
+
+        not(column, operator, value) {
+            if (operator !== 'is') {
+                throw new Error(`Fake Supabase does not support not.${operator}`);
+            }
+            return this.where(row => (row[column] === undefined ? null : row[column]) !== value);
+        }
+
+        ilike(column, pattern) {
+            const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+            const regex = new RegExp(`^${escaped}$`, 'i');
+            return this.where(row => row[column] != null && regex.test(String(row[column])));
+        }
+
+        where(predicate) {
+            this.filters.push(predicate);
+            return this;
+        }
+
+        order(column, { ascending = true } = {}) {
+            this.orders.push({ column, ascending });
+            return this;
+        }
+
+        limit(count) {
+            this.rangeTo = count;
+            this.rangeFrom = 0;
+            return this;
+        }
+
+        range(from, to) {
+            this.rangeFrom = from;
+            this.rangeTo = to + 1;
+            return this;
+        }
+
+        single() {
+            this.singleMode = 'single';
+            return this;
+        }
+
+        maybeSingle() {
+            this.singleMode = 'maybe';
+            return this;
+        }
+
+        then(resolve, reject) {
+            return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+        }
+
+        matching() {
+            return rowsOf(this.table).filter(row => this.filters.every(predicate => predicate(row)));
+        }
+
+        run() {
+            const rows = rowsOf(this.table);
+            const now = new Date().toISOString();
+
+            if (this.operation === 'insert') {
+                const inserted = [];
+
+                for (const value of this.values) {
+                    const row = { id: crypto.randomUUID(), ...TABLE_DEFAULTS[this.table], created_at: now, ...structuredClone(value) };
+                    const conflict = (UNIQUE_COLUMNS[this.table] || [])
+                        .find(column => [...rows, ...inserted].some(existing => existing[column] === row[column]));
+
+                    if (conflict) {
+                        return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${conflict}` } };
+                    }
+                    inserted.push(row);
+                }
+
+                rows.push(...inserted);
+                return { rows: inserted };
+            }
+
+            if (this.operation === 'upsert') {
+                const upserted = [];
+
+                for (const value of this.values) {
+                    let row = rows.find(existing => this.conflictColumns.every(column => existing[column] === value[column]));
+
+                    if (row) {
+                        Object.assign(row, structuredClone(value));
+                    } else {
+                        row = { id: crypto.randomUUID(), ...TABLE_DEFAULTS[this.table], created_at: now, ...structuredClone(value) };
+                        rows.push(row);
+                    }
+                    upserted.push(row);
+                }
+
+                return { rows: upserted };
+            }
+
+            if (this.operation === 'update') {
+                const updated = this.matching();
+                updated.forEach(row => Object.assign(row, structuredClone(this.changes)));
+                return { rows: updated };
+            }
+
+            if (this.operation === 'delete') {
+                const deleted = this.matching();
+                tables[this.table] = rows.filter(row => !deleted.includes(row));
+                return { rows: deleted };
+            }
+
+            let selected = this.matching();
+
+            for (const { column, ascending } of [...this.orders].reverse()) {
+                selected = [...selected].sort((a, b) => compareValues(a[column], b[column]) * (ascending ? 1 : -1));
+            }
+
+            const count = selected.length;
+
+            if (this.rangeTo !== undefined) {
+                selected = selected.slice(this.rangeFrom, this.rangeTo);
+            }
+
+            return { rows: this.head ? [] : selected, count };
+        }
+
+        execute() {
+            const { rows, count, data, error } = this.run();
+
+            if (error) {
+                return { data, error, count: null };
+            }
+
+            const returned = this.operation === 'select' || this.returning;
+            let result = returned ? rows.map(row => structuredClone(project(row, this.columns))) : null;
+
+            if (this.singleMode && returned) {
+                if (result.length > 1 || (result.length === 0 && this.singleMode === 'single')) {
+                    return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, count: null };
+                }
+                result = result[0] || null;
+            }
+
+            return { data: this.head ? null : result, error: null, count: this.count ? count : null };
+        }
+    }
+
+    return {
+        tables,
+        rowsOf,
+
+        from(table) {
+            return new Query(table);
+        },
+
+        async rpc(name, args) {
+            if (!functions[name]) {
+                return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+            }
+            return { data: await functions[name](args, rowsOf), error: null };
+        }
+    };
+}
+
+module.exports = {
+    createFakeSupabase
+};
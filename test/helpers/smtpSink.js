@@ -0,0 +1,112 @@
+const net = require('net');
+const { once } = require('events');
+
+/**
+ * Decode a quoted-printable message so tests can match long lines such as links
+ * @param {string} raw - The raw message
+ * @returns {string} The decoded message
+ */
+function decodeQuotedPrintable(raw) {
+    return raw
+        .replace(/=\r\n/g, '')
+        .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Start a local SMTP server that accepts every message and keeps it in memory
+ * It speaks just enough SMTP for nodemailer: no TLS and no authentication.
+ * @returns {Promise<Object>} port, messages, rejectRecipient(address) and close()
+ */
+async function startSmtpSink() {
+    const messages = [];
+    const rejected = new Set();
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let inData = false;
+
+        const reply = line => socket.write(`${line}\r\n`);
+
+        socket.setEncoding('utf8');
+        reply('220 localhost smtp-sink');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+
+            while (buffer.length > 0) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+
+                    const raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+
+                    const subject = (raw.match(/^Subject: (.*)$/m) || [])[1];
+                    messages.push({ ...envelope, subject, raw, body: decodeQuotedPrintable(raw) });
+                    envelope = { from: null, to: [] };
+                    reply('250 OK: queued');
+                    continue;
+                }
+
+                const newline = buffer.indexOf('\r\n');
+                if (newline === -1) return;
+
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                const command = line.slice(0, 4).toUpperCase();
+
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.match(/<(.*)>/)[1];
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    const address = line.match(/<(.*)>/)[1];
+                    if (rejected.has(address)) {
+                        reply('550 Mailbox unavailable');
+                    } else {
+                        envelope.to.push(address);
+                        reply('250 OK');
+                    }
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+
+        socket.on('error', () => {});
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+        port: server.address().port,
+        messages,
+
+        /**
+         * Refuse mail for an address, to simulate a delivery failure
+         * @param {string} address - The recipient to reject
+         */
+        rejectRecipient(address) {
+            rejected.add(address);
+        },
+
+        async close() {
+            server.close();
+            await once(server, 'close');
+        }
+    };
+}
+
+module.exports = {
+    startSmtpSink
+};
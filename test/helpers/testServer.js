@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { once } = require('events');
+
+// Configuration the app needs, with no real Google or database behind it
+const TEST_ENV = {
+    NODE_ENV: 'test',
+    BASE_URL: 'http://localhost:3000',
+    GOOGLE_CLIENT_ID: 'test-client-id.apps.googleusercontent.com',
+    GOOGLE_CLIENT_SECRET: 'test-client-secret',
+    OAUTH_STATE_SECRET: 'test-oauth-state-secret',
+    INVITE_SECRET: 'test-invite-secret',
+    API_SECRET_KEY: 'test-api-key',
+    ALLOW_LEGACY_API_KEY: 'true',
+    WEBHOOK_SECRET: 'test-webhook-secret',
+    STORAGE_BACKEND: 'sqlite',
+    TOKEN_ENCRYPTION_KEYS: `1:${crypto.randomBytes(32).toString('base64')}`
+};
+
+// Scopes the fake Google grants unless told otherwise
+const GRANTED_SCOPES = 'https://www.googleapis.com/auth/gmail.readonly https://www.googleapis.com/auth/gmail.labels https://www.googleapis.com/auth/gmail.modify';
+
+/**
+ * Build the error googleapis throws when Google rejects a refresh token
+ * @returns {Error} An invalid_grant error
+ */
+function invalidGrantError() {
+    const error = new Error('invalid_grant');
+    error.response = { status: 400, data: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } };
+    return error;
+}
+
+/**
+ * Replace Google's token and userinfo endpoints with an in-memory fake
+ * The auth URL is still built by googleapis, which needs no network.
+ * @returns {Object} Controls for the fake Google
+ */
+function stubGoogle() {
+    const provider = require('../../src/services/providers').getProvider('google');
+    const original = { ...provider };
+
+    const codes = new Map();
+    const accessTokens = new Map();
+    const refreshTokens = new Map();
+    const calls = { exchange: 0, refresh: 0, revoked: [], selfTest: 0 };
+    let configurationProblem = null;
+
+    const issue = (email, refreshToken, scope) => {
+        const accessToken = `ya29.${crypto.randomBytes(12).toString('hex')}`;
+        accessTokens.set(accessToken, email);
+        return { access_token: accessToken, refresh_token: refreshToken, scope, expiry_date: Date.now() + 3600 * 1000 };
+    };
+
+    provider.exchangeCodeForTokens = async code => {
+        calls.exchange++;
+        const grant = codes.get(code);
+        codes.delete(code);
+
+        if (!grant) {
+            throw invalidGrantError();
+        }
+
+        const refreshToken = grant.withRefreshToken ? `1//${crypto.randomBytes(12).toString('hex')}` : undefined;
+        if (refreshToken) {
+            refreshTokens.set(refreshToken, { email: grant.email, scope: grant.scope });
+        }
+        return issue(grant.email, refreshToken, grant.scope);
+    };
+
+    provider.getUserEmail = async accessToken => {
+        if (!accessTokens.has(accessToken)) {
+            throw new Error('Request had invalid authentication credentials');
+        }
+        return accessTokens.get(accessToken);
+    };
+
+    provider.refreshAccessToken = async refreshToken => {
+        calls.refresh++;
+
+        if (!refreshTokens.has(refreshToken)) {
+            throw invalidGrantError();
+        }
+        const { email, scope } = refreshTokens.get(refreshToken);
+        return issue(email, refreshToken, scope);
+    };
+
+    provider.revokeToken = async token => {
+        calls.revoked.push(token);
+        refreshTokens.delete(token);
+        return true;
+    };
+
+    provider.checkConfiguration = async () => {
+        calls.selfTest++;
+        const redirectUri = `${process.env.BASE_URL}/api/auth/callback`;
+        return configurationProblem
+            ? { ok: false, redirectUri, problem: configurationProblem, message: `Self-test failed: ${configurationProblem}` }
+            : { ok: true, redirectUri };
+    };
+
+    return {
+        calls,
+
+        /**
+         * Simulate the user consenting on Google's screen
+         * @param {string} email - The Google account
+         * @param {Object} options - Grant options
+         * @param {boolean} options.withRefreshToken - Whether Google returns a refresh token
+         * @param {string} options.scope - Space-separated scopes Google says it granted
+         * @returns {string} The authorization code Google redirects back with
+         */
+        authorize(email, { withRefreshToken = true, scope = GRANTED_SCOPES } = {}) {
+            const code = `4/${crypto.randomBytes(12).toString('hex')}`;
+            codes.set(code, { email, withRefreshToken, scope });
+            return code;
+        },
+
+        /**
+         * Register a refresh token Google will accept
+         * @param {string} refreshToken - The refresh token
+         * @param {string} email - The Google account it belongs to
+         * @param {string} scope - Space-separated scopes it was granted
+         */
+        grant(refreshToken, email, scope = GRANTED_SCOPES) {
+            refreshTokens.set(refreshToken, { email, scope });
+        },
+
+        /**
+         * Make the OAuth client self-test fail, as Google would for a misconfigured client
+         * @param {string|null} problem - e.g. redirect_uri_mismatch, or null to pass again
+         */
+        failSelfTest(problem) {
+            configurationProblem = problem;
+        },
+
+        restore() {
+            Object.assign(provider, original);
+        }
+    };
+}
+
+/**
+ * Create an HTTP client that keeps cookies between requests, like a browser
+ * Redirects are returned rather than followed.
+ * @param {string} baseUrl - The server URL
+ * @returns {Object} The client
+ */
+function createClient(baseUrl) {
+    const cookies = new Map();
+
+    /**
+     * Send a request
+     * @param {string} path - Path and query string
+     * @param {Object} options - Request options
+     * @param {string} options.method - HTTP method
+     * @param {Object} options.body - JSON body
+     * @param {Object} options.headers - Extra headers
+     * @returns {Promise<Object>} status, headers, location and the parsed body
+     */
+    async function request(path, { method = 'GET', body, headers = {} } = {}) {
+        const init = { method, redirect: 'manual', headers: { ...headers } };
+
+        if (cookies.size > 0) {
+            init.headers.cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        if (body !== undefined) {
+            init.headers['content-type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`${baseUrl}${path}`, init);
+
+        for (const header of response.headers.getSetCookie()) {
+            const [pair] = header.split(';');
+            const name = pair.slice(0, pair.indexOf('='));
+            const value = pair.slice(pair.indexOf('=') + 1);
+
+            if (!value || /expires=Thu, 01 Jan 1970/i.test(header)) {
+                cookies.delete(name);
+            } else {
+                cookies.set(name, value);
+            }
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            location: response.headers.get('location'),
+            body: contentType.includes('application/json') ? await response.json() : await response.text()
+        };
+    }
+
+    return { request, cookies };
+}
+
+/**
+ * Boot the app from src/index.js on a random port with fake Google and in-memory storage
+ * Every table lives in an in-memory SQLite database. Background jobs are not started.
+ * @returns {Promise<Object>} The server URL, the fakes, table helpers, a client factory and close()
+ */
+async function startTestServer() {
+    Object.assign(process.env, TEST_ENV);
+
+    const storage = require('../../src/services/storage');
+    const { createSqliteAdapter } = require('../../src/services/storage/sqliteAdapter');
+
+    const adapter = createSqliteAdapter({ filename: ':memory:' });
+    storage.setStorage(adapter);
+
+    const google = stubGoogle();
+    const { app } = require('../../src/index');
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        storage,
+        google,
+        createClient: () => createClient(baseUrl),
+
+        /**
+         * Read every row of a table, oldest first
+         * @param {string} table - Table name
+         * @returns {Promise<Array<Object>>} The rows
+         */
+        rowsOf: table => adapter.selectRows(table),
+
+        /**
+         * Insert a row, with the table's defaults
+         * @param {string} table - Table name
+         * @param {Object} row - Column values
+         * @returns {Promise<Object>} The inserted row
+         */
+        insertRow: async (table, row) => (await adapter.insertRows(table, [row]))[0],
+
+        async close() {
+            server.close();
+            server.closeAllConnections();
+            await once(server, 'close');
+            await storage.closeStorage();
+            google.restore();
+        }
+    };
+}
+
+module.exports = {
+    startTestServer,
+    TEST_ENV
+};
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { redact, formatLogLine, runWithContext } = require('../src/services/logger');
+
+describe('structured logging', () => {
+    it('redacts tokens and secrets from messages and fields', () => {
+        const line = JSON.parse(formatLogLine('info', 'Refreshed ya29.a0AfB_secret with 1//0gRefresh-token via /callback?code=4/0Abc&state=xyz', {
+            component: 'Google',
+            refresh_token: '1//0gRefresh-token',
+            headers: { Authorization: 'Bearer ya29.a0AfB_secret', 'x-api-key': 'fak_ABCDEF_secretpart' },
+            note: 'key fak_ABCDEF_secretpart used'
+        }));
+
+        assert.strictEqual(line.component, 'Google');
+        assert.strictEqual(line.message, 'Refreshed [REDACTED] with [REDACTED] via /callback?code=[REDACTED]&state=[REDACTED]');
+        assert.strictEqual(line.refresh_token, '[REDACTED]');
+        assert.deepStrictEqual(line.headers, { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]' });
+        assert.strictEqual(line.note, 'key fak_ABCDEF_[REDACTED] used');
+    });
+
+    it('logs only safe fields of errors, dropping request config and response bodies', () => {
+        const error = new Error('invalid_grant');
+        error.config = { headers: { Authorization: 'Bearer ya29.secret' }, data: 'refresh_token=1//secret' };
+        error.response = { status: 400, data: { access_token: 'ya29.secret' } };
+
+        const line = JSON.parse(formatLogLine('error', 'Refresh failed', { error }));
+
+        assert.strictEqual(line.error.message, 'invalid_grant');
+        assert.strictEqual(line.error.status, 400);
+        assert.strictEqual(line.error.config, undefined);
+        assert.ok(!JSON.stringify(line).includes('secret'));
+    });
+
+    it('adds the correlation ID of the current request', async () => {
+        const line = await runWithContext({ requestId: 'req-123' }, async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            return JSON.parse(formatLogLine('info', 'inside a request'));
+        });
+
+        assert.strictEqual(line.request_id, 'req-123');
+        assert.strictEqual(JSON.parse(formatLogLine('info', 'outside')).request_id, undefined);
+    });
+
+    it('keeps only the domain of email addresses', () => {
+        const line = JSON.parse(formatLogLine('info', 'Stored tokens for parent.one+school@gmail.com (family: family-1)', {
+            recipient: 'Parent <parent@mail.example.org>'
+        }));
+
+        assert.strictEqual(line.message, 'Stored tokens for [REDACTED]@gmail.com (family: family-1)');
+        assert.strictEqual(line.recipient, 'Parent <[REDACTED]@mail.example.org>');
+    });
+
+    it('leaves ordinary values alone', () => {
+        assert.deepStrictEqual(redact({ family_id: 'family-1', count: 3, tokens: null }), { family_id: 'family-1', count: 3, tokens: null });
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startTestServer, TEST_ENV } = require('./helpers/testServer');
+
+describe('metrics and request IDs', () => {
+    let server;
+    let metricsKey;
+
+    before(async () => {
+        server = await startTestServer();
+
+        ({ key: metricsKey } = await require('../src/services/apiKeys').createApiKey({ name: 'prometheus', scopes: ['metrics'] }));
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    /**
+     * Scrape /metrics with the metrics key
+     * @returns {Promise<string>} The Prometheus text output
+     */
+    async function scrape() {
+        const response = await server.createClient().request('/metrics', { headers: { authorization: `Bearer ${metricsKey}` } });
+        assert.strictEqual(response.status, 200);
+        return response.body;
+    }
+
+    /**
+     * Read a sample from the Prometheus text output
+     * @param {string} text - Scraped metrics
+     * @param {string} series - Metric name with labels, as printed
+     * @returns {number} The value, or 0 if the series is absent
+     */
+    function sample(text, series) {
+        const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+        return line ? Number(line.slice(series.length + 1)) : 0;
+    }
+
+    const refresh = familyId => server.createClient().request('/api/auth/refresh', {
+        method: 'POST',
+        body: { family_id: familyId },
+        headers: { 'x-api-key': TEST_ENV.API_SECRET_KEY }
+    });
+
+    it('requires an API key with the metrics scope', async () => {
+        const anonymous = await server.createClient().request('/metrics');
+        assert.strictEqual(anonymous.status, 401);
+
+        const { key } = await require('../src/services/apiKeys').createApiKey({ name: 'refresh only', scopes: ['refresh'] });
+        const wrongScope = await server.createClient().request('/metrics', { headers: { 'x-api-key': key } });
+        assert.strictEqual(wrongScope.status, 403);
+    });
+
+    it('reports requests, refresh outcomes, callbacks and connections', async () => {
+        server.google.grant('1//refresh-metrics-expiring', 'expiring@example.com');
+        await server.storage.upsertFamilyTokens({
+            familyId: 'metrics-valid',
+            email: 'valid@example.com',
+            accessToken: 'access',
+            refreshToken: '1//refresh-metrics-valid',
+            tokenExpiry: new Date(Date.now() + 3600 * 1000)
+        });
+        await server.storage.upsertFamilyTokens({
+            familyId: 'metrics-expiring',
+            email: 'expiring@example.com',
+            accessToken: 'access',
+            refreshToken: '1//refresh-metrics-expiring',
+            tokenExpiry: new Date(Date.now() - 60 * 1000)
+        });
+        await server.storage.upsertFamilyTokens({
+            familyId: 'metrics-revoked',
+            email: 'revoked@example.com',
+            accessToken: 'access',
+            refreshToken: '1//refresh-metrics-revoked',
+            tokenExpiry: new Date(Date.now() - 60 * 1000)
+        });
+
+        assert.strictEqual((await refresh('metrics-valid')).status, 200);
+        assert.strictEqual((await refresh('metrics-expiring')).status, 200);
+        assert.strictEqual((await refresh('metrics-revoked')).status, 401);
+        await server.createClient().request('/api/auth/callback?code=abc&state=forged');
+
+        const text = await scrape();
+
+        assert.strictEqual(sample(text, 'token_refreshes_total{provider="google",outcome="cached"}'), 1);
+        assert.strictEqual(sample(text, 'token_refreshes_total{provider="google",outcome="refreshed"}'), 1);
+        assert.strictEqual(sample(text, 'token_refreshes_total{provider="google",outcome="invalid_grant"}'), 1);
+        assert.strictEqual(sample(text, 'oauth_callbacks_total{provider="unknown",outcome="invalid_state"}'), 1);
+        assert.strictEqual(sample(text, 'http_requests_total{method="POST",route="/api/auth/refresh",status="200"}'), 2);
+        assert.strictEqual(sample(text, 'http_request_duration_seconds_count{method="POST",route="/api/auth/refresh",status="401"}'), 1);
+        assert.strictEqual(sample(text, 'connections{status="active"}'), 2);
+        assert.strictEqual(sample(text, 'connections{status="needs_reconnect"}'), 1);
+    });
+
+    it('labels unknown paths without the path itself', async () => {
+        await server.createClient().request('/no/such/family-secret-path');
+
+        const text = await scrape();
+
+        assert.strictEqual(sample(text, 'http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+        assert.ok(!text.includes('family-secret-path'));
+    });
+
+    it('returns a correlation ID, reusing a valid incoming one', async () => {
+        const generated = await server.createClient().request('/health');
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const forwarded = await server.createClient().request('/health', { headers: { 'x-request-id': 'n8n-run-42' } });
+        assert.strictEqual(forwarded.headers.get('x-request-id'), 'n8n-run-42');
+
+        const invalid = await server.createClient().request('/health', { headers: { 'x-request-id': 'bad id with spaces' } });
+        assert.notStrictEqual(invalid.headers.get('x-request-id'), 'bad id with spaces');
+    });
+});
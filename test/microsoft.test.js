@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+/**
+ * Local stand-in for the Microsoft identity platform token endpoint and Graph /me
+ */
+function startStandInServer() {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: new URLSearchParams(body) });
+            res.setHeader('Content-Type', 'application/json');
+
+            if (req.method === 'POST' && req.url === '/common/oauth2/v2.0/token') {
+                const params = new URLSearchParams(body);
+
+                if (params.get('grant_type') === 'authorization_code' && params.get('code') === 'good-code') {
+                    return res.end(JSON.stringify({
+                        access_token: 'ms-access-1',
+                        refresh_token: 'ms-refresh-1',
+                        expires_in: 3600,
+                        token_type: 'Bearer',
+                        scope: 'Mail.ReadWrite User.Read'
+                    }));
+                }
+
+                if (params.get('grant_type') === 'refresh_token' && params.get('refresh_token') === 'ms-refresh-1') {
+                    return res.end(JSON.stringify({
+                        access_token: 'ms-access-2',
+                        refresh_token: 'ms-refresh-2',
+                        expires_in: 3600,
+                        token_type: 'Bearer'
+                    }));
+                }
+
+                res.statusCode = 400;
+                return res.end(JSON.stringify({
+                    error: 'invalid_grant',
+                    error_description: 'AADSTS70000: The provided grant is invalid or expired.'
+                }));
+            }
+
+            if (req.method === 'GET' && req.url.startsWith('/v1.0/me')) {
+                if (req.headers.authorization !== 'Bearer ms-access-1') {
+                    res.statusCode = 401;
+                    return res.end(JSON.stringify({ error: { code: 'InvalidAuthenticationToken', message: 'Access token is invalid.' } }));
+                }
+                return res.end(JSON.stringify({ mail: null, userPrincipalName: 'parent@outlook.com' }));
+            }
+
+            res.statusCode = 404;
+            res.end('{}');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+describe('microsoft provider', () => {
+    let standIn;
+    let microsoft;
+    let isInvalidGrantError;
+
+    before(async () => {
+        standIn = await startStandInServer();
+
+        process.env.MICROSOFT_CLIENT_ID = 'ms-client';
+        process.env.MICROSOFT_CLIENT_SECRET = 'ms-secret';
+        process.env.MICROSOFT_AUTHORITY_URL = standIn.url;
+        process.env.MICROSOFT_GRAPH_URL = standIn.url;
+        process.env.BASE_URL = 'http://localhost:3000';
+
+        microsoft = require('../src/services/microsoft');
+        ({ isInvalidGrantError } = require('../src/services/google'));
+    });
+
+    after(() => {
+        standIn.server.close();
+    });
+
+    it('builds an authorization URL with offline access and the signed state', () => {
+        const url = new URL(microsoft.generateAuthUrl('family1', 'signed-state'));
+
+        assert.strictEqual(url.origin + url.pathname, `${standIn.url}/common/oauth2/v2.0/authorize`);
+        assert.strictEqual(url.searchParams.get('client_id'), 'ms-client');
+        assert.strictEqual(url.searchParams.get('redirect_uri'), 'http://localhost:3000/api/auth/callback');
+        assert.strictEqual(url.searchParams.get('state'), 'signed-state');
+        assert.ok(url.searchParams.get('scope').split(' ').includes('offline_access'));
+    });
+
+    it('exchanges an authorization code for tokens', async () => {
+        const tokens = await microsoft.exchangeCodeForTokens('good-code');
+
+        assert.strictEqual(tokens.access_token, 'ms-access-1');
+        assert.strictEqual(tokens.refresh_token, 'ms-refresh-1');
+        assert.ok(tokens.expiry_date > Date.now());
+
+        const request = standIn.requests.at(-1);
+        assert.strictEqual(request.body.get('client_secret'), 'ms-secret');
+        assert.strictEqual(request.body.get('redirect_uri'), 'http://localhost:3000/api/auth/callback');
+    });
+
+    it('refreshes and returns the rotated refresh token', async () => {
+        const tokens = await microsoft.refreshAccessToken('ms-refresh-1');
+
+        assert.strictEqual(tokens.access_token, 'ms-access-2');
+        assert.strictEqual(tokens.refresh_token, 'ms-refresh-2');
+    });
+
+    it('reports a rejected refresh token as invalid_grant', async () => {
+        await assert.rejects(microsoft.refreshAccessToken('revoked'), error => {
+            assert.ok(isInvalidGrantError(error));
+            assert.strictEqual(error.response.status, 400);
+            return true;
+        });
+    });
+
+    it('falls back to the user principal name for the profile email', async () => {
+        assert.strictEqual(await microsoft.getUserEmail('ms-access-1'), 'parent@outlook.com');
+    });
+
+    it('surfaces Graph errors', async () => {
+        await assert.rejects(microsoft.getUserEmail('bad-token'), /InvalidAuthenticationToken/);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+describe('oauth state', () => {
+    let storage;
+    let oauthState;
+
+    before(() => {
+        process.env.OAUTH_STATE_SECRET = 'state-secret';
+
+        storage = require('../src/services/storage');
+        const { createSqliteAdapter } = require('../src/services/storage/sqliteAdapter');
+        storage.setStorage(createSqliteAdapter({ filename: ':memory:' }));
+
+        oauthState = require('../src/services/oauthState');
+    });
+
+    after(async () => {
+        await storage.closeStorage();
+    });
+
+    const issue = () => oauthState.createState({ familyId: 'family1', familyName: 'Smith Family', inviteId: 'invite1', provider: 'google' });
+
+    it('returns the signed payload to the browser that started the flow', async () => {
+        const { state, nonce } = issue();
+
+        assert.deepStrictEqual(await oauthState.verifyState(state, nonce), {
+            familyId: 'family1',
+            familyName: 'Smith Family',
+            inviteId: 'invite1',
+            provider: 'google',
+            consent: true
+        });
+    });
+
+    it('rejects a state whose payload or signature was changed', async () => {
+        const { state, nonce } = issue();
+        const [payload, signature] = state.split('.');
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), familyId: 'family2' })).toString('base64url');
+
+        await assert.rejects(oauthState.verifyState(`${forged}.${signature}`, nonce), { reason: 'tampered' });
+        await assert.rejects(oauthState.verifyState(`${payload}.${signature.slice(1)}x`, nonce), { reason: 'tampered' });
+        await assert.rejects(oauthState.verifyState('not-a-state', nonce), { reason: 'tampered' });
+    });
+
+    it('rejects a state without the cookie of the browser that started the flow', async () => {
+        const { state, nonce } = issue();
+
+        await assert.rejects(oauthState.verifyState(state, undefined), { reason: 'mismatch' });
+        await assert.rejects(oauthState.verifyState(state, issue().nonce), { reason: 'mismatch' });
+
+        // A rejected attempt does not use the state up
+        await oauthState.verifyState(state, nonce);
+    });
+
+    it('rejects an expired state', async () => {
+        const { state, nonce } = issue();
+        const realNow = Date.now;
+        Date.now = () => realNow() + oauthState.STATE_TTL_MS + 1000;
+
+        try {
+            await assert.rejects(oauthState.verifyState(state, nonce), { reason: 'expired' });
+        } finally {
+            Date.now = realNow;
+        }
+    });
+
+    it('accepts a state only once, even from concurrent callbacks', async () => {
+        const { state, nonce } = issue();
+
+        const results = await Promise.allSettled([oauthState.verifyState(state, nonce), oauthState.verifyState(state, nonce)]);
+        assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.strictEqual(results.find(result => result.status === 'rejected').reason.reason, 'replayed');
+
+        await assert.rejects(oauthState.verifyState(state, nonce), { reason: 'replayed' });
+        assert.strictEqual(await storage.getStorage().countRows('oauth_state_nonces', { nonce }), 1);
+    });
+});
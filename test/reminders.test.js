@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startTestServer, TEST_ENV } = require('./helpers/testServer');
+const { startSmtpSink } = require('./helpers/smtpSink');
+
+const PASSWORD = 'a strong passphrase';
+
+describe('reconnect reminders', () => {
+    let server;
+    let sink;
+    let owner;
+    let reminders;
+
+    before(async () => {
+        sink = await startSmtpSink();
+        Object.assign(process.env, {
+            SMTP_HOST: '127.0.0.1',
+            SMTP_PORT: String(sink.port),
+            SMTP_SECURE: 'false',
+            MAIL_FROM: 'Family Assistant <noreply@example.com>'
+        });
+
+        server = await startTestServer();
+        reminders = require('../src/services/reminders');
+
+        await require('../src/services/adminAuth').createAdminUser({ username: 'owner', password: PASSWORD, role: 'owner' });
+        owner = server.createClient();
+        await owner.request('/admin/login', { method: 'POST', body: { username: 'owner', password: PASSWORD } });
+    });
+
+    after(async () => {
+        require('../src/services/mailer').closeMailer();
+        await server.close();
+        await sink.close();
+    });
+
+    /**
+     * Store an account whose refresh token Google has revoked
+     * @param {string} familyId - Family ID
+     * @param {Object} options - Family name, and a status to mark the account with
+     * @returns {Promise<Object>} The stored account
+     */
+    async function seedRevokedAccount(familyId, { familyName = 'Smith Family', status } = {}) {
+        const account = await server.storage.upsertFamilyTokens({
+            familyId,
+            familyName,
+            email: `${familyId}@gmail.com`,
+            accessToken: `access-${familyId}`,
+            refreshToken: `1//revoked-${familyId}`,
+            tokenExpiry: new Date(Date.now() - 60 * 1000)
+        });
+
+        if (status) {
+            await server.storage.recordRefreshFailure(account.id, { status, error: 'invalid_grant' });
+        }
+        return account;
+    }
+
+    /**
+     * Wait for the sink to receive mail for a recipient
+     * @param {string} recipient - Expected recipient
+     * @returns {Promise<Object>} The message
+     */
+    async function waitForMessage(recipient) {
+        for (let i = 0; i < 50; i++) {
+            const message = sink.messages.find(candidate => candidate.to.includes(recipient));
+            if (message) {
+                return message;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        throw new Error(`No email sent to ${recipient}`);
+    }
+
+    const refresh = familyId => server.createClient().request('/api/auth/refresh', {
+        method: 'POST',
+        body: { family_id: familyId },
+        headers: { 'x-api-key': TEST_ENV.API_SECRET_KEY }
+    });
+
+    const remindersFor = async familyId => (await server.rowsOf('reconnect_reminders')).filter(row => row.family_id === familyId);
+
+    it('emails the broken mailbox a working /connect link when its refresh token is rejected', async () => {
+        await seedRevokedAccount('family-revoked');
+
+        const response = await refresh('family-revoked');
+        assert.strictEqual(response.status, 401);
+
+        const message = await waitForMessage('family-revoked@gmail.com');
+        assert.strictEqual(message.from, 'noreply@example.com');
+        assert.strictEqual(message.subject, 'Please reconnect family-revoked@gmail.com to Family Assistant');
+        assert.match(message.body, /Content-Type: text\/plain/);
+        assert.match(message.body, /Content-Type: text\/html/);
+
+        const link = message.body.match(/http:\/\/localhost:3000\/connect\?invite=[\w.-]+/)[0];
+        const connect = await server.createClient().request(link.replace(TEST_ENV.BASE_URL, ''));
+        assert.strictEqual(connect.status, 200);
+
+        const [reminder] = await remindersFor('family-revoked');
+        assert.strictEqual(reminder.status, 'sent');
+        assert.strictEqual(reminder.trigger, 'automatic');
+
+        const audit = (await server.rowsOf('audit_log')).filter(entry => entry.action === 'reconnect_reminder.sent');
+        assert.deepStrictEqual(audit.map(entry => [entry.family_id, entry.actor_type]), [['family-revoked', 'system']]);
+    });
+
+    it('sends to the contact email given with the family invite', async () => {
+        const invite = await owner.request('/admin/generate-link', {
+            method: 'POST',
+            body: { familyId: 'family-contact', familyName: '<b>Jones</b>', contactEmail: 'mum@example.com' }
+        });
+        assert.strictEqual(invite.status, 200);
+        await seedRevokedAccount('family-contact', { familyName: '<b>Jones</b>' });
+
+        await refresh('family-contact');
+
+        const message = await waitForMessage('mum@example.com');
+        assert.match(message.body, /Hi &lt;b&gt;Jones&lt;\/b&gt;,/);
+        assert.match(message.body, /Hi <b>Jones<\/b>,/);
+
+        // The fresh invite keeps the contact for the next reminder
+        const invites = (await server.rowsOf('family_invites')).filter(row => row.family_id === 'family-contact');
+        assert.deepStrictEqual(invites.map(row => row.contact_email), ['mum@example.com', 'mum@example.com']);
+    });
+
+    it('throttles automatic reminders but not manual ones', async () => {
+        await seedRevokedAccount('family-throttled', { status: 'needs_reconnect' });
+
+        await reminders.sendReconnectReminder('family-throttled');
+        await assert.rejects(reminders.sendReconnectReminder('family-throttled'), { reason: 'throttled' });
+
+        const response = await owner.request('/admin/families/family-throttled/reconnect-reminder', { method: 'POST', body: {} });
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.reminder.trigger, 'manual');
+        assert.strictEqual(response.body.reminder.sent_by, 'owner');
+        assert.strictEqual((await remindersFor('family-throttled')).length, 2);
+    });
+
+    it('only reminds families with an account that needs reconnecting', async () => {
+        await server.storage.upsertFamilyTokens({
+            familyId: 'family-healthy',
+            email: 'healthy@gmail.com',
+            accessToken: 'access',
+            refreshToken: 'refresh',
+            tokenExpiry: new Date(Date.now() + 3600 * 1000)
+        });
+
+        const healthy = await owner.request('/admin/families/family-healthy/reconnect-reminder', { method: 'POST', body: {} });
+        assert.strictEqual(healthy.status, 409);
+        assert.strictEqual(healthy.body.error, 'not_needed');
+
+        const unknown = await owner.request('/admin/families/family-unknown/reconnect-reminder', { method: 'POST', body: {} });
+        assert.strictEqual(unknown.status, 404);
+    });
+
+    it('revokes the new invite when the email cannot be sent', async () => {
+        await seedRevokedAccount('family-bounce', { status: 'needs_reconnect' });
+        sink.rejectRecipient('family-bounce@gmail.com');
+
+        const response = await owner.request('/admin/families/family-bounce/reconnect-reminder', { method: 'POST', body: {} });
+
+        assert.strictEqual(response.status, 502);
+        assert.strictEqual(response.body.error, 'send_failed');
+
+        const [reminder] = await remindersFor('family-bounce');
+        assert.strictEqual(reminder.status, 'failed');
+
+        const [invite] = (await server.rowsOf('family_invites')).filter(row => row.id === reminder.invite_id);
+        assert.ok(invite.revoked_at);
+    });
+
+    it('sweeps accounts that need reconnecting once per failure', async () => {
+        await seedRevokedAccount('family-sweep', { status: 'needs_reconnect' });
+
+        const first = await reminders.sendDueReminders();
+        assert.ok(first.sent >= 1);
+        await waitForMessage('family-sweep@gmail.com');
+
+        const [reminder] = await remindersFor('family-sweep');
+        assert.strictEqual(reminder.trigger, 'automatic');
+
+        const second = await reminders.sendDueReminders();
+        assert.strictEqual(second.sent, 0);
+        assert.strictEqual((await remindersFor('family-sweep')).length, 1);
+    });
+
+    it('reports when email is not configured', async () => {
+        await seedRevokedAccount('family-no-smtp', { status: 'needs_reconnect' });
+        const mailFrom = process.env.MAIL_FROM;
+        delete process.env.MAIL_FROM;
+
+        try {
+            const response = await owner.request('/admin/families/family-no-smtp/reconnect-reminder', { method: 'POST', body: {} });
+            assert.strictEqual(response.status, 503);
+        } finally {
+            process.env.MAIL_FROM = mailFrom;
+        }
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+describe('school digest', () => {
+    let emailRules;
+    let schoolDigest;
+
+    before(() => {
+        emailRules = require('../src/services/emailRules');
+        schoolDigest = require('../src/services/schoolDigest');
+    });
+
+    const rules = () => emailRules.validateRules({
+        senderDomains: '@School.org, district.k12.us',
+        keywords: ['field trip', 'PTA'],
+        categories: ['updates']
+    });
+
+    // Monday, March 4, 2024
+    const monday = new Date('2024-03-04T15:00:00Z');
+
+    it('normalizes rules and rejects invalid ones', () => {
+        assert.deepStrictEqual(rules(), {
+            sender_domains: ['school.org', 'district.k12.us'],
+            keywords: ['field trip', 'PTA'],
+            categories: ['updates'],
+            label_name: 'Family Assistant'
+        });
+
+        assert.throws(() => emailRules.validateRules({ senderDomains: 'not a domain' }), /Not a domain/);
+        assert.throws(() => emailRules.validateRules({ categories: 'inbox' }), /Category must be one of/);
+        assert.throws(() => emailRules.validateRules({ keywords: '"quoted"' }), /quotes/);
+        assert.throws(() => emailRules.validateRules({ keywords: ' , ' }), /at least one/);
+    });
+
+    it('builds one Gmail OR query from every rule', () => {
+        assert.strictEqual(emailRules.buildGmailQuery(rules()), '{from:school.org from:district.k12.us "field trip" "PTA" category:updates}');
+    });
+
+    it('matches sender subdomains, whole keywords and categories', () => {
+        const match = message => emailRules.matchMessage(rules(), { subject: '', text: '', labelIds: [], ...message });
+
+        assert.deepStrictEqual(match({ from: 'Office <office@mail.school.org>' }), ['domain:school.org']);
+        assert.deepStrictEqual(match({ from: 'x@notschool.org', subject: 'Field Trip!' }), ['keyword:field trip']);
+        assert.deepStrictEqual(match({ text: 'Our SPTA sale' }), []);
+        assert.deepStrictEqual(match({ labelIds: ['CATEGORY_UPDATES'] }), ['category:updates']);
+    });
+
+    it('extracts dates, times and action items from the body', () => {
+        const details = schoolDigest.extractDetails({
+            subject: 'Field trip on Friday, March 8',
+            text: [
+                'Hi families,',
+                '',
+                'Please sign the permission slip and return it by 3/6.',
+                'The bus leaves on March 8 at 9:15 am. Bring a packed lunch tomorrow.',
+                '',
+                'On Mon, Mar 4, 2024 at 9:00 AM Ms. K wrote:',
+                '> Please pay for the trip by 2/1.'
+            ].join('\n')
+        }, monday);
+
+        assert.deepStrictEqual(details.dates.map(({ date, time, text }) => [date, time, text]), [
+            ['2024-03-08', null, 'Friday, March 8'],
+            ['2024-03-06', null, '3/6'],
+            ['2024-03-08', '09:15', 'March 8'],
+            ['2024-03-05', null, 'tomorrow']
+        ]);
+        assert.deepStrictEqual(details.action_items, [
+            { text: 'Please sign the permission slip and return it by 3/6.', due_date: '2024-03-06' },
+            { text: 'Bring a packed lunch tomorrow.', due_date: '2024-03-05' }
+        ]);
+    });
+
+    it('resolves weekdays and dates without a year relative to the message', () => {
+        const dates = text => schoolDigest.extractDetails({ text }, new Date('2024-12-18T10:00:00Z')).dates.map(found => found.date);
+
+        assert.deepStrictEqual(dates('School resumes January 6.'), ['2025-01-06']);
+        assert.deepStrictEqual(dates('Concert on Wednesday; practice next Wednesday.'), ['2024-12-18', '2024-12-25']);
+        assert.deepStrictEqual(dates('Closed on 2/30 and 13/1.'), []);
+    });
+
+    it('classifies a parsed message, reading the HTML body when there is no text', () => {
+        const entry = schoolDigest.classifyMessage(rules(), {
+            id: 'msg1',
+            threadId: 'thread1',
+            labelIds: ['INBOX'],
+            snippet: 'PTA meeting',
+            internalDate: monday.toISOString(),
+            headers: { from: 'PTA <pta@school.org>', subject: 'PTA meeting' },
+            text: '',
+            html: '<p>Please RSVP by Thursday.</p><p>&nbsp;</p>',
+            attachments: [{ filename: 'agenda.pdf' }]
+        });
+
+        assert.deepStrictEqual(entry.matched_by, ['domain:school.org', 'keyword:PTA']);
+        assert.deepStrictEqual(entry.action_items, [{ text: 'Please RSVP by Thursday.', due_date: '2024-03-07' }]);
+        assert.deepStrictEqual(entry.attachments, ['agenda.pdf']);
+
+        assert.strictEqual(schoolDigest.classifyMessage(rules(), {
+            id: 'msg2', labelIds: [], headers: { from: 'shop@example.com', subject: 'Sale' }, text: 'Everything must go', html: '', attachments: []
+        }), null);
+    });
+
+    it('lists the oldest matches first even when more than one listing matches', async () => {
+        // 1,200 messages, one a minute, newest first like Gmail
+        const start = Date.parse('2024-03-01T00:00:00Z');
+        const mailbox = Array.from({ length: 1200 }, (_, i) => ({ id: `m${i}`, internalDate: String(start + i * 60000) })).reverse();
+        const searches = [];
+        const gmail = {
+            users: {
+                messages: {
+                    list: async ({ q, maxResults }) => {
+                        searches.push(q);
+                        const after = Number(/after:(\d+)/.exec(q)[1]) * 1000;
+                        const before = /before:(\d+)/.exec(q);
+                        const matches = mailbox.filter(message => Number(message.internalDate) > after
+                            && (!before || Number(message.internalDate) < Number(before[1]) * 1000));
+                        return { data: { messages: matches.slice(0, maxResults), nextPageToken: matches.length > maxResults ? 'next' : undefined } };
+                    },
+                    get: async ({ id }) => ({ data: mailbox.find(message => message.id === id) })
+                }
+            }
+        };
+
+        const all = await schoolDigest.listOldestMatches(gmail, `x after:${start / 1000 - 1}`);
+        assert.strictEqual(all.truncated, true);
+        assert.strictEqual(searches.length, 3);
+        assert.deepStrictEqual(all.ids.slice(0, 3), ['m0', 'm1', 'm2']);
+        assert.ok(all.ids.length <= 500);
+        assert.deepStrictEqual(all.ids, all.ids.map((_, i) => `m${i}`));
+
+        const recent = await schoolDigest.listOldestMatches(gmail, `x after:${(start + 1000 * 60000) / 1000}`);
+        assert.strictEqual(recent.truncated, false);
+        assert.deepStrictEqual(recent.ids, Array.from({ length: 199 }, (_, i) => `m${1001 + i}`));
+    });
+
+    it('round-trips cursors and rejects foreign ones', () => {
+        const cursor = schoolDigest.encodeCursor({ 'account-1': 1709564400000 });
+
+        assert.deepStrictEqual(schoolDigest.decodeCursor(cursor), { 'account-1': 1709564400000 });
+        assert.deepStrictEqual(schoolDigest.decodeCursor(undefined), {});
+        assert.throws(() => schoolDigest.decodeCursor('not-a-cursor'), error => error.code === 'invalid_cursor' && error.status === 400);
+    });
+});
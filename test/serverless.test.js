@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+
+const { startTestServer, TEST_ENV } = require('./helpers/testServer');
+
+describe('serverless handler', () => {
+    let server;
+    let lambda;
+    let baseUrl;
+
+    before(async () => {
+        server = await startTestServer();
+
+        lambda = http.createServer(require('../src/serverless'));
+        lambda.listen(0, '127.0.0.1');
+        await once(lambda, 'listening');
+        baseUrl = `http://127.0.0.1:${lambda.address().port}`;
+    });
+
+    after(async () => {
+        lambda.close();
+        await once(lambda, 'close');
+        delete process.env.ADMIN_USERNAME;
+        delete process.env.ADMIN_PASSWORD;
+        await server.close();
+    });
+
+    it('exports the app as a handler that still exposes app and start', () => {
+        const index = require('../src/index');
+
+        assert.strictEqual(typeof index, 'function');
+        assert.strictEqual(index.app, index);
+        assert.strictEqual(typeof index.start, 'function');
+    });
+
+    it('creates the first owner before serving its first request', async () => {
+        process.env.ADMIN_USERNAME = 'first-owner';
+        process.env.ADMIN_PASSWORD = 'a long enough passphrase';
+
+        const response = await fetch(`${baseUrl}/health`);
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual((await response.json()).status, 'healthy');
+        assert.deepStrictEqual((await server.rowsOf('admin_users')).map(user => [user.username, user.role]), [['first-owner', 'owner']]);
+    });
+
+    describe('cron jobs', () => {
+        let jobsKey;
+
+        before(async () => {
+            const { createApiKey } = require('../src/services/apiKeys');
+            ({ key: jobsKey } = await createApiKey({ name: 'vercel-cron', scopes: ['jobs'] }));
+        });
+
+        const runJob = (job, headers = {}) => fetch(`${baseUrl}/api/cron/${job}`, { headers });
+
+        it('runs a background job for a key with the jobs scope, sent as a Bearer token', async () => {
+            const response = await runJob('webhook-retries', { authorization: `Bearer ${jobsKey}` });
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(await response.json(), { job: 'webhook-retries', result: { attempted: 0 } });
+
+            const reminders = await (await runJob('reconnect-reminders', { 'x-api-key': jobsKey })).json();
+            assert.strictEqual(reminders.job, 'reconnect-reminders');
+        });
+
+        it('rejects missing keys, keys without the jobs scope and family-restricted keys', async () => {
+            const { createApiKey } = require('../src/services/apiKeys');
+            const { key: refreshKey } = await createApiKey({ name: 'n8n', scopes: ['refresh'] });
+            const { key: familyKey } = await createApiKey({ name: 'family', scopes: ['jobs'], familyIds: ['family1'] });
+
+            assert.strictEqual((await runJob('webhook-retries')).status, 401);
+            assert.strictEqual((await runJob('webhook-retries', { 'x-api-key': refreshKey })).status, 403);
+            assert.strictEqual((await runJob('webhook-retries', { 'x-api-key': familyKey })).status, 403);
+            assert.strictEqual((await runJob('webhook-retries', { 'x-api-key': TEST_ENV.API_SECRET_KEY })).status, 403);
+        });
+
+        it('reports unknown jobs', async () => {
+            const response = await runJob('mine-bitcoin', { 'x-api-key': jobsKey });
+
+            assert.strictEqual(response.status, 404);
+            assert.match((await response.json()).message, /refresh-tokens/);
+        });
+    });
+});
@@ -0,0 +1,230 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+describe('token storage (sqlite)', () => {
+    let storage;
+    let adapter;
+
+    before(() => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `1:${crypto.randomBytes(32).toString('base64')}`;
+        delete process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION;
+
+        // Loads without any Supabase configuration
+        storage = require('../src/services/storage');
+        const { createSqliteAdapter } = require('../src/services/storage/sqliteAdapter');
+
+        adapter = createSqliteAdapter({ filename: ':memory:' });
+        storage.setStorage(adapter);
+    });
+
+    after(async () => {
+        await storage.closeStorage();
+    });
+
+    it('stores tokens encrypted and reads them back decrypted', async () => {
+        const account = await storage.upsertFamilyTokens({
+            familyId: 'family1',
+            familyName: 'Smith Family',
+            email: 'parent@example.com',
+            accessToken: 'access-1',
+            refreshToken: 'refresh-1',
+            tokenExpiry: new Date('2030-01-01T00:00:00Z')
+        });
+
+        assert.strictEqual(account.access_token, 'access-1');
+        assert.strictEqual(account.token_expiry, '2030-01-01T00:00:00.000Z');
+
+        const [raw] = await adapter.findAccounts({ accountId: account.id });
+        assert.notStrictEqual(raw.access_token, 'access-1');
+        assert.strictEqual(raw.encryption_key_version, 1);
+
+        const read = await storage.getFamilyTokens('family1');
+        assert.strictEqual(read.refresh_token, 'refresh-1');
+        assert.strictEqual(read.encrypted_data_key, undefined);
+    });
+
+    it('keys accounts by family and email', async () => {
+        await storage.upsertFamilyTokens({ familyId: 'family1', email: 'parent@example.com', accessToken: 'access-2', refreshToken: 'refresh-2' });
+        await storage.upsertFamilyTokens({ familyId: 'family1', email: 'other@example.com', accessToken: 'access-3', refreshToken: 'refresh-3' });
+
+        const status = await storage.getConnectionStatus('family1');
+        assert.strictEqual(status.connected, true);
+        assert.deepStrictEqual(status.accounts.map(a => a.email), ['parent@example.com', 'other@example.com']);
+        assert.strictEqual((await storage.getFamilyTokens('family1')).access_token, 'access-2');
+
+        const listed = await storage.listAccounts();
+        assert.strictEqual(listed.length, 2);
+        assert.ok(listed.every(account => !('access_token' in account) && !('refresh_token' in account)));
+    });
+
+    it('records refreshes and failures', async () => {
+        const { id } = await storage.getFamilyTokens('family1', { email: 'parent@example.com' });
+
+        await storage.recordRefreshFailure(id, { status: 'needs_reconnect', error: 'invalid_grant' });
+        let [account] = (await storage.listAccounts()).filter(a => a.id === id);
+        assert.strictEqual(account.status, 'needs_reconnect');
+        assert.strictEqual(account.last_error, 'invalid_grant');
+
+        const updated = await storage.updateAccessToken(id, 'access-4', new Date(Date.now() + 3600 * 1000));
+        assert.strictEqual(updated.access_token, 'access-4');
+        assert.strictEqual(updated.refresh_token, 'refresh-2');
+        [account] = (await storage.listAccounts()).filter(a => a.id === id);
+        assert.strictEqual(account.status, 'active');
+        assert.strictEqual(account.last_error, null);
+    });
+
+    it('advances the Gmail history cursor only from the expected value', async () => {
+        const [account] = await storage.findAccountsByEmail('PARENT@example.com');
+
+        assert.strictEqual(await storage.updateWatchState(account.id, { historyId: '100', expectedHistoryId: null }), true);
+        assert.strictEqual(await storage.updateWatchState(account.id, { historyId: '200', expectedHistoryId: '50' }), false);
+        assert.strictEqual(await storage.updateWatchState(account.id, { historyId: '200', expectedHistoryId: '100' }), true);
+
+        const [state] = (await storage.listWatchStates()).filter(a => a.id === account.id);
+        assert.strictEqual(state.gmail_history_id, '200');
+    });
+
+    it('re-wraps data keys when the master key rotates', async () => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `${process.env.TOKEN_ENCRYPTION_KEYS},2:${crypto.randomBytes(32).toString('base64')}`;
+
+        const result = await storage.rotateTokenEncryption({ batchSize: 1 });
+        assert.deepStrictEqual(result, { rotated: 2, skipped: 0, failed: 0 });
+
+        const rows = await adapter.listAccounts();
+        assert.ok(rows.every(row => row.encryption_key_version === 2));
+        assert.strictEqual((await storage.getFamilyTokens('family1', { email: 'other@example.com' })).access_token, 'access-3');
+    });
+
+    it('deletes an account of the family it belongs to', async () => {
+        const { id } = await storage.getFamilyTokens('family1', { email: 'other@example.com' });
+
+        assert.strictEqual(await storage.deleteAccount('family2', id), null);
+        assert.deepStrictEqual(await storage.deleteAccount('family1', id), { family_name: null, email: 'other@example.com' });
+        assert.strictEqual((await storage.getConnectionStatus('family1')).accounts.length, 1);
+    });
+});
+
+describe('table storage', () => {
+    /**
+     * Exercise the table methods an adapter shares with every backend
+     * @param {Object} adapter - The storage adapter
+     * @returns {Promise<void>}
+     */
+    async function checkTableMethods(adapter) {
+        const [first] = await adapter.insertRows('family_invites', [{ family_id: 'family1', expires_at: '2030-01-01T00:00:00.000Z' }]);
+        await adapter.insertRows('family_invites', [{ family_id: 'family1', contact_email: 'parent@example.com', expires_at: '2030-02-01T00:00:00.000Z' }]);
+        await adapter.insertRows('family_invites', [{ family_id: 'family2', expires_at: '2030-03-01T00:00:00.000Z' }]);
+
+        assert.strictEqual(first.use_count, 0);
+        assert.strictEqual(first.max_uses, 1);
+
+        const withContact = await adapter.selectRows('family_invites', {
+            columns: ['contact_email'],
+            where: { family_id: 'family1', contact_email: { neq: null } }
+        });
+        assert.deepStrictEqual(withContact, [{ contact_email: 'parent@example.com' }]);
+
+        const window = { expires_at: { gte: '2030-01-15T00:00:00.000Z', lt: '2030-03-01T00:00:00.000Z' } };
+        assert.strictEqual(await adapter.countRows('family_invites', window), 1);
+        assert.strictEqual(await adapter.countRows('family_invites', { id: { in: [] } }), 0);
+
+        const page = await adapter.selectRows('family_invites', { order: [['expires_at', 'desc']], limit: 1, offset: 1 });
+        assert.deepStrictEqual(page.map(invite => invite.family_id), ['family1']);
+
+        const [used] = await adapter.updateRows('family_invites', { use_count: 1 }, { id: first.id, use_count: 0, revoked_at: null });
+        assert.strictEqual(used.use_count, 1);
+        assert.deepStrictEqual(await adapter.updateRows('family_invites', { use_count: 1 }, { id: first.id, use_count: 0 }), []);
+
+        const saved = await adapter.upsertRow('family_email_rules', { family_id: 'family1', keywords: ['school'] }, 'family_id');
+        const replaced = await adapter.upsertRow('family_email_rules', { family_id: 'family1', keywords: ['choir'] }, 'family_id');
+        assert.deepStrictEqual(saved.keywords, ['school']);
+        assert.deepStrictEqual(replaced.keywords, ['choir']);
+        assert.strictEqual(await adapter.countRows('family_email_rules'), 1);
+
+        await adapter.insertRows('admin_users', [{ username: 'owner', password_hash: 'hash' }]);
+        await assert.rejects(
+            adapter.insertRows('admin_users', [{ username: 'owner', password_hash: 'hash' }]),
+            { name: 'StorageError', reason: 'conflict' }
+        );
+
+        await adapter.insertRows('audit_log', [
+            { action: 'invite.created', actor_type: 'admin', family_id: 'family1', details: { email: 'parent@example.com' } },
+            { action: 'invite.created', actor_type: 'admin', family_id: 'family2', details: { email: 'other@example.com' } }
+        ]);
+        assert.strictEqual(await adapter.scrubFamilyAuditLog('family1'), 1);
+        assert.deepStrictEqual((await adapter.selectRows('audit_log', { order: [['created_at', 'asc']] })).map(entry => entry.details), [
+            { erased: true },
+            { email: 'other@example.com' }
+        ]);
+
+        await adapter.upsertAccount({ family_id: 'family1', email: 'parent@example.com', access_token: 'a', refresh_token: 'r', status: 'needs_reconnect' });
+        assert.strictEqual(await adapter.countRows('family_gmail_tokens', { status: { neq: 'active' } }), 1);
+        await assert.rejects(adapter.insertRows('family_gmail_tokens', [{ family_id: 'family1' }]), /read-only/);
+        await assert.rejects(adapter.deleteRows('family_gmail_tokens', { family_id: 'family1' }), /read-only/);
+
+        const deleted = await adapter.deleteRows('family_invites', { family_id: 'family1' });
+        assert.strictEqual(deleted.length, 2);
+        assert.strictEqual(await adapter.countRows('family_invites'), 1);
+    }
+
+    it('stores every table in sqlite', async () => {
+        const { createSqliteAdapter } = require('../src/services/storage/sqliteAdapter');
+        const adapter = createSqliteAdapter({ filename: ':memory:' });
+
+        try {
+            await checkTableMethods(adapter);
+        } finally {
+            await adapter.close();
+        }
+    });
+
+    it('keeps the sqlite audit log append-only except for scrubs and purges', async () => {
+        const { createSqliteAdapter } = require('../src/services/storage/sqliteAdapter');
+        const adapter = createSqliteAdapter({ filename: ':memory:' });
+
+        try {
+            const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+            await adapter.insertRows('audit_log', [
+                { action: 'invite.created', actor_type: 'admin', family_id: 'family1', details: { email: 'parent@example.com' }, created_at: old },
+                { action: 'invite.created', actor_type: 'admin', family_id: 'family2', details: {} }
+            ]);
+
+            await assert.rejects(adapter.updateRows('audit_log', { details: {} }, { family_id: 'family1' }), /append-only \(UPDATE/);
+            await assert.rejects(adapter.deleteRows('audit_log', { family_id: 'family1' }), /append-only \(DELETE/);
+
+            assert.strictEqual(await adapter.scrubFamilyAuditLog('family1'), 1);
+            assert.strictEqual(await adapter.purgeAuditLog(30), 1);
+            await assert.rejects(adapter.purgeAuditLog(7), /at least 30/);
+            assert.deepStrictEqual((await adapter.selectRows('audit_log')).map(entry => entry.family_id), ['family2']);
+
+            // The allowance ends with the scrub or purge that needed it
+            await assert.rejects(adapter.deleteRows('audit_log', {}), /append-only/);
+        } finally {
+            await adapter.close();
+        }
+    });
+
+    it('translates table queries for supabase', async () => {
+        const { setSupabase } = require('../src/services/supabase');
+        const { createSupabaseAdapter } = require('../src/services/storage/supabaseAdapter');
+        const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+        setSupabase(createFakeSupabase({
+            functions: {
+                // Mirrors scrub_family_audit_log() from migration 018
+                scrub_family_audit_log({ target_family_id: familyId }, rowsOf) {
+                    const entries = rowsOf('audit_log').filter(row => row.family_id === familyId && !(row.details && row.details.erased));
+                    entries.forEach(row => { row.details = { erased: true }; });
+                    return entries.length;
+                }
+            }
+        }));
+
+        try {
+            await checkTableMethods(createSupabaseAdapter());
+        } finally {
+            setSupabase(null);
+        }
+    });
+});
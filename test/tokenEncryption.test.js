@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+describe('token encryption', () => {
+    let encryption;
+    let saved;
+
+    const newKey = () => crypto.randomBytes(32).toString('base64');
+
+    before(() => {
+        saved = { keys: process.env.TOKEN_ENCRYPTION_KEYS, active: process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION };
+        process.env.TOKEN_ENCRYPTION_KEYS = `1:${newKey()}`;
+        delete process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION;
+
+        encryption = require('../src/services/tokenEncryption');
+    });
+
+    after(() => {
+        process.env.TOKEN_ENCRYPTION_KEYS = saved.keys;
+        if (saved.active === undefined) {
+            delete process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION;
+        } else {
+            process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION = saved.active;
+        }
+    });
+
+    it('round-trips a token through its wrapped data key', () => {
+        const { dataKey, wrappedKey, keyVersion } = encryption.generateDataKey();
+        const encrypted = encryption.encryptToken('ya29.secret', dataKey);
+
+        assert.strictEqual(keyVersion, 1);
+        assert.ok(!encrypted.includes('ya29.secret'));
+        assert.notStrictEqual(encryption.encryptToken('ya29.secret', dataKey), encrypted);
+        assert.strictEqual(encryption.decryptToken(encrypted, encryption.unwrapDataKey(wrappedKey, keyVersion)), 'ya29.secret');
+    });
+
+    it('refuses a tampered token or the wrong data key', () => {
+        const { dataKey } = encryption.generateDataKey();
+        const [iv, tag, ciphertext] = encryption.encryptToken('ya29.secret', dataKey).split('.');
+        const flipped = Buffer.from(ciphertext, 'base64url');
+        flipped[0] ^= 1;
+
+        assert.throws(() => encryption.decryptToken([iv, tag, flipped.toString('base64url')].join('.'), dataKey));
+        assert.throws(() => encryption.decryptToken([iv, tag, ciphertext].join('.'), encryption.generateDataKey().dataKey));
+    });
+
+    it('re-wraps a data key under a new master key without changing it', () => {
+        const { dataKey, wrappedKey } = encryption.generateDataKey();
+        const encrypted = encryption.encryptToken('refresh-token', dataKey);
+
+        process.env.TOKEN_ENCRYPTION_KEYS = `${process.env.TOKEN_ENCRYPTION_KEYS},2:${newKey()}`;
+        const rewrapped = encryption.rewrapDataKey(wrappedKey, 1);
+
+        assert.strictEqual(rewrapped.keyVersion, 2);
+        assert.strictEqual(encryption.decryptToken(encrypted, encryption.unwrapDataKey(rewrapped.wrappedKey, 2)), 'refresh-token');
+
+        // Retiring the old key leaves the re-wrapped key readable
+        process.env.TOKEN_ENCRYPTION_KEYS = process.env.TOKEN_ENCRYPTION_KEYS.split(',')[1];
+        assert.strictEqual(encryption.decryptToken(encrypted, encryption.unwrapDataKey(rewrapped.wrappedKey, 2)), 'refresh-token');
+        assert.throws(() => encryption.unwrapDataKey(wrappedKey, 1));
+    });
+
+    it('wraps new data keys with TOKEN_ENCRYPTION_ACTIVE_VERSION when set', () => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `1:${newKey()},2:${newKey()}`;
+        process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION = '1';
+
+        try {
+            assert.strictEqual(encryption.generateDataKey().keyVersion, 1);
+
+            process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION = '3';
+            assert.throws(() => encryption.getActiveKeyVersion(), /not present/);
+        } finally {
+            delete process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION;
+        }
+
+        assert.strictEqual(encryption.getActiveKeyVersion(), 2);
+    });
+
+    it('rejects malformed master keys', () => {
+        const keys = process.env.TOKEN_ENCRYPTION_KEYS;
+
+        try {
+            process.env.TOKEN_ENCRYPTION_KEYS = `1:${crypto.randomBytes(16).toString('base64')}`;
+            assert.throws(() => encryption.getActiveKeyVersion(), /must be 32 bytes/);
+
+            process.env.TOKEN_ENCRYPTION_KEYS = `zero:${newKey()}`;
+            assert.throws(() => encryption.getActiveKeyVersion(), /positive integer/);
+        } finally {
+            process.env.TOKEN_ENCRYPTION_KEYS = keys;
+        }
+    });
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+describe('single-flight token refresh', () => {
+    let storage;
+    let refresher;
+    let provider;
+    let original;
+    let refreshCalls;
+
+    before(() => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `1:${crypto.randomBytes(32).toString('base64')}`;
+        delete process.env.TOKEN_ENCRYPTION_ACTIVE_VERSION;
+
+        storage = require('../src/services/storage');
+        const { createSqliteAdapter } = require('../src/services/storage/sqliteAdapter');
+        storage.setStorage(createSqliteAdapter({ filename: ':memory:' }));
+
+        refresher = require('../src/services/tokenRefresher');
+        provider = require('../src/services/providers').getProvider('google');
+        original = { ...provider };
+
+        // A slow token endpoint, so concurrent refreshes overlap
+        provider.refreshAccessToken = async refreshToken => {
+            refreshCalls++;
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return { access_token: `access-${refreshCalls}`, refresh_token: refreshToken, expiry_date: Date.now() + 3600 * 1000 };
+        };
+    });
+
+    after(async () => {
+        Object.assign(provider, original);
+        await storage.closeStorage();
+    });
+
+    beforeEach(() => {
+        refreshCalls = 0;
+    });
+
+    /**
+     * Store an account whose token has expired
+     * @param {string} familyId - Family ID
+     * @returns {Promise<Object>} The token record
+     */
+    async function seedExpired(familyId) {
+        await storage.upsertFamilyTokens({
+            familyId,
+            email: `${familyId}@example.com`,
+            accessToken: 'old-access',
+            refreshToken: 'refresh',
+            tokenExpiry: new Date(Date.now() - 60 * 1000)
+        });
+        return storage.getFamilyTokens(familyId);
+    }
+
+    it('shares one refresh between concurrent calls in a process', async () => {
+        const tokenData = await seedExpired('family-concurrent');
+
+        const results = await Promise.all([1, 2, 3].map(() => refresher.refreshFamilyToken(tokenData)));
+
+        assert.strictEqual(refreshCalls, 1);
+        assert.ok(results.every(result => result.access_token === 'access-1'));
+
+        const stored = await storage.getFamilyTokens('family-concurrent');
+        assert.strictEqual(stored.access_token, 'access-1');
+        assert.strictEqual(stored.refresh_locked_until, null);
+    });
+
+    it('shares a failed refresh, then refreshes again on the next call', async () => {
+        const tokenData = await seedExpired('family-flaky');
+        const refreshAccessToken = provider.refreshAccessToken;
+        provider.refreshAccessToken = async () => {
+            refreshCalls++;
+            await new Promise(resolve => setTimeout(resolve, 50));
+            throw new Error('Google is down');
+        };
+
+        try {
+            const results = await Promise.allSettled([1, 2].map(() => refresher.refreshFamilyToken(tokenData)));
+            assert.ok(results.every(result => result.status === 'rejected' && result.reason.message === 'Google is down'));
+            assert.strictEqual(refreshCalls, 1);
+        } finally {
+            provider.refreshAccessToken = refreshAccessToken;
+        }
+
+        const retried = await refresher.refreshFamilyToken(await storage.getFamilyTokens('family-flaky'));
+        assert.strictEqual(refreshCalls, 2);
+        assert.strictEqual(retried.access_token, 'access-2');
+    });
+
+    it('refreshes different accounts independently', async () => {
+        const first = await seedExpired('family-first');
+        const second = await seedExpired('family-second');
+
+        await Promise.all([refresher.refreshFamilyToken(first), refresher.refreshFamilyToken(second)]);
+
+        assert.strictEqual(refreshCalls, 2);
+        for (const familyId of ['family-first', 'family-second']) {
+            assert.notStrictEqual((await storage.getFamilyTokens(familyId)).access_token, 'old-access');
+        }
+    });
+
+    it('waits for another instance holding the lock and reuses its token', async () => {
+        const tokenData = await seedExpired('family-other-instance');
+
+        // Another instance claims the lock, then stores its refreshed token
+        assert.strictEqual(await storage.claimRefreshLock(tokenData.id, { currentLock: null, ttlMs: 30 * 1000 }), true);
+        setTimeout(() => {
+            storage.updateAccessToken(tokenData.id, 'access-from-other', new Date(Date.now() + 3600 * 1000));
+        }, 100);
+
+        const result = await refresher.refreshFamilyToken(tokenData);
+
+        assert.strictEqual(refreshCalls, 0);
+        assert.strictEqual(result.access_token, 'access-from-other');
+    });
+
+    it('refreshes itself when the other instance gives up', async () => {
+        const tokenData = await seedExpired('family-failed-instance');
+
+        assert.strictEqual(await storage.claimRefreshLock(tokenData.id, { currentLock: null, ttlMs: 30 * 1000 }), true);
+        setTimeout(() => {
+            storage.recordRefreshFailure(tokenData.id, { error: 'timeout' });
+        }, 100);
+
+        const result = await refresher.refreshFamilyToken(tokenData);
+
+        assert.strictEqual(refreshCalls, 1);
+        assert.strictEqual(result.access_token, 'access-1');
+    });
+
+    it('lets only one of two lock claims win', async () => {
+        const tokenData = await seedExpired('family-claims');
+        const claims = await Promise.all([1, 2].map(() => storage.claimRefreshLock(tokenData.id, { currentLock: null, ttlMs: 1000 })));
+
+        assert.deepStrictEqual(claims.sort(), [false, true]);
+    });
+
+    it('keeps a token another instance already stored', async () => {
+        const tokenData = await seedExpired('family-cas');
+
+        await storage.updateAccessToken(tokenData.id, 'newer-access', new Date(Date.now() + 3600 * 1000));
+        const stale = await storage.updateAccessToken(tokenData.id, 'stale-access', new Date(), undefined, {
+            expectedExpiry: tokenData.token_expiry
+        });
+
+        assert.strictEqual(stale, null);
+        assert.strictEqual((await storage.getFamilyTokens('family-cas')).access_token, 'newer-access');
+    });
+
+    it('refreshes a batch of families with limited concurrency', async () => {
+        const familyIds = ['batch-1', 'batch-2', 'batch-3', 'batch-4', 'batch-5'];
+        for (const familyId of familyIds) {
+            await seedExpired(familyId);
+        }
+
+        let active = 0;
+        let maxActive = 0;
+        const refreshAccessToken = provider.refreshAccessToken;
+        provider.refreshAccessToken = async refreshToken => {
+            maxActive = Math.max(maxActive, ++active);
+            try {
+                return await refreshAccessToken(refreshToken);
+            } finally {
+                active--;
+            }
+        };
+
+        try {
+            const results = await refresher.getBatchAccessTokens([...familyIds, 'batch-missing'], { concurrency: 2 });
+
+            assert.strictEqual(refreshCalls, 5);
+            assert.strictEqual(maxActive, 2);
+            assert.deepStrictEqual(results.map(result => result.family_id), [...familyIds, 'batch-missing']);
+            assert.ok(results.slice(0, 5).every(result => result.refreshed === true));
+            assert.strictEqual(results[5].error, 'not_found');
+        } finally {
+            provider.refreshAccessToken = refreshAccessToken;
+        }
+    });
+});